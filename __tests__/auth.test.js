@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const express = require('express');
+const request = require('supertest');
+const FileStore = require('../fileStore');
+const ApiKeyStore = require('../apiKeyStore');
+
+// auth.js authenticates with the shared store from services.js; point it at the test's store
+let mockApiKeyStore;
+jest.mock('../services', () => ({
+    apiKeyStore: { authenticate: key => mockApiKeyStore.authenticate(key) }
+}));
+
+const { requireScope } = require('../auth');
+
+describe('requireScope', () => {
+    let dataDir;
+    let app;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-auth-'));
+        mockApiKeyStore = new ApiKeyStore({ store: new FileStore('apiKeys', { directory: dataDir }) });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        app = express();
+        app.get('/sms', requireScope('sms:send'), (req, res) => res.json({ client: req.client.client }));
+        app.get('/templates', requireScope('templates:write'), (req, res) => res.json({ client: req.client.client }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('rejects a request without a key with 401', async () => {
+        const response = await request(app).get('/sms');
+
+        expect(response.status).toBe(401);
+        expect(response.body).toEqual({ success: false, error: { message: 'A valid API key is required', code: 'UNAUTHORIZED' } });
+    });
+
+    test('rejects an unknown or malformed key with 401', async () => {
+        mockApiKeyStore.create('ticketing', ['sms:send']);
+
+        const unknown = await request(app).get('/sms').set('Authorization', `Bearer ntf_${'x'.repeat(32)}`);
+        const malformed = await request(app).get('/sms').set('X-API-Key', 'not-a-key');
+
+        expect([unknown.status, malformed.status]).toEqual([401, 401]);
+        expect(unknown.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    test('accepts a key with the scope in either header', async () => {
+        const { key } = mockApiKeyStore.create('ticketing', ['sms:send']);
+
+        const bearer = await request(app).get('/sms').set('Authorization', `Bearer ${key}`);
+        const header = await request(app).get('/sms').set('X-API-Key', key);
+
+        expect([bearer.status, header.status]).toEqual([200, 200]);
+        expect(bearer.body).toEqual({ client: 'ticketing' });
+    });
+
+    test('rejects a key without the scope with 403', async () => {
+        const { key } = mockApiKeyStore.create('ticketing', ['sms:send']);
+
+        const response = await request(app).get('/templates').set('Authorization', `Bearer ${key}`);
+
+        expect(response.status).toBe(403);
+        expect(response.body).toEqual({ success: false, error: { message: 'API key is missing the \'templates:write\' scope', code: 'FORBIDDEN' } });
+    });
+
+    test('grants every scope to an admin key', async () => {
+        const { key } = mockApiKeyStore.create('ops', ['admin']);
+
+        const responses = await Promise.all(['/sms', '/templates'].map(route => request(app).get(route).set('Authorization', `Bearer ${key}`)));
+
+        expect(responses.map(response => response.status)).toEqual([200, 200]);
+    });
+
+    test('rejects a revoked key with 401', async () => {
+        const { key, apiKey } = mockApiKeyStore.create('ticketing', ['sms:send']);
+        expect((await request(app).get('/sms').set('Authorization', `Bearer ${key}`)).status).toBe(200);
+
+        mockApiKeyStore.revoke(apiKey.id);
+
+        expect((await request(app).get('/sms').set('Authorization', `Bearer ${key}`)).status).toBe(401);
+    });
+});
+
+describe('ApiKeyStore', () => {
+    let dataDir;
+    let store;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-api-keys-'));
+        store = new ApiKeyStore({ store: new FileStore('apiKeys', { directory: dataDir }) });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('stores a SHA-256 hash of the key, never the key itself', () => {
+        const { key, apiKey } = store.create('ticketing', ['sms:send']);
+        const file = fs.readFileSync(path.join(dataDir, 'apiKeys.json'), 'utf8');
+
+        expect(key).toMatch(/^ntf_[A-Za-z0-9_-]{32}$/);
+        expect(file).not.toContain(key);
+        expect(JSON.parse(file)[apiKey.id]).toMatchObject({
+            keyHash: crypto.createHash('sha256').update(key).digest('hex'),
+            keyPrefix: key.slice(0, 10)
+        });
+    });
+
+    test('never returns the hash to callers', () => {
+        const { key, apiKey } = store.create('ticketing', ['sms:send']);
+
+        expect(apiKey).not.toHaveProperty('keyHash');
+        expect(store.authenticate(key)).not.toHaveProperty('keyHash');
+        expect(store.list()[0]).not.toHaveProperty('keyHash');
+    });
+
+    test('picks up keys created and revoked by the CLI', () => {
+        const cli = args => execFileSync(process.execPath, [path.join(__dirname, '..', 'manageApiKeys.js'), ...args], {
+            env: { ...process.env, DATA_DIR: dataDir },
+            encoding: 'utf8'
+        });
+
+        const output = cli(['create', 'trip-planner', 'trip:send']);
+        const key = output.match(/^Key: (\S+)$/m)[1];
+        const id = output.match(/^Created API key (\S+) /)[1];
+
+        expect(fs.readFileSync(path.join(dataDir, 'apiKeys.json'), 'utf8')).not.toContain(key);
+        expect(store.authenticate(key)).toMatchObject({ id, client: 'trip-planner', scopes: ['trip:send'] });
+
+        cli(['revoke', id]);
+
+        expect(store.authenticate(key)).toBeNull();
+    });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const FileStore = require('../fileStore');
+const QuotaStore = require('../quotaStore');
+
+// clientLimits.js uses the shared quota store from services.js; point it at the test's store
+let mockQuotaStore;
+jest.mock('../services', () => ({
+    quotaStore: {
+        windowMs: 60 * 1000,
+        getLimits: client => mockQuotaStore.getLimits(client),
+        consume: (client, counts) => mockQuotaStore.consume(client, counts),
+        refund: (client, period, counts) => mockQuotaStore.refund(client, period, counts)
+    }
+}));
+
+const { limitClient } = require('../clientLimits');
+
+describe('limitClient', () => {
+    let dataDir;
+    let app;
+    let clientCount = 0;
+    let client;
+
+    /**
+     * Send a request as the test's client
+     * @param {Object} body - Request body ({ emails, sms, fail })
+     * @returns {Promise<Object>} Response
+     */
+    const send = body => request(app).post('/send').set('X-Client', client).send(body);
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-limits-'));
+        mockQuotaStore = new QuotaStore({
+            limitStore: new FileStore('clientLimits', { directory: dataDir }),
+            usageStore: new FileStore('quotaUsage', { directory: dataDir }),
+            defaults: {
+                email: { rateLimit: 3, monthlyQuota: 0 },
+                sms: { rateLimit: 3, monthlyQuota: 5 }
+            }
+        });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        // Rate limit counters live in the module, so every test uses a client of its own
+        clientCount++;
+        client = `client-${clientCount}`;
+
+        app = express();
+        app.use(express.json());
+        app.post('/send',
+            (req, res, next) => {
+                req.client = { client: req.get('X-Client') };
+                next();
+            },
+            limitClient(body => ({ email: body.emails || 0, sms: body.sms || 0 })),
+            (req, res) => res.status(req.body.fail ? 400 : 200).json({ success: !req.body.fail }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    describe('rate limit', () => {
+        test('rejects requests over the client\'s limit with 429', async () => {
+            const responses = [];
+            for (let i = 0; i < 4; i++) {
+                responses.push(await send({ emails: 1 }));
+            }
+
+            expect(responses.map(response => response.status)).toEqual([200, 200, 200, 429]);
+            expect(responses[0].headers['x-ratelimit-limit']).toBe('3');
+            expect(responses[0].headers['x-ratelimit-remaining']).toBe('2');
+            expect(responses[3].body).toEqual({
+                success: false,
+                error: { message: `Too many email requests for client '${client}', please try again later`, code: 'RATE_LIMIT_EXCEEDED' }
+            });
+        });
+
+        test('limits each channel separately', async () => {
+            for (let i = 0; i < 3; i++) {
+                await send({ emails: 1 });
+            }
+
+            expect((await send({ sms: 1 })).status).toBe(200);
+            expect((await send({ emails: 1, sms: 1 })).status).toBe(429);
+        });
+
+        test('limits each client separately', async () => {
+            for (let i = 0; i < 4; i++) {
+                await send({ emails: 1 });
+            }
+
+            expect((await request(app).post('/send').set('X-Client', `${client}-other`).send({ emails: 1 })).status).toBe(200);
+        });
+
+        test('applies a client\'s own limit', async () => {
+            mockQuotaStore.setLimits(client, { email: { rateLimit: 1 } });
+
+            expect((await send({ emails: 1 })).status).toBe(200);
+            expect((await send({ emails: 1 })).status).toBe(429);
+        });
+    });
+
+    describe('monthly quota', () => {
+        test('reports the quota in headers', async () => {
+            const response = await send({ emails: 2, sms: 2 });
+
+            expect(response.status).toBe(200);
+            expect(response.headers).toMatchObject({
+                'x-quota-sms-limit': '5',
+                'x-quota-sms-remaining': '3',
+                'x-quota-sms-used': '2',
+                'x-quota-email-used': '2'
+            });
+            expect(response.headers).not.toHaveProperty('x-quota-email-limit');
+            expect(response.headers['x-quota-reset']).toBe(mockQuotaStore.getResetTime().toISOString());
+        });
+
+        test('rejects a request that would go over the quota as a whole', async () => {
+            await send({ sms: 4 });
+
+            const response = await send({ sms: 2 });
+
+            expect(response.status).toBe(429);
+            expect(response.body.error).toEqual({
+                message: `Monthly sms quota exceeded for client '${client}'`,
+                code: 'QUOTA_EXCEEDED',
+                details: [{ channel: 'sms', limit: 5, used: 4, remaining: 1 }]
+            });
+            expect(mockQuotaStore.getUsage(client).sms).toBe(4);
+        });
+
+        test('does not count requests that end in an error response', async () => {
+            const response = await send({ sms: 3, fail: true });
+
+            expect(response.status).toBe(400);
+            expect(mockQuotaStore.getUsage(client)).toEqual({ email: 0, sms: 0 });
+        });
+
+        test('does not count or limit channels the request does not use', async () => {
+            mockQuotaStore.setLimits(client, { sms: { rateLimit: 0 } });
+
+            const response = await send({ emails: 1 });
+
+            expect(response.status).toBe(200);
+            expect(response.headers).not.toHaveProperty('x-quota-sms-used');
+            expect(mockQuotaStore.getUsage(client)).toEqual({ email: 1, sms: 0 });
+        });
+    });
+});
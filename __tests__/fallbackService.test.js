@@ -0,0 +1,45 @@
+const templateLoader = require('../templateLoader');
+const { parsePolicies } = require('../fallbackService');
+
+describe('parsePolicies', () => {
+    beforeEach(() => {
+        const template = { english: {} };
+        const templates = {
+            email: { overdue: template, trip_arrival_notice: template, email_only: template },
+            sms: { overdue: template, trip_arrival_notice: template, sms_only: template }
+        };
+        jest.spyOn(templateLoader, 'getTemplates').mockImplementation(channel => templates[channel]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('parses policies with the default window', () => {
+        expect(parsePolicies('overdue:email>sms:30, Trip-Arrival-Notice:sms>email')).toEqual({
+            overdue: { type: 'overdue', primary: 'email', fallback: 'sms', windowMinutes: 30 },
+            trip_arrival_notice: { type: 'trip_arrival_notice', primary: 'sms', fallback: 'email', windowMinutes: 60 }
+        });
+    });
+
+    test('accepts an empty list', () => {
+        expect(parsePolicies('')).toEqual({});
+    });
+
+    test('rejects a type without a template on the fallback channel', () => {
+        expect(() => parsePolicies('email_only:email>sms')).toThrow("Invalid fallback policy 'email_only:email>sms': email_only has no sms template");
+    });
+
+    test('rejects a type without a template on the primary channel', () => {
+        expect(() => parsePolicies('sms_only:email>sms')).toThrow("Invalid fallback policy 'sms_only:email>sms': sms_only has no email template");
+    });
+
+    test('rejects an unknown type', () => {
+        expect(() => parsePolicies('lost:email>sms')).toThrow("Invalid fallback policy 'lost:email>sms': unknown notification type lost");
+    });
+
+    test('rejects an invalid route or window', () => {
+        expect(() => parsePolicies('overdue:email>email')).toThrow("Invalid fallback policy 'overdue:email>email': expected overdue:email>sms or overdue:sms>email");
+        expect(() => parsePolicies('overdue:email>sms:0')).toThrow("Invalid fallback policy 'overdue:email>sms:0': the window must be a positive number of minutes");
+    });
+});
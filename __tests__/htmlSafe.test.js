@@ -0,0 +1,178 @@
+const { render } = require('../templateEngine');
+const {
+    sanitizeHtml,
+    getHtmlContext,
+    escapeHtmlVariable,
+    escapeTextVariable,
+    prepareVariables,
+    isSafeUrl
+} = require('../htmlSafe');
+
+/**
+ * Render an HTML template the way HTML email bodies are rendered
+ * @param {string} source - HTML template
+ * @param {Object} data - Template variables
+ * @returns {string} HTML
+ */
+const renderHtml = (source, data) => render(source, prepareVariables(data), { escape: escapeHtmlVariable });
+
+describe('sanitizeHtml', () => {
+    test('keeps formatting markup and safe links', () => {
+        expect(sanitizeHtml('<p>Hi <b>there</b>, see <a href="https://example.com/a?b=1&amp;c=2" title="Docs">the docs</a></p>'))
+            .toBe('<p>Hi <b>there</b>, see <a href="https://example.com/a?b=1&amp;c=2" title="Docs" target="_blank" rel="noopener noreferrer">the docs</a></p>');
+    });
+
+    test('drops javascript: links', () => {
+        expect(sanitizeHtml('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+        expect(sanitizeHtml('<a href="JaVaScRiPt:alert(1)">x</a>')).toBe('<a>x</a>');
+        expect(sanitizeHtml('<a href=" javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+    });
+
+    test('drops entity-obfuscated javascript: links', () => {
+        expect(sanitizeHtml('<a href="java&#x09;script:alert(1)">x</a>')).toBe('<a>x</a>');
+        expect(sanitizeHtml('<a href="&#106;avascript:alert(1)">x</a>')).toBe('<a>x</a>');
+        expect(sanitizeHtml('<a href="java&#10;script:alert(1)">x</a>')).toBe('<a>x</a>');
+    });
+
+    test('removes event handler attributes', () => {
+        expect(sanitizeHtml('<p onclick="steal()">Hi</p>')).toBe('<p>Hi</p>');
+        expect(sanitizeHtml('<a href="https://e.com" onclick="steal()">ok</a>'))
+            .toBe('<a href="https://e.com" target="_blank" rel="noopener noreferrer">ok</a>');
+        expect(sanitizeHtml('<img src=x onerror=alert(1)>text')).toBe('text');
+    });
+
+    test('drops <svg> and <script> with their content', () => {
+        expect(sanitizeHtml('<svg><script>alert(1)</script><a href="https://e.com">in svg</a></svg>after')).toBe('after');
+        expect(sanitizeHtml('<script>alert(1)</script>Hello')).toBe('Hello');
+        expect(sanitizeHtml('<SCRIPT type="text/javascript">alert(1)</SCRIPT>Hello')).toBe('Hello');
+        expect(sanitizeHtml('<style>p { color: red }</style><p>y')).toBe('<p>y</p>');
+        expect(sanitizeHtml('<script/>kept')).toBe('kept');
+    });
+
+    test('quotes unquoted attribute values', () => {
+        expect(sanitizeHtml('<a href=https://e.com/x title=t>u</a>'))
+            .toBe('<a href="https://e.com/x" title="t" target="_blank" rel="noopener noreferrer">u</a>');
+        expect(sanitizeHtml('<a href=javascript:alert(1) title=t>u</a>')).toBe('<a title="t">u</a>');
+    });
+
+    test('escapes text and closes unbalanced markup', () => {
+        expect(sanitizeHtml('a < b & c > d &amp; e')).toBe('a &lt; b &amp; c &gt; d &amp; e');
+        expect(sanitizeHtml('<b>bold <i>both</b> tail')).toBe('<b>bold <i>both</i></b> tail');
+        expect(sanitizeHtml('<ul><li>one<li>two</ul>')).toBe('<ul><li>one</li><li>two</li></ul>');
+        expect(sanitizeHtml('<!-- note --><div><p>x</div>')).toBe('<p>x</p>');
+    });
+});
+
+describe('isSafeUrl', () => {
+    test('accepts http(s), mailto, tel and relative URLs only', () => {
+        expect(['https://e.com', 'http://e.com', 'mailto:a@b.com', 'tel:+250788123456', '/path', 'page.html', '#top', '?q=1']
+            .map(isSafeUrl)).toEqual([true, true, true, true, true, true, true, true]);
+        expect(['javascript:alert(1)', 'data:text/html,x', 'vbscript:x', 'java\tscript:x', 'java&#x09;script:x']
+            .map(isSafeUrl)).toEqual([false, false, false, false, false]);
+    });
+});
+
+describe('getHtmlContext', () => {
+    const contextAtEnd = source => getHtmlContext(source, source.length);
+
+    test('finds element text', () => {
+        expect(contextAtEnd('<p>')).toEqual({ kind: 'text' });
+        expect(contextAtEnd('<script></script><p>')).toEqual({ kind: 'text' });
+    });
+
+    test('finds quoted attribute values and whether the value starts there', () => {
+        expect(contextAtEnd('<p title="')).toEqual({ kind: 'attribute', name: 'title', quote: '"', start: true });
+        expect(contextAtEnd('<p title=\'')).toEqual({ kind: 'attribute', name: 'title', quote: '\'', start: true });
+        expect(contextAtEnd('<a href="https://e.com/?id=')).toEqual({ kind: 'attribute', name: 'href', quote: '"', start: false });
+    });
+
+    test('finds unquoted attribute positions', () => {
+        expect(contextAtEnd('<td width=')).toEqual({ kind: 'attribute', name: 'width', quote: null, start: true });
+        expect(contextAtEnd('<a href=')).toEqual({ kind: 'attribute', name: 'href', quote: null, start: true });
+        expect(contextAtEnd('<p ')).toEqual({ kind: 'attribute', name: null, quote: null, start: false });
+    });
+
+    test('finds event handler attributes', () => {
+        expect(contextAtEnd('<img src=x onerror="')).toEqual({ kind: 'attribute', name: 'onerror', quote: '"', start: true });
+    });
+
+    test('finds script and style content', () => {
+        expect(contextAtEnd('<script>var a = "')).toEqual({ kind: 'rawtext', element: 'script' });
+        expect(contextAtEnd('<style type="text/css">p { color: ')).toEqual({ kind: 'rawtext', element: 'style' });
+    });
+
+    test('ignores other template tags before the position', () => {
+        expect(contextAtEnd('<p title="{x}" data-a="')).toEqual({ kind: 'attribute', name: 'data-a', quote: '"', start: true });
+        expect(contextAtEnd('<p title="{x | default: "a>b"}">')).toEqual({ kind: 'text' });
+    });
+});
+
+describe('escapeHtmlVariable', () => {
+    let warn;
+
+    beforeEach(() => {
+        warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('entity-encodes element text and quoted attribute values', () => {
+        expect(renderHtml('<p>{v}</p>', { v: '<b>x</b> & "q"' })).toBe('<p>&lt;b&gt;x&lt;/b&gt; &amp; &quot;q&quot;</p>');
+        expect(renderHtml('<p title=\'{v}\'>t</p>', { v: 'it\'s <b>' })).toBe('<p title=\'it&#39;s &lt;b&gt;\'>t</p>');
+    });
+
+    test('replaces unsafe URLs at the start of a URL attribute', () => {
+        expect(renderHtml('<a href="{u}">l</a>', { u: 'javascript:alert(1)' })).toBe('<a href="#">l</a>');
+        expect(renderHtml('<a href="{u}">l</a>', { u: 'java&#x09;script:alert(1)' })).toBe('<a href="#">l</a>');
+        expect(renderHtml('<a href="{u}">l</a>', { u: 'https://e.com/?a=1&b="2"' })).toBe('<a href="https://e.com/?a=1&amp;b=&quot;2&quot;">l</a>');
+        expect(renderHtml('<a href="https://e.com/?id={u}">l</a>', { u: 'javascript:x' })).toBe('<a href="https://e.com/?id=javascript:x">l</a>');
+    });
+
+    test('leaves variables out of event handler attributes', () => {
+        expect(renderHtml('<img src=x onerror="{u}">', { u: 'alert(1)' })).toBe('<img src=x onerror="">');
+        expect(renderHtml('<div onclick=\'{u}\'>', { u: 'alert(1)' })).toBe('<div onclick=\'\'>');
+        expect(warn).toHaveBeenCalledWith('Template variable left out of the onerror attribute');
+    });
+
+    test('leaves variables out of unquoted attribute positions', () => {
+        expect(renderHtml('<td width={u}>', { u: '1 onmouseover=alert(1)' })).toBe('<td width=>');
+        expect(renderHtml('<a href={u}>x</a>', { u: 'https://e.com' })).toBe('<a href=>x</a>');
+        expect(warn).toHaveBeenCalledWith('Template variable left out of the width attribute');
+    });
+
+    test('leaves variables out of scripts and styles', () => {
+        expect(renderHtml('<script>var a="{u}";</script>', { u: 'x' })).toBe('<script>var a="";</script>');
+        expect(renderHtml('<style>p{color:{u}}</style>', { u: 'red' })).toBe('<style>p{color:}</style>');
+        expect(warn).toHaveBeenCalledWith('Template variable left out of <script>');
+    });
+
+    test('inserts trusted HTML sanitized in element text and as text in attributes', () => {
+        const data = { m: { html: '<p>Hi <b>there</b></p><script>x</script><p onclick="x()">2nd</p>' } };
+
+        expect(renderHtml('<div>{m}</div>', data)).toBe('<div><p>Hi <b>there</b></p><p>2nd</p></div>');
+        expect(renderHtml('<a title="{m}">x</a>', data)).toBe('<a title="Hi there\n2nd">x</a>');
+    });
+});
+
+describe('trusted HTML in text bodies', () => {
+    const data = prepareVariables({ m: { html: '<p>Hi <b>there</b></p><ul><li>one</li><li>two &amp; more</li></ul><script>x</script>' } });
+
+    test('renders as plain text in text bodies and SMS', () => {
+        expect(render('Message: {m}', data)).toBe('Message: Hi there\n- one\n- two & more');
+    });
+
+    test('renders as HTML on one line when a text body is converted to HTML', () => {
+        expect(render('Message: {m}', data, { escape: escapeTextVariable }))
+            .toBe('Message: <p>Hi <b>there</b></p><ul><li>one</li><li>two &amp; more</li></ul>');
+        expect(render('Message: {v}', { v: '<b>not trusted</b>' }, { escape: escapeTextVariable }))
+            .toBe('Message: &lt;b&gt;not trusted&lt;/b&gt;');
+    });
+
+    test('serializes back to the request shape', () => {
+        expect(JSON.parse(JSON.stringify(data))).toEqual({
+            m: { html: '<p>Hi <b>there</b></p><ul><li>one</li><li>two &amp; more</li></ul>' }
+        });
+    });
+});
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../fileStore');
+const IdempotencyStore = require('../idempotencyStore');
+
+describe('IdempotencyStore', () => {
+    let dataDir;
+    let store;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-idempotency-'));
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00.000Z') });
+        store = new IdempotencyStore({ store: new FileStore('idempotency', { directory: dataDir }), ttlMs: 60000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('replays the stored response for the same key and payload', () => {
+        const fingerprint = store.fingerprint({ b: 2, a: 1 });
+        expect(store.claim('sms', 'k1', fingerprint)).toEqual({ status: 'claimed' });
+        expect(store.claim('sms', 'k1', fingerprint)).toEqual({ status: 'in_progress' });
+
+        store.complete('sms', 'k1', { statusCode: 200, body: { success: true } });
+
+        expect(store.claim('sms', 'k1', store.fingerprint({ a: 1, b: 2 }))).toEqual({ status: 'replay', response: { statusCode: 200, body: { success: true } } });
+        expect(store.claim('sms', 'k1', store.fingerprint({ a: 2 }))).toEqual({ status: 'mismatch' });
+    });
+
+    test('purges expired keys with a single write', () => {
+        for (let i = 0; i < 20; i++) {
+            store.claim('sms', `old-${i}`, 'f');
+        }
+        jest.advanceTimersByTime(59999);
+        store.claim('sms', 'fresh', 'f');
+
+        const save = jest.spyOn(store.store, 'save');
+        jest.advanceTimersByTime(1);
+
+        expect(store.purgeExpired()).toBe(20);
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(store.store.values().map(entry => entry.key)).toEqual(['fresh']);
+    });
+
+    test('does not write the store when nothing expired', () => {
+        store.claim('sms', 'k1', 'f');
+        const save = jest.spyOn(store.store, 'save');
+
+        expect(store.purgeExpired()).toBe(0);
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    test('lets an expired key be claimed again', () => {
+        store.claim('sms', 'k1', 'f');
+        store.complete('sms', 'k1', { statusCode: 200 });
+        jest.advanceTimersByTime(60000);
+
+        expect(store.claim('sms', 'k1', 'other')).toEqual({ status: 'claimed' });
+    });
+});
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../fileStore');
+const MessageQueue = require('../messageQueue');
+
+const START = new Date('2026-01-01T00:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('MessageQueue', () => {
+    let dataDir;
+    let queue;
+
+    /**
+     * Create a queue backed by a store in the test's DATA_DIR
+     * @param {Object} [options] - Queue options
+     * @returns {MessageQueue} Queue
+     */
+    const createQueue = (options = {}) => new MessageQueue({
+        store: new FileStore('queue'),
+        maxAttempts: 3,
+        backoffBaseMs: 1000,
+        backoffMaxMs: 10000,
+        pollIntervalMs: 500,
+        ...options
+    });
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-queue-'));
+        process.env.DATA_DIR = dataDir;
+        jest.useFakeTimers({ now: START });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        queue = createQueue();
+    });
+
+    afterEach(() => {
+        queue.stop();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        delete process.env.DATA_DIR;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('persists jobs to DATA_DIR/queue.json when they are enqueued', () => {
+        queue.registerHandler('test', async () => ({ success: true }));
+        const job = queue.enqueue('test', { to: 'a@b.com' });
+
+        const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'queue.json'), 'utf8'));
+        expect(stored[job.id]).toMatchObject({
+            type: 'test',
+            payload: { to: 'a@b.com' },
+            status: 'pending',
+            attempts: 0,
+            maxAttempts: 3,
+            runAt: START.toISOString()
+        });
+    });
+
+    test('rejects job types without a handler', () => {
+        expect(() => queue.enqueue('unknown', {})).toThrow('No handler registered for job type: unknown');
+    });
+
+    test('completes a job whose handler succeeds', async () => {
+        const handler = jest.fn(async () => ({ success: true, messageId: 'm1' }));
+        queue.registerHandler('test', handler);
+        const job = queue.enqueue('test', { n: 1 });
+
+        expect(await queue.processDue()).toBe(1);
+
+        expect(handler).toHaveBeenCalledWith({ n: 1 }, expect.objectContaining({ id: job.id }));
+        expect(queue.getJob(job.id)).toMatchObject({
+            status: 'completed',
+            attempts: 1,
+            result: { success: true, messageId: 'm1' },
+            lastError: null
+        });
+    });
+
+    test('reschedules a retryable failure with exponential backoff and jitter', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        queue.registerHandler('test', async () => ({ success: false, retryable: true, message: 'timeout' }));
+        const job = queue.enqueue('test', {});
+
+        await queue.processDue();
+
+        // First retry: half the base delay plus half of it again times the jitter (1000 / 2 + 0.5 * 500)
+        expect(queue.getJob(job.id)).toMatchObject({
+            status: 'pending',
+            attempts: 1,
+            lastError: 'timeout',
+            runAt: new Date(START.getTime() + 750).toISOString()
+        });
+    });
+
+    test('computes backoff between half and all of the capped exponential delay', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        expect([1, 2, 3, 4, 5, 6].map(attempts => queue.computeBackoff(attempts))).toEqual([500, 1000, 2000, 4000, 5000, 5000]);
+
+        Math.random.mockReturnValue(1);
+        expect([1, 2, 3, 4, 5, 6].map(attempts => queue.computeBackoff(attempts))).toEqual([1000, 2000, 4000, 8000, 10000, 10000]);
+    });
+
+    test('does not deliver a rescheduled job before its runAt', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        const handler = jest.fn()
+            .mockResolvedValueOnce({ success: false, retryable: true, message: 'busy' })
+            .mockResolvedValueOnce({ success: true });
+        queue.registerHandler('test', handler);
+        const job = queue.enqueue('test', {});
+
+        await queue.processDue();
+        jest.setSystemTime(START.getTime() + 499);
+        expect(await queue.processDue()).toBe(0);
+
+        jest.setSystemTime(START.getTime() + 500);
+        expect(await queue.processDue()).toBe(1);
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(queue.getJob(job.id)).toMatchObject({ status: 'completed', attempts: 2 });
+    });
+
+    test('dead-letters a job that runs out of attempts', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        const listener = jest.fn();
+        queue.onDeadLetter(listener);
+        queue.registerHandler('test', async () => ({ success: false, retryable: true, message: 'still down' }));
+        const job = queue.enqueue('test', {});
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            jest.setSystemTime(Date.now() + 10000);
+            await queue.processDue();
+        }
+
+        const dead = queue.getJob(job.id);
+        expect(dead).toMatchObject({ status: 'dead', attempts: 3, lastError: 'still down' });
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith(dead);
+    });
+
+    test('dead-letters a permanent failure without retrying', async () => {
+        const listener = jest.fn();
+        queue.onDeadLetter(listener);
+        queue.registerHandler('test', async () => ({ success: false, retryable: false, message: 'invalid recipient' }));
+        const job = queue.enqueue('test', {});
+
+        await queue.processDue();
+
+        expect(queue.getJob(job.id)).toMatchObject({ status: 'dead', attempts: 1, lastError: 'invalid recipient' });
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('treats a handler that throws as a retryable failure', async () => {
+        queue.registerHandler('test', async () => {
+            throw new Error('socket hang up');
+        });
+        const job = queue.enqueue('test', {});
+
+        await queue.processDue();
+
+        expect(queue.getJob(job.id)).toMatchObject({ status: 'pending', attempts: 1, lastError: 'socket hang up' });
+    });
+
+    test('keeps delivering when a dead-letter listener throws', async () => {
+        queue.onDeadLetter(() => {
+            throw new Error('listener broke');
+        });
+        queue.registerHandler('test', async () => ({ success: false, message: 'rejected' }));
+        const job = queue.enqueue('test', {});
+
+        await expect(queue.processDue()).resolves.toBe(1);
+        expect(queue.getJob(job.id).status).toBe('dead');
+    });
+
+    test('holds a job scheduled with runAt until it is due', async () => {
+        const handler = jest.fn(async () => ({ success: true }));
+        queue.registerHandler('test', handler);
+        const runAt = new Date(START.getTime() + 60000);
+        const job = queue.enqueue('test', {}, { runAt });
+
+        expect(job.runAt).toBe(runAt.toISOString());
+        expect(await queue.processDue()).toBe(0);
+
+        jest.setSystemTime(runAt);
+        expect(await queue.processDue()).toBe(1);
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('delivers due jobs oldest runAt first', async () => {
+        const delivered = [];
+        queue.registerHandler('test', async payload => {
+            delivered.push(payload.name);
+            return { success: true };
+        });
+        queue.enqueue('test', { name: 'later' }, { runAt: new Date(START.getTime() + 2000) });
+        queue.enqueue('test', { name: 'sooner' }, { runAt: new Date(START.getTime() + 1000) });
+
+        jest.setSystemTime(START.getTime() + 5000);
+        await queue.processDue();
+
+        expect(delivered).toEqual(['sooner', 'later']);
+    });
+
+    test('cancels only pending jobs', async () => {
+        queue.registerHandler('test', async () => ({ success: true }));
+        const pending = queue.enqueue('test', {}, { runAt: new Date(START.getTime() + 60000) });
+
+        expect(queue.cancelJob(pending.id)).toMatchObject({ status: 'cancelled' });
+        expect(queue.cancelJob(pending.id)).toBeNull();
+
+        jest.setSystemTime(START.getTime() + 60000);
+        expect(await queue.processDue()).toBe(0);
+    });
+
+    test('retries a dead job by hand with a fresh set of attempts', async () => {
+        const handler = jest.fn()
+            .mockResolvedValueOnce({ success: false, message: 'rejected' })
+            .mockResolvedValueOnce({ success: true });
+        queue.registerHandler('test', handler);
+        const job = queue.enqueue('test', {});
+        await queue.processDue();
+
+        expect(queue.retryJob(job.id)).toMatchObject({ status: 'pending', attempts: 0 });
+        await queue.processDue();
+
+        expect(queue.getJob(job.id)).toMatchObject({ status: 'completed', attempts: 1 });
+        expect(queue.retryJob(job.id)).toBeNull();
+    });
+
+    test('counts jobs per status', async () => {
+        queue.registerHandler('ok', async () => ({ success: true }));
+        queue.registerHandler('fail', async () => ({ success: false, message: 'rejected' }));
+        queue.enqueue('ok', {});
+        queue.enqueue('fail', {});
+        queue.enqueue('ok', {}, { runAt: new Date(START.getTime() + 60000) });
+
+        await queue.processDue();
+
+        expect(queue.getStats()).toEqual({ pending: 1, processing: 0, completed: 1, dead: 1, cancelled: 0 });
+    });
+
+    test('worker delivers queued jobs on its timer once started', async () => {
+        const handler = jest.fn(async () => ({ success: true }));
+        queue.registerHandler('test', handler);
+        const job = queue.enqueue('test', {}, { runAt: new Date(START.getTime() + 1200) });
+
+        queue.start();
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(handler).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(500);
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(queue.getJob(job.id).status).toBe('completed');
+    });
+
+    test('redelivers jobs left in processing by a restart', async () => {
+        const handler = jest.fn(async () => ({ success: true }));
+        queue.registerHandler('test', handler);
+        const job = queue.enqueue('test', {});
+        queue.store.update(job.id, { status: 'processing', attempts: 1 });
+
+        const restarted = createQueue();
+        restarted.registerHandler('test', handler);
+        restarted.start();
+        await jest.advanceTimersByTimeAsync(0);
+        restarted.stop();
+
+        expect(restarted.getJob(job.id)).toMatchObject({ status: 'completed', attempts: 2 });
+    });
+
+    describe('compaction', () => {
+        test('removes completed and cancelled jobs older than the retention period and keeps the rest', async () => {
+            queue = createQueue({ retentionDays: 7 });
+            queue.registerHandler('ok', async () => ({ success: true }));
+            queue.registerHandler('fail', async () => ({ success: false, message: 'rejected' }));
+
+            const completed = queue.enqueue('ok', {});
+            const dead = queue.enqueue('fail', {});
+            const cancelled = queue.enqueue('ok', {}, { runAt: new Date(START.getTime() + 60000) });
+            queue.cancelJob(cancelled.id);
+            const scheduled = queue.enqueue('ok', {}, { runAt: new Date(START.getTime() + 30 * DAY_MS) });
+            await queue.processDue();
+
+            jest.setSystemTime(START.getTime() + 7 * DAY_MS);
+            const recent = queue.enqueue('ok', {});
+            await queue.processDue();
+
+            expect(queue.compact(new Date(START.getTime() + 7 * DAY_MS + 1))).toBe(2);
+            expect(queue.listJobs().map(job => job.id).sort()).toEqual([dead.id, recent.id, scheduled.id].sort());
+            [completed, cancelled].forEach(job => expect(queue.getJob(job.id)).toBeNull());
+
+            const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'queue.json'), 'utf8'));
+            expect(Object.keys(stored).sort()).toEqual([dead.id, recent.id, scheduled.id].sort());
+        });
+
+        test('keeps dead jobs so they can still be retried', async () => {
+            queue.registerHandler('fail', async () => ({ success: false, message: 'rejected' }));
+            const job = queue.enqueue('fail', {});
+            await queue.processDue();
+            expect(queue.getJob(job.id).status).toBe('dead');
+
+            expect(queue.compact(new Date(START.getTime() + 365 * DAY_MS))).toBe(0);
+            expect(queue.getJob(job.id)).toMatchObject({ status: 'dead', lastError: 'rejected' });
+            expect(queue.retryJob(job.id)).toMatchObject({ status: 'pending' });
+        });
+
+        test('writes the queue file once however many jobs are removed', async () => {
+            queue.registerHandler('ok', async () => ({ success: true }));
+            for (let i = 0; i < 5; i++) {
+                queue.enqueue('ok', {});
+            }
+            await queue.processDue();
+
+            const save = jest.spyOn(queue.store, 'save');
+            expect(queue.compact(new Date(START.getTime() + 30 * DAY_MS))).toBe(5);
+            expect(save).toHaveBeenCalledTimes(1);
+        });
+
+        test('runs at startup and every hour while the worker runs', async () => {
+            queue.registerHandler('ok', async () => ({ success: true }));
+            const old = queue.enqueue('ok', {});
+            await queue.processDue();
+            jest.setSystemTime(START.getTime() + 8 * DAY_MS);
+
+            queue.start();
+            expect(queue.getJob(old.id)).toBeNull();
+
+            const finished = queue.enqueue('ok', {});
+            await jest.advanceTimersByTimeAsync(1000);
+            expect(queue.getJob(finished.id).status).toBe('completed');
+
+            jest.setSystemTime(Date.now() + 8 * DAY_MS);
+            await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+            expect(queue.getJob(finished.id)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../fileStore');
+const MessageStore = require('../messageStore');
+
+describe('MessageStore.addStatus', () => {
+    let dataDir;
+    let store;
+    let record;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-messages-'));
+        store = new MessageStore({ store: new FileStore('messages', { directory: dataDir }) });
+        record = store.create({ channel: 'email', recipient: 'a@b.com', template: 'received' });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Apply statuses in order and return the record's status after each one
+     * @param {Array} statuses - Statuses, or [status, details] pairs
+     * @returns {Array} Record status after each event
+     */
+    const apply = statuses => statuses.map(event => {
+        const [status, details] = Array.isArray(event) ? event : [event, {}];
+        return store.addStatus(record.id, status, details).status;
+    });
+
+    test('moves forward through delivery and engagement', () => {
+        expect(apply(['sent', 'delivered', 'opened', 'clicked'])).toEqual(['sent', 'delivered', 'opened', 'clicked']);
+    });
+
+    test('does not regress when a delivered event arrives after opened', () => {
+        expect(apply(['sent', 'opened', 'delivered'])).toEqual(['sent', 'opened', 'opened']);
+    });
+
+    test('does not regress when a sent report arrives after delivered', () => {
+        expect(apply(['sent', 'delivered', 'sent'])).toEqual(['sent', 'delivered', 'delivered']);
+    });
+
+    test('lets a final status replace progress and keeps it against later events', () => {
+        expect(apply(['sent', 'delivered', 'bounced', 'delivered', 'opened'])).toEqual(['sent', 'delivered', 'bounced', 'bounced', 'bounced']);
+        expect(apply(['spam'])).toEqual(['bounced']);
+    });
+
+    test('lets a new send attempt replace a failure', () => {
+        expect(apply([
+            ['failed', { detail: 'timeout' }],
+            'sent',
+            ['sent', { provider: 'sendgrid', providerMessageId: 'm2' }]
+        ])).toEqual(['failed', 'failed', 'sent']);
+        expect(store.get(record.id).providerMessageId).toBe('m2');
+    });
+
+    test('appends every event to the timeline, including the ones that do not change the status', () => {
+        apply(['sent', 'opened', 'delivered']);
+
+        expect(store.get(record.id).timeline.map(entry => entry.status)).toEqual(['queued', 'sent', 'opened', 'delivered']);
+    });
+
+    test('records the provider event time instead of the time it was received', () => {
+        apply([
+            ['delivered', { timestamp: 1767225600 }],
+            ['opened', { timestamp: '2026-01-01T00:05:00.000Z' }],
+            ['clicked', { timestamp: 1767226200000 }]
+        ]);
+
+        expect(store.get(record.id).timeline.slice(1).map(entry => entry.timestamp)).toEqual([
+            '2026-01-01T00:00:00.000Z',
+            '2026-01-01T00:05:00.000Z',
+            '2026-01-01T00:10:00.000Z'
+        ]);
+    });
+
+    test('falls back to the current time when the event time is missing or invalid', () => {
+        const before = Date.now();
+        apply([['sent', {}], ['delivered', { timestamp: 'not a date' }]]);
+
+        store.get(record.id).timeline.slice(1).forEach(entry => {
+            expect(new Date(entry.timestamp).getTime()).toBeGreaterThanOrEqual(before);
+        });
+    });
+
+    test('notifies status listeners with the resolved status', () => {
+        const listener = jest.fn();
+        store.onStatus(listener);
+
+        apply(['sent', 'opened', 'delivered']);
+
+        expect(listener.mock.calls.map(([updated]) => updated.status)).toEqual(['sent', 'opened', 'opened']);
+    });
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../fileStore');
+const QuotaStore = require('../quotaStore');
+
+describe('QuotaStore', () => {
+    let dataDir;
+    let store;
+
+    /**
+     * Create a quota store backed by files in the test's data directory
+     * @param {Object} [options] - QuotaStore options
+     * @returns {QuotaStore} Store
+     */
+    const createStore = (options = {}) => new QuotaStore({
+        limitStore: new FileStore('clientLimits', { directory: dataDir }),
+        usageStore: new FileStore('quotaUsage', { directory: dataDir }),
+        defaults: {
+            email: { rateLimit: 100, monthlyQuota: 0 },
+            sms: { rateLimit: 50, monthlyQuota: 10 }
+        },
+        ...options
+    });
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-quota-'));
+        jest.useFakeTimers({ now: new Date('2026-01-31T23:59:00.000Z') });
+        store = createStore();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    describe('limits', () => {
+        test('applies the defaults to clients without overrides', () => {
+            expect(store.getLimits('ticketing')).toEqual({
+                email: { rateLimit: 100, monthlyQuota: 0 },
+                sms: { rateLimit: 50, monthlyQuota: 10 }
+            });
+        });
+
+        test('overrides only the fields given and keeps earlier overrides', () => {
+            store.setLimits('ticketing', { sms: { monthlyQuota: 500 } });
+
+            expect(store.setLimits('ticketing', { email: { rateLimit: 10 } })).toEqual({
+                email: { rateLimit: 10, monthlyQuota: 0 },
+                sms: { rateLimit: 50, monthlyQuota: 500 }
+            });
+            expect(store.getLimits('trip-planner')).toEqual(store.defaults);
+        });
+
+        test('returns to the defaults when the overrides are reset', () => {
+            store.setLimits('ticketing', { sms: { monthlyQuota: 500 } });
+
+            expect(store.resetLimits('ticketing')).toBe(true);
+            expect(store.resetLimits('ticketing')).toBe(false);
+            expect(store.getLimits('ticketing').sms.monthlyQuota).toBe(10);
+        });
+
+        test('reads defaults from the environment, ignoring invalid values', () => {
+            const environment = { ...process.env };
+            try {
+                Object.assign(process.env, { SMS_RATE_LIMIT: '5', SMS_MONTHLY_QUOTA: '-1', EMAIL_MONTHLY_QUOTA: 'lots', RATE_LIMIT_WINDOW_MS: '60000' });
+                const fromEnvironment = createStore({ defaults: undefined });
+
+                expect(fromEnvironment.defaults).toEqual({
+                    email: { rateLimit: 100, monthlyQuota: 0 },
+                    sms: { rateLimit: 5, monthlyQuota: 0 }
+                });
+                expect(fromEnvironment.windowMs).toBe(60000);
+            } finally {
+                process.env = environment;
+            }
+        });
+    });
+
+    describe('monthly quota', () => {
+        test('counts messages within the quota', () => {
+            const result = store.consume('ticketing', { email: 3, sms: 4 });
+
+            expect(result).toEqual({
+                allowed: true,
+                period: '2026-01',
+                quota: {
+                    period: '2026-01',
+                    resetsAt: '2026-02-01T00:00:00.000Z',
+                    channels: {
+                        email: { limit: 0, used: 3, remaining: null },
+                        sms: { limit: 10, used: 4, remaining: 6 }
+                    }
+                }
+            });
+        });
+
+        test('rejects a request that would go over the quota as a whole, counting nothing', () => {
+            store.consume('ticketing', { sms: 8 });
+
+            const result = store.consume('ticketing', { email: 5, sms: 3 });
+
+            expect(result).toMatchObject({ allowed: false, exceeded: ['sms'] });
+            expect(store.getUsage('ticketing')).toEqual({ email: 0, sms: 8 });
+        });
+
+        test('allows a request that uses the quota up exactly', () => {
+            expect(store.consume('ticketing', { sms: 10 }).allowed).toBe(true);
+            expect(store.consume('ticketing', { sms: 1 }).allowed).toBe(false);
+            expect(store.consume('ticketing', { email: 1000 }).allowed).toBe(true);
+        });
+
+        test('counts each client separately', () => {
+            store.consume('ticketing', { sms: 10 });
+
+            expect(store.consume('trip-planner', { sms: 10 }).allowed).toBe(true);
+        });
+
+        test('starts over in a new month (UTC)', () => {
+            store.consume('ticketing', { sms: 10 });
+            jest.advanceTimersByTime(60 * 1000);
+
+            const result = store.consume('ticketing', { sms: 1 });
+
+            expect(result).toMatchObject({ allowed: true, period: '2026-02' });
+            expect(result.quota.resetsAt).toBe('2026-03-01T00:00:00.000Z');
+            expect(store.getUsage('ticketing', '2026-01')).toEqual({ email: 0, sms: 10 });
+        });
+
+        test('refunds messages to the period they were counted in, never below zero', () => {
+            const { period } = store.consume('ticketing', { sms: 4 });
+            jest.advanceTimersByTime(60 * 1000);
+
+            store.refund('ticketing', period, { sms: 4 });
+            store.refund('ticketing', period, { sms: 4 });
+
+            expect(store.getUsage('ticketing', '2026-01')).toEqual({ email: 0, sms: 0 });
+        });
+
+        test('keeps usage across restarts', () => {
+            store.consume('ticketing', { sms: 7 });
+
+            expect(createStore().getQuota('ticketing').channels.sms).toEqual({ limit: 10, used: 7, remaining: 3 });
+        });
+    });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../fileStore');
+const MessageStore = require('../messageStore');
+const SuppressionList = require('../suppressionList');
+const { processEvents } = require('../sendgridEvents');
+
+describe('processEvents', () => {
+    let dataDir;
+    let messageStore;
+    let suppressionList;
+    let record;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-sendgrid-'));
+        messageStore = new MessageStore({ store: new FileStore('messages', { directory: dataDir }) });
+        suppressionList = new SuppressionList({ store: new FileStore('suppressions', { directory: dataDir }) });
+        record = messageStore.create({ channel: 'email', recipient: 'user@example.com', template: 'received' });
+        messageStore.addStatus(record.id, 'sent', { provider: 'sendgrid', providerMessageId: 'msg-1' });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const bounce = {
+        event: 'bounce',
+        type: 'bounce',
+        email: 'user@example.com',
+        sg_message_id: 'msg-1.filter0001',
+        sg_event_id: 'evt-1',
+        reason: '550 mailbox does not exist',
+        timestamp: 1767225600
+    };
+
+    test('suppresses a hard bounce and records it on the message', () => {
+        const summary = processEvents([bounce], { messageStore, suppressionList });
+
+        expect(summary).toEqual({ processed: 1, unmatched: 0, duplicates: 0, ignored: 0, suppressed: 1 });
+        expect(suppressionList.get('user@example.com')).toMatchObject({ reason: 'hard_bounce', source: 'sendgrid_webhook' });
+        expect(messageStore.get(record.id)).toMatchObject({ status: 'bounced' });
+    });
+
+    test('does not suppress again or count a retried event', () => {
+        processEvents([bounce], { messageStore, suppressionList });
+        const entry = suppressionList.get('user@example.com');
+
+        const summary = processEvents([bounce], { messageStore, suppressionList });
+
+        expect(summary).toEqual({ processed: 0, unmatched: 0, duplicates: 1, ignored: 0, suppressed: 0 });
+        expect(suppressionList.get('user@example.com')).toEqual(entry);
+    });
+
+    test('keeps a manual entry when the address bounces', () => {
+        const manual = suppressionList.add('user@example.com', 'manual', { source: 'admin:ops', detail: 'Customer request' });
+
+        const summary = processEvents([bounce], { messageStore, suppressionList });
+
+        expect(summary.suppressed).toBe(0);
+        expect(suppressionList.get('user@example.com')).toEqual(manual);
+    });
+
+    test('suppresses addresses of events for unknown messages', () => {
+        const summary = processEvents([{ ...bounce, sg_message_id: 'other.filter0001' }], { messageStore, suppressionList });
+
+        expect(summary).toEqual({ processed: 0, unmatched: 1, duplicates: 0, ignored: 0, suppressed: 1 });
+        expect(suppressionList.isSuppressed('user@example.com')).toBe(true);
+    });
+});
+
+describe('SuppressionList.add', () => {
+    let dataDir;
+    let suppressionList;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-suppressions-'));
+        suppressionList = new SuppressionList({ store: new FileStore('suppressions', { directory: dataDir }) });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('keeps an existing entry unless asked to replace it', () => {
+        const first = suppressionList.add('+250 788 123 456', 'unsubscribed', { source: 'sms_keyword' });
+
+        expect(suppressionList.add('250788123456', 'invalid_number')).toEqual(first);
+        expect(suppressionList.add('250788123456', 'manual', { source: 'admin:ops', replace: true }))
+            .toMatchObject({ address: '250788123456', reason: 'manual', source: 'admin:ops' });
+    });
+});
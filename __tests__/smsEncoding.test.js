@@ -0,0 +1,117 @@
+const { isGsm7, encodeSms, countSegments, getCapacity } = require('../smsEncoding');
+
+describe('countSegments', () => {
+    describe('plain (GSM 7-bit)', () => {
+        test('sends 160 septets in one part', () => {
+            expect(countSegments('a'.repeat(160)))
+                .toEqual({ encoding: 'plain', encodedLength: 160, parts: 1, maxPerPart: 160, remaining: 0 });
+        });
+
+        test('splits 161 septets in parts of 153', () => {
+            expect(countSegments('a'.repeat(161)))
+                .toEqual({ encoding: 'plain', encodedLength: 161, parts: 2, maxPerPart: 153, remaining: 145 });
+            expect(countSegments('a'.repeat(306))).toMatchObject({ parts: 2, remaining: 0 });
+            expect(countSegments('a'.repeat(307))).toMatchObject({ parts: 3, remaining: 152 });
+        });
+
+        test('counts extension characters as two septets', () => {
+            expect(countSegments('€'.repeat(80))).toEqual({ encoding: 'plain', encodedLength: 160, parts: 1, maxPerPart: 160, remaining: 0 });
+            expect(countSegments(`${'a'.repeat(159)}[`)).toMatchObject({ encodedLength: 161, parts: 2, remaining: 145 });
+        });
+
+        test('moves an extension character that straddles the 153 boundary to the next part', () => {
+            expect(countSegments(`${'a'.repeat(152)}€${'a'.repeat(10)}`))
+                .toEqual({ encoding: 'plain', encodedLength: 164, parts: 2, maxPerPart: 153, remaining: 141 });
+            // 306 septets would fit two parts exactly, but the first part can only take 152
+            expect(countSegments(`${'a'.repeat(152)}€${'a'.repeat(152)}`)).toMatchObject({ encodedLength: 306, parts: 3, remaining: 152 });
+            expect(countSegments(`${'a'.repeat(151)}€${'a'.repeat(153)}`)).toMatchObject({ encodedLength: 306, parts: 2, remaining: 0 });
+        });
+
+        test('keeps accented letters of the GSM alphabet plain', () => {
+            expect(countSegments('Muraho, é è à ù ì ò Ç Ñ ü')).toMatchObject({ encoding: 'plain', encodedLength: 25 });
+        });
+    });
+
+    describe('unicode (UCS-2)', () => {
+        test('sends 70 code units in one part and splits 71 in parts of 67', () => {
+            expect(countSegments('ж'.repeat(70))).toEqual({ encoding: 'unicode', encodedLength: 70, parts: 1, maxPerPart: 70, remaining: 0 });
+            expect(countSegments('ж'.repeat(71))).toEqual({ encoding: 'unicode', encodedLength: 71, parts: 2, maxPerPart: 67, remaining: 63 });
+            expect(countSegments('ж'.repeat(134))).toMatchObject({ parts: 2, remaining: 0 });
+        });
+
+        test('counts a surrogate pair as two code units', () => {
+            expect(countSegments('😀'.repeat(35))).toMatchObject({ encoding: 'unicode', encodedLength: 70, parts: 1, remaining: 0 });
+            // The first part takes 33 pairs (66 code units), the rest go to the second
+            expect(countSegments('😀'.repeat(36))).toMatchObject({ encodedLength: 72, parts: 2, remaining: 61 });
+        });
+
+        test('never splits a surrogate pair across parts', () => {
+            expect(countSegments(`${'ж'.repeat(66)}😀${'ж'.repeat(4)}`))
+                .toEqual({ encoding: 'unicode', encodedLength: 72, parts: 2, maxPerPart: 67, remaining: 61 });
+            expect(countSegments(`${'ж'.repeat(133)}😀`)).toMatchObject({ encodedLength: 135, parts: 3, remaining: 65 });
+        });
+
+        test('switches the whole message to unicode for one character outside the alphabet', () => {
+            expect(countSegments(`${'a'.repeat(69)}ê`)).toMatchObject({ encoding: 'unicode', encodedLength: 70, parts: 1 });
+            expect(countSegments(`${'a'.repeat(70)}ê`)).toMatchObject({ encoding: 'unicode', encodedLength: 71, parts: 2 });
+        });
+
+        test('uses the encoding it is given', () => {
+            expect(countSegments('€uro', 'unicode')).toMatchObject({ encoding: 'unicode', encodedLength: 4, parts: 1 });
+        });
+    });
+});
+
+describe('getCapacity', () => {
+    test('returns the single-part limit for one part and the multi-part limit otherwise', () => {
+        expect([getCapacity(1, 'plain'), getCapacity(2, 'plain'), getCapacity(1, 'unicode'), getCapacity(3, 'unicode')])
+            .toEqual([160, 306, 70, 201]);
+    });
+});
+
+describe('encodeSms', () => {
+    const transliterateSetting = process.env.SMS_TRANSLITERATE;
+
+    afterEach(() => {
+        if (transliterateSetting === undefined) {
+            delete process.env.SMS_TRANSLITERATE;
+        } else {
+            process.env.SMS_TRANSLITERATE = transliterateSetting;
+        }
+    });
+
+    test('sends GSM text as it is', () => {
+        expect(encodeSms('Müller à Kigali: 5€ [ok]', { transliterate: true }))
+            .toEqual({ message: 'Müller à Kigali: 5€ [ok]', encoding: 'plain', transliterated: false });
+    });
+
+    test('transliterates when that makes the whole message plain', () => {
+        expect(encodeSms('Reçu – l’équipe “Kigali” arrive…', { transliterate: true }))
+            .toEqual({ message: 'Recu - l\'équipe "Kigali" arrive...', encoding: 'plain', transliterated: true });
+    });
+
+    test('keeps the original text when a character has no GSM equivalent', () => {
+        expect(encodeSms('Reçu 😀', { transliterate: true }))
+            .toEqual({ message: 'Reçu 😀', encoding: 'unicode', transliterated: false });
+        expect(encodeSms('Reçu ж', { transliterate: true }))
+            .toEqual({ message: 'Reçu ж', encoding: 'unicode', transliterated: false });
+    });
+
+    test('follows SMS_TRANSLITERATE unless told otherwise', () => {
+        process.env.SMS_TRANSLITERATE = 'true';
+        expect(encodeSms('Reçu')).toEqual({ message: 'Recu', encoding: 'plain', transliterated: true });
+        expect(encodeSms('Reçu', { transliterate: false })).toEqual({ message: 'Reçu', encoding: 'unicode', transliterated: false });
+
+        delete process.env.SMS_TRANSLITERATE;
+        expect(encodeSms('Reçu')).toEqual({ message: 'Reçu', encoding: 'unicode', transliterated: false });
+    });
+
+    test('brings a transliterated message back to plain segment limits', () => {
+        const text = `${'a'.repeat(150)} ça`;
+        expect(countSegments(text)).toMatchObject({ encoding: 'unicode', parts: 3 });
+
+        const { message, encoding } = encodeSms(text, { transliterate: true });
+        expect(isGsm7(message)).toBe(true);
+        expect(countSegments(message, encoding)).toMatchObject({ encoding: 'plain', encodedLength: 153, parts: 1 });
+    });
+});
@@ -0,0 +1,291 @@
+const axios = require('axios');
+const { MistaProvider, AfricasTalkingProvider, SmsProviderChain, createSmsProviderChain, parseProviderList } = require('../smsProviders');
+const SmsService = require('../smsService');
+
+const MISTA_URL = 'https://mista.test/sms';
+const AFRICASTALKING_URL = 'https://africastalking.test/messaging';
+
+/**
+ * Build the error axios rejects with when a provider answers with an error status
+ * @param {number} status - HTTP status
+ * @param {string} statusText - Status text
+ * @param {Object} [data] - Response body
+ * @returns {Error} Axios-like error
+ */
+const httpError = (status, statusText, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    request: {},
+    response: { status, statusText, data }
+});
+
+/**
+ * Build the error axios rejects with when a provider does not answer
+ * @param {string} code - Error code (ECONNABORTED for timeouts)
+ * @returns {Error} Axios-like error
+ */
+const networkError = code => Object.assign(new Error(code), { request: {}, code });
+
+describe('SmsProviderChain', () => {
+    let chain;
+    let outcomes;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        chain = new SmsProviderChain([
+            new MistaProvider({ apiUrl: MISTA_URL, apiToken: 't' }),
+            new AfricasTalkingProvider({ apiUrl: AFRICASTALKING_URL, username: 'u', apiKey: 'k' })
+        ]);
+
+        // What each provider answers with, by URL: a response body or an error to reject with
+        outcomes = {
+            [MISTA_URL]: { data: { recipient: '250788000001', status: 'Pending', uid: 'm-1' } },
+            [AFRICASTALKING_URL]: {
+                SMSMessageData: { Recipients: [{ number: '+250788000001', statusCode: 101, status: 'Success', messageId: 'at-1' }] }
+            }
+        };
+        jest.spyOn(axios, 'request').mockImplementation(async config => {
+            const outcome = outcomes[config.url];
+            if (outcome instanceof Error) {
+                throw outcome;
+            }
+            return { data: outcome };
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const requestedUrls = () => axios.request.mock.calls.map(([config]) => config.url);
+
+    test('sends through the first provider when it accepts the message', async () => {
+        const result = await chain.send(['250788000001'], 'Hello', 'plain');
+
+        expect(result).toMatchObject({
+            provider: 'mista',
+            recipients: [{ phoneNumber: '250788000001', accepted: true, providerMessageId: 'm-1' }],
+            failures: []
+        });
+        expect(requestedUrls()).toEqual([MISTA_URL]);
+    });
+
+    test('fails over to the next provider on a 5xx answer', async () => {
+        outcomes[MISTA_URL] = httpError(503, 'Service Unavailable');
+
+        const result = await chain.send(['250788000001'], 'Hello', 'plain');
+
+        expect(result).toMatchObject({
+            provider: 'africastalking',
+            recipients: [{ phoneNumber: '250788000001', accepted: true, providerMessageId: 'at-1' }],
+            failures: [{ provider: 'mista', error: 'SMS API Error: Service Unavailable (503)' }]
+        });
+        expect(requestedUrls()).toEqual([MISTA_URL, AFRICASTALKING_URL]);
+        expect(console.warn).toHaveBeenCalledWith('SMS delivered via africastalking after failover from mista');
+    });
+
+    test('fails over to the next provider on a timeout', async () => {
+        outcomes[MISTA_URL] = networkError('ECONNABORTED');
+
+        const result = await chain.send(['250788000001'], 'Hello', 'plain');
+
+        expect(result.provider).toBe('africastalking');
+        expect(result.failures).toEqual([{ provider: 'mista', error: 'SMS API request failed: Request timed out' }]);
+    });
+
+    test('fails over to the next provider when there is no answer', async () => {
+        outcomes[MISTA_URL] = networkError('ECONNREFUSED');
+
+        const result = await chain.send(['250788000001'], 'Hello', 'plain');
+
+        expect(result.provider).toBe('africastalking');
+        expect(result.failures).toEqual([{ provider: 'mista', error: 'SMS API request failed: No response received' }]);
+    });
+
+    test('does not fail over on a 4xx answer', async () => {
+        outcomes[MISTA_URL] = httpError(400, 'Bad Request', { message: 'Invalid sender id' });
+
+        await expect(chain.send(['250788000001'], 'Hello', 'plain')).rejects.toMatchObject({
+            message: 'SMS API Error: Invalid sender id (400)',
+            provider: 'mista',
+            status: 400,
+            failover: false,
+            retryable: false
+        });
+        expect(requestedUrls()).toEqual([MISTA_URL]);
+    });
+
+    test('does not fail over when throttled, but marks the error retryable', async () => {
+        outcomes[MISTA_URL] = httpError(429, 'Too Many Requests');
+
+        await expect(chain.send(['250788000001'], 'Hello', 'plain')).rejects.toMatchObject({ status: 429, failover: false, retryable: true });
+        expect(requestedUrls()).toEqual([MISTA_URL]);
+    });
+
+    test('does not fail over on an error that is not about the provider', async () => {
+        outcomes[MISTA_URL] = new Error('Invalid URL');
+
+        await expect(chain.send(['250788000001'], 'Hello', 'plain')).rejects.toMatchObject({
+            message: 'SMS API request failed: Invalid URL',
+            failover: false,
+            retryable: false
+        });
+        expect(requestedUrls()).toEqual([MISTA_URL]);
+    });
+
+    test('fails with every provider\'s error when all of them are down', async () => {
+        outcomes[MISTA_URL] = httpError(502, 'Bad Gateway');
+        outcomes[AFRICASTALKING_URL] = networkError('ETIMEDOUT');
+
+        await expect(chain.send(['250788000001'], 'Hello', 'plain')).rejects.toMatchObject({
+            message: 'All SMS providers failed: mista: SMS API Error: Bad Gateway (502); '
+                + 'africastalking: SMS API request failed: Request timed out',
+            failover: true,
+            retryable: true,
+            failures: [
+                { provider: 'mista', error: 'SMS API Error: Bad Gateway (502)' },
+                { provider: 'africastalking', error: 'SMS API request failed: Request timed out' }
+            ]
+        });
+    });
+
+    test('fails as retryable without providers', async () => {
+        await expect(new SmsProviderChain([]).send(['250788000001'], 'Hello', 'plain'))
+            .rejects.toMatchObject({ message: 'No SMS providers configured', retryable: true });
+    });
+
+    test('returns the outcome of the provider that answered, per recipient', async () => {
+        outcomes[MISTA_URL] = httpError(500, 'Internal Server Error');
+        outcomes[AFRICASTALKING_URL] = {
+            SMSMessageData: {
+                Recipients: [
+                    { number: '+250788000001', statusCode: 101, status: 'Success', messageId: 'at-1' },
+                    { number: '+250788000002', statusCode: 403, status: 'InvalidPhoneNumber', messageId: 'None' }
+                ]
+            }
+        };
+
+        const result = await chain.send(['250788000001', '250788000002'], 'Hello', 'plain');
+
+        expect(result.recipients).toEqual([
+            { phoneNumber: '250788000001', accepted: true, providerMessageId: 'at-1', error: undefined },
+            { phoneNumber: '250788000002', accepted: false, providerMessageId: null, error: 'InvalidPhoneNumber' }
+        ]);
+    });
+});
+
+describe('createSmsProviderChain', () => {
+    test('creates the providers in the configured order', () => {
+        const chain = createSmsProviderChain(' AfricasTalking , mista ');
+
+        expect(chain.getProviderNames()).toEqual(['africastalking', 'mista']);
+        expect(chain.getProvider('mista')).toBeInstanceOf(MistaProvider);
+        expect(chain.getProvider('twilio')).toBeNull();
+    });
+
+    test('rejects an unknown provider', () => {
+        expect(() => createSmsProviderChain('mista,twilio')).toThrow('Unknown SMS provider: twilio. Must be one of: mista, africastalking');
+    });
+
+    test('defaults to SMS_PROVIDERS, then mista', () => {
+        const providers = process.env.SMS_PROVIDERS;
+        try {
+            process.env.SMS_PROVIDERS = 'africastalking';
+            expect(parseProviderList()).toEqual(['africastalking']);
+            delete process.env.SMS_PROVIDERS;
+            expect(parseProviderList()).toEqual(['mista']);
+        } finally {
+            if (providers === undefined) {
+                delete process.env.SMS_PROVIDERS;
+            } else {
+                process.env.SMS_PROVIDERS = providers;
+            }
+        }
+    });
+});
+
+describe('parseRecipients', () => {
+    let warn;
+
+    beforeEach(() => {
+        warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('Mista: matches entries by phone number', () => {
+        const provider = new MistaProvider({ apiToken: 't' });
+        const response = {
+            data: [
+                { recipient: '+250788000002', status: 'Rejected', message: 'Invalid number', uid: 'm-2' },
+                { recipient: '250788000001', status: 'Pending', uid: 'm-1' }
+            ]
+        };
+
+        expect(provider.parseRecipients(response, ['250788000001', '250788000002'])).toEqual([
+            { phoneNumber: '250788000001', accepted: true, providerMessageId: 'm-1', error: undefined },
+            { phoneNumber: '250788000002', accepted: false, providerMessageId: 'm-2', error: 'Invalid number' }
+        ]);
+    });
+
+    test('Mista: takes the only entry for a single recipient', () => {
+        const provider = new MistaProvider({ apiToken: 't' });
+
+        expect(provider.parseRecipients({ data: { status: 'Pending', uid: 'm-1' } }, ['250788000001']))
+            .toEqual([{ phoneNumber: '250788000001', accepted: true, providerMessageId: 'm-1', error: undefined }]);
+    });
+
+    test('Mista: does not accept a recipient missing from the response', () => {
+        const provider = new MistaProvider({ apiToken: 't' });
+        const response = { data: [{ recipient: '250788000001', status: 'Pending', uid: 'm-1' }] };
+
+        expect(provider.parseRecipients(response, ['250788000001', '250788000002'])[1])
+            .toEqual({ phoneNumber: '250788000002', accepted: false, providerMessageId: null, error: 'Recipient missing from provider response' });
+        expect(warn).toHaveBeenCalledWith('mista response has no entry for 250788000002, recording it as not accepted');
+    });
+
+    test('Africa\'s Talking: does not accept a recipient missing from the response', () => {
+        const provider = new AfricasTalkingProvider({ username: 'u', apiKey: 'k' });
+        const response = { SMSMessageData: { Recipients: [{ number: '+250788000001', statusCode: 101, status: 'Success', messageId: 'at-1' }] } };
+
+        expect(provider.parseRecipients(response, ['250788000001', '250788000002'])).toEqual([
+            { phoneNumber: '250788000001', accepted: true, providerMessageId: 'at-1', error: undefined },
+            { phoneNumber: '250788000002', accepted: false, providerMessageId: null, error: 'Recipient missing from provider response' }
+        ]);
+    });
+});
+
+describe('SmsService.recordRecipientResult', () => {
+    let messageStore;
+    let smsService;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        messageStore = { addStatus: jest.fn() };
+        smsService = new SmsService({ providers: {}, messageStore });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('records an accepted recipient as sent with its provider message id', () => {
+        const result = { provider: 'mista', recipients: [{ phoneNumber: '250788000001', accepted: true, providerMessageId: 'm-1' }] };
+
+        expect(smsService.recordRecipientResult(result, { phoneNumber: '+250 788 000 001', trackingId: 'trk-1' }, 'SMS sent successfully'))
+            .toEqual({ success: true, trackingId: 'trk-1', providerMessageId: 'm-1', status: 'sent', message: 'SMS sent successfully' });
+        expect(messageStore.addStatus).toHaveBeenCalledWith('trk-1', 'sent', { provider: 'mista', providerMessageId: 'm-1' });
+    });
+
+    test('records a recipient without an outcome as failed, never as sent', () => {
+        const result = { provider: 'mista', recipients: [] };
+
+        expect(smsService.recordRecipientResult(result, { phoneNumber: '250788000002', trackingId: 'trk-2' }, 'SMS sent successfully'))
+            .toMatchObject({ success: false, status: 'failed', error: 'SMS rejected by mista: Recipient missing from provider response' });
+        expect(messageStore.addStatus).toHaveBeenCalledWith('trk-2', 'failed', {
+            provider: 'mista',
+            detail: 'SMS rejected by mista: Recipient missing from provider response'
+        });
+        expect(console.warn).toHaveBeenCalledWith('mista returned no outcome for 250788000002, recording it as failed');
+    });
+});
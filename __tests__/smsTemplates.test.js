@@ -0,0 +1,110 @@
+const { render } = require('../templateEngine');
+const { renderWithinBudget } = require('../smsTemplates');
+const { lintTemplates } = require('../templateLint');
+const templateLoader = require('../templateLoader');
+
+/**
+ * Render an SMS template's message with the template engine
+ * @param {Object} template - SMS template
+ * @param {Object} variables - Template variables
+ * @returns {string} SMS text
+ */
+const build = (template, variables) => render(template.message, variables);
+
+describe('renderWithinBudget', () => {
+    const template = {
+        message: 'Hello {name}, ticket {ticketId} was assigned to {assignedTo}.',
+        budget: { segments: 1, truncate: ['assignedTo', 'name'] }
+    };
+
+    test('leaves a message within its budget as it is', () => {
+        expect(renderWithinBudget(template, { name: 'Ann', ticketId: 'T-1', assignedTo: 'Eric' }, build)).toEqual({
+            message: 'Hello Ann, ticket T-1 was assigned to Eric.',
+            encoding: 'plain',
+            transliterated: false,
+            encodedLength: 43,
+            parts: 1,
+            maxPerPart: 160,
+            remaining: 117,
+            truncated: [],
+            overBudget: false
+        });
+    });
+
+    test('shortens the listed variables in order until the message fits', () => {
+        const rendered = renderWithinBudget(template, { name: 'N'.repeat(60), ticketId: 'T-1', assignedTo: 'A'.repeat(100) }, build);
+
+        expect(rendered).toMatchObject({ encodedLength: 160, parts: 1, truncated: ['assignedTo'], overBudget: false });
+        expect(rendered.message).toBe(`Hello ${'N'.repeat(60)}, ticket T-1 was assigned to ${'A'.repeat(61)}....`);
+    });
+
+    test('keeps the shortest attempt and flags it when the message cannot fit', () => {
+        const rendered = renderWithinBudget(template, { name: 'N'.repeat(100), ticketId: 'T'.repeat(150), assignedTo: 'A'.repeat(100) }, build);
+
+        expect(rendered).toMatchObject({ parts: 2, truncated: ['assignedTo', 'name'], overBudget: true });
+        expect(rendered.message).toBe(`Hello NNNNNNN..., ticket ${'T'.repeat(150)} was assigned to AAAAAAA....`);
+    });
+
+    test('flags a message over budget that has nothing to shorten', () => {
+        const rendered = renderWithinBudget(template, { name: 'Ann', ticketId: 'T'.repeat(150), assignedTo: 'Eric' }, build);
+
+        expect(rendered).toMatchObject({ parts: 2, truncated: [], overBudget: true });
+        expect(rendered.message).toBe(`Hello Ann, ticket ${'T'.repeat(150)} was assigned to Eric.`);
+    });
+
+    test('never flags a template without a budget', () => {
+        expect(renderWithinBudget({ message: template.message }, { ticketId: 'T'.repeat(200) }, build))
+            .toMatchObject({ parts: 2, truncated: [], overBudget: false });
+    });
+});
+
+describe('lintTemplates', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reports the budget outcome of SMS issues', () => {
+        const english = { message: 'x', variables: { required: [], optional: [] }, budget: { segments: 1, truncate: ['name'] } };
+        jest.spyOn(templateLoader, 'getTemplates').mockReturnValue({
+            email: { received: { english: { subject: 's', body: 'b', variables: { required: [], optional: [] } } } },
+            sms: { received: { english } }
+        });
+        const smsService = {
+            renderTemplate: (type, language, data) => ({
+                parts: Object.keys(data).length > 0 ? 6 : 2,
+                totalChars: 400,
+                encoding: 'plain',
+                truncated: ['name'],
+                overBudget: true
+            })
+        };
+
+        const { issues } = lintTemplates({ smsService, maxSmsSegments: 5 });
+        const smsIssues = issues.filter(issue => issue.channel === 'sms' && issue.check.startsWith('sms_'));
+
+        expect(smsIssues).toEqual([
+            {
+                severity: 'error',
+                check: 'sms_segments',
+                channel: 'sms',
+                type: 'received',
+                language: 'english',
+                truncatedVariables: ['name'],
+                overBudget: true,
+                message: 'The english SMS template for \'received\' can take 6 parts '
+                    + '(400 characters in plain with the longest accepted values after shortening name, max 5 parts)'
+            },
+            {
+                severity: 'warning',
+                check: 'sms_budget',
+                channel: 'sms',
+                type: 'received',
+                language: 'english',
+                truncatedVariables: ['name'],
+                overBudget: true,
+                message: 'The english SMS template for \'received\' takes 2 parts even with short values '
+                    + '(400 characters in plain after shortening name), over its budget of 1'
+            }
+        ]);
+    });
+});
@@ -0,0 +1,185 @@
+const { render, compile, listVariables, isTruthy, FILTERS } = require('../templateEngine');
+
+describe('render', () => {
+    describe('variables', () => {
+        test('replaces variables and nested values', () => {
+            expect(render('Hi {name}, trip to {trip.destination}', { name: 'Ann', trip: { destination: 'Kigali' } }))
+                .toBe('Hi Ann, trip to Kigali');
+        });
+
+        test('renders missing and null values as empty text', () => {
+            expect(render('[{name}] [{trip.destination}] [{empty}]', { trip: null, empty: null })).toBe('[] [] []');
+        });
+
+        test('renders lists joined with commas and numbers as text', () => {
+            expect(render('{stops} / {count} / {flag}', { stops: ['A', 'B'], count: 0, flag: false })).toBe('A, B / 0 / false');
+        });
+
+        test('keeps braces that do not form a tag and escaped braces', () => {
+            expect(render('{ not a tag } {1abc} \\{name} {}', { name: 'Ann' })).toBe('{ not a tag } {1abc} {name} {}');
+        });
+    });
+
+    describe('filters', () => {
+        test('applies filters left to right', () => {
+            expect(render('{name | trim | upper}', { name: '  ann  ' })).toBe('ANN');
+            expect(render('{name | lower | capitalize}', { name: 'jEAN' })).toBe('Jean');
+        });
+
+        test('passes text, number and variable arguments', () => {
+            expect(render('{escalatedTo | default: "our team"}', {})).toBe('our team');
+            expect(render("{escalatedTo | default: 'l\\'équipe'}", {})).toBe("l'équipe");
+            expect(render('{escalatedTo | default: assignedTo}', { assignedTo: 'Eric' })).toBe('Eric');
+            expect(render('{title | truncate: 10}', { title: 'Broken login page' })).toBe('Broken...');
+            expect(render('{title | truncate: 10, "~"}', { title: 'Broken login page' })).toBe('Broken lo~');
+            expect(render('{stops | join: " > "}', { stops: ['A', 'B', 'C'] })).toBe('A > B > C');
+        });
+
+        test('keeps values that fit and defaults that are not needed', () => {
+            expect(render('{title | truncate: 20}', { title: 'Short' })).toBe('Short');
+            expect(render('{name | default: "Customer"}', { name: 'Ann' })).toBe('Ann');
+            expect(render('{name | default: "Customer"}', { name: '   ' })).toBe('Customer');
+        });
+
+        test('counts list and text lengths', () => {
+            expect(render('{stops | length} {name | length} {missing | length}', { stops: [1, 2, 3], name: 'Ann' })).toBe('3 3 0');
+        });
+
+        test('formats dates and leaves other values as they are', () => {
+            expect(render('{when | date: "iso"}', { when: '2026-01-01T10:00:00Z' })).toBe('2026-01-01T10:00:00.000Z');
+            expect(render('[{when | date}]', {})).toBe('[]');
+            expect(render('{when | date: "iso"}', { when: 'soon' })).toBe('soon');
+            expect(render('{when | date: "weekday"}', { when: 'soon' })).toBe('soon');
+        });
+    });
+
+    describe('conditionals', () => {
+        test('renders {#if} and {else} branches', () => {
+            const source = 'Escalated{#if escalatedTo} to {escalatedTo}{else} to our team{/if}.';
+            expect(render(source, { escalatedTo: 'Eric' })).toBe('Escalated to Eric.');
+            expect(render(source, {})).toBe('Escalated to our team.');
+        });
+
+        test('renders {#unless} for false values', () => {
+            expect(render('{#unless name}Hello!{else}Hello {name}!{/unless}', {})).toBe('Hello!');
+            expect(render('{#unless name}Hello!{else}Hello {name}!{/unless}', { name: 'Ann' })).toBe('Hello Ann!');
+        });
+
+        test('treats blank text, empty lists, 0 and false as false', () => {
+            const source = '{#if value}yes{else}no{/if}';
+            expect(['', '  ', [], 0, false, null, undefined, NaN].map(value => render(source, { value })))
+                .toEqual(['no', 'no', 'no', 'no', 'no', 'no', 'no', 'no']);
+            expect(['x', [0], 1, true, {}].map(value => render(source, { value }))).toEqual(['yes', 'yes', 'yes', 'yes', 'yes']);
+        });
+
+        test('applies filters in conditions', () => {
+            expect(render('{#if stops | length}has stops{/if}', { stops: [] })).toBe('');
+            expect(render('{#if name | trim}named{/if}', { name: ' x ' })).toBe('named');
+        });
+
+        test('removes the line of a block tag that stands alone on it', () => {
+            const source = 'Hello {name},\n{#if issueTitle}\nIssue: {issueTitle}\n{/if}\nThanks';
+            expect(render(source, { name: 'Ann', issueTitle: 'Login' })).toBe('Hello Ann,\nIssue: Login\nThanks');
+            expect(render(source, { name: 'Ann' })).toBe('Hello Ann,\nThanks');
+        });
+
+        test('keeps inline block tags in their line', () => {
+            expect(render('A {#if x}B{/if}\nC', { x: true })).toBe('A B\nC');
+        });
+    });
+
+    describe('loops', () => {
+        test('repeats for every item with loop variables', () => {
+            expect(render('{#each stops}{@number}. {this}{#unless @last}, {/unless}{/each}', { stops: ['Huye', 'Musanze', 'Rubavu'] }))
+                .toBe('1. Huye, 2. Musanze, 3. Rubavu');
+            expect(render('{#each stops}{@index}{#if @first}*{/if} {/each}', { stops: ['a', 'b'] })).toBe('0* 1 ');
+        });
+
+        test('looks names up on the item first, then on the enclosing data', () => {
+            const data = { name: 'Ann', stops: [{ name: 'Huye' }, { city: 'Musanze' }] };
+            expect(render('{#each stops}{name};{/each}', data)).toBe('Huye;Ann;');
+        });
+
+        test('renders {else} for an empty or missing list', () => {
+            const source = '{#each stops}{this} {else}No stops{/each}';
+            expect(render(source, { stops: [] })).toBe('No stops');
+            expect(render(source, {})).toBe('No stops');
+            expect(render(source, { stops: 'not a list' })).toBe('No stops');
+        });
+
+        test('nests loops and conditionals, with loop variables of the innermost loop', () => {
+            const source = [
+                '{#each days}',
+                'Day {@number}:{#each stops} {@number}.{this}{#if @last}!{/if}{/each}{#unless stops} rest{/unless}',
+                '{/each}'
+            ].join('\n');
+            const data = { days: [{ stops: ['A', 'B'] }, { stops: [] }, { stops: ['C'] }] };
+
+            expect(render(source, data)).toBe('Day 1: 1.A 2.B!\nDay 2: rest\nDay 3: 1.C!\n');
+        });
+
+        test('nests conditionals inside conditionals', () => {
+            const source = '{#if a}A{#if b}B{else}-{/if}{else}{#unless b}none{/unless}{/if}';
+            expect([[1, 1], [1, 0], [0, 0], [0, 1]].map(([a, b]) => render(source, { a, b }))).toEqual(['AB', 'A-', 'none', '']);
+        });
+    });
+
+    describe('escape option', () => {
+        test('passes every output through the escape function with its location', () => {
+            const escape = jest.fn(text => `<${text}>`);
+            expect(render('Hi {name}, {#if id}{id}{/if}', { name: 'Ann', id: 7 }, { escape })).toBe('Hi <Ann>, <7>');
+            expect(escape).toHaveBeenCalledWith('Ann', 'Ann', { source: 'Hi {name}, {#if id}{id}{/if}', position: 3 });
+        });
+    });
+
+    describe('errors on malformed templates', () => {
+        test.each([
+            ['{#if name}Hello', '{#if} is not closed'],
+            ['{#if a}{#each b}x{/if}{/each}', 'Unexpected {/if} (expected {/each})'],
+            ['Hello{/if}', 'Unexpected {/if}'],
+            ['{else}', '{else} outside of an {#if}, {#unless} or {#each} block'],
+            ['{#if a}x{else}y{else}z{/if}', '{else} outside of an {#if}, {#unless} or {#each} block'],
+            ['{#with name}x{/with}', 'Unknown block {#with name} (expected {#if ...}, {#unless ...} or {#each ...})'],
+            ['{#if}x{/if}', 'Unknown block {#if} (expected {#if ...}, {#unless ...} or {#each ...})'],
+            ['{#if name |}x{/if}', 'Invalid expression in {#if name |}'],
+            ['{/with}', 'Unknown closing tag {/with}'],
+            ['{name | shout}', 'Unknown filter "shout" in {name | shout} (available: upper, lower, capitalize, trim, default, date, truncate, join, length)']
+        ])('%s', (source, message) => {
+            expect(() => render(source, {})).toThrow(message);
+        });
+
+        test('keeps tags with invalid expressions as text', () => {
+            expect(render('{name |} {name | default:}', { name: 'Ann' })).toBe('{name |} {name | default:}');
+        });
+    });
+});
+
+describe('compile', () => {
+    test('returns the cached nodes for the same source', () => {
+        expect(compile('Hi {name}')).toBe(compile('Hi {name}'));
+    });
+});
+
+describe('listVariables', () => {
+    test('lists top-level variables, filter arguments and looped lists, sorted', () => {
+        const source = '{name | default: fallback} {#if trip.active}{#each stops}{city} {@number} {this}{/each}{/if}{currentDate}';
+        expect(listVariables(source)).toEqual(['currentDate', 'fallback', 'name', 'stops', 'trip']);
+    });
+
+    test('includes variables of {else} branches', () => {
+        expect(listVariables('{#each stops}{city}{else}{emptyText}{/each}')).toEqual(['emptyText', 'stops']);
+    });
+});
+
+describe('FILTERS and isTruthy', () => {
+    test('truncate never returns more than the requested length', () => {
+        expect(FILTERS.truncate('abcdefghijkl', 10)).toBe('abcdefg...');
+        expect(FILTERS.truncate('abcdefghijkl', 2)).toBe('...');
+        expect(FILTERS.truncate('abc  def  ghi', 9)).toBe('abc  d...');
+    });
+
+    test('isTruthy treats blank text as false and non-empty lists as true', () => {
+        expect(isTruthy(' ')).toBe(false);
+        expect(isTruthy([1])).toBe(true);
+    });
+});
@@ -0,0 +1,37 @@
+const path = require('path');
+const { TemplateLoader } = require('../templateLoader');
+
+describe('TemplateLoader reload listeners', () => {
+    let loader;
+
+    beforeEach(() => {
+        loader = new TemplateLoader({ directory: path.join(__dirname, '..', 'templates') });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('calls every listener with the loaded templates', () => {
+        const listener = jest.fn();
+        loader.onReload(listener);
+
+        expect(loader.reload()).toBe(true);
+        expect(listener).toHaveBeenCalledWith(loader.templates);
+        expect(Object.keys(loader.templates.email).length).toBeGreaterThan(0);
+    });
+
+    test('reports a reload with a failing listener as successful and still calls the others', () => {
+        const listener = jest.fn();
+        loader.onReload(() => {
+            throw new Error('disk full');
+        });
+        loader.onReload(listener);
+
+        expect(loader.reload()).toBe(true);
+        expect(listener).toHaveBeenCalled();
+        expect(console.error).toHaveBeenCalledWith('Template reload listener failed: disk full');
+    });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const FileStore = require('../fileStore');
+const SuppressionList = require('../suppressionList');
+const { createUnsubscribeToken, verifyUnsubscribeToken, getUnsubscribeUrl } = require('../unsubscribeTokens');
+
+// The routes use the shared suppression list from services.js; point them at the test's list
+let mockSuppressionList;
+jest.mock('../services', () => ({
+    suppressionList: {
+        isSuppressed: address => mockSuppressionList.isSuppressed(address),
+        add: (address, reason, details) => mockSuppressionList.add(address, reason, details)
+    }
+}));
+
+const unsubscribeRoutes = require('../unsubscribeRoutes');
+
+const SECRET = 'test-unsubscribe-secret';
+
+describe('unsubscribe tokens', () => {
+    const environment = { ...process.env };
+
+    beforeEach(() => {
+        process.env.UNSUBSCRIBE_SECRET = SECRET;
+        process.env.PUBLIC_BASE_URL = 'https://notify.example.com/';
+    });
+
+    afterEach(() => {
+        process.env = { ...environment };
+    });
+
+    test('round-trips the recipient and language', () => {
+        const token = createUnsubscribeToken(' User@Example.com ', 'french');
+
+        expect(token).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+        expect(verifyUnsubscribeToken(token)).toEqual({ email: 'user@example.com', language: 'french' });
+        expect(getUnsubscribeUrl('user@example.com')).toBe(`https://notify.example.com/api/unsubscribe/${createUnsubscribeToken('user@example.com')}`);
+    });
+
+    test('rejects a tampered payload', () => {
+        const [, signature] = createUnsubscribeToken('user@example.com').split('.');
+        const forged = Buffer.from(JSON.stringify({ e: 'victim@example.com', l: 'english' })).toString('base64url');
+
+        expect(verifyUnsubscribeToken(`${forged}.${signature}`)).toBeNull();
+    });
+
+    test('rejects a tampered signature', () => {
+        const [payload, signature] = createUnsubscribeToken('user@example.com').split('.');
+        const flipped = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+
+        expect(verifyUnsubscribeToken(`${payload}.${flipped}`)).toBeNull();
+        expect(verifyUnsubscribeToken(`${payload}.${signature.slice(0, -2)}`)).toBeNull();
+        expect(verifyUnsubscribeToken(`${payload}.`)).toBeNull();
+    });
+
+    test('rejects a token with extra segments', () => {
+        const token = createUnsubscribeToken('user@example.com');
+
+        expect(verifyUnsubscribeToken(`${token}.extra`)).toBeNull();
+        expect(verifyUnsubscribeToken(token.split('.')[0])).toBeNull();
+    });
+
+    test('rejects a token signed with another secret', () => {
+        const token = createUnsubscribeToken('user@example.com');
+        process.env.UNSUBSCRIBE_SECRET = 'another-secret';
+
+        expect(verifyUnsubscribeToken(token)).toBeNull();
+    });
+
+    test('verifies nothing and issues no links without a secret', () => {
+        const token = createUnsubscribeToken('user@example.com');
+        delete process.env.UNSUBSCRIBE_SECRET;
+
+        expect(verifyUnsubscribeToken(token)).toBeNull();
+        expect(getUnsubscribeUrl('user@example.com')).toBeNull();
+    });
+});
+
+describe('unsubscribe routes', () => {
+    const environment = { ...process.env };
+    let dataDir;
+    let app;
+
+    beforeEach(() => {
+        process.env.UNSUBSCRIBE_SECRET = SECRET;
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-unsubscribe-'));
+        mockSuppressionList = new SuppressionList({ store: new FileStore('suppressions', { directory: dataDir }) });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        app = express();
+        app.use(express.urlencoded({ extended: true }));
+        app.use('/api', unsubscribeRoutes);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        process.env = { ...environment };
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('opening the link asks for confirmation without unsubscribing', async () => {
+        const response = await request(app).get(`/api/unsubscribe/${createUnsubscribeToken('user@example.com')}`);
+
+        expect(response.status).toBe(200);
+        expect(response.text).toContain('user@example.com');
+        expect(response.text).toContain('<form method="post">');
+        expect(mockSuppressionList.isSuppressed('user@example.com')).toBe(false);
+    });
+
+    test('one-click POST adds the address to the suppression list', async () => {
+        const response = await request(app)
+            .post(`/api/unsubscribe/${createUnsubscribeToken('user@example.com')}`)
+            .type('form')
+            .send('List-Unsubscribe=One-Click');
+
+        expect(response.status).toBe(200);
+        expect(mockSuppressionList.get('user@example.com')).toMatchObject({
+            reason: 'unsubscribed',
+            source: 'unsubscribe_link',
+            detail: 'One-click unsubscribe'
+        });
+    });
+
+    test('keeps an existing suppression entry', async () => {
+        const bounce = mockSuppressionList.add('user@example.com', 'hard_bounce', { source: 'sendgrid_webhook' });
+
+        const response = await request(app).post(`/api/unsubscribe/${createUnsubscribeToken('user@example.com')}`);
+
+        expect(response.status).toBe(200);
+        expect(mockSuppressionList.get('user@example.com')).toEqual(bounce);
+    });
+
+    test('answers an invalid token with 400 and suppresses nothing', async () => {
+        const [payload] = createUnsubscribeToken('user@example.com').split('.');
+
+        const response = await request(app).post(`/api/unsubscribe/${payload}.forged`).type('form').send('List-Unsubscribe=One-Click');
+
+        expect(response.status).toBe(400);
+        expect(mockSuppressionList.isSuppressed('user@example.com')).toBe(false);
+    });
+});
@@ -0,0 +1,86 @@
+const templateLoader = require('../templateLoader');
+const { findMissingVariables, validateTemplateVariables, normalizeLanguage, validateEnvironmentConfig } = require('../validators');
+
+describe('findMissingVariables', () => {
+    beforeEach(() => {
+        const templates = {
+            email: {
+                received: {
+                    english: { variables: { required: ['name'], optional: [] } },
+                    french: { variables: { required: ['name', 'ticketId'], optional: [] } },
+                    kinyarwanda: { variables: { required: ['name', 'issueTitle'], optional: [] } }
+                }
+            },
+            sms: {}
+        };
+        jest.spyOn(templateLoader, 'getTemplates').mockImplementation(channel => templates[channel]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('uses the template of a language given by code or alias', () => {
+        expect(['french', 'French', 'fr', ' FR ', 'français'].map(language => findMissingVariables('email', 'received', language, { name: 'Ann' })))
+            .toEqual([['ticketId'], ['ticketId'], ['ticketId'], ['ticketId'], ['ticketId']]);
+        expect(['rw', 'kin', 'Kinyarwanda'].map(language => findMissingVariables('email', 'received', language, { name: 'Ann' })))
+            .toEqual([['issueTitle'], ['issueTitle'], ['issueTitle']]);
+    });
+
+    test('uses the English template for English and languages without a template', () => {
+        expect(['en', 'english', 'swahili', undefined].map(language => findMissingVariables('email', 'received', language, {})))
+            .toEqual([['name'], ['name'], ['name'], ['name']]);
+    });
+
+    test('treats blank values as missing and ignores types without a template', () => {
+        expect(findMissingVariables('email', 'received', 'fr', { name: ' ', ticketId: 'T-1' })).toEqual(['name']);
+        expect(findMissingVariables('sms', 'received', 'fr', {})).toEqual([]);
+    });
+
+    test('validateTemplateVariables reports the variables of the aliased language', () => {
+        expect(validateTemplateVariables(['email', 'sms'], 'Received', 'fr', { name: 'Ann' }))
+            .toEqual(['Missing required variables for the received email and sms templates: ticketId']);
+    });
+});
+
+describe('normalizeLanguage', () => {
+    test('maps codes and names to template languages', () => {
+        expect(['en', 'FR', 'français', 'rw', 'kin', ' Kinyarwanda ', 'swahili'].map(normalizeLanguage))
+            .toEqual(['english', 'french', 'french', 'kinyarwanda', 'kinyarwanda', 'kinyarwanda', 'swahili']);
+    });
+});
+
+describe('validateEnvironmentConfig', () => {
+    const environment = { ...process.env };
+
+    beforeEach(() => {
+        Object.assign(process.env, {
+            EMAIL_TRANSPORT: 'file',
+            FROM_EMAIL: 'support@example.com',
+            SMS_PROVIDERS: 'mista',
+            SMS_API_TOKEN: 'token',
+            SMS_SENDER_ID: 'SUPPORT'
+        });
+        delete process.env.FALLBACK_POLICIES;
+    });
+
+    afterEach(() => {
+        process.env = { ...environment };
+    });
+
+    test('accepts the default and configured fallback policies', () => {
+        expect(validateEnvironmentConfig()).toEqual({ isValid: true, errors: [] });
+
+        process.env.FALLBACK_POLICIES = 'overdue:email>sms:30';
+        expect(validateEnvironmentConfig()).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('reports invalid fallback policies instead of throwing', () => {
+        process.env.FALLBACK_POLICIES = 'overdue:email>fax';
+
+        expect(validateEnvironmentConfig()).toEqual({
+            isValid: false,
+            errors: ["FALLBACK_POLICIES: Invalid fallback policy 'overdue:email>fax': expected overdue:email>sms or overdue:sms>email"]
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const express = require('express');
+const { apiKeyStore } = require('./services');
+const { API_KEY_SCOPES } = require('./apiKeyStore');
+const { requireScope } = require('./auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/api-keys
+ * List API keys (without the keys themselves)
+ */
+router.get('/admin/api-keys', requireScope('admin'), (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                availableScopes: API_KEY_SCOPES,
+                apiKeys: apiKeyStore.list()
+            }
+        });
+    } catch (error) {
+        console.error('Error in API keys list endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Create an API key for a client
+ *
+ * Body Parameters:
+ * - client: string (required) - Client name (letters, digits, dots, hyphens and underscores)
+ * - scopes: Array (required) - Scopes granted to the key (email:send, sms:send, trip:send, templates:read, messages:read, messages:write, admin)
+ */
+router.post('/admin/api-keys', requireScope('admin'), (req, res) => {
+    try {
+        const { client, scopes } = req.body;
+        const errors = [];
+
+        if (typeof client !== 'string' || !/^[A-Za-z0-9._-]{1,50}$/.test(client)) {
+            errors.push('client must be 1-50 letters, digits, dots, hyphens or underscores');
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            errors.push('scopes must be a non-empty array');
+        } else {
+            const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+            if (unknown.length > 0) {
+                errors.push(`Unknown scopes: ${unknown.join(', ')}. Available: ${API_KEY_SCOPES.join(', ')}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    details: errors
+                }
+            });
+        }
+
+        const { key, apiKey } = apiKeyStore.create(client, [...new Set(scopes)]);
+
+        console.log(`API key ${apiKey.keyPrefix} created for ${client} by ${req.client.client}`);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                key,
+                apiKey,
+                message: 'Store this key now, it cannot be retrieved again'
+            }
+        });
+    } catch (error) {
+        console.error('Error in API key create endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:id
+ * Revoke an API key
+ */
+router.delete('/admin/api-keys/:id', requireScope('admin'), (req, res) => {
+    try {
+        const apiKey = apiKeyStore.revoke(req.params.id);
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `API key '${req.params.id}' not found`,
+                    code: 'API_KEY_NOT_FOUND'
+                }
+            });
+        }
+
+        console.log(`API key ${apiKey.keyPrefix} of ${apiKey.client} revoked by ${req.client.client}`);
+
+        res.status(200).json({
+            success: true,
+            data: { apiKey }
+        });
+    } catch (error) {
+        console.error('Error in API key revoke endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+/**
+ * API key store
+ *
+ * Each key belongs to a named client and carries the scopes it may use. Only a SHA-256
+ * hash of the key is stored; the key itself is shown once, when it is created.
+ *
+ * Keys are also managed by the CLI while the server runs, so the file is re-read whenever
+ * it changed on disk.
+ */
+
+const crypto = require('crypto');
+const FileStore = require('./fileStore');
+
+const API_KEY_SCOPES = ['email:send', 'sms:send', 'trip:send', 'notifications:send', 'templates:read', 'templates:write', 'messages:read', 'messages:write', 'preferences:read', 'preferences:write', 'admin'];
+
+const KEY_PREFIX = 'ntf_';
+
+// Only persist lastUsedAt this often, so authenticating does not rewrite the file on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeyStore {
+    /**
+     * @param {Object} [options] - Options
+     * @param {FileStore} [options.store] - Key store (defaults to DATA_DIR/apiKeys.json)
+     */
+    constructor(options = {}) {
+        this.store = options.store || new FileStore('apiKeys');
+    }
+
+    /**
+     * Hash a key for storage and lookup
+     * @param {string} key - API key
+     * @returns {string} SHA-256 hex digest
+     */
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * Create a key for a client
+     * @param {string} client - Client name (e.g. ticketing, trip-planner)
+     * @param {Array} scopes - Scopes the key grants
+     * @returns {Object} The new key (only available now) and its public record
+     */
+    create(client, scopes) {
+        this.store.reload();
+
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const record = {
+            id: crypto.randomUUID(),
+            client,
+            scopes,
+            keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+            keyHash: this.hash(key),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        this.store.set(record.id, record);
+
+        return { key, apiKey: this.toPublic(record) };
+    }
+
+    /**
+     * Find the active key record for a presented key
+     * @param {string} key - API key from the request
+     * @returns {Object|null} Public key record or null if the key is unknown or revoked
+     */
+    authenticate(key) {
+        if (!key || !key.startsWith(KEY_PREFIX)) {
+            return null;
+        }
+
+        this.store.reload();
+
+        const keyHash = Buffer.from(this.hash(key), 'hex');
+        const record = this.store.values().find(entry => !entry.revokedAt
+            && crypto.timingSafeEqual(Buffer.from(entry.keyHash, 'hex'), keyHash));
+
+        if (!record) {
+            return null;
+        }
+
+        const now = Date.now();
+        if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+            this.store.update(record.id, { lastUsedAt: new Date(now).toISOString() });
+        }
+
+        return this.toPublic(record);
+    }
+
+    /**
+     * Revoke a key
+     * @param {string} id - Key id
+     * @returns {Object|null} Public key record or null if not found
+     */
+    revoke(id) {
+        this.store.reload();
+
+        const record = this.store.get(id);
+        if (!record) {
+            return null;
+        }
+
+        return this.toPublic(record.revokedAt ? record : this.store.update(id, { revokedAt: new Date().toISOString() }));
+    }
+
+    /**
+     * Get a key record
+     * @param {string} id - Key id
+     * @returns {Object|null} Public key record or null if not found
+     */
+    get(id) {
+        this.store.reload();
+
+        const record = this.store.get(id);
+        return record ? this.toPublic(record) : null;
+    }
+
+    /**
+     * List all keys
+     * @returns {Array} Public key records, newest first
+     */
+    list() {
+        this.store.reload();
+
+        return this.store.values()
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(record => this.toPublic(record));
+    }
+
+    /**
+     * Count keys that have not been revoked
+     * @returns {number} Number of active keys
+     */
+    countActive() {
+        this.store.reload();
+
+        return this.store.filter(record => !record.revokedAt).length;
+    }
+
+    /**
+     * Strip the key hash from a record
+     * @param {Object} record - Stored record
+     * @returns {Object} Record safe to return to callers
+     */
+    toPublic(record) {
+        const { keyHash, ...rest } = record;
+        return rest;
+    }
+}
+
+module.exports = ApiKeyStore;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
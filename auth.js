@@ -0,0 +1,63 @@
+/**
+ * API key authentication middleware
+ *
+ * Clients send their key as "Authorization: Bearer <key>" (or in the X-API-Key header).
+ * The authenticated key is attached to the request as req.client.
+ */
+
+const { apiKeyStore } = require('./services');
+
+/**
+ * Read the API key from the request headers
+ * @param {Object} req - Express request
+ * @returns {string|null} API key
+ */
+function getRequestKey(req) {
+    const authorization = req.get('Authorization');
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+
+    return req.get('X-API-Key') || null;
+}
+
+/**
+ * Create middleware that requires an API key granting the given scope
+ * (keys with the admin scope are granted every scope)
+ * @param {string} scope - Required scope (e.g. sms:send)
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        const client = apiKeyStore.authenticate(getRequestKey(req));
+
+        if (!client) {
+            return res.status(401).json({
+                success: false,
+                error: {
+                    message: 'A valid API key is required',
+                    code: 'UNAUTHORIZED'
+                }
+            });
+        }
+
+        if (!client.scopes.includes(scope) && !client.scopes.includes('admin')) {
+            console.warn(`API key ${client.keyPrefix} (${client.client}) was denied ${req.method} ${req.originalUrl}: missing scope ${scope}`);
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: `API key is missing the '${scope}' scope`,
+                    code: 'FORBIDDEN'
+                }
+            });
+        }
+
+        req.client = client;
+        next();
+    };
+}
+
+module.exports = {
+    requireScope,
+    getRequestKey
+};
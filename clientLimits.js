@@ -0,0 +1,107 @@
+/**
+ * Per-client rate limiting and quota middleware
+ *
+ * Send routes declare how many emails and SMS a request asks for. Each channel the request
+ * uses is rate limited separately per API client (X-RateLimit-* headers), and the messages
+ * are counted against the client's monthly quota (X-Quota-* headers). Requests that end in
+ * an error response are not counted against the quota.
+ */
+
+const rateLimit = require('express-rate-limit');
+const { quotaStore } = require('./services');
+const { QUOTA_CHANNELS } = require('./quotaStore');
+
+const rateLimiters = QUOTA_CHANNELS.reduce((acc, channel) => {
+    acc[channel] = rateLimit({
+        windowMs: quotaStore.windowMs,
+        max: req => quotaStore.getLimits(req.client.client)[channel].rateLimit,
+        keyGenerator: req => req.client.client,
+        handler: (req, res, next, options) => {
+            res.status(options.statusCode).json({
+                success: false,
+                error: {
+                    message: `Too many ${channel} requests for client '${req.client.client}', please try again later`,
+                    code: 'RATE_LIMIT_EXCEEDED'
+                }
+            });
+        }
+    });
+    return acc;
+}, {});
+
+/**
+ * Header name fragment for a channel
+ * @param {string} channel - Channel
+ * @returns {string} Email or SMS
+ */
+function headerChannel(channel) {
+    return channel === 'sms' ? 'SMS' : 'Email';
+}
+
+/**
+ * Count a request's messages against the client's monthly quota
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {Object} counts - Messages per channel
+ */
+function enforceQuota(req, res, next, counts) {
+    const client = req.client.client;
+    const result = quotaStore.consume(client, counts);
+
+    QUOTA_CHANNELS.filter(channel => counts[channel] > 0).forEach(channel => {
+        const { limit, used, remaining } = result.quota.channels[channel];
+        if (limit > 0) {
+            res.set(`X-Quota-${headerChannel(channel)}-Limit`, String(limit));
+            res.set(`X-Quota-${headerChannel(channel)}-Remaining`, String(remaining));
+        }
+        res.set(`X-Quota-${headerChannel(channel)}-Used`, String(used));
+    });
+    res.set('X-Quota-Reset', result.quota.resetsAt);
+
+    if (!result.allowed) {
+        console.warn(`Client ${client} exceeded its monthly ${result.exceeded.join(' and ')} quota`);
+        return res.status(429).json({
+            success: false,
+            error: {
+                message: `Monthly ${result.exceeded.join(' and ')} quota exceeded for client '${client}'`,
+                code: 'QUOTA_EXCEEDED',
+                details: result.exceeded.map(channel => ({ channel, ...result.quota.channels[channel] }))
+            }
+        });
+    }
+
+    res.on('finish', () => {
+        if (res.statusCode >= 400) {
+            quotaStore.refund(client, result.period, counts);
+        }
+    });
+
+    next();
+}
+
+/**
+ * Create middleware applying the client's rate limits and quota to a send route
+ * (must run after requireScope, which identifies the client)
+ * @param {Function} countMessages - Returns the number of messages per channel ({ email, sms }) a request body asks for
+ * @returns {Function} Express middleware
+ */
+function limitClient(countMessages) {
+    return (req, res, next) => {
+        const counts = countMessages(req.body || {});
+        const limiters = QUOTA_CHANNELS.filter(channel => counts[channel] > 0).map(channel => rateLimiters[channel]);
+
+        const runLimiter = index => {
+            if (index === limiters.length) {
+                return enforceQuota(req, res, next, counts);
+            }
+            limiters[index](req, res, error => (error ? next(error) : runLimiter(index + 1)));
+        };
+
+        runLimiter(0);
+    };
+}
+
+module.exports = {
+    limitClient
+};
@@ -1,13 +1,74 @@
-const sgMail = require('@sendgrid/mail');
 const emailTemplates = require('./emailTemplates');
-const { validateEmailRequest } = require('./validators');
+const { createEmailTransport } = require('./emailTransports');
+const { validateEmailRequest, isValidTripNotificationType } = require('./validators');
+const { getUnsubscribeUrl } = require('./unsubscribeTokens');
+const { render } = require('./templateEngine');
+const { prepareVariables, escapeHtmlVariable, escapeTextVariable } = require('./htmlSafe');
 
 class EmailService {
-    constructor() {
-        sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    /**
+     * @param {Object} [options] - Service options
+     * @param {Object} [options.transport] - Email transport (defaults to the one selected by EMAIL_TRANSPORT)
+     * @param {Object} [options.messageStore] - Message store used to track every email sent
+     * @param {Object} [options.suppressionList] - Suppression list consulted before every send
+     */
+    constructor(options = {}) {
+        this.transport = options.transport || createEmailTransport();
+        this.messageStore = options.messageStore || null;
+        this.suppressionList = options.suppressionList || null;
         this.fromEmail = process.env.FROM_EMAIL;
     }
 
+    /**
+     * Start tracking an email in the message store
+     * @param {string|null} messageId - Record id created when the email was queued
+     * @param {Object} data - Message data (recipient, template, language, ticketId, tripId)
+     * @returns {string|null} Tracking id or null when tracking is disabled
+     */
+    trackMessage(messageId, data) {
+        return this.messageStore ? this.messageStore.track(messageId, { channel: 'email', ...data }).id : null;
+    }
+
+    /**
+     * Record a status change for a tracked email
+     * @param {string|null} trackingId - Tracking id
+     * @param {string} status - New status
+     * @param {Object} [details] - Extra fields (provider, providerMessageId, detail)
+     */
+    updateMessageStatus(trackingId, status, details) {
+        if (this.messageStore && trackingId) {
+            this.messageStore.addStatus(trackingId, status, details);
+        }
+    }
+
+    /**
+     * Check a recipient against the suppression list, recording the email as suppressed if it is on it
+     * @param {string|null} trackingId - Tracking id
+     * @param {string} recipient - Email address
+     * @returns {Object|null} SUPPRESSED result, or null when the email may be sent
+     */
+    checkSuppression(trackingId, recipient) {
+        const entry = this.suppressionList ? this.suppressionList.get(recipient) : null;
+        if (!entry) {
+            return null;
+        }
+
+        const message = `Recipient ${recipient} is suppressed (${entry.reason})`;
+        console.warn(`${message}, email not sent`);
+        this.updateMessageStatus(trackingId, 'suppressed', { detail: entry.reason });
+
+        return {
+            success: false,
+            trackingId,
+            status: 'suppressed',
+            code: 'SUPPRESSED',
+            reason: entry.reason,
+            message,
+            error: message,
+            retryable: false
+        };
+    }
+
     /**
      * Send email based on issue status with appropriate template
      * @param {Object} emailData - Email data containing recipient info and issue details
@@ -20,9 +81,13 @@ class EmailService {
      * @param {string} [emailData.escalatedTo] - Name of person escalated to
      * @param {string} [emailData.issueTitle] - Title of the issue
      * @param {string} [emailData.responseMessage] - Response message for responses
+     * @param {Object} [options] - Send options
+     * @param {string} [options.messageId] - Tracking id created when the email was queued
      * @returns {Promise<Object>} Email sending result
      */
-    async sendIssueEmail(emailData) {
+    async sendIssueEmail(emailData, options = {}) {
+        let trackingId = null;
+
         try {
             // Validate input
             const validation = validateEmailRequest(emailData);
@@ -30,11 +95,23 @@ class EmailService {
                 throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
             }
 
-            const { email, ticketId, name, language, subject, assignedTo, escalatedTo, issueTitle, responseMessage } = emailData;
+            const { email, ticketId, language, subject } = emailData;
 
             // Normalize language
             const normalizedLanguage = this.normalizeLanguage(language);
             
+            trackingId = this.trackMessage(options.messageId, {
+                recipient: email,
+                template: subject,
+                language: normalizedLanguage,
+                ticketId
+            });
+
+            const suppressed = this.checkSuppression(trackingId, email);
+            if (suppressed) {
+                return suppressed;
+            }
+            
             // Get template based on subject (status)
             const template = emailTemplates.getTemplate(subject, normalizedLanguage);
             if (!template) {
@@ -42,20 +119,13 @@ class EmailService {
             }
 
             // Build email subject
-            const emailSubject = this.buildEmailSubject(subject, ticketId, template, assignedTo, escalatedTo);
+            const emailSubject = this.buildEmailSubject(template, emailData);
             
             // Build email body
-            const emailBody = this.buildEmailBody(template, {
-                name,
-                ticketId,
-                issueTitle,
-                assignedTo,
-                escalatedTo,
-                responseMessage
-            });
+            const emailBody = this.buildEmailBody(template, emailData);
 
             // Prepare email message
-            const msg = {
+            const msg = this.addUnsubscribe({
                 to: email,
                 from: {
                     email: this.fromEmail,
@@ -64,16 +134,22 @@ class EmailService {
                 subject: emailSubject,
                 text: emailBody.text,
                 html: emailBody.html
-            };
+            }, normalizedLanguage);
 
             // Send email
-            const result = await sgMail.send(msg);
+            const result = await this.transport.send(msg);
             
             console.log(`Email sent successfully to ${email} for ticket ${ticketId} with status ${subject}`);
             
+            this.updateMessageStatus(trackingId, 'sent', {
+                provider: this.transport.name,
+                providerMessageId: result.messageId
+            });
+            
             return {
                 success: true,
-                messageId: result[0].headers['x-message-id'],
+                trackingId,
+                messageId: result.messageId,
                 status: 'sent',
                 message: 'Email sent successfully'
             };
@@ -81,11 +157,15 @@ class EmailService {
         } catch (error) {
             console.error('Failed to send email:', error);
             
+            this.updateMessageStatus(trackingId, 'failed', { detail: error.message });
+            
             return {
                 success: false,
+                trackingId,
                 status: 'failed',
                 message: error.message,
-                error: error.response?.body || error.message
+                error: error.response?.body || error.message,
+                retryable: !!error.retryable
             };
         }
     }
@@ -135,57 +215,108 @@ class EmailService {
     }
 
     /**
-     * Build email subject based on status and template
-     * @param {string} status - Issue status
-     * @param {string} ticketId - Ticket ID
+     * Get the variables of an issue email template (missing values get their defaults, { html } values
+     * become trusted HTML)
+     * @param {Object} data - Email data (every field is available to the template)
+     * @returns {Object} Template variables
+     */
+    buildIssueVariables(data) {
+        return prepareVariables({
+            ...data,
+            name: data.name || 'Valued Customer',
+            ticketId: data.ticketId || 'N/A',
+            issueTitle: data.issueTitle || 'Your Issue',
+            assignedTo: data.assignedTo || '',
+            escalatedTo: data.escalatedTo || '',
+            responseMessage: data.responseMessage || '',
+            currentDate: new Date().toLocaleString()
+        });
+    }
+
+    /**
+     * Build email subject from template with dynamic data
      * @param {Object} template - Email template
-     * @param {string} assignedTo - Assigned to person (optional)
-     * @param {string} escalatedTo - Escalated to person (optional)
+     * @param {Object} data - Email data
      * @returns {string} Formatted email subject
      */
-    buildEmailSubject(status, ticketId, template, assignedTo, escalatedTo) {
-        let subject = template.subject.replace('{ticketId}', ticketId);
-        
-        if (assignedTo && (status === 'assigned' || status === 'escalated')) {
-            subject = subject.replace('{assignedTo}', assignedTo);
-        }
-        
-        if (escalatedTo && status === 'escalated') {
-            subject = subject.replace('{escalatedTo}', escalatedTo);
-        }
-        
-        return subject;
+    buildEmailSubject(template, data) {
+        return render(template.subject, this.buildIssueVariables(data));
     }
 
     /**
      * Build email body from template with dynamic data
      * @param {Object} template - Email template
-     * @param {Object} data - Dynamic data for template
+     * @param {Object} data - Email data
      * @returns {Object} Email body with text and HTML versions
      */
     buildEmailBody(template, data) {
-        let textBody = template.body;
-        let htmlBody = template.htmlBody || this.convertTextToHtml(template.body);
-        
-        // Replace placeholders with actual data
-        const replacements = {
-            '{name}': data.name || 'Valued Customer',
-            '{ticketId}': data.ticketId || 'N/A',
-            '{issueTitle}': data.issueTitle || 'Your Issue',
-            '{assignedTo}': data.assignedTo || '',
-            '{escalatedTo}': data.escalatedTo || '',
-            '{responseMessage}': data.responseMessage || '',
-            '{currentDate}': new Date().toLocaleString()
+        const variables = this.buildIssueVariables(data);
+
+        return {
+            text: render(template.body, variables),
+            html: this.renderHtmlBody(template, variables)
         };
-        
-        for (const [placeholder, value] of Object.entries(replacements)) {
-            textBody = textBody.replace(new RegExp(placeholder, 'g'), value);
-            htmlBody = htmlBody.replace(new RegExp(placeholder, 'g'), value);
+    }
+
+    /**
+     * Render an email template without sending it (for previews)
+     * @param {string} type - Issue status or trip notification type
+     * @param {string} language - Language
+     * @param {Object} [data] - Template variables
+     * @returns {Object|null} Subject, text and HTML, or null if there is no such template
+     */
+    renderTemplate(type, language, data = {}) {
+        const template = emailTemplates.getTemplate(type, this.normalizeLanguage(language));
+        if (!template) {
+            return null;
         }
-        
+
+        const trip = isValidTripNotificationType(type);
+        const body = trip ? this.buildTripEmailBody(template, data) : this.buildEmailBody(template, data);
+
         return {
-            text: textBody,
-            html: htmlBody
+            subject: trip ? this.buildTripEmailSubject(template, data) : this.buildEmailSubject(template, data),
+            text: body.text,
+            html: body.html
+        };
+    }
+
+    /**
+     * Render the HTML body of an email template, escaping the variables (trusted HTML excepted)
+     * @param {Object} template - Email template
+     * @param {Object} variables - Template variables
+     * @returns {string} HTML body (the text body converted to HTML when the template has none)
+     */
+    renderHtmlBody(template, variables) {
+        if (template.htmlBody) {
+            return render(template.htmlBody, variables, { escape: escapeHtmlVariable });
+        }
+        return this.convertTextToHtml(render(template.body, variables, { escape: escapeTextVariable }));
+    }
+
+    /**
+     * Add the unsubscribe footer and one-click List-Unsubscribe headers (RFC 8058) to a message
+     * @param {Object} msg - Email message
+     * @param {string} language - Normalized language
+     * @returns {Object} Message with footer and headers (unchanged when unsubscribe links are not configured)
+     */
+    addUnsubscribe(msg, language) {
+        const unsubscribeUrl = getUnsubscribeUrl(msg.to, language);
+        if (!unsubscribeUrl) {
+            return msg;
+        }
+
+        const footer = emailTemplates.getUnsubscribeTemplate(language);
+
+        return {
+            ...msg,
+            text: `${msg.text}\n\n${footer.footerText.replace('{unsubscribeUrl}', unsubscribeUrl)}`,
+            html: `${msg.html}${footer.footerHtml.replace('{unsubscribeUrl}', unsubscribeUrl)}`,
+            headers: {
+                ...msg.headers,
+                'List-Unsubscribe': `<${unsubscribeUrl}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
         };
     }
 
@@ -200,7 +331,9 @@ class EmailService {
             .replace(/\n/g, '<br>')
             .replace(/^/, '<p>')
             .replace(/$/, '</p>')
-            .replace(/<p><\/p>/g, '');
+            .replace(/<p><\/p>/g, '')
+            // Paragraphs that are trusted HTML blocks are not wrapped again
+            .replace(/<p>(?=<(?:p|ul|ol|blockquote|pre|h3|h4)[\s>])([\s\S]*?)<\/p>(?=<p>|$)/g, '$1');
     }
 
     /**
@@ -213,15 +346,31 @@ class EmailService {
      * @param {string} tripData.destinationName - Destination name
      * @param {string} [tripData.remainingTime] - Remaining time (for trip_remaining_time)
      * @param {string} [tripData.tripId] - Trip ID
+     * @param {Object} [options] - Send options
+     * @param {string} [options.messageId] - Tracking id created when the email was queued
      * @returns {Promise<Object>} Email sending result
      */
-    async sendTripEmail(tripData) {
+    async sendTripEmail(tripData, options = {}) {
+        let trackingId = null;
+
         try {
-            const { email, name, language, notificationType, destinationName, remainingTime, tripId } = tripData;
+            const { email, language, notificationType, destinationName, tripId } = tripData;
 
             // Normalize language
             const normalizedLanguage = this.normalizeLanguage(language);
             
+            trackingId = this.trackMessage(options.messageId, {
+                recipient: email,
+                template: notificationType,
+                language: normalizedLanguage,
+                tripId
+            });
+
+            const suppressed = this.checkSuppression(trackingId, email);
+            if (suppressed) {
+                return suppressed;
+            }
+            
             // Get template based on notification type
             const template = emailTemplates.getTemplate(notificationType, normalizedLanguage);
             if (!template) {
@@ -229,18 +378,13 @@ class EmailService {
             }
 
             // Build email subject
-            const emailSubject = this.buildTripEmailSubject(notificationType, template, destinationName);
+            const emailSubject = this.buildTripEmailSubject(template, tripData);
             
             // Build email body
-            const emailBody = this.buildTripEmailBody(template, {
-                name,
-                destinationName,
-                remainingTime,
-                tripId
-            });
+            const emailBody = this.buildTripEmailBody(template, tripData);
 
             // Prepare email message
-            const msg = {
+            const msg = this.addUnsubscribe({
                 to: email,
                 from: {
                     email: this.fromEmail,
@@ -249,16 +393,22 @@ class EmailService {
                 subject: emailSubject,
                 text: emailBody.text,
                 html: emailBody.html
-            };
+            }, normalizedLanguage);
 
             // Send email
-            const result = await sgMail.send(msg);
+            const result = await this.transport.send(msg);
             
             console.log(`Trip email sent successfully to ${email} for ${notificationType} to ${destinationName}`);
             
+            this.updateMessageStatus(trackingId, 'sent', {
+                provider: this.transport.name,
+                providerMessageId: result.messageId
+            });
+            
             return {
                 success: true,
-                messageId: result[0].headers['x-message-id'],
+                trackingId,
+                messageId: result.messageId,
                 status: 'sent',
                 message: 'Trip email sent successfully'
             };
@@ -266,11 +416,15 @@ class EmailService {
         } catch (error) {
             console.error('Failed to send trip email:', error);
             
+            this.updateMessageStatus(trackingId, 'failed', { detail: error.message });
+            
             return {
                 success: false,
+                trackingId,
                 status: 'failed',
                 message: error.message,
-                error: error.response?.body || error.message
+                error: error.response?.body || error.message,
+                retryable: !!error.retryable
             };
         }
     }
@@ -298,44 +452,44 @@ class EmailService {
     }
 
     /**
-     * Build trip email subject based on notification type and template
-     * @param {string} notificationType - Trip notification type
+     * Get the variables of a trip email template (missing values get their defaults, { html } values
+     * become trusted HTML)
+     * @param {Object} data - Trip data (every field is available to the template)
+     * @returns {Object} Template variables
+     */
+    buildTripVariables(data) {
+        return prepareVariables({
+            ...data,
+            name: data.name || 'Valued Traveler',
+            destinationName: data.destinationName || 'Your Destination',
+            remainingTime: data.remainingTime || '',
+            tripId: data.tripId || '',
+            currentDate: new Date().toLocaleString()
+        });
+    }
+
+    /**
+     * Build trip email subject from template with dynamic data
      * @param {Object} template - Email template
-     * @param {string} destinationName - Destination name
+     * @param {Object} data - Trip data
      * @returns {string} Formatted email subject
      */
-    buildTripEmailSubject(notificationType, template, destinationName) {
-        let subject = template.subject.replace('{destinationName}', destinationName);
-        return subject;
+    buildTripEmailSubject(template, data) {
+        return render(template.subject, this.buildTripVariables(data));
     }
 
     /**
      * Build trip email body from template with dynamic data
      * @param {Object} template - Email template
-     * @param {Object} data - Dynamic data for template
+     * @param {Object} data - Trip data
      * @returns {Object} Email body with text and HTML versions
      */
     buildTripEmailBody(template, data) {
-        let textBody = template.body;
-        let htmlBody = template.htmlBody || this.convertTextToHtml(template.body);
-        
-        // Replace placeholders with actual data
-        const replacements = {
-            '{name}': data.name || 'Valued Traveler',
-            '{destinationName}': data.destinationName || 'Your Destination',
-            '{remainingTime}': data.remainingTime || '',
-            '{tripId}': data.tripId || '',
-            '{currentDate}': new Date().toLocaleString()
-        };
-        
-        for (const [placeholder, value] of Object.entries(replacements)) {
-            textBody = textBody.replace(new RegExp(placeholder, 'g'), value);
-            htmlBody = htmlBody.replace(new RegExp(placeholder, 'g'), value);
-        }
-        
+        const variables = this.buildTripVariables(data);
+
         return {
-            text: textBody,
-            html: htmlBody
+            text: render(template.body, variables),
+            html: this.renderHtmlBody(template, variables)
         };
     }
 
@@ -345,9 +499,13 @@ class EmailService {
      * @param {string} emailData.email - Recipient email address
      * @param {string} emailData.subject - Email subject
      * @param {string} emailData.body - Email body (plain text)
+     * @param {Object} [options] - Send options
+     * @param {string} [options.messageId] - Tracking id created when the email was queued
      * @returns {Promise<Object>} Email sending result
      */
-    async sendSimpleEmail(emailData) {
+    async sendSimpleEmail(emailData, options = {}) {
+        let trackingId = null;
+
         try {
             const { email, subject, body } = emailData;
 
@@ -362,6 +520,16 @@ class EmailService {
                 throw new Error('Invalid email address format');
             }
 
+            trackingId = this.trackMessage(options.messageId, {
+                recipient: email.trim(),
+                template: 'simple'
+            });
+
+            const suppressed = this.checkSuppression(trackingId, email.trim());
+            if (suppressed) {
+                return suppressed;
+            }
+
             // Prepare email message
             const msg = {
                 to: email.trim(),
@@ -375,13 +543,19 @@ class EmailService {
             };
 
             // Send email
-            const result = await sgMail.send(msg);
+            const result = await this.transport.send(msg);
             
             console.log(`Simple email sent successfully to ${email}`);
             
+            this.updateMessageStatus(trackingId, 'sent', {
+                provider: this.transport.name,
+                providerMessageId: result.messageId
+            });
+            
             return {
                 success: true,
-                messageId: result[0].headers['x-message-id'],
+                trackingId,
+                messageId: result.messageId,
                 status: 'sent',
                 message: 'Email sent successfully'
             };
@@ -389,11 +563,15 @@ class EmailService {
         } catch (error) {
             console.error('Failed to send simple email:', error);
             
+            this.updateMessageStatus(trackingId, 'failed', { detail: error.message });
+            
             return {
                 success: false,
+                trackingId,
                 status: 'failed',
                 message: error.message,
-                error: error.response?.body || error.message
+                error: error.response?.body || error.message,
+                retryable: !!error.retryable
             };
         }
     }
@@ -412,16 +590,18 @@ class EmailService {
                 html: '<p>This is a test email to verify the email service configuration.</p>'
             };
 
-            await sgMail.send(testMsg);
+            await this.transport.send(testMsg);
             
             return {
                 success: true,
-                message: 'Email service configuration is working correctly'
+                message: 'Email service configuration is working correctly',
+                transport: this.transport.name
             };
         } catch (error) {
             return {
                 success: false,
                 message: 'Email service configuration failed',
+                transport: this.transport.name,
                 error: error.message
             };
         }
@@ -1,833 +1,72 @@
 /**
  * Email templates for different issue statuses in multiple languages
+ *
+ * The notification templates are loaded from templates/email/<type>/<language>.yaml
+ * (see templateLoader.js); the unsubscribe texts below are part of the service.
  */
 
-const templates = {
-    // Issue Received Templates
-    received: {
-        english: {
-            subject: 'Issue {ticketId} Received - CES Support',
-            body: `Hello {name},
+const templateLoader = require('./templateLoader');
 
-We have successfully received your issue and created a support ticket for you.
+const templates = templateLoader.getTemplates('email');
 
-Issue Details:
-- Ticket ID: {ticketId}
-- Issue Title: {issueTitle}
-- Status: Received
-- Date: {currentDate}
-
-Our team will review your issue and get back to you as soon as possible. You can track the status of your issue using the ticket ID provided above.
-
-Click here to view issue details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Thank you for contacting us.
-
-Best regards,
-CES Support Team`,
-            htmlBody: `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                    <h2 style="color: #2c3e50;">Issue Received</h2>
-                    <p>Hello <strong>{name}</strong>,</p>
-                    
-                    <p>We have successfully received your issue and created a support ticket for you.</p>
-                    
-                    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                        <h3 style="color: #495057; margin-top: 0;">Issue Details:</h3>
-                        <ul style="list-style: none; padding: 0;">
-                            <li><strong>Ticket ID:</strong> {ticketId}</li>
-                            <li><strong>Issue Title:</strong> {issueTitle}</li>
-                            <li><strong>Status:</strong> <span style="color: #28a745;">Received</span></li>
-                            <li><strong>Date:</strong> {currentDate}</li>
-                        </ul>
-                    </div>
-                    
-                    <p>Our team will review your issue and get back to you as soon as possible. You can track the status of your issue using the ticket ID provided above.</p>
-                    
-                    <div style="text-align: center; margin: 30px 0;">
-                        <a href="https://ces-frontend-zeta.vercel.app/followup?id={ticketId}" 
-                           style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
-                            Click here to view issue details
-                        </a>
-                    </div>
-                    
-                    <p>Thank you for contacting us.</p>
-                    
-                    <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
-                        <p style="color: #6c757d; margin: 0;">Best regards,<br>CES Support Team</p>
-                    </div>
+// Unsubscribe footer added to templated emails, and the pages behind the link (see unsubscribeRoutes.js)
+const unsubscribeTemplates = {
+    english: {
+        footerText: `You receive these emails because you contacted CES. Unsubscribe: {unsubscribeUrl}`,
+        footerHtml: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 20px auto 0; text-align: center;">
+                    <p style="color: #6c757d; font-size: 12px;">You receive these emails because you contacted CES. <a href="{unsubscribeUrl}" style="color: #6c757d;">Unsubscribe</a></p>
                 </div>
-            `
-        },
-        french: {
-            subject: 'Problème {ticketId} Reçu - Support CES',
-            body: `Bonjour {name},
-
-Nous avons reçu avec succès votre problème et créé un ticket de support pour vous.
-
-Détails du problème:
-- ID du ticket: {ticketId}
-- Titre du problème: {issueTitle}
-- Statut: Reçu
-- Date: {currentDate}
-
-Notre équipe examinera votre problème et vous contactera dès que possible. Vous pouvez suivre le statut de votre problème en utilisant l'ID de ticket fourni ci-dessus.
-
-Cliquez ici pour voir les détails du problème: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Merci de nous avoir contactés.
-
-Cordialement,
-Équipe de Support CES`
-        },
-        kinyarwanda: {
-            subject: 'Ikibazo {ticketId} Cyakiriwe - Ubufasha bwa CES',
-            body: `Mwaramutse {name},
-
-Twakize neza ikibazo cyawe maze tushyiraho tiketi y'ubufasha.
-
-Ibisobanura by'ikibazo:
-- ID ya tiketi: {ticketId}
-- Umutwe w'ikibazo: {issueTitle}
-- Imimerere: Cyakiriwe
-- Itariki: {currentDate}
-
-Ikipe yacu izasuzuma ikibazo cyawe maze ikagusubize vuba bishoboka. Urashobora gukurikirana imimerere y'ikibazo cyawe ukoresheje ID ya tiketi yatanzwe hejuru.
-
-Kanda hano kugira ngo urebe ibisobanura by'ikibazo: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Urakoze kutwandikira.
-
-Icyubahiro,
-Ikipe y'Ubufasha ya CES`
-        }
-    },
-
-    // Issue Resolved Templates
-    resolved: {
-        english: {
-            subject: 'Issue {ticketId} Resolved - CES Support',
-            body: `Hello {name},
-
-Great news! Your issue has been successfully resolved.
-
-Issue Details:
-- Ticket ID: {ticketId}
-- Issue Title: {issueTitle}
-- Status: Resolved
-- Resolution Date: {currentDate}
-
-{responseMessage}
-
-Your issue is now closed. If you have any other questions or need further assistance, please don't hesitate to contact us.
-
-Click here to view issue details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Thank you for using our services.
-
-Best regards,
-CES Support Team`
-        },
-        french: {
-            subject: 'Problème {ticketId} Résolu - Support CES',
-            body: `Bonjour {name},
-
-Bonne nouvelle! Votre problème a été résolu avec succès.
-
-Détails du problème:
-- ID du ticket: {ticketId}
-- Titre du problème: {issueTitle}
-- Statut: Résolu
-- Date de résolution: {currentDate}
-
-{responseMessage}
-
-Votre problème est maintenant fermé. Si vous avez d'autres questions ou besoin d'assistance supplémentaire, n'hésitez pas à nous contacter.
-
-Cliquez ici pour voir les détails du problème: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Merci d'utiliser nos services.
-
-Cordialement,
-Équipe de Support CES`
-        },
-        kinyarwanda: {
-            subject: 'Ikibazo {ticketId} Cyakemuwe - Ubufasha bwa CES',
-            body: `Mwaramutse {name},
-
-Amakuru meza! Ikibazo cyawe cyakemuwe neza.
-
-Ibisobanura by'ikibazo:
-- ID ya tiketi: {ticketId}
-- Umutwe w'ikibazo: {issueTitle}
-- Imimerere: Cyakemuwe
-- Itariki cyakemuweho: {currentDate}
-
-{responseMessage}
-
-Ikibazo cyawe gisozwa. Niba ufite ibindi bibazo cyangwa ukeneye ubundi bufasha, ntuzuhe kutwandikira.
-
-Kanda hano kugira ngo urebe ibisobanura by'ikibazo: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Urakoze gukoresha serivise zacu.
-
-Icyubahiro,
-Ikipe y'Ubufasha ya CES`
-        }
-    },
-
-    // Issue Escalated Templates
-    escalated: {
-        english: {
-            subject: 'Issue {ticketId} Escalated to {escalatedTo} - CES Support',
-            body: `Hello {name},
-
-Your issue has been escalated to a higher level for faster resolution.
-
-Issue Details:
-- Ticket ID: {ticketId}
-- Issue Title: {issueTitle}
-- Status: Escalated
-- Escalated to: {escalatedTo}
-- Escalation Date: {currentDate}
-
-Your issue has been assigned to {escalatedTo} who specializes in handling complex cases like yours. You can expect a response soon.
-
-We appreciate your patience as we work to resolve your issue.
-
-Click here to view issue details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Best regards,
-CES Support Team`
-        },
-        french: {
-            subject: 'Problème {ticketId} Escaladé à {escalatedTo} - Support CES',
-            body: `Bonjour {name},
-
-Votre problème a été escaladé à un niveau supérieur pour une résolution plus rapide.
-
-Détails du problème:
-- ID du ticket: {ticketId}
-- Titre du problème: {issueTitle}
-- Statut: Escaladé
-- Escaladé à: {escalatedTo}
-- Date d'escalade: {currentDate}
-
-Votre problème a été assigné à {escalatedTo} qui se spécialise dans la gestion de cas complexes comme le vôtre. Vous pouvez vous attendre à une réponse bientôt.
-
-Nous apprécions votre patience pendant que nous travaillons à résoudre votre problème.
-
-Cliquez ici pour voir les détails du problème: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Cordialement,
-Équipe de Support CES`
-        },
-        kinyarwanda: {
-            subject: 'Ikibazo {ticketId} Cyoherejwe kuri {escalatedTo} - Ubufasha bwa CES',
-            body: `Mwaramutse {name},
-
-Ikibazo cyawe cyoherejwe ku rwego rwo hejuru kugira ngo kirangirwe vuba.
-
-Ibisobanura by'ikibazo:
-- ID ya tiketi: {ticketId}
-- Umutwe w'ikibazo: {issueTitle}
-- Imimerere: Cyoherejwe hejuru
-- Cyoherejwe kuri: {escalatedTo}
-- Itariki yoherejweho: {currentDate}
-
-Ikibazo cyawe cyahawe {escalatedTo} uzobereye gukemura ibibazo bigoye nk'icyawe. Urategereje igisubizo vuba.
-
-Turagushimira kwihangana mu gihe dukora kugira ngo dukemure ikibazo cyawe.
-
-Kanda hano kugira ngo urebe ibisobanura by'ikibazo: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Icyubahiro,
-Ikipe y'Ubufasha ya CES`
-        }
-    },
-
-    // Issue Assigned Templates
-    assigned: {
-        english: {
-            subject: 'Issue {ticketId} Assigned to {assignedTo} - CES Support',
-            body: `Hello {name},
-
-Your issue has been assigned to a specialist for resolution.
-
-Issue Details:
-- Ticket ID: {ticketId}
-- Issue Title: {issueTitle}
-- Status: Assigned
-- Assigned to: {assignedTo}
-- Assignment Date: {currentDate}
-
-{assignedTo} will be handling your case and will contact you soon with updates or solutions.
-
-Thank you for your patience.
-
-Click here to view issue details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Best regards,
-CES Support Team`
-        },
-        french: {
-            subject: 'Problème {ticketId} Assigné à {assignedTo} - Support CES',
-            body: `Bonjour {name},
-
-Votre problème a été assigné à un spécialiste pour résolution.
-
-Détails du problème:
-- ID du ticket: {ticketId}
-- Titre du problème: {issueTitle}
-- Statut: Assigné
-- Assigné à: {assignedTo}
-- Date d'assignation: {currentDate}
-
-{assignedTo} s'occupera de votre cas et vous contactera bientôt avec des mises à jour ou des solutions.
-
-Merci pour votre patience.
-
-Cliquez ici pour voir les détails du problème: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Cordialement,
-Équipe de Support CES`
-        },
-        kinyarwanda: {
-            subject: 'Ikibazo {ticketId} Cyahawe {assignedTo} - Ubufasha bwa CES',
-            body: `Mwaramutse {name},
-
-Ikibazo cyawe cyahawe inzobere kugira ngo ikemure.
-
-Ibisobanura by'ikibazo:
-- ID ya tiketi: {ticketId}
-- Umutwe w'ikibazo: {issueTitle}
-- Imimerere: Cyahawe
-- Cyahawe: {assignedTo}
-- Itariki cyahaweho: {currentDate}
-
-{assignedTo} azakemura ikibazo cyawe kandi azakugera vuba n'amakuru cyangwa ibisubizo.
-
-Urakoze kwihangana.
-
-Kanda hano kugira ngo urebe ibisobanura by'ikibazo: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Icyubahiro,
-Ikipe y'Ubufasha ya CES`
-        }
-    },
-
-    // Issue Closed Templates
-    closed: {
-        english: {
-            subject: 'Issue {ticketId} Closed - CES Support',
-            body: `Hello {name},
-
-Your issue has been closed.
-
-Issue Details:
-- Ticket ID: {ticketId}
-- Issue Title: {issueTitle}
-- Status: Closed
-- Closure Date: {currentDate}
-
-If you believe this issue was closed in error or if you have additional questions, please contact us with your ticket ID.
-
-Click here to view issue details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Thank you for using our services.
-
-Best regards,
-CES Support Team`
-        },
-        french: {
-            subject: 'Problème {ticketId} Fermé - Support CES',
-            body: `Bonjour {name},
-
-Votre problème a été fermé.
-
-Détails du problème:
-- ID du ticket: {ticketId}
-- Titre du problème: {issueTitle}
-- Statut: Fermé
-- Date de fermeture: {currentDate}
-
-Si vous pensez que ce problème a été fermé par erreur ou si vous avez des questions supplémentaires, veuillez nous contacter avec votre ID de ticket.
-
-Cliquez ici pour voir les détails du problème: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Merci d'utiliser nos services.
-
-Cordialement,
-Équipe de Support CES`
-        },
-        kinyarwanda: {
-            subject: 'Ikibazo {ticketId} Cyafunguwe - Ubufasha bwa CES',
-            body: `Mwaramutse {name},
-
-Ikibazo cyawe cyafunguwe.
-
-Ibisobanura by'ikibazo:
-- ID ya tiketi: {ticketId}
-- Umutwe w'ikibazo: {issueTitle}
-- Imimerere: Cyafunguwe
-- Itariki yafunguwemo: {currentDate}
-
-Niba wibaza ko iki kibazo cyafunguwe mu makosa cyangwa ufite ibindi bibazo, nyamuneka tubabarire ufite ID ya tiketi yawe.
-
-Kanda hano kugira ngo urebe ibisobanura by'ikibazo: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Urakoze gukoresha serivise zacu.
-
-Icyubahiro,
-Ikipe y'Ubufasha ya CES`
-        }
-    },
-
-    // Issue In Progress Templates
-    in_progress: {
-        english: {
-            subject: 'Issue {ticketId} In Progress - CES Support',
-            body: `Hello {name},
-
-Your issue is currently being processed by our team.
-
-Issue Details:
-- Ticket ID: {ticketId}
-- Issue Title: {issueTitle}
-- Status: In Progress
-- Update Date: {currentDate}
-
-Our team is actively working on resolving your issue. We will keep you updated on the progress.
-
-Click here to view issue details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Thank you for your patience.
-
-Best regards,
-CES Support Team`
-        },
-        french: {
-            subject: 'Problème {ticketId} En Cours - Support CES',
-            body: `Bonjour {name},
-
-Votre problème est actuellement en cours de traitement par notre équipe.
-
-Détails du problème:
-- ID du ticket: {ticketId}
-- Titre du problème: {issueTitle}
-- Statut: En cours
-- Date de mise à jour: {currentDate}
-
-Notre équipe travaille activement à résoudre votre problème. Nous vous tiendrons informé des progrès.
-
-Cliquez ici pour voir les détails du problème: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Merci pour votre patience.
-
-Cordialement,
-Équipe de Support CES`
-        },
-        kinyarwanda: {
-            subject: 'Ikibazo {ticketId} Kirakoresha - Ubufasha bwa CES',
-            body: `Mwaramutse {name},
-
-Ikibazo cyawe gisigaye gikoresha n'ikipe yacu.
-
-Ibisobanura by'ikibazo:
-- ID ya tiketi: {ticketId}
-- Umutwe w'ikibazo: {issueTitle}
-- Imimerere: Kirakoresha
-- Itariki yahinduwe: {currentDate}
-
-Ikipe yacu ikora cyane kugira ngo ikemure ikibazo cyawe. Tuzagufasha amakuru ku myiyoborere.
-
-Kanda hano kugira ngo urebe ibisobanura by'ikibazo: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Urakoze kwihangana.
-
-Icyubahiro,
-Ikipe y'Ubufasha ya CES`
-        }
-    },
-
-    // Issue Waiting for User Response Templates
-    waiting_for_user_response: {
-        english: {
-            subject: 'Issue {ticketId} Waiting for Your Response - CES Support',
-            body: `Hello {name},
-
-We need additional information from you to continue processing your issue.
-
-Issue Details:
-- Ticket ID: {ticketId}
-- Issue Title: {issueTitle}
-- Status: Waiting for User Response
-- Update Date: {currentDate}
-
-{responseMessage}
-
-Please provide the requested information so we can proceed with resolving your issue.
-
-Click here to view issue details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Thank you for your cooperation.
-
-Best regards,
-CES Support Team`
-        },
-        french: {
-            subject: 'Problème {ticketId} En Attente de Votre Réponse - Support CES',
-            body: `Bonjour {name},
-
-Nous avons besoin d'informations supplémentaires de votre part pour continuer le traitement de votre problème.
-
-Détails du problème:
-- ID du ticket: {ticketId}
-- Titre du problème: {issueTitle}
-- Statut: En attente de votre réponse
-- Date de mise à jour: {currentDate}
-
-{responseMessage}
-
-Veuillez fournir les informations demandées afin que nous puissions procéder à la résolution de votre problème.
-
-Cliquez ici pour voir les détails du problème: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Merci pour votre coopération.
-
-Cordialement,
-Équipe de Support CES`
-        },
-        kinyarwanda: {
-            subject: 'Ikibazo {ticketId} Gitegereje Igisubizo Cyawe - Ubufasha bwa CES',
-            body: `Mwaramutse {name},
-
-Dukeneye amakuru yongeyeho kugira ngo dukomeze gukemura ikibazo cyawe.
-
-Ibisobanura by'ikibazo:
-- ID ya tiketi: {ticketId}
-- Umutwe w'ikibazo: {issueTitle}
-- Imimerere: Gitegereje igisubizo cyawe
-- Itariki yahinduwe: {currentDate}
-
-{responseMessage}
-
-Nyamuneka utange amakuru asabwa kugira ngo dushobore gukomeza gukemura ikibazo cyawe.
-
-Kanda hano kugira ngo urebe ibisobanura by'ikibazo: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Urakoze kwiyubaka.
-
-Icyubahiro,
-Ikipe y'Ubufasha ya CES`
-        }
-    },
-
-    // Issue Overdue Templates
-    overdue: {
-        english: {
-            subject: 'Issue {ticketId} Overdue - CES Support',
-            body: `Hello {name},
-
-Your issue has exceeded the expected resolution time and is now marked as overdue.
-
-Issue Details:
-- Ticket ID: {ticketId}
-- Issue Title: {issueTitle}
-- Status: Overdue
-- Update Date: {currentDate}
-
-We apologize for the delay and are prioritizing your issue for immediate attention. Our team is working to resolve this as quickly as possible.
-
-Click here to view issue details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Thank you for your patience and understanding.
-
-Best regards,
-CES Support Team`
-        },
-        french: {
-            subject: 'Problème {ticketId} En Retard - Support CES',
-            body: `Bonjour {name},
-
-Votre problème a dépassé le temps de résolution prévu et est maintenant marqué comme étant en retard.
-
-Détails du problème:
-- ID du ticket: {ticketId}
-- Titre du problème: {issueTitle}
-- Statut: En retard
-- Date de mise à jour: {currentDate}
-
-Nous nous excusons pour le retard et donnons la priorité à votre problème pour une attention immédiate. Notre équipe travaille à le résoudre le plus rapidement possible.
-
-Cliquez ici pour voir les détails du problème: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Merci pour votre patience et votre compréhension.
-
-Cordialement,
-Équipe de Support CES`
-        },
-        kinyarwanda: {
-            subject: 'Ikibazo {ticketId} Cyarenganyijwe - Ubufasha bwa CES',
-            body: `Mwaramutse {name},
-
-Ikibazo cyawe cyarenganyijwe igihe cyari gitegereje cyo gukemurwa kandi gisigaye gikoresha.
-
-Ibisobanura by'ikibazo:
-- ID ya tiketi: {ticketId}
-- Umutwe w'ikibazo: {issueTitle}
-- Imimerere: Cyarenganyijwe
-- Itariki yahinduwe: {currentDate}
-
-Turababarira kubera gahunda kandi turaha ikibazo cyawe ubwoba bwo kwitabwaho vuba. Ikipe yacu ikora kugira ngo ikemure vuba bishoboka.
-
-Kanda hano kugira ngo urebe ibisobanura by'ikibazo: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Urakoze kwihangana no kwiyumva.
-
-Icyubahiro,
-Ikipe y'Ubufasha ya CES`
-        }
+            `,
+        confirmTitle: 'Unsubscribe',
+        confirmMessage: 'Stop sending CES emails to {email}?',
+        confirmButton: 'Unsubscribe',
+        doneTitle: 'You have been unsubscribed',
+        doneMessage: '{email} will no longer receive emails from CES.',
+        invalidTitle: 'Invalid link',
+        invalidMessage: 'This unsubscribe link is invalid. Please use the link from your latest email.'
     },
-
-    // Issue Incomplete Templates
-    incomplete: {
-        english: {
-            subject: 'Issue {ticketId} Incomplete - CES Support',
-            body: `Hello {name},
-
-Your issue submission is incomplete and requires additional information.
-
-Issue Details:
-- Ticket ID: {ticketId}
-- Issue Title: {issueTitle}
-- Status: Incomplete
-- Update Date: {currentDate}
-
-{responseMessage}
-
-Please provide the missing information so we can properly process your request.
-
-Click here to view issue details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Thank you for your cooperation.
-
-Best regards,
-CES Support Team`
-        },
-        french: {
-            subject: 'Problème {ticketId} Incomplet - Support CES',
-            body: `Bonjour {name},
-
-Votre soumission de problème est incomplète et nécessite des informations supplémentaires.
-
-Détails du problème:
-- ID du ticket: {ticketId}
-- Titre du problème: {issueTitle}
-- Statut: Incomplet
-- Date de mise à jour: {currentDate}
-
-{responseMessage}
-
-Veuillez fournir les informations manquantes afin que nous puissions traiter correctement votre demande.
-
-Cliquez ici pour voir les détails du problème: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Merci pour votre coopération.
-
-Cordialement,
-Équipe de Support CES`
-        },
-        kinyarwanda: {
-            subject: 'Ikibazo {ticketId} Kitagize - Ubufasha bwa CES',
-            body: `Mwaramutse {name},
-
-Gusubira ikibazo cyawe kitagize kandi gikeneye amakuru yongeyeho.
-
-Ibisobanura by'ikibazo:
-- ID ya tiketi: {ticketId}
-- Umutwe w'ikibazo: {issueTitle}
-- Imimerere: Kitagize
-- Itariki yahinduwe: {currentDate}
-
-{responseMessage}
-
-Nyamuneka utange amakuru atariho kugira ngo dushobore gukemura neza icyifuzo cyawe.
-
-Kanda hano kugira ngo urebe ibisobanura by'ikibazo: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}
-
-Urakoze kwiyubaka.
-
-Icyubahiro,
-Ikipe y'Ubufasha ya CES`
-        }
-    },
-
-    // Trip Remaining Time Templates
-    trip_remaining_time: {
-        english: {
-            subject: 'Trip Update - {destinationName}',
-            body: `Hello {name},
-
-Your trip to {destinationName} is progressing well.
-
-Trip Details:
-- Destination: {destinationName}
-- Remaining Time: {remainingTime}
-- Update Time: {currentDate}
-
-You will arrive at your destination in approximately {remainingTime}. Please ensure you're prepared for arrival.
-
-Safe travels!
-
-Best regards,
-CES Travel Team`,
-            htmlBody: `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                    <h2 style="color: #2c3e50;">Trip Update</h2>
-                    <p>Hello <strong>{name}</strong>,</p>
-                    
-                    <p>Your trip to <strong>{destinationName}</strong> is progressing well.</p>
-                    
-                    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                        <h3 style="color: #495057; margin-top: 0;">Trip Details:</h3>
-                        <ul style="list-style: none; padding: 0;">
-                            <li><strong>Destination:</strong> {destinationName}</li>
-                            <li><strong>Remaining Time:</strong> <span style="color: #28a745;">{remainingTime}</span></li>
-                            <li><strong>Update Time:</strong> {currentDate}</li>
-                        </ul>
-                    </div>
-                    
-                    <p>You will arrive at your destination in approximately <strong>{remainingTime}</strong>. Please ensure you're prepared for arrival.</p>
-                    
-                    <div style="text-align: center; margin: 30px 0;">
-                        <p style="color: #28a745; font-size: 18px; font-weight: bold;">Safe travels!</p>
-                    </div>
-                    
-                    <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
-                        <p style="color: #6c757d; margin: 0;">Best regards,<br>CES Travel Team</p>
-                    </div>
+    french: {
+        footerText: `Vous recevez ces e-mails car vous avez contacté CES. Se désabonner : {unsubscribeUrl}`,
+        footerHtml: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 20px auto 0; text-align: center;">
+                    <p style="color: #6c757d; font-size: 12px;">Vous recevez ces e-mails car vous avez contacté CES. <a href="{unsubscribeUrl}" style="color: #6c757d;">Se désabonner</a></p>
                 </div>
-            `
-        },
-        french: {
-            subject: 'Mise à jour du voyage - {destinationName}',
-            body: `Bonjour {name},
-
-Votre voyage vers {destinationName} se déroule bien.
-
-Détails du voyage:
-- Destination: {destinationName}
-- Temps restant: {remainingTime}
-- Heure de mise à jour: {currentDate}
-
-Vous arriverez à votre destination dans environ {remainingTime}. Veuillez vous assurer d'être prêt pour l'arrivée.
-
-Bon voyage!
-
-Cordialement,
-Équipe CES Voyage`
-        },
-        kinyarwanda: {
-            subject: 'Guhindura urugendo - {destinationName}',
-            body: `Mwaramutse {name},
-
-Urugendo rwawe rwo kujya {destinationName} rurakomeza neza.
-
-Ibisobanura by'urugendo:
-- Aho ujya: {destinationName}
-- Igihe gisigaye: {remainingTime}
-- Igihe cyahinduwe: {currentDate}
-
-Uzaza ku cyerekezo cyawe mu gihe cy'ibihumbi {remainingTime}. Nyamuneka witegure kugera.
-
-Urugendo rwiza!
-
-Icyubahiro,
-Ikipe y'Urugendo ya CES`
-        }
+            `,
+        confirmTitle: 'Se désabonner',
+        confirmMessage: 'Ne plus envoyer d\'e-mails CES à {email} ?',
+        confirmButton: 'Se désabonner',
+        doneTitle: 'Vous êtes désabonné',
+        doneMessage: '{email} ne recevra plus d\'e-mails de CES.',
+        invalidTitle: 'Lien invalide',
+        invalidMessage: 'Ce lien de désabonnement est invalide. Veuillez utiliser le lien de votre dernier e-mail.'
     },
-
-    // Trip Arrival Notice Templates
-    trip_arrival_notice: {
-        english: {
-            subject: 'Arrival Notice - {destinationName}',
-            body: `Hello {name},
-
-You have arrived at your destination!
-
-Arrival Details:
-- Destination: {destinationName}
-- Arrival Time: {currentDate}
-
-Welcome to {destinationName}! We hope you had a pleasant journey.
-
-If you need any assistance, please don't hesitate to contact us.
-
-Best regards,
-CES Travel Team`,
-            htmlBody: `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                    <h2 style="color: #28a745;">Arrival Notice</h2>
-                    <p>Hello <strong>{name}</strong>,</p>
-                    
-                    <p>You have arrived at your destination!</p>
-                    
-                    <div style="background-color: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
-                        <h3 style="color: #155724; margin-top: 0;">Arrival Details:</h3>
-                        <ul style="list-style: none; padding: 0;">
-                            <li><strong>Destination:</strong> {destinationName}</li>
-                            <li><strong>Arrival Time:</strong> {currentDate}</li>
-                        </ul>
-                    </div>
-                    
-                    <p>Welcome to <strong>{destinationName}</strong>! We hope you had a pleasant journey.</p>
-                    
-                    <p>If you need any assistance, please don't hesitate to contact us.</p>
-                    
-                    <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
-                        <p style="color: #6c757d; margin: 0;">Best regards,<br>CES Travel Team</p>
-                    </div>
+    kinyarwanda: {
+        footerText: `Mwakiriye ubu butumwa kuko mwandikiye CES. Kwikura ku butumwa: {unsubscribeUrl}`,
+        footerHtml: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 20px auto 0; text-align: center;">
+                    <p style="color: #6c757d; font-size: 12px;">Mwakiriye ubu butumwa kuko mwandikiye CES. <a href="{unsubscribeUrl}" style="color: #6c757d;">Kwikura ku butumwa</a></p>
                 </div>
-            `
-        },
-        french: {
-            subject: 'Avis d\'arrivée - {destinationName}',
-            body: `Bonjour {name},
-
-Vous êtes arrivé à votre destination!
-
-Détails d'arrivée:
-- Destination: {destinationName}
-- Heure d'arrivée: {currentDate}
-
-Bienvenue à {destinationName}! Nous espérons que vous avez eu un voyage agréable.
-
-Si vous avez besoin d'aide, n'hésitez pas à nous contacter.
-
-Cordialement,
-Équipe CES Voyage`
-        },
-        kinyarwanda: {
-            subject: 'Kumenyesha ko wazanye - {destinationName}',
-            body: `Mwaramutse {name},
-
-Wazanye ku cyerekezo cyawe!
-
-Ibisobanura byo kugera:
-- Aho ujya: {destinationName}
-- Igihe cyo kugera: {currentDate}
-
-Murakaza neza {destinationName}! Turifuza ko wari ufite urugendo rwiza.
-
-Niba ukeneye ubundi bufasha, ntuzuhe kutwandikira.
-
-Icyubahiro,
-Ikipe y'Urugendo ya CES`
-        }
+            `,
+        confirmTitle: 'Kwikura ku butumwa',
+        confirmMessage: 'Guhagarika kohereza imeli za CES kuri {email}?',
+        confirmButton: 'Kwikura ku butumwa',
+        doneTitle: 'Mwakuwe ku butumwa',
+        doneMessage: '{email} ntizongera kwakira imeli za CES.',
+        invalidTitle: 'Ihuza ritemewe',
+        invalidMessage: 'Iri huza ntiremewe. Mukoreshe ihuza riri mu imeli yanyu iheruka.'
     }
 };
 
+/**
+ * Get the unsubscribe footer and page texts for a language
+ * @param {string} language - Language preference
+ * @returns {Object} Unsubscribe texts (English if the language is not found)
+ */
+function getUnsubscribeTemplate(language) {
+    return unsubscribeTemplates[language?.toLowerCase()] || unsubscribeTemplates.english;
+}
+
 /**
  * Get email template by status and language
  * @param {string} status - Issue status
@@ -882,5 +121,7 @@ module.exports = {
     getAvailableStatuses,
     getAvailableLanguages,
     hasTemplate,
-    templates
+    getUnsubscribeTemplate,
+    templates,
+    unsubscribeTemplates
 };
\ No newline at end of file
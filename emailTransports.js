@@ -0,0 +1,206 @@
+/**
+ * Email transport backends
+ *
+ * Every transport exposes the same interface:
+ * - send(msg): delivers a message and resolves to { messageId, response }
+ * - verify(): checks that the transport is usable without sending anything
+ *
+ * Messages use the SendGrid shape ({ to, from: { email, name }, subject, text, html })
+ * and each transport converts it to whatever its backend expects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sgMail = require('@sendgrid/mail');
+const nodemailer = require('nodemailer');
+
+/**
+ * Convert a SendGrid-style address into a nodemailer address
+ * @param {string|Object} address - Address string or { email, name } object
+ * @returns {string|Object} Nodemailer address
+ */
+function toNodemailerAddress(address) {
+    if (address && typeof address === 'object') {
+        return { name: address.name, address: address.email };
+    }
+    return address;
+}
+
+/**
+ * Convert a SendGrid-style message into nodemailer mail options
+ * @param {Object} msg - Email message
+ * @returns {Object} Nodemailer mail options
+ */
+function toNodemailerMessage(msg) {
+    return {
+        to: toNodemailerAddress(msg.to),
+        from: toNodemailerAddress(msg.from),
+        subject: msg.subject,
+        text: msg.text,
+        html: msg.html,
+        headers: msg.headers
+    };
+}
+
+/**
+ * Mark whether a failed send is worth retrying later
+ * @param {Error} error - Transport error
+ * @param {boolean} retryable - True for transient failures (network, 5xx, throttling)
+ * @returns {Error} The same error
+ */
+function markRetryable(error, retryable) {
+    error.retryable = retryable;
+    return error;
+}
+
+/**
+ * SendGrid transport (default)
+ */
+class SendGridTransport {
+    constructor(options = {}) {
+        this.name = 'sendgrid';
+        this.apiKey = options.apiKey || process.env.SENDGRID_API_KEY;
+        sgMail.setApiKey(this.apiKey);
+    }
+
+    async send(msg) {
+        let result;
+        try {
+            result = await sgMail.send(msg);
+        } catch (error) {
+            // SendGrid errors carry the HTTP status in code; network errors have none
+            const status = typeof error.code === 'number' ? error.code : null;
+            throw markRetryable(error, status === null || status === 429 || status >= 500);
+        }
+
+        return {
+            messageId: result[0].headers['x-message-id'],
+            response: result[0]
+        };
+    }
+
+    async verify() {
+        if (!this.apiKey) {
+            throw new Error('SENDGRID_API_KEY is not configured');
+        }
+        return true;
+    }
+}
+
+/**
+ * Plain SMTP transport
+ */
+class SmtpTransport {
+    constructor(options = {}) {
+        this.name = 'smtp';
+
+        const port = parseInt(options.port || process.env.SMTP_PORT || '587', 10);
+        const user = options.user || process.env.SMTP_USER;
+        const pass = options.pass || process.env.SMTP_PASS;
+
+        this.transporter = nodemailer.createTransport({
+            host: options.host || process.env.SMTP_HOST,
+            port,
+            secure: options.secure !== undefined ? options.secure : (process.env.SMTP_SECURE === 'true' || port === 465),
+            auth: user ? { user, pass } : undefined
+        });
+    }
+
+    async send(msg) {
+        let info;
+        try {
+            info = await this.transporter.sendMail(toNodemailerMessage(msg));
+        } catch (error) {
+            // 4xx SMTP replies are transient by definition; connection failures have no reply code
+            const responseCode = error.responseCode || null;
+            throw markRetryable(error, responseCode === null || (responseCode >= 400 && responseCode < 500));
+        }
+
+        return {
+            messageId: info.messageId,
+            response: info.response
+        };
+    }
+
+    async verify() {
+        return this.transporter.verify();
+    }
+}
+
+/**
+ * File outbox transport - writes every message as an .eml file instead of sending it
+ */
+class FileTransport {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.directory = path.resolve(options.directory || process.env.EMAIL_OUTBOX_DIR || './outbox');
+        this.transporter = nodemailer.createTransport({
+            streamTransport: true,
+            buffer: true,
+            newline: 'unix'
+        });
+    }
+
+    async send(msg) {
+        const messageId = crypto.randomUUID();
+        const info = await this.transporter.sendMail({
+            ...toNodemailerMessage(msg),
+            messageId: `<${messageId}@outbox.local>`
+        });
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const filePath = path.join(this.directory, `${Date.now()}-${messageId}.eml`);
+        await fs.promises.writeFile(filePath, info.message);
+
+        return {
+            messageId,
+            response: { filePath }
+        };
+    }
+
+    async verify() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.access(this.directory, fs.constants.W_OK);
+        return true;
+    }
+}
+
+const transports = {
+    sendgrid: SendGridTransport,
+    smtp: SmtpTransport,
+    file: FileTransport
+};
+
+/**
+ * Get all available transport names
+ * @returns {Array} Array of transport names
+ */
+function getAvailableTransports() {
+    return Object.keys(transports);
+}
+
+/**
+ * Create the email transport selected by configuration
+ * @param {string} [name] - Transport name (defaults to EMAIL_TRANSPORT or sendgrid)
+ * @param {Object} [options] - Transport-specific options
+ * @returns {Object} Email transport instance
+ */
+function createEmailTransport(name, options = {}) {
+    const transportName = (name || process.env.EMAIL_TRANSPORT || 'sendgrid').toLowerCase().trim();
+    const Transport = transports[transportName];
+
+    if (!Transport) {
+        throw new Error(`Unknown email transport: ${transportName}. Must be one of: ${getAvailableTransports().join(', ')}`);
+    }
+
+    return new Transport(options);
+}
+
+module.exports = {
+    createEmailTransport,
+    getAvailableTransports,
+    SendGridTransport,
+    SmtpTransport,
+    FileTransport
+};
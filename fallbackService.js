@@ -0,0 +1,188 @@
+/**
+ * Channel fallback policies
+ *
+ * A policy names a notification type, the channel to try first and the channel to fall back
+ * to, e.g. "send overdue notices by email; if the email fails or bounces within 60 minutes,
+ * send an SMS". Any issue or trip type with a template on both channels can have a policy.
+ * Policies come from FALLBACK_POLICIES:
+ *
+ *   FALLBACK_POLICIES=overdue:email>sms:60,escalated:email>sms:60
+ *
+ * When a notification with a policy is sent, the fallback is armed on the primary message
+ * record. It is triggered (queued on the fallback channel) when the primary message fails,
+ * is suppressed or bounces before the window ends. Both records are linked: the primary's
+ * fallback.trackingId and the fallback message's fallbackFor.
+ */
+
+const templateLoader = require('./templateLoader');
+
+const FALLBACK_CHANNELS = ['email', 'sms'];
+
+// Message statuses that mean the recipient did not get the message
+const FALLBACK_STATUSES = ['failed', 'bounced', 'suppressed'];
+
+const DEFAULT_POLICIES = 'overdue:email>sms:60,escalated:email>sms:60';
+const DEFAULT_WINDOW_MINUTES = 60;
+
+/**
+ * Parse a fallback policy list
+ * @param {string} value - Comma-separated policies (type:primary>fallback[:minutes])
+ * @returns {Object} Policies by notification type
+ */
+function parsePolicies(value) {
+    return value
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .reduce((policies, entry) => {
+            const [type, route = '', minutes] = entry.split(':').map(part => part.trim());
+            const [primary, fallback] = route.toLowerCase().split('>').map(part => part.trim());
+            const windowMinutes = minutes === undefined ? DEFAULT_WINDOW_MINUTES : Number(minutes);
+            const normalizedType = type.toLowerCase().replace(/[-_\s]/g, '_');
+
+            if (!FALLBACK_CHANNELS.includes(primary) || !FALLBACK_CHANNELS.includes(fallback) || primary === fallback) {
+                throw new Error(`Invalid fallback policy '${entry}': expected ${type}:email>sms or ${type}:sms>email`);
+            }
+            const missing = [primary, fallback].filter(channel => !templateLoader.getTemplates(channel)[normalizedType]);
+            if (missing.length === 2) {
+                throw new Error(`Invalid fallback policy '${entry}': unknown notification type ${type}`);
+            }
+            if (missing.length > 0) {
+                throw new Error(`Invalid fallback policy '${entry}': ${type} has no ${missing[0]} template`);
+            }
+            if (!Number.isInteger(windowMinutes) || windowMinutes <= 0) {
+                throw new Error(`Invalid fallback policy '${entry}': the window must be a positive number of minutes`);
+            }
+
+            policies[normalizedType] = { type: normalizedType, primary, fallback, windowMinutes };
+            return policies;
+        }, {});
+}
+
+class FallbackService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.messageStore - Message store holding the armed fallbacks
+     * @param {Object} options.messageQueue - Message queue (to tell failed attempts that will be retried)
+     * @param {Function} options.queueMessage - Queues a message for background delivery (see services.js)
+     * @param {string} [options.policies] - Policy list (defaults to FALLBACK_POLICIES)
+     */
+    constructor(options) {
+        this.messageStore = options.messageStore;
+        this.messageQueue = options.messageQueue;
+        this.queueMessage = options.queueMessage;
+        this.policies = parsePolicies(options.policies !== undefined
+            ? options.policies
+            : (process.env.FALLBACK_POLICIES !== undefined ? process.env.FALLBACK_POLICIES : DEFAULT_POLICIES));
+    }
+
+    /**
+     * Get the fallback policy of a notification type
+     * @param {string} type - Notification type
+     * @returns {Object|null} Policy (type, primary, fallback, windowMinutes) or null if the type has none
+     */
+    getPolicy(type) {
+        if (typeof type !== 'string') {
+            return null;
+        }
+        return this.policies[type.trim().toLowerCase().replace(/[-_\s]/g, '_')] || null;
+    }
+
+    /**
+     * List the configured policies
+     * @returns {Array} Policies
+     */
+    listPolicies() {
+        return Object.values(this.policies);
+    }
+
+    /**
+     * Arm a fallback on a primary message
+     * @param {string} trackingId - Primary message record id
+     * @param {Object} fallback - Fallback to send if the primary message does not get through
+     * @param {string} fallback.channel - Fallback channel
+     * @param {string} fallback.jobType - Queue job type of the fallback message (e.g. sms.issue)
+     * @param {Object} fallback.payload - Job payload of the fallback message
+     * @param {number} fallback.windowMinutes - How long after sending a failure still triggers the fallback
+     * @returns {Object|null} Armed fallback or null if the record does not exist
+     */
+    arm(trackingId, fallback) {
+        const record = this.messageStore.get(trackingId);
+        if (!record) {
+            return null;
+        }
+
+        // The window starts when the message goes out, which may be later for scheduled messages
+        const sendTime = record.scheduledFor ? new Date(record.scheduledFor) : new Date();
+        const armed = {
+            channel: fallback.channel,
+            jobType: fallback.jobType,
+            payload: fallback.payload,
+            status: 'armed',
+            until: new Date(sendTime.getTime() + fallback.windowMinutes * 60000).toISOString(),
+            trackingId: null
+        };
+
+        this.messageStore.update(trackingId, { fallback: armed });
+
+        // The primary message may already have failed (e.g. a synchronous send)
+        return FALLBACK_STATUSES.includes(record.status) ? this.trigger(trackingId) : armed;
+    }
+
+    /**
+     * Send the armed fallback of a message that did not get through
+     * @param {string} trackingId - Primary message record id
+     * @param {string} [reason] - Why the fallback is sent (defaults to the message status)
+     * @returns {Object|null} Updated fallback, or null if none was armed
+     */
+    trigger(trackingId, reason) {
+        const record = this.messageStore.get(trackingId);
+        if (!record || !record.fallback || record.fallback.status !== 'armed') {
+            return null;
+        }
+
+        if (Date.now() > new Date(record.fallback.until).getTime()) {
+            const expired = { ...record.fallback, status: 'expired' };
+            this.messageStore.update(trackingId, { fallback: expired });
+            console.log(`Message ${trackingId} ${reason || record.status} after its fallback window ended, not sending ${record.fallback.channel}`);
+            return expired;
+        }
+
+        const job = this.queueMessage(record.fallback.jobType, record.fallback.payload, { fallbackFor: trackingId });
+        const triggered = {
+            ...record.fallback,
+            status: 'triggered',
+            reason: reason || record.status,
+            trackingId: job.trackingId,
+            triggeredAt: new Date().toISOString()
+        };
+        this.messageStore.update(trackingId, { fallback: triggered });
+
+        console.log(`Message ${trackingId} ${triggered.reason}, falling back to ${triggered.channel} (${job.trackingId})`);
+
+        return triggered;
+    }
+
+    /**
+     * React to a message status change (registered with the message store)
+     * @param {Object} record - Updated message record
+     */
+    handleStatus(record) {
+        if (!record.fallback || record.fallback.status !== 'armed' || !FALLBACK_STATUSES.includes(record.status)) {
+            return;
+        }
+
+        // A queued message that failed an attempt may still be retried; the queue's
+        // dead-letter notification triggers the fallback once it gives up
+        const job = this.messageQueue.findJobByMessageId(record.id);
+        if (job && ['pending', 'processing'].includes(job.status)) {
+            return;
+        }
+
+        this.trigger(record.id);
+    }
+}
+
+module.exports = FallbackService;
+module.exports.FALLBACK_STATUSES = FALLBACK_STATUSES;
+module.exports.parsePolicies = parsePolicies;
@@ -0,0 +1,147 @@
+/**
+ * File-backed record store
+ *
+ * Keeps a collection of JSON records in memory and persists the whole collection to
+ * DATA_DIR/<name>.json after every change. Writes go to a temporary file that is then
+ * renamed over the original, so a crash never leaves a half-written file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileStore {
+    /**
+     * @param {string} name - Collection name (used as the file name)
+     * @param {Object} [options] - Store options
+     * @param {string} [options.directory] - Data directory (defaults to DATA_DIR or ./data)
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.directory = path.resolve(options.directory || process.env.DATA_DIR || './data');
+        this.filePath = path.join(this.directory, `${name}.json`);
+        this.records = this.load();
+    }
+
+    /**
+     * Load records from disk
+     * @returns {Object} Records keyed by id
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            this.modifiedAt = null;
+            return {};
+        }
+
+        try {
+            this.modifiedAt = fs.statSync(this.filePath).mtimeMs;
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Re-read records from disk if the file changed since it was last read or written,
+     * picking up changes made by another process (e.g. a CLI script)
+     */
+    reload() {
+        const modifiedAt = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : null;
+        if (modifiedAt !== this.modifiedAt) {
+            this.records = this.load();
+        }
+    }
+
+    /**
+     * Persist all records to disk
+     */
+    save() {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.records, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+        this.modifiedAt = fs.statSync(this.filePath).mtimeMs;
+    }
+
+    /**
+     * Get a record by id
+     * @param {string} id - Record id
+     * @returns {Object|null} Record or null if not found
+     */
+    get(id) {
+        return this.records[id] || null;
+    }
+
+    /**
+     * Create or replace a record
+     * @param {string} id - Record id
+     * @param {Object} record - Record data
+     * @returns {Object} Stored record
+     */
+    set(id, record) {
+        this.records[id] = record;
+        this.save();
+        return record;
+    }
+
+    /**
+     * Merge changes into an existing record
+     * @param {string} id - Record id
+     * @param {Object} changes - Fields to update
+     * @returns {Object|null} Updated record or null if not found
+     */
+    update(id, changes) {
+        if (!this.records[id]) {
+            return null;
+        }
+        return this.set(id, { ...this.records[id], ...changes });
+    }
+
+    /**
+     * Delete a record
+     * @param {string} id - Record id
+     * @returns {boolean} True if a record was deleted
+     */
+    delete(id) {
+        if (!this.records[id]) {
+            return false;
+        }
+        delete this.records[id];
+        this.save();
+        return true;
+    }
+
+    /**
+     * Delete several records, persisting once
+     * @param {Array} ids - Record ids
+     * @returns {number} Number of records deleted
+     */
+    deleteMany(ids) {
+        const existing = ids.filter(id => this.records[id]);
+        if (existing.length === 0) {
+            return 0;
+        }
+        existing.forEach(id => delete this.records[id]);
+        this.save();
+        return existing.length;
+    }
+
+    /**
+     * Get all records
+     * @returns {Array} Array of records
+     */
+    values() {
+        return Object.values(this.records);
+    }
+
+    /**
+     * Find records matching a predicate
+     * @param {Function} predicate - Filter function
+     * @returns {Array} Matching records
+     */
+    filter(predicate) {
+        return this.values().filter(predicate);
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,367 @@
+/**
+ * HTML escaping and sanitizing for email templates
+ *
+ * Variables rendered into an HTML body are escaped for where they appear: element text and
+ * quoted attribute values are entity-encoded, URL attributes (href, src, ...) only accept
+ * http, https, mailto and tel links, and variables are left out of scripts, styles and event
+ * handler attributes. Text bodies and SMS are rendered unescaped.
+ *
+ * Rich text is an explicit opt-in: a variable sent as { "html": "<p>...</p>" } is trusted HTML.
+ * It is sanitized down to basic formatting markup and inserted as HTML in HTML bodies, and as
+ * its plain text everywhere else.
+ */
+
+// Markup kept in trusted HTML, with the attributes each element may keep
+const ALLOWED_TAGS = {
+    a: ['href', 'title'],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: [],
+    em: [],
+    h3: [],
+    h4: [],
+    i: [],
+    li: [],
+    ol: [],
+    p: [],
+    pre: [],
+    strong: [],
+    u: [],
+    ul: []
+};
+
+// Elements removed together with their content
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'select', 'svg', 'math', 'head', 'title'];
+
+const VOID_TAGS = ['br'];
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'background', 'poster', 'cite', 'xlink:href'];
+const SAFE_URL = /^(?:https?:|mailto:|tel:|#|\/(?!\/)|[^:/?#]*(?:[/?#]|$))/i;
+
+const MAX_TRUSTED_HTML_LENGTH = 10000;
+
+// Context of each variable position, per template source
+const contextCache = new Map();
+const MAX_CACHED_SOURCES = 200;
+
+/**
+ * Escape text for HTML element content and quoted attribute values
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Decode the character references of HTML text
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        }
+        return named[name.toLowerCase()] !== undefined ? named[name.toLowerCase()] : entity;
+    });
+}
+
+/**
+ * Check whether a URL is safe to link to
+ * @param {string} url - URL (may contain character references)
+ * @returns {boolean} True for http(s), mailto, tel and relative URLs
+ */
+function isSafeUrl(url) {
+    // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+    const normalized = decodeEntities(String(url)).replace(/[\u0000-\u0020\u007f]/g, '');
+    return SAFE_URL.test(normalized);
+}
+
+/**
+ * Sanitize HTML down to the allowed formatting markup
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML (unknown elements unwrapped, dangerous ones removed with their content)
+ */
+function sanitizeHtml(html) {
+    const output = [];
+    const open = [];
+    let dropping = null;
+    const pattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<[!?][^>]*>|([^<]+|<)/g;
+    let match;
+
+    while ((match = pattern.exec(String(html))) !== null) {
+        const [, closing, rawName, attributes, text] = match;
+        const name = rawName ? rawName.toLowerCase() : null;
+
+        if (dropping) {
+            if (closing && name === dropping) {
+                dropping = null;
+            }
+            continue;
+        }
+
+        if (text !== undefined) {
+            // Keep existing character references, escape everything else
+            output.push(text.replace(/&(?!#?\w+;)/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+        } else if (!name) {
+            // Comments, doctypes and processing instructions
+            continue;
+        } else if (DROPPED_TAGS.includes(name)) {
+            if (!closing && !/\/\s*$/.test(attributes)) {
+                dropping = name;
+            }
+        } else if (!ALLOWED_TAGS[name]) {
+            // Unknown markup is unwrapped: its text stays
+            continue;
+        } else if (closing) {
+            const index = open.lastIndexOf(name);
+            if (index !== -1) {
+                open.splice(index).reverse().forEach(tag => output.push(`</${tag}>`));
+            }
+        } else {
+            // A new list item or paragraph ends the previous one
+            if (['li', 'p'].includes(name) && open[open.length - 1] === name) {
+                output.push(`</${open.pop()}>`);
+            }
+            output.push(`<${name}${sanitizeAttributes(name, attributes)}>`);
+            if (!VOID_TAGS.includes(name)) {
+                open.push(name);
+            }
+        }
+    }
+
+    open.reverse().forEach(tag => output.push(`</${tag}>`));
+
+    return output.join('');
+}
+
+/**
+ * Keep the allowed attributes of an element
+ * @param {string} tag - Element name
+ * @param {string} attributes - Attribute source
+ * @returns {string} Safe attributes, each with a leading space
+ */
+function sanitizeAttributes(tag, attributes) {
+    const kept = [];
+    const pattern = /([^\s"'=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(attributes)) !== null) {
+        const name = match[1].toLowerCase();
+        const value = decodeEntities(match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : (match[4] || '')));
+
+        if (!ALLOWED_TAGS[tag].includes(name) || (URL_ATTRIBUTES.includes(name) && !isSafeUrl(value))) {
+            continue;
+        }
+        kept.push(` ${name}="${escapeHtml(value)}"`);
+    }
+
+    // Links open outside the mail client's frame and do not pass on the opener
+    if (tag === 'a' && kept.some(attribute => attribute.startsWith(' href='))) {
+        kept.push(' target="_blank"', ' rel="noopener noreferrer"');
+    }
+
+    return kept.join('');
+}
+
+/**
+ * Convert HTML to plain text (for text bodies and SMS)
+ * @param {string} html - HTML
+ * @returns {string} Text
+ */
+function htmlToText(html) {
+    return decodeEntities(html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '- ')
+        .replace(/<\/(p|li|h3|h4|blockquote|pre|ul|ol)>/gi, '\n')
+        .replace(/<[^>]*>/g, ''))
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+class TrustedHtml {
+    /**
+     * @param {string} html - HTML (sanitized on creation)
+     */
+    constructor(html) {
+        this.html = sanitizeHtml(html);
+        this.text = htmlToText(this.html);
+    }
+
+    /**
+     * Plain text version, used wherever the value is not rendered as HTML
+     * @returns {string} Text
+     */
+    toString() {
+        return this.text;
+    }
+
+    /**
+     * Serialize as the request shape it came from (e.g. when a queued job is stored)
+     * @returns {Object} { html }
+     */
+    toJSON() {
+        return { html: this.html };
+    }
+}
+
+/**
+ * Check whether a request value is trusted HTML ({ html: "..." })
+ * @param {*} value - Request value
+ * @returns {boolean} True for trusted HTML
+ */
+function isTrustedHtmlInput(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value)
+        && Object.keys(value).length === 1 && typeof value.html === 'string';
+}
+
+/**
+ * Validate a text field that also accepts trusted HTML
+ * @param {*} value - Request value
+ * @param {string} field - Field name
+ * @param {number} maxLength - Maximum length of plain text
+ * @returns {Array} Validation errors
+ */
+function validateRichText(value, field, maxLength) {
+    if (isTrustedHtmlInput(value)) {
+        return value.html.length > MAX_TRUSTED_HTML_LENGTH
+            ? [`${field}.html must be ${MAX_TRUSTED_HTML_LENGTH} characters or less`]
+            : [];
+    }
+    if (typeof value !== 'string') {
+        return [`${field} must be a string or { "html": "..." }`];
+    }
+    return value.length > maxLength ? [`${field} must be ${maxLength} characters or less`] : [];
+}
+
+/**
+ * Turn the trusted HTML inputs of template variables into TrustedHtml values
+ * @param {Object} variables - Template variables
+ * @returns {Object} Variables
+ */
+function prepareVariables(variables) {
+    return Object.entries(variables).reduce((prepared, [name, value]) => {
+        prepared[name] = isTrustedHtmlInput(value) ? new TrustedHtml(value.html) : value;
+        return prepared;
+    }, {});
+}
+
+/**
+ * Find what a variable at a position of an HTML template is part of
+ * @param {string} source - HTML template
+ * @param {number} position - Position of the variable tag
+ * @returns {Object} Context: text, attribute (with name, quote and whether the value starts there) or rawtext
+ */
+function getHtmlContext(source, position) {
+    let positions = contextCache.get(source);
+    if (!positions) {
+        if (contextCache.size >= MAX_CACHED_SOURCES) {
+            contextCache.clear();
+        }
+        positions = new Map();
+        contextCache.set(source, positions);
+    }
+    if (positions.has(position)) {
+        return positions.get(position);
+    }
+
+    // Other template tags do not change the HTML context (and may contain quotes)
+    const before = source.slice(0, position).replace(/\{[^{}\n]*\}/g, '');
+    let context = { kind: 'text' };
+
+    const rawText = before.match(/<(script|style)\b[^>]*>(?![\s\S]*<\/\1\s*>)[\s\S]*$/i);
+    if (rawText) {
+        context = { kind: 'rawtext', element: rawText[1].toLowerCase() };
+    } else {
+        const tag = before.match(/<[a-zA-Z][^<>]*$/);
+        if (tag) {
+            // Walk the attributes written so far; an unterminated value is the one being filled in
+            const attributePattern = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)("?)|'([^']*)('?)|([^\s"'>]*)))?/g;
+            let attribute;
+            let last = null;
+            context = { kind: 'attribute', name: null, quote: null, start: false };
+
+            attributePattern.lastIndex = tag[0].search(/\s/) === -1 ? tag[0].length : tag[0].search(/\s/);
+            while ((attribute = attributePattern.exec(tag[0])) !== null && attribute[0] !== '') {
+                last = attribute;
+            }
+
+            if (last && last.index + last[0].length === tag[0].length) {
+                if (last[2] !== undefined && !last[3]) {
+                    context = { kind: 'attribute', name: last[1].toLowerCase(), quote: '"', start: last[2] === '' };
+                } else if (last[4] !== undefined && !last[5]) {
+                    context = { kind: 'attribute', name: last[1].toLowerCase(), quote: '\'', start: last[4] === '' };
+                } else if (last[6] !== undefined) {
+                    context = { kind: 'attribute', name: last[1].toLowerCase(), quote: null, start: last[6] === '' };
+                }
+            }
+        }
+    }
+
+    positions.set(position, context);
+    return context;
+}
+
+/**
+ * Escape a variable rendered into an HTML template (the template engine's escape option)
+ * @param {string} text - Variable as text
+ * @param {*} value - Variable value
+ * @param {Object} location - Template source and the variable's position in it
+ * @returns {string} HTML
+ */
+function escapeHtmlVariable(text, value, location) {
+    const context = getHtmlContext(location.source, location.position);
+
+    if (context.kind === 'text') {
+        return value instanceof TrustedHtml ? value.html : escapeHtml(text);
+    }
+
+    if (context.kind === 'rawtext' || !context.name || !context.quote
+        || context.name.startsWith('on') || context.name === 'style' || context.name === 'srcdoc') {
+        // No escaping makes a variable safe here
+        console.warn(`Template variable left out of ${context.kind === 'rawtext' ? `<${context.element}>` : `the ${context.name || 'unquoted'} attribute`}`);
+        return '';
+    }
+
+    if (URL_ATTRIBUTES.includes(context.name) && context.start && !isSafeUrl(text)) {
+        return '#';
+    }
+
+    return escapeHtml(text);
+}
+
+/**
+ * Escape a variable rendered into text that becomes HTML (text bodies converted to HTML)
+ * @param {string} text - Variable as text
+ * @param {*} value - Variable value
+ * @returns {string} HTML
+ */
+function escapeTextVariable(text, value) {
+    // Line breaks of the text become <br>, so trusted HTML goes in on one line
+    return value instanceof TrustedHtml ? value.html.replace(/\s*\n\s*/g, ' ') : escapeHtml(text);
+}
+
+module.exports = {
+    escapeHtml,
+    sanitizeHtml,
+    htmlToText,
+    isSafeUrl,
+    isTrustedHtmlInput,
+    validateRichText,
+    prepareVariables,
+    getHtmlContext,
+    escapeHtmlVariable,
+    escapeTextVariable,
+    TrustedHtml,
+    ALLOWED_TAGS
+};
@@ -0,0 +1,130 @@
+/**
+ * Idempotency key store
+ *
+ * Remembers the response to each request sent with an idempotency key, so a client
+ * that retries after a timeout gets the original result back instead of sending the
+ * notification a second time. Keys are scoped (e.g. per endpoint) and expire after
+ * IDEMPOTENCY_TTL_MS.
+ */
+
+const crypto = require('crypto');
+const FileStore = require('./fileStore');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A claim that never completed (e.g. the process died mid-send) is released after this
+const IN_PROGRESS_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Serialize a value with object keys sorted, so equal payloads always serialize the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+class IdempotencyStore {
+    /**
+     * @param {Object} [options] - Options
+     * @param {FileStore} [options.store] - Entry store (defaults to DATA_DIR/idempotency.json)
+     * @param {number} [options.ttlMs] - How long a key is remembered (default: IDEMPOTENCY_TTL_MS or 24 hours)
+     */
+    constructor(options = {}) {
+        this.store = options.store || new FileStore('idempotency');
+        this.ttlMs = options.ttlMs || parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || DEFAULT_TTL_MS;
+    }
+
+    /**
+     * Fingerprint a request payload
+     * @param {*} payload - Request payload (without the idempotency key)
+     * @returns {string} SHA-256 hash of the canonical payload
+     */
+    fingerprint(payload) {
+        return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+    }
+
+    /**
+     * Claim a key before processing a request
+     * @param {string} scope - Key scope (e.g. the endpoint)
+     * @param {string} key - Idempotency key supplied by the client
+     * @param {string} fingerprint - Fingerprint of the request payload
+     * @returns {Object} Claim with status 'claimed' (process the request), 'replay' (with the stored
+     *   response), 'in_progress' (the first request is still running) or 'mismatch' (the key was
+     *   used for a different payload)
+     */
+    claim(scope, key, fingerprint) {
+        this.purgeExpired();
+
+        const id = `${scope}:${key}`;
+        const entry = this.store.get(id);
+        const now = Date.now();
+
+        if (entry && !(entry.status === 'in_progress' && now - Date.parse(entry.createdAt) > IN_PROGRESS_TIMEOUT_MS)) {
+            if (entry.fingerprint !== fingerprint) {
+                return { status: 'mismatch' };
+            }
+            if (entry.status === 'in_progress') {
+                return { status: 'in_progress' };
+            }
+            return { status: 'replay', response: entry.response };
+        }
+
+        this.store.set(id, {
+            scope,
+            key,
+            fingerprint,
+            status: 'in_progress',
+            response: null,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttlMs).toISOString()
+        });
+
+        return { status: 'claimed' };
+    }
+
+    /**
+     * Store the response for a claimed key
+     * @param {string} scope - Key scope
+     * @param {string} key - Idempotency key
+     * @param {Object} response - Response to replay for later requests with the same key
+     * @returns {Object|null} Updated entry or null if the key was not claimed
+     */
+    complete(scope, key, response) {
+        return this.store.update(`${scope}:${key}`, { status: 'completed', response });
+    }
+
+    /**
+     * Release a claimed key without storing a response, so the request can be retried
+     * @param {string} scope - Key scope
+     * @param {string} key - Idempotency key
+     * @returns {boolean} True if the key was released
+     */
+    release(scope, key) {
+        return this.store.delete(`${scope}:${key}`);
+    }
+
+    /**
+     * Remove expired entries, writing the store once however many there are
+     * @returns {number} Number of entries removed
+     */
+    purgeExpired() {
+        const now = new Date().toISOString();
+        const expired = this.store
+            .filter(entry => entry.expiresAt <= now)
+            .map(entry => `${entry.scope}:${entry.key}`);
+
+        return this.store.deleteMany(expired);
+    }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,55 @@
+/**
+ * Template lint CLI
+ *
+ * Usage:
+ *   npm run lint:templates
+ *   npm run lint:templates -- --json
+ *
+ * Checks the templates in TEMPLATES_DIR for consistency (see templateLint.js) and exits
+ * with status 1 if there are errors or a template file does not load; warnings are
+ * reported without failing.
+ */
+
+require('dotenv').config();
+
+const USAGE = `Usage:
+  npm run lint:templates
+  npm run lint:templates -- --json`;
+
+/**
+ * Run the template lint
+ * @param {Array} args - Command line arguments
+ * @returns {number} Exit code
+ */
+function run(args) {
+    const unknown = args.filter(arg => arg !== '--json');
+    if (unknown.length > 0) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    let report;
+    try {
+        // Loading the templates (on first use) already fails on invalid files
+        const SmsService = require('./smsService');
+        const { lintTemplates } = require('./templateLint');
+        report = lintTemplates({ smsService: new SmsService() });
+    } catch (error) {
+        console.error(`Templates could not be loaded: ${error.message}`);
+        return 1;
+    }
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        report.issues.forEach(issue => {
+            const where = [issue.channel, issue.type, issue.language].filter(Boolean).join('/');
+            console.log(`${issue.severity.padEnd(7)}  ${where}  ${issue.message}  [${issue.check}]`);
+        });
+        console.log(`${report.errors} error(s), ${report.warnings} warning(s)`);
+    }
+
+    return report.valid ? 0 : 1;
+}
+
+process.exitCode = run(process.argv.slice(2));
@@ -0,0 +1,82 @@
+/**
+ * API key management CLI
+ *
+ * Usage:
+ *   npm run api-keys -- create <client> <scope,scope,...>
+ *   npm run api-keys -- list
+ *   npm run api-keys -- revoke <id>
+ *
+ * Use this to create the first admin key; further keys can also be managed through
+ * /api/admin/api-keys.
+ */
+
+require('dotenv').config();
+const ApiKeyStore = require('./apiKeyStore');
+const { API_KEY_SCOPES } = require('./apiKeyStore');
+
+const USAGE = `Usage:
+  npm run api-keys -- create <client> <scope,scope,...>
+  npm run api-keys -- list
+  npm run api-keys -- revoke <id>
+
+Scopes: ${API_KEY_SCOPES.join(', ')}`;
+
+/**
+ * Run a CLI command
+ * @param {Array} args - Command line arguments
+ * @returns {number} Exit code
+ */
+function run(args) {
+    const [command, ...params] = args;
+    const apiKeyStore = new ApiKeyStore();
+
+    switch (command) {
+        case 'create': {
+            const [client, scopeList] = params;
+            const scopes = scopeList ? scopeList.split(',').map(scope => scope.trim()).filter(Boolean) : [];
+            const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+
+            if (!client || scopes.length === 0 || unknown.length > 0) {
+                if (unknown.length > 0) {
+                    console.error(`Unknown scopes: ${unknown.join(', ')}`);
+                }
+                console.error(USAGE);
+                return 1;
+            }
+
+            const { key, apiKey } = apiKeyStore.create(client, [...new Set(scopes)]);
+            console.log(`Created API key ${apiKey.id} for ${client} (${apiKey.scopes.join(', ')})`);
+            console.log(`Key: ${key}`);
+            console.log('Store this key now, it cannot be retrieved again.');
+            return 0;
+        }
+
+        case 'list': {
+            const apiKeys = apiKeyStore.list();
+            if (apiKeys.length === 0) {
+                console.log('No API keys');
+            }
+            apiKeys.forEach(apiKey => {
+                const state = apiKey.revokedAt ? `revoked ${apiKey.revokedAt}` : 'active';
+                console.log(`${apiKey.id}  ${apiKey.keyPrefix}...  ${apiKey.client}  [${apiKey.scopes.join(', ')}]  ${state}`);
+            });
+            return 0;
+        }
+
+        case 'revoke': {
+            const apiKey = params[0] && apiKeyStore.revoke(params[0]);
+            if (!apiKey) {
+                console.error(`API key '${params[0] || ''}' not found`);
+                return 1;
+            }
+            console.log(`Revoked API key ${apiKey.id} of ${apiKey.client}`);
+            return 0;
+        }
+
+        default:
+            console.error(USAGE);
+            return 1;
+    }
+}
+
+process.exitCode = run(process.argv.slice(2));
@@ -0,0 +1,375 @@
+/**
+ * Durable outbound message queue
+ *
+ * Jobs are persisted with FileStore before the caller gets a response, and a worker
+ * delivers them in the background. Failed jobs whose result is marked retryable are
+ * rescheduled with exponential backoff and jitter; jobs that run out of attempts or fail
+ * permanently are moved to the dead-letter state where they stay until retried by hand.
+ *
+ * Jobs can be scheduled for a later time (runAt) and cancelled while they are pending.
+ * Completed and cancelled jobs are kept for QUEUE_RETENTION_DAYS and then removed by a
+ * periodic compaction, so the queue file does not grow without bound. Dead jobs are never
+ * compacted: their messages were not delivered, so they stay until retried by hand.
+ *
+ * Job statuses: pending, processing, completed, dead, cancelled
+ */
+
+const crypto = require('crypto');
+const FileStore = require('./fileStore');
+
+// Finished jobs compaction removes (dead jobs still need a retry by hand)
+const COMPACTED_STATUSES = ['completed', 'cancelled'];
+
+// How often finished jobs past their retention are removed
+const COMPACTION_INTERVAL_MS = 60 * 60 * 1000;
+
+class MessageQueue {
+    /**
+     * @param {Object} [options] - Queue options
+     * @param {FileStore} [options.store] - Job store (defaults to DATA_DIR/queue.json)
+     * @param {number} [options.maxAttempts] - Delivery attempts before a job is dead-lettered
+     * @param {number} [options.backoffBaseMs] - Delay before the first retry
+     * @param {number} [options.backoffMaxMs] - Upper bound for the retry delay
+     * @param {number} [options.pollIntervalMs] - How often the worker looks for due jobs
+     * @param {number} [options.retentionDays] - Days completed and cancelled jobs are kept before compaction removes them
+     */
+    constructor(options = {}) {
+        this.store = options.store || new FileStore('queue');
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10);
+        this.backoffBaseMs = options.backoffBaseMs || parseInt(process.env.QUEUE_BACKOFF_BASE_MS || '5000', 10);
+        this.backoffMaxMs = options.backoffMaxMs || parseInt(process.env.QUEUE_BACKOFF_MAX_MS || '900000', 10);
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '1000', 10);
+        this.retentionDays = options.retentionDays || parseInt(process.env.QUEUE_RETENTION_DAYS || '7', 10);
+        this.handlers = {};
+        this.deadLetterListeners = [];
+        this.timer = null;
+        this.compactionTimer = null;
+        this.running = false;
+        this.processing = false;
+    }
+
+    /**
+     * Register the function that delivers jobs of a given type
+     * @param {string} type - Job type (e.g. email.issue)
+     * @param {Function} handler - Async function receiving (payload, job) and resolving to a service result
+     */
+    registerHandler(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    /**
+     * Register a function called with each job moved to the dead-letter state
+     * @param {Function} listener - Function receiving the dead job
+     */
+    onDeadLetter(listener) {
+        this.deadLetterListeners.push(listener);
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {string} type - Job type
+     * @param {Object} payload - Data passed to the handler
+     * @param {Object} [options] - Job options
+     * @param {number} [options.maxAttempts] - Override the queue's attempt limit
+     * @param {string} [options.messageId] - Message store record the job delivers
+     * @param {Date} [options.runAt] - Deliver no earlier than this time (default: now)
+     * @returns {Object} Created job
+     */
+    enqueue(type, payload, options = {}) {
+        if (!this.handlers[type]) {
+            throw new Error(`No handler registered for job type: ${type}`);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            payload,
+            messageId: options.messageId || null,
+            status: 'pending',
+            attempts: 0,
+            maxAttempts: options.maxAttempts || this.maxAttempts,
+            runAt: options.runAt ? options.runAt.toISOString() : now,
+            createdAt: now,
+            updatedAt: now,
+            lastError: null,
+            result: null
+        };
+
+        this.store.set(job.id, job);
+        this.schedule(0);
+
+        return job;
+    }
+
+    /**
+     * Get a job by id
+     * @param {string} id - Job id
+     * @returns {Object|null} Job or null if not found
+     */
+    getJob(id) {
+        return this.store.get(id);
+    }
+
+    /**
+     * List jobs, optionally filtered by status
+     * @param {string} [status] - Job status
+     * @returns {Array} Jobs, oldest first
+     */
+    listJobs(status) {
+        return this.store
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Get the most recent job delivering a message
+     * @param {string} messageId - Message store record id
+     * @returns {Object|null} Job or null if not found
+     */
+    findJobByMessageId(messageId) {
+        const jobs = this.store
+            .filter(job => job.messageId === messageId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return jobs[0] || null;
+    }
+
+    /**
+     * Cancel a job that has not been delivered yet
+     * @param {string} id - Job id
+     * @returns {Object|null} Updated job or null if the job is not pending
+     */
+    cancelJob(id) {
+        const job = this.store.get(id);
+        if (!job || job.status !== 'pending') {
+            return null;
+        }
+
+        return this.store.update(id, {
+            status: 'cancelled',
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Move a dead-lettered job back to pending with a fresh set of attempts
+     * @param {string} id - Job id
+     * @returns {Object|null} Updated job or null if the job is not dead
+     */
+    retryJob(id) {
+        const job = this.store.get(id);
+        if (!job || job.status !== 'dead') {
+            return null;
+        }
+
+        const updated = this.store.update(id, {
+            status: 'pending',
+            attempts: 0,
+            runAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+        this.schedule(0);
+
+        return updated;
+    }
+
+    /**
+     * Count jobs per status
+     * @returns {Object} Job counts keyed by status
+     */
+    getStats() {
+        return this.store.values().reduce((acc, job) => {
+            acc[job.status] = (acc[job.status] || 0) + 1;
+            return acc;
+        }, { pending: 0, processing: 0, completed: 0, dead: 0, cancelled: 0 });
+    }
+
+    /**
+     * Remove completed and cancelled jobs last updated before the retention period (dead jobs are kept)
+     * @param {Date} [now] - Current time
+     * @returns {number} Number of jobs removed
+     */
+    compact(now = new Date()) {
+        const cutoff = new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const expired = this.store
+            .filter(job => COMPACTED_STATUSES.includes(job.status) && job.updatedAt < cutoff)
+            .map(job => job.id);
+
+        const removed = this.store.deleteMany(expired);
+        if (removed > 0) {
+            console.log(`Message queue compaction removed ${removed} completed or cancelled job(s) older than ${this.retentionDays} day(s)`);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Compute the delay before the next attempt (exponential backoff with jitter)
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    computeBackoff(attempts) {
+        const exponential = Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, attempts - 1));
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * Start the background worker
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        // Jobs left in processing were interrupted by a restart, deliver them again
+        this.store.filter(job => job.status === 'processing').forEach(job => {
+            this.store.update(job.id, { status: 'pending', updatedAt: new Date().toISOString() });
+        });
+
+        this.running = true;
+        this.compact();
+        this.compactionTimer = setInterval(() => {
+            try {
+                this.compact();
+            } catch (error) {
+                console.error('Message queue compaction error:', error);
+            }
+        }, COMPACTION_INTERVAL_MS);
+        this.compactionTimer.unref();
+        this.schedule(0);
+    }
+
+    /**
+     * Stop the background worker
+     */
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.compactionTimer) {
+            clearInterval(this.compactionTimer);
+            this.compactionTimer = null;
+        }
+    }
+
+    /**
+     * Schedule the next worker run
+     * @param {number} delay - Delay in milliseconds
+     */
+    schedule(delay) {
+        if (!this.running) {
+            return;
+        }
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.processDue()
+                .catch(error => console.error('Message queue worker error:', error))
+                .finally(() => this.schedule(this.pollIntervalMs));
+        }, delay);
+        this.timer.unref();
+    }
+
+    /**
+     * Deliver every job that is due
+     * @returns {Promise<number>} Number of jobs processed
+     */
+    async processDue() {
+        if (this.processing) {
+            return 0;
+        }
+
+        this.processing = true;
+        let processed = 0;
+
+        try {
+            const now = new Date().toISOString();
+            const dueJobs = this.store
+                .filter(job => job.status === 'pending' && job.runAt <= now)
+                .sort((a, b) => a.runAt.localeCompare(b.runAt));
+
+            for (const dueJob of dueJobs) {
+                // Re-read the job in case it changed while earlier jobs were being delivered
+                const job = this.store.get(dueJob.id);
+                if (!job || job.status !== 'pending') {
+                    continue;
+                }
+
+                await this.processJob(job);
+                processed++;
+            }
+        } finally {
+            this.processing = false;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Deliver a single job and record the outcome
+     * @param {Object} job - Job to deliver
+     * @returns {Promise<Object>} Updated job
+     */
+    async processJob(job) {
+        const attempts = job.attempts + 1;
+        this.store.update(job.id, { status: 'processing', attempts, updatedAt: new Date().toISOString() });
+
+        let result;
+        try {
+            result = await this.handlers[job.type](job.payload, job);
+        } catch (error) {
+            result = { success: false, message: error.message, retryable: true };
+        }
+
+        const now = new Date();
+
+        if (result.success) {
+            return this.store.update(job.id, {
+                status: 'completed',
+                result,
+                lastError: null,
+                updatedAt: now.toISOString()
+            });
+        }
+
+        if (result.retryable && attempts < job.maxAttempts) {
+            const delay = this.computeBackoff(attempts);
+            console.warn(`Job ${job.id} (${job.type}) failed on attempt ${attempts}/${job.maxAttempts}, retrying in ${delay}ms: ${result.message}`);
+
+            return this.store.update(job.id, {
+                status: 'pending',
+                runAt: new Date(now.getTime() + delay).toISOString(),
+                lastError: result.message,
+                updatedAt: now.toISOString()
+            });
+        }
+
+        console.error(`Job ${job.id} (${job.type}) moved to dead-letter after ${attempts} attempt(s): ${result.message}`);
+
+        const deadJob = this.store.update(job.id, {
+            status: 'dead',
+            result,
+            lastError: result.message,
+            updatedAt: now.toISOString()
+        });
+
+        this.deadLetterListeners.forEach(listener => {
+            try {
+                listener(deadJob);
+            } catch (error) {
+                console.error(`Dead-letter listener failed for job ${job.id}:`, error);
+            }
+        });
+
+        return deadJob;
+    }
+}
+
+module.exports = MessageQueue;
@@ -0,0 +1,174 @@
+const express = require('express');
+const { messageStore, cancelMessage } = require('./services');
+const { MESSAGE_CHANNELS } = require('./messageStore');
+const { requireScope } = require('./auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/messages
+ * List tracked messages, newest first
+ *
+ * Query Parameters:
+ * - channel: string (optional) - email or sms
+ * - status: string (optional) - Current status (queued, scheduled, cancelled, sent, delivered, deferred, bounced, failed, opened, clicked, spam, unsubscribed)
+ * - recipient: string (optional) - Email address or phone number
+ * - ticketId: string (optional) - Ticket ID
+ * - tripId: string (optional) - Trip ID
+ * - template: string (optional) - Template status or notification type
+ * - since: string (optional) - Only messages created at or after this ISO date
+ * - until: string (optional) - Only messages created before this ISO date
+ * - limit: number (optional) - Page size (1-200, default 50)
+ * - offset: number (optional) - Number of messages to skip (default 0)
+ */
+router.get('/messages', requireScope('messages:read'), (req, res) => {
+    try {
+        const { channel, status, recipient, ticketId, tripId, template, since, until } = req.query;
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+        const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+        const errors = [];
+
+        if (channel && !MESSAGE_CHANNELS.includes(channel)) {
+            errors.push(`channel must be one of: ${MESSAGE_CHANNELS.join(', ')}`);
+        }
+
+        if (isNaN(limit) || limit < 1 || limit > 200) {
+            errors.push('limit must be a number between 1 and 200');
+        }
+
+        if (isNaN(offset) || offset < 0) {
+            errors.push('offset must be a non-negative number');
+        }
+
+        [['since', since], ['until', until]].forEach(([field, value]) => {
+            if (value && isNaN(Date.parse(value))) {
+                errors.push(`${field} must be a valid ISO date`);
+            }
+        });
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    details: errors
+                }
+            });
+        }
+
+        const result = messageStore.list({
+            channel,
+            status,
+            recipient,
+            ticketId,
+            tripId,
+            template,
+            since: since ? new Date(since).toISOString() : undefined,
+            until: until ? new Date(until).toISOString() : undefined,
+            limit,
+            offset
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                total: result.total,
+                limit,
+                offset,
+                messages: result.messages
+            }
+        });
+    } catch (error) {
+        console.error('Error in messages list endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * GET /api/messages/:id
+ * Get a tracked message and its status timeline
+ */
+router.get('/messages/:id', requireScope('messages:read'), (req, res) => {
+    try {
+        const message = messageStore.get(req.params.id);
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `Message '${req.params.id}' not found`,
+                    code: 'MESSAGE_NOT_FOUND'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { message }
+        });
+    } catch (error) {
+        console.error('Error in message endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * DELETE /api/messages/:id
+ * Cancel a scheduled or queued message before it is sent
+ */
+router.delete('/messages/:id', requireScope('messages:write'), (req, res) => {
+    try {
+        const result = cancelMessage(req.params.id);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `Message '${req.params.id}' not found`,
+                    code: 'MESSAGE_NOT_FOUND'
+                }
+            });
+        }
+
+        if (!result.cancelled) {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: `Message '${req.params.id}' is ${result.message.status} and can no longer be cancelled`,
+                    code: 'MESSAGE_NOT_CANCELLABLE'
+                }
+            });
+        }
+
+        console.log(`Cancelled message ${req.params.id} to ${result.message.recipient}`);
+
+        res.status(200).json({
+            success: true,
+            data: { message: result.message }
+        });
+    } catch (error) {
+        console.error('Error in message cancel endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+module.exports = router;
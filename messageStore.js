@@ -0,0 +1,263 @@
+/**
+ * Message status tracking store
+ *
+ * Every email and SMS gets a record with a notifier-issued id and a status timeline,
+ * so we can answer "did the customer get the notification for ticket X?" long after
+ * the request that sent it.
+ *
+ * Every status is appended to the timeline, but the record's status only moves forward:
+ * provider events can arrive late or out of order (a delivery report after the open, a
+ * "sent" report after "delivered"), so a status of a lower rank than the current one is
+ * only recorded in the timeline. Final statuses (failed, bounced, spam, ...) win over any
+ * other and are not replaced, except by a new send attempt (a "sent" recorded with the
+ * provider that accepted the message, e.g. when the queue retries a failed message).
+ */
+
+const crypto = require('crypto');
+const FileStore = require('./fileStore');
+
+const MESSAGE_CHANNELS = ['email', 'sms'];
+const MESSAGE_STATUSES = ['queued', 'scheduled', 'cancelled', 'suppressed', 'sent', 'delivered', 'deferred', 'bounced', 'failed', 'opened', 'clicked', 'spam', 'unsubscribed'];
+
+// Progress of a message through delivery; a status only replaces one of a lower rank
+const STATUS_RANKS = {
+    scheduled: 0,
+    queued: 0,
+    deferred: 1,
+    sent: 2,
+    delivered: 3,
+    opened: 4,
+    clicked: 5
+};
+
+// Final statuses, which replace any progress status and are never replaced by a later event
+const FINAL_STATUSES = ['cancelled', 'suppressed', 'failed', 'bounced', 'spam', 'unsubscribed'];
+
+/**
+ * Decide which status a record has after an event
+ * @param {Object} record - Message record
+ * @param {string} status - Status of the event
+ * @param {Object} fields - Fields recorded with the event
+ * @returns {string} The event's status if it moves the record forward, the current one otherwise
+ */
+function resolveStatus(record, status, fields) {
+    const newAttempt = status === 'sent' && !!fields.provider;
+    if (newAttempt || (FINAL_STATUSES.includes(status) && !FINAL_STATUSES.includes(record.status))) {
+        return status;
+    }
+    if (FINAL_STATUSES.includes(record.status) || FINAL_STATUSES.includes(status)) {
+        return record.status;
+    }
+    return STATUS_RANKS[status] >= STATUS_RANKS[record.status] ? status : record.status;
+}
+
+/**
+ * Convert a provider event time to an ISO timestamp
+ * @param {Date|string|number} [value] - Date, ISO string, or Unix time in seconds or milliseconds
+ * @returns {string|null} ISO timestamp, or null if missing or invalid
+ */
+function toTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const numeric = typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value));
+    const seconds = numeric && Number(value) < 1e11;
+    const date = value instanceof Date ? value : new Date(numeric ? Number(value) * (seconds ? 1000 : 1) : value);
+
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+class MessageStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {FileStore} [options.store] - Record store (defaults to DATA_DIR/messages.json)
+     */
+    constructor(options = {}) {
+        this.store = options.store || new FileStore('messages');
+        this.statusListeners = [];
+    }
+
+    /**
+     * Register a function called with the updated record after every status change
+     * @param {Function} listener - Function receiving the updated record
+     */
+    onStatus(listener) {
+        this.statusListeners.push(listener);
+    }
+
+    /**
+     * Create a message record
+     * @param {Object} data - Message data
+     * @param {string} data.channel - Channel (email or sms)
+     * @param {string} data.recipient - Email address or phone number
+     * @param {string} [data.template] - Template status or notification type
+     * @param {string} [data.language] - Template language
+     * @param {string} [data.ticketId] - Ticket ID
+     * @param {string} [data.tripId] - Trip ID
+     * @param {Date} [data.scheduledFor] - Time a scheduled message is due to be sent
+     * @param {string} [data.fallbackFor] - Id of the message this one is the channel fallback for
+     * @param {string} [status] - Initial status (default: queued)
+     * @returns {Object} Created record
+     */
+    create(data, status = 'queued') {
+        const now = new Date().toISOString();
+        const record = {
+            id: crypto.randomUUID(),
+            channel: data.channel,
+            recipient: data.recipient,
+            template: data.template || null,
+            language: data.language || null,
+            ticketId: data.ticketId || null,
+            tripId: data.tripId || null,
+            scheduledFor: data.scheduledFor ? data.scheduledFor.toISOString() : null,
+            fallbackFor: data.fallbackFor || null,
+            provider: null,
+            providerMessageId: null,
+            status,
+            timeline: [{ status, timestamp: now }],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        return this.store.set(record.id, record);
+    }
+
+    /**
+     * Get the record for an existing id, or create one
+     * @param {string|null} id - Existing record id (e.g. created when the message was queued)
+     * @param {Object} data - Message data used when a record has to be created
+     * @returns {Object} Message record
+     */
+    track(id, data) {
+        return (id && this.store.get(id)) || this.create(data);
+    }
+
+    /**
+     * Append a status to a record's timeline, moving the record's status forward if it ranks higher
+     * @param {string} id - Record id
+     * @param {string} status - New status
+     * @param {Object} [details] - Extra fields
+     * @param {string} [details.provider] - Provider that handled the message
+     * @param {string} [details.providerMessageId] - Provider message id
+     * @param {string} [details.detail] - Human-readable detail (e.g. error message)
+     * @param {string} [details.eventId] - Provider event id (used to ignore duplicate webhook events)
+     * @param {Date|string|number} [details.timestamp] - When the provider says the event happened (default: now)
+     * @returns {Object|null} Updated record or null if not found
+     */
+    addStatus(id, status, details = {}) {
+        const record = this.store.get(id);
+        if (!record) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const { detail, eventId, timestamp, ...fields } = details;
+        const entry = { status, timestamp: toTimestamp(timestamp) || now };
+        if (detail) {
+            entry.detail = detail;
+        }
+        if (eventId) {
+            entry.eventId = eventId;
+        }
+
+        const updated = this.store.set(id, {
+            ...record,
+            ...fields,
+            status: resolveStatus(record, status, fields),
+            timeline: [...record.timeline, entry],
+            updatedAt: now
+        });
+
+        this.statusListeners.forEach(listener => {
+            try {
+                listener(updated);
+            } catch (error) {
+                console.error(`Message status listener failed for ${id}:`, error);
+            }
+        });
+
+        return this.store.get(id);
+    }
+
+    /**
+     * Update fields of a record without changing its status
+     * @param {string} id - Record id
+     * @param {Object} changes - Fields to update
+     * @returns {Object|null} Updated record or null if not found
+     */
+    update(id, changes) {
+        if (!this.store.get(id)) {
+            return null;
+        }
+
+        return this.store.update(id, { ...changes, updatedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Get a record by id
+     * @param {string} id - Record id
+     * @returns {Object|null} Record or null if not found
+     */
+    get(id) {
+        return this.store.get(id);
+    }
+
+    /**
+     * Find a record by the id the provider assigned to the message
+     * @param {string} providerMessageId - Provider message id
+     * @param {string} [provider] - Only match records sent through this provider
+     * @returns {Object|null} Record or null if not found
+     */
+    findByProviderMessageId(providerMessageId, provider) {
+        return this.store.values().find(record => record.providerMessageId === providerMessageId
+            && (!provider || record.provider === provider)) || null;
+    }
+
+    /**
+     * Find the newest SMS record sent to a phone number, whatever format it was given in
+     * @param {string} phoneNumber - Phone number
+     * @returns {Object|null} Record or null if none was sent to the number
+     */
+    findLatestSmsTo(phoneNumber) {
+        const digits = String(phoneNumber).replace(/\D/g, '');
+
+        return this.store
+            .filter(record => record.channel === 'sms' && String(record.recipient).replace(/\D/g, '') === digits)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+    }
+
+    /**
+     * List records matching filters, newest first
+     * @param {Object} [filters] - Filters
+     * @param {string} [filters.channel] - Channel
+     * @param {string} [filters.status] - Current status
+     * @param {string} [filters.recipient] - Email address or phone number
+     * @param {string} [filters.ticketId] - Ticket ID
+     * @param {string} [filters.tripId] - Trip ID
+     * @param {string} [filters.template] - Template status or notification type
+     * @param {string} [filters.since] - Only records created at or after this ISO date
+     * @param {string} [filters.until] - Only records created before this ISO date
+     * @param {number} [filters.limit] - Maximum number of records (default: 50)
+     * @param {number} [filters.offset] - Number of records to skip (default: 0)
+     * @returns {Object} Total count and the requested page of records
+     */
+    list(filters = {}) {
+        const { limit = 50, offset = 0, since, until, ...fields } = filters;
+        const fieldFilters = Object.entries(fields).filter(([, value]) => value !== undefined && value !== '');
+
+        const matches = this.store
+            .filter(record => fieldFilters.every(([key, value]) => record[key] === value))
+            .filter(record => (!since || record.createdAt >= since) && (!until || record.createdAt < until))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return {
+            total: matches.length,
+            messages: matches.slice(offset, offset + limit)
+        };
+    }
+}
+
+module.exports = MessageStore;
+module.exports.MESSAGE_CHANNELS = MESSAGE_CHANNELS;
+module.exports.MESSAGE_STATUSES = MESSAGE_STATUSES;
@@ -0,0 +1,272 @@
+/**
+ * Multi-channel notification delivery
+ *
+ * A notification is a template type (an issue status or a trip notification type), the
+ * recipient's contact points and the template data:
+ *
+ *   { type, channels, email, phoneNumber, name, language, data }
+ *
+ * It is delivered on each requested channel (by default every channel with a contact point)
+ * through the email and SMS services, and every channel reports its own result. Types with
+ * a fallback policy (see fallbackService.js) go out on the policy's primary channel only, and
+ * the other channel is armed as a fallback when the notification has its contact point.
+ */
+
+const emailTemplates = require('./emailTemplates');
+const smsTemplates = require('./smsTemplates');
+const { validateEmailRequest, validateSmsRequest, validateTripRequest, validateSchedule, isValidTripNotificationType } = require('./validators');
+
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+class NotificationService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.emailService - Email service
+     * @param {Object} options.smsService - SMS service
+     * @param {Function} options.queueMessage - Queues a message for background delivery (see services.js)
+     * @param {Object} [options.fallbackService] - Channel fallback policies
+     */
+    constructor(options) {
+        this.emailService = options.emailService;
+        this.smsService = options.smsService;
+        this.queueMessage = options.queueMessage;
+        this.fallbackService = options.fallbackService || null;
+    }
+
+    /**
+     * Check whether a notification type is a trip notification
+     * @param {string} type - Notification type
+     * @returns {boolean} True for trip notification types
+     */
+    isTripType(type) {
+        return typeof type === 'string' && isValidTripNotificationType(type.trim());
+    }
+
+    /**
+     * Get the preference category of a notification type
+     * @param {string} type - Notification type
+     * @returns {string} trip_updates or ticket_updates
+     */
+    getCategory(type) {
+        return this.isTripType(type) ? 'trip_updates' : 'ticket_updates';
+    }
+
+    /**
+     * Get the channels a notification will be delivered on
+     * @param {Object} notification - Notification
+     * @returns {Array} Requested channels that have a contact point
+     */
+    getChannels(notification) {
+        const contacts = { email: notification.email, sms: notification.phoneNumber };
+        const policy = this.fallbackService ? this.fallbackService.getPolicy(notification.type) : null;
+        const requested = Array.isArray(notification.channels)
+            ? notification.channels
+            : (policy && contacts[policy.primary] ? [policy.primary] : NOTIFICATION_CHANNELS);
+
+        return NOTIFICATION_CHANNELS.filter(channel => requested.includes(channel) && !!contacts[channel]);
+    }
+
+    /**
+     * Get the fallback policy that applies to a notification
+     * @param {Object} notification - Notification
+     * @returns {Object|null} Policy, or null when the type has none, the notification is not sent on
+     * the primary channel, is already sent on the fallback channel or has no contact point for it
+     */
+    getFallback(notification) {
+        const policy = this.fallbackService ? this.fallbackService.getPolicy(notification.type) : null;
+        const channels = this.getChannels(notification);
+        const contacts = { email: notification.email, sms: notification.phoneNumber };
+
+        if (!policy || !channels.includes(policy.primary) || channels.includes(policy.fallback) || !contacts[policy.fallback]) {
+            return null;
+        }
+
+        return policy;
+    }
+
+    /**
+     * Arm the fallback of a notification on its primary message
+     * @param {Object} notification - Validated notification
+     * @param {string|null} trackingId - Primary message record id
+     * @returns {Object|null} Fallback (channel, status, until, trackingId) or null when none applies
+     */
+    armFallback(notification, trackingId) {
+        const policy = this.getFallback(notification);
+        if (!policy || !trackingId) {
+            return null;
+        }
+
+        const fallback = this.fallbackService.arm(trackingId, {
+            channel: policy.fallback,
+            jobType: `${policy.fallback}.${this.isTripType(notification.type) ? 'trip' : 'issue'}`,
+            payload: this.buildPayload(notification, policy.fallback),
+            windowMinutes: policy.windowMinutes
+        });
+
+        return fallback && {
+            channel: fallback.channel,
+            status: fallback.status,
+            until: fallback.until,
+            trackingId: fallback.trackingId
+        };
+    }
+
+    /**
+     * Build the request a channel's service expects for a notification
+     * @param {Object} notification - Notification
+     * @param {string} channel - email or sms
+     * @returns {Object} Issue or trip request for the email or SMS service
+     */
+    buildPayload(notification, channel) {
+        const { type, name, language, data } = notification;
+        const contact = channel === 'email' ? { email: notification.email } : { phoneNumber: notification.phoneNumber };
+
+        return this.isTripType(type)
+            ? { ...data, ...contact, name, language, notificationType: type }
+            : { ...data, ...contact, name, language, subject: type };
+    }
+
+    /**
+     * Validate a notification for every channel it will be delivered on
+     * @param {Object} notification - Notification
+     * @returns {Array} Validation errors
+     */
+    validate(notification) {
+        const errors = [];
+        const { type, channels, data } = notification;
+
+        if (!type) {
+            errors.push('type is required');
+        } else if (typeof type !== 'string' || !(emailTemplates.hasTemplate(type) || smsTemplates.hasTemplate(type))) {
+            errors.push(`type must be one of: ${[...new Set([...emailTemplates.getAvailableStatuses(), ...smsTemplates.getAvailableStatuses()])].join(', ')}`);
+        }
+
+        if (channels !== undefined) {
+            if (!Array.isArray(channels) || channels.length === 0) {
+                errors.push('channels must be a non-empty array');
+            } else {
+                channels.filter(channel => !NOTIFICATION_CHANNELS.includes(channel)).forEach(channel => {
+                    errors.push(`Unknown channel: ${channel}. Available: ${NOTIFICATION_CHANNELS.join(', ')}`);
+                });
+                if (channels.includes('email') && !notification.email) {
+                    errors.push('email is required for the email channel');
+                }
+                if (channels.includes('sms') && !notification.phoneNumber) {
+                    errors.push('phoneNumber is required for the sms channel');
+                }
+            }
+        } else if (!notification.email && !notification.phoneNumber) {
+            errors.push('Either email or phoneNumber is required');
+        }
+
+        if (data !== undefined && (!data || typeof data !== 'object' || Array.isArray(data))) {
+            errors.push('data must be an object');
+        }
+
+        errors.push(...validateSchedule(notification));
+
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        // Validate what each channel's service will receive, including the fallback channel;
+        // shared fields report their errors once
+        const fallback = this.getFallback(notification);
+        const channelsToCheck = [...this.getChannels(notification), ...(fallback ? [fallback.fallback] : [])];
+        channelsToCheck.forEach(channel => {
+            const payload = this.buildPayload(notification, channel);
+            const validation = this.isTripType(type)
+                ? validateTripRequest(payload)
+                : (channel === 'email' ? validateEmailRequest(payload) : validateSmsRequest(payload));
+            errors.push(...validation.errors);
+        });
+
+        return [...new Set(errors)];
+    }
+
+    /**
+     * Deliver a notification on one channel
+     * @param {Object} notification - Validated notification
+     * @param {string} channel - email or sms
+     * @returns {Promise<Object>} Channel result
+     */
+    async deliver(notification, channel) {
+        const payload = this.buildPayload(notification, channel);
+        const trip = this.isTripType(notification.type);
+
+        try {
+            const result = channel === 'email'
+                ? await (trip ? this.emailService.sendTripEmail(payload) : this.emailService.sendIssueEmail(payload))
+                : await (trip ? this.smsService.sendTripSms(payload) : this.smsService.sendIssueSms(payload));
+
+            return {
+                success: result.success,
+                trackingId: result.trackingId,
+                messageId: channel === 'email' ? result.messageId : undefined,
+                status: result.status,
+                message: result.message,
+                phoneNumber: channel === 'sms' ? result.phoneNumber : undefined,
+                truncatedVariables: channel === 'sms' ? result.truncatedVariables : undefined,
+                overBudget: channel === 'sms' ? result.overBudget : undefined,
+                error: result.success ? null : result.error
+            };
+        } catch (error) {
+            return {
+                success: false,
+                status: 'failed',
+                message: error.message,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Deliver a notification on all of its channels, one after the other
+     * @param {Object} notification - Validated notification
+     * @returns {Promise<Object>} Overall success and a result per channel (null for channels not used),
+     * the primary channel's result carrying its fallback
+     */
+    async send(notification) {
+        const results = { email: null, sms: null };
+        const policy = this.getFallback(notification);
+
+        for (const channel of this.getChannels(notification)) {
+            results[channel] = await this.deliver(notification, channel);
+            if (policy && channel === policy.primary) {
+                results[channel].fallback = this.armFallback(notification, results[channel].trackingId);
+            }
+        }
+
+        // A channel that failed but whose fallback is on its way does not fail the notification
+        return {
+            success: Object.values(results).every(result => result === null || result.success
+                || (!!result.fallback && result.fallback.status === 'triggered')),
+            results
+        };
+    }
+
+    /**
+     * Queue a notification on all of its channels for background delivery
+     * @param {Object} notification - Validated notification
+     * @param {Date|null} [sendAt] - Deliver at this time instead of right away
+     * @returns {Object} Queued job per channel (null for channels not used), with the armed fallback
+     */
+    enqueue(notification, sendAt) {
+        const kind = this.isTripType(notification.type) ? 'trip' : 'issue';
+        const jobs = { email: null, sms: null };
+
+        const policy = this.getFallback(notification);
+
+        this.getChannels(notification).forEach(channel => {
+            jobs[channel] = this.queueMessage(`${channel}.${kind}`, this.buildPayload(notification, channel), { sendAt });
+            if (policy && channel === policy.primary) {
+                jobs[channel].fallback = this.armFallback(notification, jobs[channel].trackingId);
+            }
+        });
+
+        return jobs;
+    }
+}
+
+module.exports = NotificationService;
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
@@ -0,0 +1,230 @@
+const express = require('express');
+const { preferenceStore, emailService } = require('./services');
+const { PREFERENCE_CHANNELS, NOTIFICATION_CATEGORIES } = require('./preferenceStore');
+const { isValidEmail, isValidPhoneNumber, isValidName, isValidLanguage } = require('./validators');
+const { requireScope } = require('./auth');
+
+const router = express.Router();
+
+/**
+ * Validate a preference update
+ * @param {Object} body - Request body
+ * @param {Object|null} current - Stored preferences (null for a new recipient)
+ * @returns {Array} Validation errors
+ */
+function validatePreferences(body, current) {
+    const errors = [];
+    const { email, phoneNumber, name, language, channel, categories } = body;
+
+    if (email !== undefined && email !== null && (typeof email !== 'string' || !isValidEmail(email.trim()))) {
+        errors.push('email must be a valid email address or null');
+    }
+
+    if (phoneNumber !== undefined && phoneNumber !== null && (typeof phoneNumber !== 'string' || !isValidPhoneNumber(phoneNumber.trim()))) {
+        errors.push('phoneNumber must be a valid phone number (7-15 digits) or null');
+    }
+
+    if (name !== undefined && name !== null && (typeof name !== 'string' || !isValidName(name.trim()))) {
+        errors.push('name must contain only letters, spaces, hyphens, and apostrophes (1-100 characters)');
+    }
+
+    if (language !== undefined && language !== null && (typeof language !== 'string' || !isValidLanguage(language.trim()))) {
+        errors.push('language must be one of: english, french, kinyarwanda');
+    }
+
+    if (channel !== undefined && !PREFERENCE_CHANNELS.includes(channel)) {
+        errors.push(`channel must be one of: ${PREFERENCE_CHANNELS.join(', ')}`);
+    }
+
+    if (categories !== undefined) {
+        if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+            errors.push('categories must be an object');
+        } else {
+            Object.entries(categories).forEach(([category, enabled]) => {
+                if (!NOTIFICATION_CATEGORIES.includes(category)) {
+                    errors.push(`Unknown category: ${category}. Available: ${NOTIFICATION_CATEGORIES.join(', ')}`);
+                } else if (typeof enabled !== 'boolean') {
+                    errors.push(`categories.${category} must be a boolean`);
+                }
+            });
+        }
+    }
+
+    if (errors.length === 0) {
+        const merged = { channel: 'both', ...current, ...body };
+        if (!merged.email && !merged.phoneNumber) {
+            errors.push('Either email or phoneNumber is required');
+        } else if (merged.channel === 'email' && !merged.email) {
+            errors.push('email is required when channel is email');
+        } else if (merged.channel === 'sms' && !merged.phoneNumber) {
+            errors.push('phoneNumber is required when channel is sms');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * GET /api/preferences
+ * List stored recipient preferences
+ */
+router.get('/preferences', requireScope('preferences:read'), (req, res) => {
+    try {
+        const preferences = preferenceStore.list();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                count: preferences.length,
+                channels: PREFERENCE_CHANNELS,
+                categories: NOTIFICATION_CATEGORIES,
+                preferences
+            }
+        });
+    } catch (error) {
+        console.error('Error in preferences list endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * GET /api/preferences/:recipientId
+ * Get a recipient's preferences
+ */
+router.get('/preferences/:recipientId', requireScope('preferences:read'), (req, res) => {
+    try {
+        const preferences = preferenceStore.get(req.params.recipientId);
+
+        if (!preferences) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `No preferences stored for recipient '${req.params.recipientId}'`,
+                    code: 'RECIPIENT_NOT_FOUND'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { preferences }
+        });
+    } catch (error) {
+        console.error('Error in preferences get endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * PUT /api/preferences/:recipientId
+ * Create or update a recipient's preferences (fields left out keep their current value)
+ *
+ * Body Parameters:
+ * - email: string (optional) - Email address (null to remove)
+ * - phoneNumber: string (optional) - Phone number (null to remove)
+ * - name: string (optional) - Name used in notifications
+ * - language: string (optional) - Preferred language (english, french, kinyarwanda)
+ * - channel: string (optional) - Preferred channel: email, sms or both (default: both)
+ * - categories: Object (optional) - Category opt-ins, e.g. { "ticket_updates": true, "trip_updates": false } (default: all true)
+ */
+router.put('/preferences/:recipientId', requireScope('preferences:write'), (req, res) => {
+    try {
+        const { recipientId } = req.params;
+        const current = preferenceStore.get(recipientId);
+        const errors = recipientId.length > 100 ? ['recipientId must be at most 100 characters'] : validatePreferences(req.body, current);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    details: errors
+                }
+            });
+        }
+
+        const { email, phoneNumber, name, language, channel, categories } = req.body;
+        const changes = {};
+        if (channel !== undefined) {
+            changes.channel = channel;
+        }
+        if (categories !== undefined) {
+            changes.categories = categories;
+        }
+        if (email !== undefined) {
+            changes.email = email ? email.trim() : null;
+        }
+        if (phoneNumber !== undefined) {
+            changes.phoneNumber = phoneNumber ? phoneNumber.trim() : null;
+        }
+        if (name !== undefined) {
+            changes.name = name ? name.trim() : null;
+        }
+        if (language !== undefined) {
+            changes.language = language ? emailService.normalizeLanguage(language) : null;
+        }
+
+        const preferences = preferenceStore.upsert(recipientId, changes);
+
+        res.status(current ? 200 : 201).json({
+            success: true,
+            data: { preferences }
+        });
+    } catch (error) {
+        console.error('Error in preferences update endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * DELETE /api/preferences/:recipientId
+ * Delete a recipient's preferences
+ */
+router.delete('/preferences/:recipientId', requireScope('preferences:write'), (req, res) => {
+    try {
+        if (!preferenceStore.delete(req.params.recipientId)) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `No preferences stored for recipient '${req.params.recipientId}'`,
+                    code: 'RECIPIENT_NOT_FOUND'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { recipientId: req.params.recipientId, deleted: true }
+        });
+    } catch (error) {
+        console.error('Error in preferences delete endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+module.exports = router;
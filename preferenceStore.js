@@ -0,0 +1,112 @@
+/**
+ * Recipient notification preferences
+ *
+ * Callers identify a recipient by their own id (e.g. the user id in the ticketing system).
+ * Each record holds the recipient's addresses, preferred language and channel, and the
+ * notification categories they want, so send requests can name just the recipient.
+ */
+
+const FileStore = require('./fileStore');
+
+const PREFERENCE_CHANNELS = ['email', 'sms', 'both'];
+
+// Category of each kind of notification: issue status updates and trip updates
+const NOTIFICATION_CATEGORIES = ['ticket_updates', 'trip_updates'];
+
+class PreferenceStore {
+    /**
+     * @param {Object} [options] - Options
+     * @param {FileStore} [options.store] - Preference store (defaults to DATA_DIR/preferences.json)
+     */
+    constructor(options = {}) {
+        this.store = options.store || new FileStore('preferences');
+    }
+
+    /**
+     * Get a recipient's preferences
+     * @param {string} recipientId - Recipient id
+     * @returns {Object|null} Preferences or null if none are stored
+     */
+    get(recipientId) {
+        return this.store.get(recipientId);
+    }
+
+    /**
+     * Create or update a recipient's preferences (fields left out keep their current value)
+     * @param {string} recipientId - Recipient id
+     * @param {Object} changes - Preferences to set
+     * @param {string} [changes.email] - Email address (null to remove)
+     * @param {string} [changes.phoneNumber] - Phone number (null to remove)
+     * @param {string} [changes.name] - Name used in notifications
+     * @param {string} [changes.language] - Preferred language (english, french, kinyarwanda)
+     * @param {string} [changes.channel] - Preferred channel (email, sms, both)
+     * @param {Object} [changes.categories] - Category opt-ins ({ ticket_updates: true, trip_updates: false })
+     * @returns {Object} Stored preferences
+     */
+    upsert(recipientId, changes) {
+        const now = new Date().toISOString();
+        const current = this.store.get(recipientId) || {
+            recipientId,
+            email: null,
+            phoneNumber: null,
+            name: null,
+            language: null,
+            channel: 'both',
+            categories: NOTIFICATION_CATEGORIES.reduce((acc, category) => ({ ...acc, [category]: true }), {}),
+            createdAt: now
+        };
+
+        return this.store.set(recipientId, {
+            ...current,
+            ...changes,
+            categories: { ...current.categories, ...changes.categories },
+            recipientId,
+            updatedAt: now
+        });
+    }
+
+    /**
+     * Delete a recipient's preferences
+     * @param {string} recipientId - Recipient id
+     * @returns {boolean} True if preferences were deleted
+     */
+    delete(recipientId) {
+        return this.store.delete(recipientId);
+    }
+
+    /**
+     * List stored preferences
+     * @returns {Array} Preferences, most recently updated first
+     */
+    list() {
+        return this.store.values().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Work out how to reach a recipient for a notification category
+     * @param {string} recipientId - Recipient id
+     * @param {string} category - Notification category (ticket_updates, trip_updates)
+     * @returns {Object|null} Preferences plus the channels to use (empty when the recipient
+     * opted out of the category), or null if the recipient is unknown
+     */
+    resolve(recipientId, category) {
+        const preferences = this.store.get(recipientId);
+        if (!preferences) {
+            return null;
+        }
+
+        const wanted = preferences.channel === 'both' ? ['email', 'sms'] : [preferences.channel];
+        const addresses = { email: preferences.email, sms: preferences.phoneNumber };
+
+        return {
+            ...preferences,
+            channels: preferences.categories[category] === false
+                ? []
+                : wanted.filter(channel => !!addresses[channel])
+        };
+    }
+}
+
+module.exports = PreferenceStore;
+module.exports.PREFERENCE_CHANNELS = PREFERENCE_CHANNELS;
+module.exports.NOTIFICATION_CATEGORIES = NOTIFICATION_CATEGORIES;
@@ -0,0 +1,148 @@
+const express = require('express');
+const { messageQueue } = require('./services');
+const { requireScope } = require('./auth');
+
+const router = express.Router();
+
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'dead', 'cancelled'];
+
+/**
+ * GET /api/queue/stats
+ * Get the number of queued jobs per status
+ */
+router.get('/queue/stats', requireScope('admin'), (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                stats: messageQueue.getStats(),
+                configuration: {
+                    maxAttempts: messageQueue.maxAttempts,
+                    backoffBaseMs: messageQueue.backoffBaseMs,
+                    backoffMaxMs: messageQueue.backoffMaxMs
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error in queue stats endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * GET /api/queue/jobs
+ * List queued jobs
+ *
+ * Query Parameters:
+ * - status: string (optional) - Job status (pending, processing, completed, dead)
+ */
+router.get('/queue/jobs', requireScope('admin'), (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `status must be one of: ${JOB_STATUSES.join(', ')}`,
+                    code: 'INVALID_INPUT'
+                }
+            });
+        }
+
+        const jobs = messageQueue.listJobs(status);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                count: jobs.length,
+                jobs
+            }
+        });
+    } catch (error) {
+        console.error('Error in queue jobs endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * GET /api/queue/jobs/:id
+ * Get a queued job by id
+ */
+router.get('/queue/jobs/:id', requireScope('admin'), (req, res) => {
+    try {
+        const job = messageQueue.getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `Job '${req.params.id}' not found`,
+                    code: 'JOB_NOT_FOUND'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { job }
+        });
+    } catch (error) {
+        console.error('Error in queue job endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * POST /api/queue/jobs/:id/retry
+ * Move a dead-lettered job back to the queue
+ */
+router.post('/queue/jobs/:id/retry', requireScope('admin'), (req, res) => {
+    try {
+        const job = messageQueue.retryJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `Dead-lettered job '${req.params.id}' not found`,
+                    code: 'JOB_NOT_FOUND'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { job }
+        });
+    } catch (error) {
+        console.error('Error in queue retry endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const { quotaStore } = require('./services');
+const { QUOTA_CHANNELS } = require('./quotaStore');
+const { requireScope } = require('./auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/clients/:client/quota
+ * Get a client's limits and its usage this month
+ */
+router.get('/admin/clients/:client/quota', requireScope('admin'), (req, res) => {
+    try {
+        const { client } = req.params;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                client,
+                limits: quotaStore.getLimits(client),
+                rateLimitWindowMs: quotaStore.windowMs,
+                quota: quotaStore.getQuota(client)
+            }
+        });
+    } catch (error) {
+        console.error('Error in client quota endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/clients/:client/limits
+ * Override a client's limits (fields left out keep their current value)
+ *
+ * Body Parameters:
+ * - email: Object (optional) - { rateLimit, monthlyQuota } for email
+ * - sms: Object (optional) - { rateLimit, monthlyQuota } for SMS
+ *
+ * rateLimit is the number of requests per rate limit window; monthlyQuota is the number of
+ * messages per calendar month (0 = unlimited).
+ */
+router.put('/admin/clients/:client/limits', requireScope('admin'), (req, res) => {
+    try {
+        const { client } = req.params;
+        const errors = [];
+        const limits = {};
+
+        QUOTA_CHANNELS.forEach(channel => {
+            const channelLimits = req.body[channel];
+            if (channelLimits === undefined) {
+                return;
+            }
+
+            if (!channelLimits || typeof channelLimits !== 'object') {
+                errors.push(`${channel} must be an object`);
+                return;
+            }
+
+            limits[channel] = {};
+            ['rateLimit', 'monthlyQuota'].forEach(field => {
+                const value = channelLimits[field];
+                if (value === undefined) {
+                    return;
+                }
+                if (!Number.isInteger(value) || value < 0 || (field === 'rateLimit' && value === 0)) {
+                    errors.push(`${channel}.${field} must be a ${field === 'rateLimit' ? 'positive' : 'non-negative'} integer`);
+                    return;
+                }
+                limits[channel][field] = value;
+            });
+        });
+
+        if (errors.length === 0 && Object.keys(limits).length === 0) {
+            errors.push(`At least one of ${QUOTA_CHANNELS.join(', ')} is required`);
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    details: errors
+                }
+            });
+        }
+
+        const updated = quotaStore.setLimits(client, limits);
+
+        console.log(`Limits of client ${client} updated by ${req.client.client}`);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                client,
+                limits: updated
+            }
+        });
+    } catch (error) {
+        console.error('Error in client limits endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/clients/:client/limits
+ * Remove a client's overrides so the default limits apply again
+ */
+router.delete('/admin/clients/:client/limits', requireScope('admin'), (req, res) => {
+    try {
+        const { client } = req.params;
+        quotaStore.resetLimits(client);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                client,
+                limits: quotaStore.getLimits(client)
+            }
+        });
+    } catch (error) {
+        console.error('Error in client limits reset endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+module.exports = router;
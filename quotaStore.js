@@ -0,0 +1,205 @@
+/**
+ * Per-client rate limits and monthly message quotas
+ *
+ * Every API client has, per channel, a request limit per rate limit window and a monthly
+ * message quota. Defaults come from the environment and admins can override them per
+ * client. Usage is counted per calendar month (UTC); a quota of 0 means unlimited.
+ */
+
+const FileStore = require('./fileStore');
+
+const QUOTA_CHANNELS = ['email', 'sms'];
+
+/**
+ * Read a non-negative integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when the variable is unset or invalid
+ * @returns {number} Value
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+class QuotaStore {
+    /**
+     * @param {Object} [options] - Options
+     * @param {FileStore} [options.limitStore] - Per-client overrides (defaults to DATA_DIR/clientLimits.json)
+     * @param {FileStore} [options.usageStore] - Monthly usage (defaults to DATA_DIR/quotaUsage.json)
+     * @param {Object} [options.defaults] - Default limits per channel ({ rateLimit, monthlyQuota })
+     */
+    constructor(options = {}) {
+        this.limitStore = options.limitStore || new FileStore('clientLimits');
+        this.usageStore = options.usageStore || new FileStore('quotaUsage');
+        this.windowMs = options.windowMs || envInt('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000);
+        this.defaults = options.defaults || {
+            email: {
+                rateLimit: envInt('EMAIL_RATE_LIMIT', 100),
+                monthlyQuota: envInt('EMAIL_MONTHLY_QUOTA', 0)
+            },
+            sms: {
+                rateLimit: envInt('SMS_RATE_LIMIT', 100),
+                monthlyQuota: envInt('SMS_MONTHLY_QUOTA', 0)
+            }
+        };
+    }
+
+    /**
+     * Get the effective limits of a client
+     * @param {string} client - Client name
+     * @returns {Object} Limits per channel ({ rateLimit, monthlyQuota })
+     */
+    getLimits(client) {
+        const overrides = (this.limitStore.get(client) || {}).limits || {};
+
+        return QUOTA_CHANNELS.reduce((acc, channel) => {
+            acc[channel] = { ...this.defaults[channel], ...overrides[channel] };
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Override limits for a client (channels and fields left out keep their current value)
+     * @param {string} client - Client name
+     * @param {Object} limits - Limits per channel ({ rateLimit, monthlyQuota })
+     * @returns {Object} Effective limits
+     */
+    setLimits(client, limits) {
+        const current = (this.limitStore.get(client) || {}).limits || {};
+        const merged = QUOTA_CHANNELS.reduce((acc, channel) => {
+            if (current[channel] || limits[channel]) {
+                acc[channel] = { ...current[channel], ...limits[channel] };
+            }
+            return acc;
+        }, {});
+
+        this.limitStore.set(client, {
+            client,
+            limits: merged,
+            updatedAt: new Date().toISOString()
+        });
+
+        return this.getLimits(client);
+    }
+
+    /**
+     * Remove a client's overrides so the defaults apply again
+     * @param {string} client - Client name
+     * @returns {boolean} True if overrides were removed
+     */
+    resetLimits(client) {
+        return this.limitStore.delete(client);
+    }
+
+    /**
+     * Get the quota period for a date
+     * @param {Date} [date] - Date (default: now)
+     * @returns {string} Period (YYYY-MM, UTC)
+     */
+    getPeriod(date = new Date()) {
+        return date.toISOString().slice(0, 7);
+    }
+
+    /**
+     * Get the time the current quota period ends
+     * @param {Date} [date] - Date (default: now)
+     * @returns {Date} Start of the next month (UTC)
+     */
+    getResetTime(date = new Date()) {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    }
+
+    /**
+     * Get a client's message counts for a period
+     * @param {string} client - Client name
+     * @param {string} [period] - Period (default: current month)
+     * @returns {Object} Messages sent per channel
+     */
+    getUsage(client, period = this.getPeriod()) {
+        const usage = this.usageStore.get(`${client}:${period}`) || {};
+
+        return QUOTA_CHANNELS.reduce((acc, channel) => {
+            acc[channel] = usage[channel] || 0;
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Get a client's quota state for the current period
+     * @param {string} client - Client name
+     * @returns {Object} Period, reset time and { limit, used, remaining } per channel (limit 0 = unlimited)
+     */
+    getQuota(client) {
+        const limits = this.getLimits(client);
+        const usage = this.getUsage(client);
+
+        return {
+            period: this.getPeriod(),
+            resetsAt: this.getResetTime().toISOString(),
+            channels: QUOTA_CHANNELS.reduce((acc, channel) => {
+                const limit = limits[channel].monthlyQuota;
+                acc[channel] = {
+                    limit,
+                    used: usage[channel],
+                    remaining: limit > 0 ? Math.max(limit - usage[channel], 0) : null
+                };
+                return acc;
+            }, {})
+        };
+    }
+
+    /**
+     * Count messages against a client's monthly quota, unless that would exceed it
+     * @param {string} client - Client name
+     * @param {Object} counts - Messages to count per channel
+     * @returns {Object} Result with allowed boolean, the period counted in and the quota state
+     */
+    consume(client, counts) {
+        const period = this.getPeriod();
+        const quota = this.getQuota(client);
+
+        const exceeded = QUOTA_CHANNELS.filter(channel => {
+            const { limit, used } = quota.channels[channel];
+            return counts[channel] > 0 && limit > 0 && used + counts[channel] > limit;
+        });
+
+        if (exceeded.length > 0) {
+            return { allowed: false, exceeded, period, quota };
+        }
+
+        this.adjustUsage(client, period, counts, 1);
+
+        return { allowed: true, period, quota: this.getQuota(client) };
+    }
+
+    /**
+     * Give back messages counted for a request that was not accepted
+     * @param {string} client - Client name
+     * @param {string} period - Period the messages were counted in
+     * @param {Object} counts - Messages per channel
+     */
+    refund(client, period, counts) {
+        this.adjustUsage(client, period, counts, -1);
+    }
+
+    /**
+     * Add or subtract message counts
+     * @param {string} client - Client name
+     * @param {string} period - Period
+     * @param {Object} counts - Messages per channel
+     * @param {number} sign - 1 to add, -1 to subtract
+     */
+    adjustUsage(client, period, counts, sign) {
+        const id = `${client}:${period}`;
+        const usage = this.usageStore.get(id) || { client, period };
+
+        QUOTA_CHANNELS.forEach(channel => {
+            usage[channel] = Math.max((usage[channel] || 0) + sign * (counts[channel] || 0), 0);
+        });
+
+        this.usageStore.set(id, { ...usage, updatedAt: new Date().toISOString() });
+    }
+}
+
+module.exports = QuotaStore;
+module.exports.QUOTA_CHANNELS = QUOTA_CHANNELS;
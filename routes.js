@@ -1,48 +1,340 @@
 const express = require('express');
-const rateLimit = require('express-rate-limit');
-const EmailService = require('./emailService');
-const SmsService = require('./smsService');
-const { validateEmailRequest, validateSmsRequest, validateTripRequest, validateBulkTripRequest } = require('./validators');
+const { emailService, smsService, idempotencyStore, preferenceStore, notificationService, templateVersionStore, queueMessage } = require('./services');
+const templateLoader = require('./templateLoader');
+const { requireScope } = require('./auth');
+const { limitClient } = require('./clientLimits');
+const { NOTIFICATION_CHANNELS } = require('./notificationService');
+const { validateEmailRequest, validateBulkEmailRequest, validateSmsRequest, validateBulkSmsRequest, validateTripRequest, validateBulkTripRequest, validateSchedule, getScheduledTime } = require('./validators');
 
 const router = express.Router();
-const emailService = new EmailService();
-const smsService = new SmsService();
-
-// Rate limiting middleware
-const emailRateLimit = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per windowMs
-    message: {
-        error: 'Too many email requests from this IP, please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED'
+
+// Messages per channel requested by each kind of send request (for rate limits and quotas)
+const countEmail = () => ({ email: 1 });
+const countBulkEmail = body => ({ email: Array.isArray(body.emails) ? body.emails.length : 0 });
+const countSms = () => ({ sms: 1 });
+const countBulkSms = body => ({ sms: Array.isArray(body.smsList) ? body.smsList.length : 0 });
+const countTrip = body => ({ email: body.email ? 1 : 0, sms: body.phoneNumber ? 1 : 0 });
+const countNotification = body => notificationService.getChannels(body).reduce((acc, channel) => ({ ...acc, [channel]: 1 }), { email: 0, sms: 0 });
+const countBulkTrip = body => (Array.isArray(body.trips) ? body.trips : []).reduce((acc, trip) => ({
+    email: acc.email + (trip && trip.email ? 1 : 0),
+    sms: acc.sms + (trip && trip.phoneNumber ? 1 : 0)
+}), { email: 0, sms: 0 });
+
+/**
+ * Respond with 202 Accepted for requests handed to the message queue
+ * @param {Object} res - Express response
+ * @param {Object} data - Response data (must include the queued job ids)
+ */
+function respondQueued(res, data) {
+    res.status(202).json({
+        success: true,
+        data: {
+            status: data.sendAt ? 'scheduled' : 'queued',
+            ...data
+        }
+    });
+}
+
+/**
+ * Get the active version of the template a template lookup returns
+ * @param {string} channel - email or sms
+ * @param {string} type - Status or notification type
+ * @param {string} language - Requested language (English is used when it has no template)
+ * @returns {number|null} Version number or null if the template has no history
+ */
+function getActiveVersion(channel, type, language) {
+    const resolved = templateLoader.resolveLanguage(channel, type, language);
+    return resolved && templateVersionStore.getActiveVersion(channel, type.toLowerCase().replace(/[-_\s]/g, '_'), resolved);
+}
+
+/**
+ * Make a send endpoint idempotent
+ *
+ * A request with an Idempotency-Key header (or idempotencyKey body field) is processed once
+ * per client and endpoint; repeating it within the idempotency window replays the original response
+ * with an Idempotent-Replayed header. Only successful (2xx) responses are stored, so a
+ * request that failed can be retried with the same key.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function idempotent(req, res, next) {
+    const body = req.body || {};
+    const key = req.get('Idempotency-Key') || body.idempotencyKey;
+    delete body.idempotencyKey;
+
+    if (key === undefined) {
+        return next();
+    }
+
+    if (typeof key !== 'string' || key.length === 0 || key.length > 255) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Idempotency key must be a string of 1-255 characters',
+                code: 'INVALID_IDEMPOTENCY_KEY'
+            }
+        });
+    }
+
+    const scope = `${req.client.client} ${req.method} ${req.baseUrl}${req.path}`;
+    const claim = idempotencyStore.claim(scope, key, idempotencyStore.fingerprint(body));
+
+    if (claim.status === 'replay') {
+        console.log(`Replaying response for idempotency key ${key} on ${scope}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.response.statusCode).json(claim.response.body);
+    }
+
+    if (claim.status === 'in_progress') {
+        return res.status(409).json({
+            success: false,
+            error: {
+                message: 'A request with this idempotency key is still being processed',
+                code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+            }
+        });
     }
-});
 
-// Apply rate limiting to all email routes
-router.use(emailRateLimit);
+    if (claim.status === 'mismatch') {
+        return res.status(422).json({
+            success: false,
+            error: {
+                message: 'Idempotency key was already used for a different request',
+                code: 'IDEMPOTENCY_KEY_REUSED'
+            }
+        });
+    }
+
+    const json = res.json.bind(res);
+    res.json = responseBody => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+            idempotencyStore.complete(scope, key, { statusCode: res.statusCode, body: responseBody });
+        } else {
+            idempotencyStore.release(scope, key);
+        }
+        return json(responseBody);
+    };
+
+    next();
+}
+
+/**
+ * Create middleware that lets a send request name a recipient instead of giving addresses
+ *
+ * When the body has a recipientId, the recipient's stored preferences supply the addresses
+ * of the channels they want for the category (replacing any given in the request), their
+ * language (falling back to the request's language) and their name if the request has none.
+ * A request listing channels has the list narrowed to the ones the recipient wants.
+ * Runs after idempotent, so the idempotency fingerprint covers the request as sent.
+ * @param {string|Function} category - Notification category of the route (ticket_updates,
+ *   trip_updates), or a function returning it for the request body
+ * @param {Array|Function} channels - Channels the route can send on (email, sms), or a
+ *   function returning them for the request body
+ * @returns {Function} Express middleware
+ */
+function resolveRecipient(category, channels) {
+    return (req, res, next) => {
+        const { recipientId, ...body } = req.body || {};
+
+        if (recipientId === undefined) {
+            return next();
+        }
+
+        const requestCategory = typeof category === 'function' ? category(body) : category;
+        const requestChannels = typeof channels === 'function' ? channels(body) : channels;
+
+        if (typeof recipientId !== 'string' || !recipientId.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    details: ['recipientId must be a non-empty string']
+                }
+            });
+        }
+
+        const recipient = preferenceStore.resolve(recipientId.trim(), requestCategory);
+
+        if (!recipient) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `No preferences stored for recipient '${recipientId}'`,
+                    code: 'RECIPIENT_NOT_FOUND'
+                }
+            });
+        }
+
+        const wanted = requestChannels.filter(channel => recipient.channels.includes(channel));
+
+        if (wanted.length === 0) {
+            console.log(`Not sending ${requestCategory} to recipient ${recipient.recipientId}: no wanted channel among ${requestChannels.join(', ')}`);
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: `Recipient '${recipient.recipientId}' does not want ${requestCategory} by ${requestChannels.join(' or ')}`,
+                    code: 'RECIPIENT_OPTED_OUT'
+                }
+            });
+        }
+
+        delete body.email;
+        delete body.phoneNumber;
+
+        req.body = {
+            ...body,
+            ...(wanted.includes('email') ? { email: recipient.email } : {}),
+            ...(wanted.includes('sms') ? { phoneNumber: recipient.phoneNumber } : {}),
+            ...(Array.isArray(body.channels) ? { channels: wanted } : {}),
+            name: body.name || recipient.name || undefined,
+            language: recipient.language || body.language
+        };
+        req.recipient = recipient;
+
+        next();
+    };
+}
+
+/**
+ * Process the items of a bulk request, honouring per-item idempotency keys
+ *
+ * Items with an idempotencyKey that was already processed successfully get their original
+ * result back (marked replayed) and are not sent again; the other items are passed to send.
+ * @param {Object} req - Express request (used to scope the keys to the client and endpoint)
+ * @param {Array} items - Bulk request items, optionally with an idempotencyKey each
+ * @param {Function} identify - Returns the fields identifying an item in the response
+ * @param {Function} send - Sends items (without their keys); resolves to one response item
+ *   per input item, in order, each with a success flag
+ * @returns {Promise<Array>} Response items, in the same order as items
+ */
+async function processBulkItems(req, items, identify, send) {
+    const scope = `${req.client.client} ${req.method} ${req.baseUrl}${req.path}#item`;
+
+    const entries = items.map(({ idempotencyKey, ...data }) => ({
+        data,
+        key: idempotencyKey,
+        claim: idempotencyKey ? idempotencyStore.claim(scope, idempotencyKey, idempotencyStore.fingerprint(data)) : null
+    }));
+
+    const pending = entries.filter(entry => !entry.claim || entry.claim.status === 'claimed');
+    const sent = pending.length > 0 ? await send(pending.map(entry => entry.data)) : [];
+
+    pending.forEach((entry, index) => {
+        entry.result = sent[index];
+        if (entry.key) {
+            if (entry.result.success) {
+                idempotencyStore.complete(scope, entry.key, entry.result);
+            } else {
+                idempotencyStore.release(scope, entry.key);
+            }
+        }
+    });
+
+    return entries.map(entry => {
+        if (entry.result) {
+            return entry.result;
+        }
+
+        if (entry.claim.status === 'replay') {
+            return { ...entry.claim.response, replayed: true };
+        }
+
+        const message = entry.claim.status === 'in_progress'
+            ? 'An item with this idempotency key is still being processed'
+            : 'Idempotency key was already used for a different item';
+
+        return {
+            ...identify(entry.data),
+            success: false,
+            message,
+            error: entry.claim.status === 'in_progress' ? 'IDEMPOTENCY_KEY_IN_PROGRESS' : 'IDEMPOTENCY_KEY_REUSED'
+        };
+    });
+}
+
+/**
+ * Fields identifying an email in bulk responses
+ * @param {Object} emailData - Email request item
+ * @returns {Object} Identifying fields
+ */
+function identifyEmail(emailData) {
+    return { email: emailData.email, ticketId: emailData.ticketId };
+}
+
+/**
+ * Fields identifying an SMS in bulk responses
+ * @param {Object} smsData - SMS request item
+ * @returns {Object} Identifying fields
+ */
+function identifySms(smsData) {
+    return { phoneNumber: smsData.phoneNumber, ticketId: smsData.ticketId };
+}
+
+/**
+ * Fields identifying a trip notification in bulk responses
+ * @param {Object} tripData - Trip request item
+ * @returns {Object} Identifying fields
+ */
+function identifyTrip(tripData) {
+    return {
+        tripId: tripData.tripId,
+        destinationName: tripData.destinationName,
+        notificationType: tripData.notificationType
+    };
+}
 
 /**
  * POST /api/email/send
  * Send a single email based on issue status
  * 
  * Body Parameters:
- * - email: string (required) - Recipient email address
+ * - email: string (required unless recipientId is given) - Recipient email address
+ * - recipientId: string (optional) - Recipient whose stored preferences supply email, name and language
  * - ticketId: string (required) - Ticket ID
- * - name: string (required) - Recipient name
- * - language: string (required) - Language preference (english, french, kinyarwanda)
+ * - name: string (required unless stored for recipientId) - Recipient name
+ * - language: string (required unless stored for recipientId) - Language preference (english, french, kinyarwanda)
  * - subject: string (required) - Issue status (received, resolved, escalated, assigned, closed, in_progress)
  * - assignedTo: string (optional) - Name of person assigned to (for assignment/escalation)
  * - escalatedTo: string (optional) - Name of person escalated to
  * - issueTitle: string (optional) - Title of the issue
  * - responseMessage: string (optional) - Response message for responses
+ * - async: boolean (optional) - Queue the email and respond with 202 instead of waiting for delivery
+ * - sendAt: string (optional) - ISO 8601 time to send the email at (implies async)
+ * - idempotencyKey: string (optional) - Same as the Idempotency-Key header
+ *
+ * Headers:
+ * - Idempotency-Key: string (optional) - Repeated requests with the same key return the original response
  */
-router.post('/email/send', async (req, res) => {
+router.post('/email/send', requireScope('email:send'), idempotent, resolveRecipient('ticket_updates', ['email']), limitClient(countEmail), async (req, res) => {
     try {
-        const emailData = req.body;
+        const { async: queued, ...emailData } = req.body;
+        const sendAt = getScheduledTime(emailData);
         
         // Log incoming request (excluding sensitive data)
         console.log(`Email request received for ticket ${emailData.ticketId} with status ${emailData.subject}`);
         
+        if (queued || sendAt) {
+            const validation = validateEmailRequest(emailData);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_FAILED',
+                        details: validation.errors
+                    }
+                });
+            }
+            
+            return respondQueued(res, {
+                ...queueMessage('email.issue', emailData, { sendAt }),
+                ticketId: emailData.ticketId,
+                recipient: emailData.email
+            });
+        }
+        
         // Send email
         const result = await emailService.sendIssueEmail(emailData);
         
@@ -50,6 +342,7 @@ router.post('/email/send', async (req, res) => {
             res.status(200).json({
                 success: true,
                 data: {
+                    trackingId: result.trackingId,
                     messageId: result.messageId,
                     status: result.status,
                     message: result.message,
@@ -63,7 +356,7 @@ router.post('/email/send', async (req, res) => {
                 error: {
                     message: result.message,
                     details: result.error,
-                    code: 'EMAIL_SEND_FAILED'
+                    code: result.code || 'EMAIL_SEND_FAILED'
                 }
             });
         }
@@ -85,10 +378,19 @@ router.post('/email/send', async (req, res) => {
  * 
  * Body Parameters:
  * - emails: Array of email objects (same structure as single send)
+ * - async: boolean (optional) - Queue every email and respond with 202 instead of waiting for delivery
+ *
+ * Items may carry their own sendAt; a batch with any scheduled item is queued as a whole.
+ *
+ * Each item may carry its own idempotencyKey; items already processed with that key return
+ * their original result (with replayed: true) instead of being sent again.
+ *
+ * Headers:
+ * - Idempotency-Key: string (optional) - Repeated requests with the same key return the original response
  */
-router.post('/email/send-bulk', async (req, res) => {
+router.post('/email/send-bulk', requireScope('email:send'), idempotent, limitClient(countBulkEmail), async (req, res) => {
     try {
-        const { emails } = req.body;
+        const { emails, async: queued } = req.body;
         
         if (!Array.isArray(emails) || emails.length === 0) {
             return res.status(400).json({
@@ -112,11 +414,46 @@ router.post('/email/send-bulk', async (req, res) => {
         
         console.log(`Bulk email request received for ${emails.length} emails`);
         
-        const results = await emailService.sendBulkEmails(emails);
+        if (queued || emails.some(emailData => getScheduledTime(emailData))) {
+            const validation = validateBulkEmailRequest(emails);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_FAILED',
+                        details: validation.errors
+                    }
+                });
+            }
+            
+            return respondQueued(res, {
+                results: await processBulkItems(req, emails, identifyEmail, items => items.map(emailData => ({
+                    email: emailData.email,
+                    ticketId: emailData.ticketId,
+                    success: true,
+                    ...queueMessage('email.issue', emailData, { sendAt: getScheduledTime(emailData) })
+                })))
+            });
+        }
+        
+        const results = await processBulkItems(req, emails, identifyEmail, async items => {
+            const sent = await emailService.sendBulkEmails(items);
+            return sent.map(r => ({
+                email: r.email,
+                ticketId: r.ticketId,
+                success: r.result.success,
+                trackingId: r.result.trackingId,
+                messageId: r.result.messageId,
+                status: r.result.status,
+                message: r.result.message,
+                error: r.result.success ? null : r.result.error
+            }));
+        });
         
         // Summarize results
         const summary = results.reduce((acc, result) => {
-            if (result.result.success) {
+            if (result.success) {
                 acc.successful++;
             } else {
                 acc.failed++;
@@ -128,14 +465,7 @@ router.post('/email/send-bulk', async (req, res) => {
             success: true,
             data: {
                 summary,
-                results: results.map(r => ({
-                    email: r.email,
-                    ticketId: r.ticketId,
-                    success: r.result.success,
-                    messageId: r.result.messageId,
-                    message: r.result.message,
-                    error: r.result.success ? null : r.result.error
-                }))
+                results
             }
         });
     } catch (error) {
@@ -154,7 +484,7 @@ router.post('/email/send-bulk', async (req, res) => {
  * GET /api/email/templates
  * Get available email templates and statuses
  */
-router.get('/email/templates', (req, res) => {
+router.get('/email/templates', requireScope('templates:read'), (req, res) => {
     try {
         const emailTemplates = require('./emailTemplates');
         
@@ -185,7 +515,7 @@ router.get('/email/templates', (req, res) => {
  * GET /api/email/template/:status/:language
  * Get specific template by status and language
  */
-router.get('/email/template/:status/:language', (req, res) => {
+router.get('/email/template/:status/:language', requireScope('templates:read'), (req, res) => {
     try {
         const { status, language } = req.params;
         const emailTemplates = require('./emailTemplates');
@@ -207,6 +537,7 @@ router.get('/email/template/:status/:language', (req, res) => {
             data: {
                 status,
                 language,
+                version: getActiveVersion('email', status, language),
                 template: {
                     subject: template.subject,
                     body: template.body,
@@ -230,7 +561,7 @@ router.get('/email/template/:status/:language', (req, res) => {
  * POST /api/email/validate
  * Validate email request without sending
  */
-router.post('/email/validate', (req, res) => {
+router.post('/email/validate', requireScope('email:send'), (req, res) => {
     try {
         const emailData = req.body;
         const validation = validateEmailRequest(emailData);
@@ -269,7 +600,7 @@ router.post('/email/validate', (req, res) => {
  * POST /api/email/test
  * Test email service configuration
  */
-router.post('/email/test', async (req, res) => {
+router.post('/email/test', requireScope('email:send'), limitClient(countEmail), async (req, res) => {
     try {
         const { testEmail } = req.body;
         
@@ -285,6 +616,7 @@ router.post('/email/test', async (req, res) => {
                 success: true,
                 data: {
                     message: result.message,
+                    transport: result.transport,
                     testEmail: process.env.TEST_EMAIL
                 }
             });
@@ -316,8 +648,10 @@ router.post('/email/test', async (req, res) => {
  */
 router.get('/email/health', (req, res) => {
     try {
+        const transport = emailService.transport.name;
         const hasApiKey = !!process.env.SENDGRID_API_KEY;
         const hasFromEmail = !!process.env.FROM_EMAIL;
+        const hasTransportConfig = transport !== 'sendgrid' || hasApiKey;
         
         res.status(200).json({
             success: true,
@@ -325,9 +659,10 @@ router.get('/email/health', (req, res) => {
                 status: 'healthy',
                 timestamp: new Date().toISOString(),
                 configuration: {
+                    transport,
                     hasApiKey,
                     hasFromEmail,
-                    isConfigured: hasApiKey && hasFromEmail
+                    isConfigured: hasTransportConfig && hasFromEmail
                 }
             }
         });
@@ -351,10 +686,16 @@ router.get('/email/health', (req, res) => {
  * - email: string (required) - Recipient email address
  * - subject: string (required) - Email subject
  * - body: string (required) - Email body (plain text)
+ * - async: boolean (optional) - Queue the email and respond with 202 instead of waiting for delivery
+ * - sendAt: string (optional) - ISO 8601 time to send the email at (implies async)
+ * - idempotencyKey: string (optional) - Same as the Idempotency-Key header
+ *
+ * Headers:
+ * - Idempotency-Key: string (optional) - Repeated requests with the same key return the original response
  */
-router.post('/email/send-simple', async (req, res) => {
+router.post('/email/send-simple', requireScope('email:send'), idempotent, limitClient(countEmail), async (req, res) => {
     try {
-        const { email, subject, body } = req.body;
+        const { email, subject, body, sendAt, async: queued } = req.body;
         
         // Validate required fields
         if (!email || !subject || !body) {
@@ -390,9 +731,29 @@ router.post('/email/send-simple', async (req, res) => {
             });
         }
 
+        // Validate the scheduled send time
+        const scheduleErrors = validateSchedule({ sendAt });
+        if (scheduleErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    details: scheduleErrors
+                }
+            });
+        }
+
         // Log incoming request (excluding body content for privacy)
         console.log(`Simple email request received for ${email} with subject: ${subject.substring(0, 50)}...`);
         
+        if (queued || sendAt) {
+            return respondQueued(res, {
+                ...queueMessage('email.simple', { email, subject, body }, { sendAt: getScheduledTime({ sendAt }) }),
+                recipient: email
+            });
+        }
+        
         // Send email
         const result = await emailService.sendSimpleEmail({ email, subject, body });
         
@@ -400,6 +761,7 @@ router.post('/email/send-simple', async (req, res) => {
             res.status(200).json({
                 success: true,
                 data: {
+                    trackingId: result.trackingId,
                     messageId: result.messageId,
                     status: result.status,
                     message: result.message,
@@ -412,7 +774,7 @@ router.post('/email/send-simple', async (req, res) => {
                 error: {
                     message: result.message,
                     details: result.error,
-                    code: 'EMAIL_SEND_FAILED'
+                    code: result.code || 'EMAIL_SEND_FAILED'
                 }
             });
         }
@@ -435,23 +797,51 @@ router.post('/email/send-simple', async (req, res) => {
  * Send a single SMS based on issue status
  * 
  * Body Parameters:
- * - phoneNumber: string (required) - Recipient phone number (without + or 00)
+ * - phoneNumber: string (required unless recipientId is given) - Recipient phone number (without + or 00)
+ * - recipientId: string (optional) - Recipient whose stored preferences supply phone number, name and language
  * - ticketId: string (required) - Ticket ID
- * - name: string (required) - Recipient name
- * - language: string (required) - Language preference (english, french, kinyarwanda)
+ * - name: string (required unless stored for recipientId) - Recipient name
+ * - language: string (required unless stored for recipientId) - Language preference (english, french, kinyarwanda)
  * - subject: string (required) - Issue status (received, resolved, escalated, assigned, closed, in_progress)
  * - assignedTo: string (optional) - Name of person assigned to (for assignment/escalation)
  * - escalatedTo: string (optional) - Name of person escalated to
  * - issueTitle: string (optional) - Title of the issue
  * - responseMessage: string (optional) - Response message for responses
+ * - async: boolean (optional) - Queue the SMS and respond with 202 instead of waiting for delivery
+ * - sendAt: string (optional) - ISO 8601 time to send the SMS at (implies async)
+ * - idempotencyKey: string (optional) - Same as the Idempotency-Key header
+ *
+ * Headers:
+ * - Idempotency-Key: string (optional) - Repeated requests with the same key return the original response
  */
-router.post('/sms/send', async (req, res) => {
+router.post('/sms/send', requireScope('sms:send'), idempotent, resolveRecipient('ticket_updates', ['sms']), limitClient(countSms), async (req, res) => {
     try {
-        const smsData = req.body;
+        const { async: queued, ...smsData } = req.body;
+        const sendAt = getScheduledTime(smsData);
         
         // Log incoming request (excluding sensitive data)
         console.log(`SMS request received for ticket ${smsData.ticketId} with status ${smsData.subject}`);
         
+        if (queued || sendAt) {
+            const validation = validateSmsRequest(smsData);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_FAILED',
+                        details: validation.errors
+                    }
+                });
+            }
+            
+            return respondQueued(res, {
+                ...queueMessage('sms.issue', smsData, { sendAt }),
+                ticketId: smsData.ticketId,
+                phoneNumber: smsData.phoneNumber
+            });
+        }
+        
         // Send SMS
         const result = await smsService.sendIssueSms(smsData);
         
@@ -459,10 +849,13 @@ router.post('/sms/send', async (req, res) => {
             res.status(200).json({
                 success: true,
                 data: {
+                    trackingId: result.trackingId,
                     status: result.status,
                     message: result.message,
                     ticketId: smsData.ticketId,
-                    phoneNumber: smsData.phoneNumber
+                    phoneNumber: smsData.phoneNumber,
+                    truncatedVariables: result.truncatedVariables,
+                    overBudget: result.overBudget
                 }
             });
         } else {
@@ -471,7 +864,7 @@ router.post('/sms/send', async (req, res) => {
                 error: {
                     message: result.message,
                     details: result.error,
-                    code: 'SMS_SEND_FAILED'
+                    code: result.code || 'SMS_SEND_FAILED'
                 }
             });
         }
@@ -493,10 +886,19 @@ router.post('/sms/send', async (req, res) => {
  * 
  * Body Parameters:
  * - smsList: Array of SMS objects (same structure as single send)
+ * - async: boolean (optional) - Queue every SMS and respond with 202 instead of waiting for delivery
+ *
+ * Items may carry their own sendAt; a batch with any scheduled item is queued as a whole.
+ *
+ * Each item may carry its own idempotencyKey; items already processed with that key return
+ * their original result (with replayed: true) instead of being sent again.
+ *
+ * Headers:
+ * - Idempotency-Key: string (optional) - Repeated requests with the same key return the original response
  */
-router.post('/sms/send-bulk', async (req, res) => {
+router.post('/sms/send-bulk', requireScope('sms:send'), idempotent, limitClient(countBulkSms), async (req, res) => {
     try {
-        const { smsList } = req.body;
+        const { smsList, async: queued } = req.body;
         
         if (!Array.isArray(smsList) || smsList.length === 0) {
             return res.status(400).json({
@@ -520,11 +922,47 @@ router.post('/sms/send-bulk', async (req, res) => {
         
         console.log(`Bulk SMS request received for ${smsList.length} messages`);
         
-        const results = await smsService.sendBulkSms(smsList);
+        if (queued || smsList.some(smsData => getScheduledTime(smsData))) {
+            const validation = validateBulkSmsRequest(smsList);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_FAILED',
+                        details: validation.errors
+                    }
+                });
+            }
+            
+            return respondQueued(res, {
+                results: await processBulkItems(req, smsList, identifySms, items => items.map(smsData => ({
+                    phoneNumber: smsData.phoneNumber,
+                    ticketId: smsData.ticketId,
+                    success: true,
+                    ...queueMessage('sms.issue', smsData, { sendAt: getScheduledTime(smsData) })
+                })))
+            });
+        }
+        
+        const results = await processBulkItems(req, smsList, identifySms, async items => {
+            const sent = await smsService.sendBulkSms(items);
+            return sent.map(r => ({
+                phoneNumber: r.phoneNumber,
+                ticketId: r.ticketId,
+                success: r.result.success,
+                trackingId: r.result.trackingId,
+                status: r.result.status,
+                message: r.result.message,
+                truncatedVariables: r.result.truncatedVariables,
+                overBudget: r.result.overBudget,
+                error: r.result.success ? null : r.result.error
+            }));
+        });
         
         // Summarize results
         const summary = results.reduce((acc, result) => {
-            if (result.result.success) {
+            if (result.success) {
                 acc.successful++;
             } else {
                 acc.failed++;
@@ -536,13 +974,7 @@ router.post('/sms/send-bulk', async (req, res) => {
             success: true,
             data: {
                 summary,
-                results: results.map(r => ({
-                    phoneNumber: r.phoneNumber,
-                    ticketId: r.ticketId,
-                    success: r.result.success,
-                    message: r.result.message,
-                    error: r.result.success ? null : r.result.error
-                }))
+                results
             }
         });
     } catch (error) {
@@ -561,7 +993,7 @@ router.post('/sms/send-bulk', async (req, res) => {
  * GET /api/sms/templates
  * Get available SMS templates and statuses
  */
-router.get('/sms/templates', (req, res) => {
+router.get('/sms/templates', requireScope('templates:read'), (req, res) => {
     try {
         const smsTemplates = require('./smsTemplates');
         
@@ -592,7 +1024,7 @@ router.get('/sms/templates', (req, res) => {
  * GET /api/sms/template/:status/:language
  * Get specific SMS template by status and language
  */
-router.get('/sms/template/:status/:language', (req, res) => {
+router.get('/sms/template/:status/:language', requireScope('templates:read'), (req, res) => {
     try {
         const { status, language } = req.params;
         const smsTemplates = require('./smsTemplates');
@@ -617,9 +1049,11 @@ router.get('/sms/template/:status/:language', (req, res) => {
             data: {
                 status,
                 language,
+                version: getActiveVersion('sms', status, language),
                 template: {
                     message: template.message,
                     characterCount: templateInfo?.totalChars || 0,
+                    encoding: templateInfo?.encoding || 'plain',
                     parts: templateInfo?.parts || 1,
                     isMultiPart: templateInfo?.isMultiPart || false
                 }
@@ -641,7 +1075,7 @@ router.get('/sms/template/:status/:language', (req, res) => {
  * POST /api/sms/validate
  * Validate SMS request without sending
  */
-router.post('/sms/validate', (req, res) => {
+router.post('/sms/validate', requireScope('sms:send'), (req, res) => {
     try {
         const smsData = req.body;
         const validation = validateSmsRequest(smsData);
@@ -680,7 +1114,7 @@ router.post('/sms/validate', (req, res) => {
  * POST /api/sms/test
  * Test SMS service configuration
  */
-router.post('/sms/test', async (req, res) => {
+router.post('/sms/test', requireScope('sms:send'), limitClient(countSms), async (req, res) => {
     try {
         const { testPhone } = req.body;
         
@@ -729,6 +1163,10 @@ router.get('/sms/health', (req, res) => {
     try {
         const hasApiToken = !!process.env.SMS_API_TOKEN;
         const hasSenderId = !!process.env.SMS_SENDER_ID;
+        const providers = smsService.providers.providers.map(provider => ({
+            name: provider.name,
+            isConfigured: provider.isConfigured()
+        }));
         
         res.status(200).json({
             success: true,
@@ -738,7 +1176,8 @@ router.get('/sms/health', (req, res) => {
                 configuration: {
                     hasApiToken,
                     hasSenderId,
-                    isConfigured: hasApiToken && hasSenderId
+                    providers,
+                    isConfigured: providers.some(provider => provider.isConfigured)
                 }
             }
         });
@@ -756,6 +1195,25 @@ router.get('/sms/health', (req, res) => {
 
 // ==================== TRIP NOTIFICATION ROUTES ====================
 
+/**
+ * Turn a trip request into a notification for the notification service
+ * @param {Object} tripData - Trip notification request data
+ * @returns {Object} Notification
+ */
+function toTripNotification(tripData) {
+    const { notificationType, email, phoneNumber, name, language, ...data } = tripData;
+    return { type: notificationType, email, phoneNumber, name, language, data };
+}
+
+/**
+ * Queue the email and/or SMS jobs for a trip notification
+ * @param {Object} tripData - Validated trip notification data (scheduled by sendAt or departureAt)
+ * @returns {Object} Job and tracking ids per channel (null when the channel was not requested)
+ */
+function enqueueTripJobs(tripData) {
+    return notificationService.enqueue(toTripNotification(tripData), getScheduledTime(tripData));
+}
+
 /**
  * POST /api/trip/send
  * Send trip notification via email and/or SMS
@@ -763,16 +1221,25 @@ router.get('/sms/health', (req, res) => {
  * Body Parameters:
  * - email: string (optional) - Recipient email address
  * - phoneNumber: string (optional) - Recipient phone number (without + or 00)
- * - name: string (required) - Recipient name
- * - language: string (required) - Language preference (english, french, kinyarwanda)
+ * - recipientId: string (optional) - Recipient whose stored preferences choose the channels and supply addresses, name and language
+ * - name: string (required unless stored for recipientId) - Recipient name
+ * - language: string (required unless stored for recipientId) - Language preference (english, french, kinyarwanda)
  * - notificationType: string (required) - Trip notification type (trip_remaining_time, trip_arrival_notice)
  * - destinationName: string (required) - Destination name
  * - remainingTime: string (required for trip_remaining_time) - Remaining time (e.g., "2 hours", "30 minutes")
  * - tripId: string (optional) - Trip ID
+ * - async: boolean (optional) - Queue the notifications and respond with 202 instead of waiting for delivery
+ * - sendAt: string (optional) - ISO 8601 time to send the notifications at (implies async)
+ * - departureAt: string (optional) - ISO 8601 departure time; schedules the notifications sendBeforeMinutes before it
+ * - sendBeforeMinutes: number (optional) - Minutes before departureAt to send (default: 0)
+ * - idempotencyKey: string (optional) - Same as the Idempotency-Key header
+ *
+ * Headers:
+ * - Idempotency-Key: string (optional) - Repeated requests with the same key return the original response
  */
-router.post('/trip/send', async (req, res) => {
+router.post('/trip/send', requireScope('trip:send'), idempotent, resolveRecipient('trip_updates', ['email', 'sms']), limitClient(countTrip), async (req, res) => {
     try {
-        const tripData = req.body;
+        const { async: queued, ...tripData } = req.body;
         
         // Validate input
         const validation = validateTripRequest(tripData);
@@ -790,56 +1257,18 @@ router.post('/trip/send', async (req, res) => {
         // Log incoming request (excluding sensitive data)
         console.log(`Trip notification request received for ${tripData.notificationType} to ${tripData.destinationName}`);
         
-        const results = {
-            email: null,
-            sms: null
-        };
-        
-        // Send email if provided
-        if (tripData.email) {
-            try {
-                const emailResult = await emailService.sendTripEmail(tripData);
-                results.email = {
-                    success: emailResult.success,
-                    messageId: emailResult.messageId,
-                    status: emailResult.status,
-                    message: emailResult.message,
-                    error: emailResult.success ? null : emailResult.error
-                };
-            } catch (error) {
-                results.email = {
-                    success: false,
-                    status: 'failed',
-                    message: error.message,
-                    error: error.message
-                };
-            }
-        }
-        
-        // Send SMS if provided
-        if (tripData.phoneNumber) {
-            try {
-                const smsResult = await smsService.sendTripSms(tripData);
-                results.sms = {
-                    success: smsResult.success,
-                    status: smsResult.status,
-                    message: smsResult.message,
-                    phoneNumber: smsResult.phoneNumber,
-                    error: smsResult.success ? null : smsResult.error
-                };
-            } catch (error) {
-                results.sms = {
-                    success: false,
-                    status: 'failed',
-                    message: error.message,
-                    error: error.message
-                };
-            }
+        if (queued || getScheduledTime(tripData)) {
+            const jobs = enqueueTripJobs(tripData);
+            return respondQueued(res, {
+                destinationName: tripData.destinationName,
+                notificationType: tripData.notificationType,
+                tripId: tripData.tripId,
+                sendAt: (jobs.email || jobs.sms).sendAt,
+                jobs
+            });
         }
         
-        // Determine overall success
-        const overallSuccess = (results.email === null || results.email.success) && 
-                              (results.sms === null || results.sms.success);
+        const { success: overallSuccess, results } = await notificationService.send(toTripNotification(tripData));
         
         res.status(overallSuccess ? 200 : 400).json({
             success: overallSuccess,
@@ -869,10 +1298,19 @@ router.post('/trip/send', async (req, res) => {
  * 
  * Body Parameters:
  * - trips: Array of trip objects (same structure as single send)
+ * - async: boolean (optional) - Queue every notification and respond with 202 instead of waiting for delivery
+ *
+ * Items may carry their own sendAt or departureAt; a batch with any scheduled item is queued as a whole.
+ *
+ * Each item may carry its own idempotencyKey; items already processed with that key return
+ * their original result (with replayed: true) instead of being sent again.
+ *
+ * Headers:
+ * - Idempotency-Key: string (optional) - Repeated requests with the same key return the original response
  */
-router.post('/trip/send-bulk', async (req, res) => {
+router.post('/trip/send-bulk', requireScope('trip:send'), idempotent, limitClient(countBulkTrip), async (req, res) => {
     try {
-        const { trips } = req.body;
+        const { trips, async: queued } = req.body;
         
         if (!Array.isArray(trips) || trips.length === 0) {
             return res.status(400).json({
@@ -909,67 +1347,21 @@ router.post('/trip/send-bulk', async (req, res) => {
         
         console.log(`Bulk trip notification request received for ${trips.length} trips`);
         
-        const results = [];
-        
-        // Process each trip
-        for (const tripData of trips) {
-            const tripResult = {
-                tripId: tripData.tripId,
-                destinationName: tripData.destinationName,
-                notificationType: tripData.notificationType,
-                email: null,
-                sms: null
-            };
-            
-            // Send email if provided
-            if (tripData.email) {
-                try {
-                    const emailResult = await emailService.sendTripEmail(tripData);
-                    tripResult.email = {
-                        success: emailResult.success,
-                        messageId: emailResult.messageId,
-                        status: emailResult.status,
-                        message: emailResult.message,
-                        error: emailResult.success ? null : emailResult.error
-                    };
-                } catch (error) {
-                    tripResult.email = {
-                        success: false,
-                        status: 'failed',
-                        message: error.message,
-                        error: error.message
-                    };
-                }
-            }
-            
-            // Send SMS if provided
-            if (tripData.phoneNumber) {
-                try {
-                    const smsResult = await smsService.sendTripSms(tripData);
-                    tripResult.sms = {
-                        success: smsResult.success,
-                        status: smsResult.status,
-                        message: smsResult.message,
-                        phoneNumber: smsResult.phoneNumber,
-                        error: smsResult.success ? null : smsResult.error
-                    };
-                } catch (error) {
-                    tripResult.sms = {
-                        success: false,
-                        status: 'failed',
-                        message: error.message,
-                        error: error.message
-                    };
-                }
-            }
-            
-            results.push(tripResult);
+        if (queued || trips.some(tripData => getScheduledTime(tripData))) {
+            return respondQueued(res, {
+                results: await processBulkItems(req, trips, identifyTrip, items => items.map(tripData => ({
+                    ...identifyTrip(tripData),
+                    success: true,
+                    jobs: enqueueTripJobs(tripData)
+                })))
+            });
         }
         
+        const results = await processBulkItems(req, trips, identifyTrip, sendTrips);
+        
         // Summarize results
         const summary = results.reduce((acc, result) => {
-            if ((result.email === null || result.email.success) && 
-                (result.sms === null || result.sms.success)) {
+            if (result.success) {
                 acc.successful++;
             } else {
                 acc.failed++;
@@ -997,11 +1389,35 @@ router.post('/trip/send-bulk', async (req, res) => {
     }
 });
 
+/**
+ * Send trip notifications one by one
+ * @param {Array} trips - Validated trip notification data
+ * @returns {Promise<Array>} Per-trip results with email and SMS outcomes, in the same order as trips
+ */
+async function sendTrips(trips) {
+    const results = [];
+    
+    // Process each trip
+    for (const tripData of trips) {
+        const { success, results: channelResults } = await notificationService.send(toTripNotification(tripData));
+        
+        results.push({
+            tripId: tripData.tripId,
+            destinationName: tripData.destinationName,
+            notificationType: tripData.notificationType,
+            ...channelResults,
+            success
+        });
+    }
+    
+    return results;
+}
+
 /**
  * POST /api/trip/validate
  * Validate trip notification request without sending
  */
-router.post('/trip/validate', (req, res) => {
+router.post('/trip/validate', requireScope('trip:send'), (req, res) => {
     try {
         const tripData = req.body;
         const validation = validateTripRequest(tripData);
@@ -1040,7 +1456,7 @@ router.post('/trip/validate', (req, res) => {
  * GET /api/trip/templates
  * Get available trip notification templates
  */
-router.get('/trip/templates', (req, res) => {
+router.get('/trip/templates', requireScope('templates:read'), (req, res) => {
     try {
         const emailTemplates = require('./emailTemplates');
         const smsTemplates = require('./smsTemplates');
@@ -1085,7 +1501,7 @@ router.get('/trip/templates', (req, res) => {
  * GET /api/trip/template/:type/:language
  * Get specific trip template by notification type and language
  */
-router.get('/trip/template/:type/:language', (req, res) => {
+router.get('/trip/template/:type/:language', requireScope('templates:read'), (req, res) => {
     try {
         const { type, language } = req.params;
         const emailTemplates = require('./emailTemplates');
@@ -1110,11 +1526,13 @@ router.get('/trip/template/:type/:language', (req, res) => {
                 notificationType: type,
                 language,
                 emailTemplate: emailTemplate ? {
+                    version: getActiveVersion('email', type, language),
                     subject: emailTemplate.subject,
                     body: emailTemplate.body,
                     hasHtml: !!emailTemplate.htmlBody
                 } : null,
                 smsTemplate: smsTemplate ? {
+                    version: getActiveVersion('sms', type, language),
                     message: smsTemplate.message,
                     characterCount: smsTemplate.message.length,
                     parts: Math.ceil(smsTemplate.message.length / 153),
@@ -1136,6 +1554,85 @@ router.get('/trip/template/:type/:language', (req, res) => {
     }
 });
 
+// ==================== NOTIFICATION ROUTES ====================
+
+/**
+ * POST /api/notifications
+ * Send a notification of any type on email, SMS or both, with a result per channel
+ * 
+ * Body Parameters:
+ * - type: string (required) - Notification type: an issue status (received, resolved, ...) or a trip notification type (trip_remaining_time, trip_arrival_notice)
+ * - channels: Array (optional) - Channels to deliver on: email, sms (default: every channel with a contact point)
+ * - email: string (required for the email channel unless recipientId is given) - Recipient email address
+ * - phoneNumber: string (required for the sms channel unless recipientId is given) - Recipient phone number (without + or 00)
+ * - recipientId: string (optional) - Recipient whose stored preferences choose the channels and supply addresses, name and language
+ * - name: string (required unless stored for recipientId) - Recipient name
+ * - language: string (required unless stored for recipientId) - Language preference (english, french, kinyarwanda)
+ * - data: Object (optional) - Template data, e.g. { "ticketId": "T-1", "issueTitle": "..." } or { "destinationName": "Huye", "remainingTime": "2 hours" }
+ * - async: boolean (optional) - Queue the notification and respond with 202 instead of waiting for delivery
+ * - sendAt: string (optional) - ISO 8601 time to send the notification at (implies async)
+ * - departureAt: string (optional) - ISO 8601 departure time; schedules the notification sendBeforeMinutes before it
+ * - sendBeforeMinutes: number (optional) - Minutes before departureAt to send (default: 0)
+ * - idempotencyKey: string (optional) - Same as the Idempotency-Key header
+ *
+ * Headers:
+ * - Idempotency-Key: string (optional) - Repeated requests with the same key return the original response
+ */
+router.post('/notifications', requireScope('notifications:send'), idempotent, resolveRecipient(
+    body => notificationService.getCategory(body.type),
+    body => (Array.isArray(body.channels) ? body.channels : NOTIFICATION_CHANNELS)
+), limitClient(countNotification), async (req, res) => {
+    try {
+        const { async: queued, ...notification } = req.body;
+        
+        const errors = notificationService.validate(notification);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    details: errors
+                }
+            });
+        }
+        
+        const channels = notificationService.getChannels(notification);
+        console.log(`Notification request received for ${notification.type} on ${channels.join(', ')}`);
+        
+        if (queued || getScheduledTime(notification)) {
+            const jobs = notificationService.enqueue(notification, getScheduledTime(notification));
+            return respondQueued(res, {
+                type: notification.type,
+                channels,
+                sendAt: (jobs.email || jobs.sms).sendAt,
+                jobs
+            });
+        }
+        
+        const { success, results } = await notificationService.send(notification);
+        
+        res.status(success ? 200 : 400).json({
+            success,
+            data: {
+                type: notification.type,
+                channels,
+                results
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error in notification send endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
 // Error handling middleware for this router
 router.use((error, req, res, next) => {
     console.error('Email router error:', error);
@@ -0,0 +1,145 @@
+/**
+ * SendGrid event webhook handling
+ *
+ * Verifies SendGrid's signed event webhook (ECDSA P-256 over timestamp + raw body) and
+ * applies delivery, bounce and engagement events to the tracked messages.
+ */
+
+const crypto = require('crypto');
+
+// Reject signed payloads older than this to limit replay attacks
+const MAX_TIMESTAMP_AGE_SECONDS = 10 * 60;
+
+// SendGrid event -> message status
+const EVENT_STATUSES = {
+    delivered: 'delivered',
+    deferred: 'deferred',
+    bounce: 'bounced',
+    dropped: 'failed',
+    spamreport: 'spam',
+    open: 'opened',
+    click: 'clicked',
+    unsubscribe: 'unsubscribed',
+    group_unsubscribe: 'unsubscribed'
+};
+
+/**
+ * Verify a signed event webhook request
+ * @param {string} publicKey - Base64 encoded verification key from the SendGrid settings
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} signature - X-Twilio-Email-Event-Webhook-Signature header
+ * @param {string} timestamp - X-Twilio-Email-Event-Webhook-Timestamp header
+ * @returns {Object} Verification result with isValid boolean and error message
+ */
+function verifyEventSignature(publicKey, rawBody, signature, timestamp) {
+    if (!signature || !timestamp) {
+        return { isValid: false, error: 'Missing signature headers' };
+    }
+
+    const age = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+    if (isNaN(age) || age > MAX_TIMESTAMP_AGE_SECONDS) {
+        return { isValid: false, error: 'Signature timestamp is too old' };
+    }
+
+    try {
+        const key = crypto.createPublicKey({
+            key: Buffer.from(publicKey, 'base64'),
+            format: 'der',
+            type: 'spki'
+        });
+        const payload = Buffer.concat([Buffer.from(timestamp), rawBody || Buffer.alloc(0)]);
+        const isValid = crypto.verify('sha256', payload, key, Buffer.from(signature, 'base64'));
+
+        return isValid ? { isValid: true } : { isValid: false, error: 'Invalid signature' };
+    } catch (error) {
+        return { isValid: false, error: `Signature verification failed: ${error.message}` };
+    }
+}
+
+/**
+ * Extract the x-message-id from an event's sg_message_id
+ * (sg_message_id is the x-message-id followed by ".filter..." routing data)
+ * @param {Object} event - SendGrid event
+ * @returns {string|null} x-message-id
+ */
+function getProviderMessageId(event) {
+    return event.sg_message_id ? event.sg_message_id.split('.')[0] : null;
+}
+
+/**
+ * Get the suppression reason for an event, if it should suppress the address
+ * @param {Object} event - SendGrid event
+ * @returns {string|null} Suppression reason code
+ */
+function getSuppressionReason(event) {
+    switch (event.event) {
+        case 'bounce':
+            return event.type === 'blocked' ? null : 'hard_bounce';
+        case 'spamreport':
+            return 'spam_complaint';
+        case 'unsubscribe':
+        case 'group_unsubscribe':
+            return 'unsubscribed';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Apply SendGrid events to tracked messages and the suppression list
+ * @param {Array} events - SendGrid events
+ * @param {Object} context - Stores to update
+ * @param {Object} context.messageStore - Message store
+ * @param {Object} context.suppressionList - Suppression list
+ * @returns {Object} Counts of processed, unmatched, duplicate and ignored events, and new suppressions
+ */
+function processEvents(events, { messageStore, suppressionList }) {
+    const summary = { processed: 0, unmatched: 0, duplicates: 0, ignored: 0, suppressed: 0 };
+
+    for (const event of events) {
+        const status = EVENT_STATUSES[event.event];
+        if (!status) {
+            summary.ignored++;
+            continue;
+        }
+
+        const providerMessageId = getProviderMessageId(event);
+        const record = providerMessageId && messageStore.findByProviderMessageId(providerMessageId);
+
+        // SendGrid retries deliveries, so the same event can arrive more than once
+        if (record && event.sg_event_id && record.timeline.some(entry => entry.eventId === event.sg_event_id)) {
+            summary.duplicates++;
+            continue;
+        }
+
+        // Hard bounces, spam complaints and unsubscribes stop all further mail to the address
+        // (blocked bounces are usually temporary reputation issues, so they are not suppressed);
+        // an address already on the list keeps its entry
+        const suppressionReason = getSuppressionReason(event);
+        if (event.email && suppressionReason && !suppressionList.isSuppressed(event.email)) {
+            suppressionList.add(event.email, suppressionReason, { source: 'sendgrid_webhook', detail: event.reason });
+            summary.suppressed++;
+        }
+
+        if (!record) {
+            summary.unmatched++;
+            continue;
+        }
+
+        messageStore.addStatus(record.id, status, {
+            eventId: event.sg_event_id,
+            timestamp: event.timestamp,
+            detail: event.reason || event.response
+        });
+        summary.processed++;
+    }
+
+    return summary;
+}
+
+module.exports = {
+    verifyEventSignature,
+    processEvents,
+    getProviderMessageId,
+    EVENT_STATUSES
+};
@@ -6,8 +6,28 @@ const compression = require('compression');
 const morgan = require('morgan');
 const { validateEnvironmentConfig } = require('./validators');
 
+// Validate environment configuration on startup, before the services read it
+const envValidation = validateEnvironmentConfig();
+if (!envValidation.isValid) {
+    console.error('Environment configuration errors:');
+    envValidation.errors.forEach(error => console.error(`- ${error}`));
+    process.exit(1);
+}
+
 // Import routes
 const emailRoutes = require('./routes');
+const queueRoutes = require('./queueRoutes');
+const messageRoutes = require('./messageRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const apiKeyRoutes = require('./apiKeyRoutes');
+const quotaRoutes = require('./quotaRoutes');
+const suppressionRoutes = require('./suppressionRoutes');
+const unsubscribeRoutes = require('./unsubscribeRoutes');
+const preferenceRoutes = require('./preferenceRoutes');
+const templateRoutes = require('./templateRoutes');
+const { isUnsubscribeEnabled } = require('./unsubscribeTokens');
+const { messageQueue, apiKeyStore, quotaStore, suppressionList, fallbackService, templateVersionStore } = require('./services');
+const templateLoader = require('./templateLoader');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,22 +35,20 @@ const PORT = process.env.PORT || 3000;
 // Trust proxy for rate limiting to work correctly behind reverse proxies
 app.set('trust proxy', true);
 
-// Validate environment configuration on startup
-const envValidation = validateEnvironmentConfig();
-if (!envValidation.isValid) {
-    console.error('Environment configuration errors:');
-    envValidation.errors.forEach(error => console.error(`- ${error}`));
-    process.exit(1);
-}
-
 // Security middleware
 app.use(helmet());
 
 // CORS configuration
 const corsOptions = {
     origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : '*',
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+    exposedHeaders: [
+        'Idempotent-Replayed',
+        'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+        'X-Quota-Email-Limit', 'X-Quota-Email-Remaining', 'X-Quota-Email-Used',
+        'X-Quota-SMS-Limit', 'X-Quota-SMS-Remaining', 'X-Quota-SMS-Used', 'X-Quota-Reset'
+    ],
     credentials: true
 };
 app.use(cors(corsOptions));
@@ -43,8 +61,13 @@ app.use(morgan('combined', {
     skip: (req, res) => res.statusCode < 400 // Only log errors in production
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware (keeps the raw body for webhook signature verification)
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware (for development)
@@ -71,6 +94,15 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api', emailRoutes);
+app.use('/api', queueRoutes);
+app.use('/api', messageRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', apiKeyRoutes);
+app.use('/api', quotaRoutes);
+app.use('/api', suppressionRoutes);
+app.use('/api', unsubscribeRoutes);
+app.use('/api', preferenceRoutes);
+app.use('/api', templateRoutes);
 
 // Root endpoint with API information
 app.get('/', (req, res) => {
@@ -78,6 +110,7 @@ app.get('/', (req, res) => {
         name: 'CES Email Service',
         version: process.env.npm_package_version || '1.0.0',
         description: 'Email service for Customer Experience Support system',
+        authentication: 'Authorization: Bearer <API key> (health checks, webhooks and unsubscribe links excepted)',
         endpoints: {
             health: 'GET /health',
             email: {
@@ -98,12 +131,65 @@ app.get('/', (req, res) => {
                 validate: 'POST /api/sms/validate',
                 test: 'POST /api/sms/test',
                 health: 'GET /api/sms/health'
+            },
+            notifications: {
+                send: 'POST /api/notifications'
+            },
+            templates: {
+                render: 'POST /api/templates/render',
+                lint: 'GET /api/templates/lint',
+                create: 'POST /api/templates/:channel/:type/:language',
+                update: 'PUT /api/templates/:channel/:type/:language',
+                delete: 'DELETE /api/templates/:channel/:type/:language',
+                versions: 'GET /api/templates/:channel/:type/:language/versions',
+                version: 'GET /api/templates/:channel/:type/:language/versions/:version',
+                diff: 'GET /api/templates/:channel/:type/:language/diff',
+                rollback: 'POST /api/templates/:channel/:type/:language/rollback'
+            },
+            messages: {
+                list: 'GET /api/messages',
+                get: 'GET /api/messages/:id',
+                cancel: 'DELETE /api/messages/:id'
+            },
+            preferences: {
+                list: 'GET /api/preferences',
+                get: 'GET /api/preferences/:recipientId',
+                set: 'PUT /api/preferences/:recipientId',
+                delete: 'DELETE /api/preferences/:recipientId'
+            },
+            unsubscribe: {
+                page: 'GET /api/unsubscribe/:token',
+                unsubscribe: 'POST /api/unsubscribe/:token'
+            },
+            webhooks: {
+                sendgrid: 'POST /api/webhooks/sendgrid',
+                smsDelivery: 'POST /api/webhooks/sms/:provider/delivery',
+                smsInbound: 'POST /api/webhooks/sms/:provider/inbound'
+            },
+            queue: {
+                stats: 'GET /api/queue/stats',
+                jobs: 'GET /api/queue/jobs',
+                job: 'GET /api/queue/jobs/:id',
+                retry: 'POST /api/queue/jobs/:id/retry'
+            },
+            admin: {
+                apiKeys: 'GET /api/admin/api-keys',
+                createApiKey: 'POST /api/admin/api-keys',
+                revokeApiKey: 'DELETE /api/admin/api-keys/:id',
+                clientQuota: 'GET /api/admin/clients/:client/quota',
+                setClientLimits: 'PUT /api/admin/clients/:client/limits',
+                resetClientLimits: 'DELETE /api/admin/clients/:client/limits',
+                suppressions: 'GET /api/admin/suppressions',
+                exportSuppressions: 'GET /api/admin/suppressions/export',
+                suppression: 'GET /api/admin/suppressions/:address',
+                addSuppression: 'POST /api/admin/suppressions',
+                removeSuppression: 'DELETE /api/admin/suppressions/:address'
             }
         },
         documentation: {
             supportedStatuses: ['received', 'resolved', 'escalated', 'assigned', 'closed', 'in_progress', 'waiting_for_user_response', 'overdue', 'incomplete'],
             supportedLanguages: ['english', 'french', 'kinyarwanda'],
-            rateLimit: '100 requests per 15 minutes per IP'
+            rateLimit: `Per API client: ${quotaStore.defaults.email.rateLimit} email and ${quotaStore.defaults.sms.rateLimit} SMS requests per ${quotaStore.windowMs / 60000} minutes by default`
         }
     });
 });
@@ -142,6 +228,8 @@ app.use((error, req, res, next) => {
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
+    messageQueue.stop();
+    templateLoader.stop();
     server.close(() => {
         console.log('Process terminated');
         process.exit(0);
@@ -150,6 +238,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     console.log('SIGINT received, shutting down gracefully');
+    messageQueue.stop();
+    templateLoader.stop();
     server.close(() => {
         console.log('Process terminated');
         process.exit(0);
@@ -173,6 +263,10 @@ process.on('uncaughtException', (error) => {
 
 // Start server
 const server = app.listen(PORT, () => {
+    messageQueue.start();
+    templateVersionStore.sync(templateLoader.getTemplates());
+    templateLoader.watch();
+
     console.log(`
 🚀 CES Email Service started successfully!
    
@@ -200,19 +294,87 @@ const server = app.listen(PORT, () => {
    • POST /api/sms/validate - Validate SMS request
    • POST /api/sms/test - Test configuration
    • GET  /api/sms/health - Service health check
+   
+   Notifications:
+   • POST /api/notifications - Send any notification type on email, SMS or both
+   
+   Templates:
+   • POST /api/templates/render - Preview a rendered template without sending
+   • GET  /api/templates/lint - Check templates for consistency across languages and channels
+   • POST /api/templates/:channel/:type/:language - Create template
+   • PUT  /api/templates/:channel/:type/:language - Update template (new version)
+   • DELETE /api/templates/:channel/:type/:language - Delete template
+   • GET  /api/templates/:channel/:type/:language/versions - Version history
+   • GET  /api/templates/:channel/:type/:language/versions/:version - Get version
+   • GET  /api/templates/:channel/:type/:language/diff - Diff two versions
+   • POST /api/templates/:channel/:type/:language/rollback - Roll back to a version
+   
+   Messages:
+   • GET  /api/messages - List tracked messages (filter by channel, status, recipient, ticketId, tripId)
+   • GET  /api/messages/:id - Get message status timeline
+   • DELETE /api/messages/:id - Cancel a scheduled or queued message
+   
+   Preferences:
+   • GET  /api/preferences - List recipient preferences
+   • GET  /api/preferences/:recipientId - Get recipient preferences
+   • PUT  /api/preferences/:recipientId - Set language, channel and categories
+   • DELETE /api/preferences/:recipientId - Delete recipient preferences
+   
+   Unsubscribe:
+   • GET  /api/unsubscribe/:token - Unsubscribe confirmation page
+   • POST /api/unsubscribe/:token - Unsubscribe (page button and one-click)
+   
+   Webhooks:
+   • POST /api/webhooks/sendgrid - SendGrid event webhook (delivery, bounce, open, ...)
+   • POST /api/webhooks/sms/:provider/delivery - SMS delivery reports
+   • POST /api/webhooks/sms/:provider/inbound - Inbound SMS (STOP/START/HELP)
+   
+   Queue:
+   • GET  /api/queue/stats - Job counts per status
+   • GET  /api/queue/jobs - List jobs (filter by status)
+   • GET  /api/queue/jobs/:id - Get job
+   • POST /api/queue/jobs/:id/retry - Retry dead-lettered job
+   
+   Admin:
+   • GET  /api/admin/api-keys - List API keys
+   • POST /api/admin/api-keys - Create API key
+   • DELETE /api/admin/api-keys/:id - Revoke API key
+   • GET  /api/admin/clients/:client/quota - Client limits and monthly usage
+   • PUT  /api/admin/clients/:client/limits - Override client limits
+   • DELETE /api/admin/clients/:client/limits - Restore default limits
+   • GET  /api/admin/suppressions - List suppressed recipients
+   • GET  /api/admin/suppressions/export - Export suppression list (CSV/JSON)
+   • GET  /api/admin/suppressions/:address - Check a recipient
+   • POST /api/admin/suppressions - Suppress a recipient
+   • DELETE /api/admin/suppressions/:address - Unsuppress a recipient
 
 🔧 Configuration:
    Email:
+   • Transport: ${process.env.EMAIL_TRANSPORT || 'sendgrid'}
    • SendGrid API Key: ${process.env.SENDGRID_API_KEY ? '✅ Set' : '❌ Missing'}
    • From Email: ${process.env.FROM_EMAIL || '❌ Missing'}
+   • Unsubscribe Links: ${isUnsubscribeEnabled() ? '✅ Enabled' : '❌ Disabled (set UNSUBSCRIBE_SECRET and PUBLIC_BASE_URL)'}
    
    SMS:
+   • Providers (priority order): ${process.env.SMS_PROVIDERS || 'mista'}
    • SMS API Token: ${process.env.SMS_API_TOKEN ? '✅ Set' : '❌ Missing'}
    • SMS Sender ID: ${process.env.SMS_SENDER_ID || 'E-Notifier'}
    
+   Templates:
+   • Directory: ${templateLoader.directory} (reloaded on change)
+   
+   Queue:
+   • Data Directory: ${process.env.DATA_DIR || './data'}
+   • Max Attempts: ${messageQueue.maxAttempts}
+   • Completed Jobs Kept: ${messageQueue.retentionDays} day(s)
+   • Suppressed Recipients: ${suppressionList.list().length}
+   
    General:
+   • API Keys: ${apiKeyStore.countActive() > 0 ? `✅ ${apiKeyStore.countActive()} active` : '❌ None (npm run api-keys -- create <client> admin)'}
    • CORS Origins: ${process.env.CORS_ORIGINS || 'All origins allowed'}
-   • Rate Limit: 100 requests per 15 minutes per IP
+   • Rate Limit (per client): ${quotaStore.defaults.email.rateLimit} email / ${quotaStore.defaults.sms.rateLimit} SMS requests per ${quotaStore.windowMs / 60000} minutes
+   • Monthly Quota (per client): ${quotaStore.defaults.email.monthlyQuota || 'unlimited'} emails / ${quotaStore.defaults.sms.monthlyQuota || 'unlimited'} SMS
+   • Channel Fallback: ${fallbackService.listPolicies().map(policy => `${policy.type} (${policy.primary} → ${policy.fallback}, ${policy.windowMinutes} min)`).join(', ') || 'None'}
 
 📚 Supported:
    • Languages: english, french, kinyarwanda
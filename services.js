@@ -0,0 +1,170 @@
+/**
+ * Shared service instances
+ *
+ * Routes and the server use these singletons so that every request, the queue worker
+ * and the shutdown handlers see the same state.
+ */
+
+const EmailService = require('./emailService');
+const SmsService = require('./smsService');
+const MessageQueue = require('./messageQueue');
+const MessageStore = require('./messageStore');
+const SuppressionList = require('./suppressionList');
+const IdempotencyStore = require('./idempotencyStore');
+const ApiKeyStore = require('./apiKeyStore');
+const QuotaStore = require('./quotaStore');
+const PreferenceStore = require('./preferenceStore');
+const NotificationService = require('./notificationService');
+const FallbackService = require('./fallbackService');
+const TemplateVersionStore = require('./templateVersionStore');
+const templateLoader = require('./templateLoader');
+const { parseKeyword } = require('./smsKeywords');
+
+const messageStore = new MessageStore();
+const suppressionList = new SuppressionList();
+const idempotencyStore = new IdempotencyStore();
+const apiKeyStore = new ApiKeyStore();
+const quotaStore = new QuotaStore();
+const preferenceStore = new PreferenceStore();
+const templateVersionStore = new TemplateVersionStore();
+const emailService = new EmailService({ messageStore, suppressionList });
+const smsService = new SmsService({ messageStore, suppressionList });
+const messageQueue = new MessageQueue();
+
+// Template file edits are recorded as versions (server_app.js records the templates found at start-up)
+templateLoader.onReload(templates => templateVersionStore.sync(templates));
+
+// Queue job handlers - each resolves to the service result so the queue can decide whether to retry
+messageQueue.registerHandler('email.issue', (payload, job) => emailService.sendIssueEmail(payload, { messageId: job.messageId }));
+messageQueue.registerHandler('email.simple', (payload, job) => emailService.sendSimpleEmail(payload, { messageId: job.messageId }));
+messageQueue.registerHandler('email.trip', (payload, job) => emailService.sendTripEmail(payload, { messageId: job.messageId }));
+messageQueue.registerHandler('sms.issue', (payload, job) => smsService.sendIssueSms(payload, { messageId: job.messageId }));
+messageQueue.registerHandler('sms.trip', (payload, job) => smsService.sendTripSms(payload, { messageId: job.messageId }));
+
+/**
+ * Queue a message for background delivery and start tracking it
+ * @param {string} type - Job type (email.issue, email.simple, email.trip, sms.issue, sms.trip)
+ * @param {Object} payload - Data passed to the service when the job runs
+ * @param {Object} [options] - Options
+ * @param {Date} [options.sendAt] - Deliver at this time instead of right away
+ * @param {string} [options.fallbackFor] - Id of the message this one is the channel fallback for
+ * @returns {Object} Job id, tracking id and the scheduled time (null when sent right away)
+ */
+function queueMessage(type, payload, options = {}) {
+    const [channel, kind] = type.split('.');
+    const scheduled = !!options.sendAt && options.sendAt.getTime() > Date.now();
+
+    const record = messageStore.create({
+        channel,
+        recipient: channel === 'email' ? payload.email : payload.phoneNumber,
+        template: kind === 'simple' ? 'simple' : (payload.subject || payload.notificationType),
+        language: payload.language ? emailService.normalizeLanguage(payload.language) : null,
+        ticketId: payload.ticketId,
+        tripId: payload.tripId,
+        scheduledFor: scheduled ? options.sendAt : null,
+        fallbackFor: options.fallbackFor
+    }, scheduled ? 'scheduled' : 'queued');
+    const job = messageQueue.enqueue(type, payload, {
+        messageId: record.id,
+        runAt: scheduled ? options.sendAt : undefined
+    });
+
+    return {
+        jobId: job.id,
+        trackingId: record.id,
+        sendAt: record.scheduledFor
+    };
+}
+
+const fallbackService = new FallbackService({ messageStore, messageQueue, queueMessage });
+const notificationService = new NotificationService({ emailService, smsService, queueMessage, fallbackService });
+
+// Failed and bounced messages trigger the channel fallback armed on them
+messageStore.onStatus(record => fallbackService.handleStatus(record));
+messageQueue.onDeadLetter(job => job.messageId && fallbackService.trigger(job.messageId));
+
+/**
+ * Cancel a message that is still waiting in the queue (scheduled or not yet delivered)
+ * @param {string} trackingId - Message record id
+ * @returns {Object|null} Result with cancelled boolean and the message record, or null if not found
+ */
+function cancelMessage(trackingId) {
+    const record = messageStore.get(trackingId);
+    if (!record) {
+        return null;
+    }
+
+    const job = messageQueue.findJobByMessageId(trackingId);
+    if (!job || !messageQueue.cancelJob(job.id)) {
+        return { cancelled: false, message: record };
+    }
+
+    return {
+        cancelled: true,
+        message: messageStore.addStatus(trackingId, 'cancelled', { detail: 'Cancelled before delivery' })
+    };
+}
+
+/**
+ * Act on an inbound SMS keyword: STOP suppresses the number, START lifts an opt-out and
+ * HELP only gets a reply. The reply is in the keyword's language, or in the language of
+ * the last SMS we sent the number when the keyword is shared (STOP is English and French).
+ * @param {string} phoneNumber - Phone number the SMS came from
+ * @param {string} text - Message text
+ * @returns {Promise<Object>} Recognized keyword (action is null for other messages), whether
+ * the suppression list changed and the reply's tracking id
+ */
+async function handleInboundSms(phoneNumber, text) {
+    const lastMessage = messageStore.findLatestSmsTo(phoneNumber);
+    const keyword = parseKeyword(text, lastMessage ? lastMessage.language : undefined);
+
+    if (!keyword) {
+        return { action: null, suppressionChanged: false, replied: false, trackingId: null };
+    }
+
+    let suppressionChanged = false;
+    let replyAction = keyword.action;
+    const entry = suppressionList.get(phoneNumber);
+
+    if (keyword.action === 'stop') {
+        suppressionList.add(phoneNumber, 'unsubscribed', { source: 'sms_keyword', detail: `Texted ${keyword.keyword}` });
+        suppressionChanged = !entry;
+    } else if (keyword.action === 'start' && entry) {
+        // Numbers an admin suppressed stay suppressed (and get HELP instead of a confirmation);
+        // the recipient's own opt-out is theirs to lift
+        if (entry.reason === 'manual') {
+            console.warn(`${phoneNumber} texted ${keyword.keyword} but was suppressed by an admin, leaving it suppressed`);
+            replyAction = 'help';
+        } else {
+            suppressionList.remove(phoneNumber);
+            suppressionChanged = true;
+        }
+    }
+
+    const reply = await smsService.sendKeywordReply(phoneNumber, replyAction, keyword.language);
+
+    return {
+        ...keyword,
+        suppressionChanged,
+        replied: reply.success,
+        trackingId: reply.trackingId
+    };
+}
+
+module.exports = {
+    emailService,
+    smsService,
+    messageQueue,
+    messageStore,
+    suppressionList,
+    idempotencyStore,
+    apiKeyStore,
+    quotaStore,
+    preferenceStore,
+    templateVersionStore,
+    notificationService,
+    fallbackService,
+    queueMessage,
+    cancelMessage,
+    handleInboundSms
+};
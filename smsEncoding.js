@@ -0,0 +1,157 @@
+/**
+ * SMS encoding and segment counting (GSM 03.38)
+ *
+ * An SMS is sent in the GSM 7-bit alphabet (plain) when every character is part of it, and
+ * in UCS-2 (unicode) otherwise. Plain messages hold 160 septets in one part or 153 per part
+ * when split; characters of the extension table (€ [ ] { } ^ ~ | \ and form feed) take two
+ * septets. Unicode messages hold 70 UTF-16 code units in one part or 67 per part. A character
+ * is never split across parts.
+ *
+ * With SMS_TRANSLITERATE=true, characters outside the GSM alphabet that have a close GSM
+ * equivalent (ê → e, ç → c, ’ → ') are replaced, so the message can go out as plain; this is
+ * only done when it makes the whole message plain. Accented letters that are part of the GSM
+ * alphabet (é, è, à, ù, ...) are always kept.
+ */
+
+// GSM 03.38 default alphabet (without the escape to the extension table)
+const GSM7_BASIC = new Set(Array.from(
+    '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?'
+    + '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+));
+
+// GSM 03.38 extension table, two septets each (escape + character)
+const GSM7_EXTENDED = new Set(Array.from('\f^{}\\[]~|€'));
+
+// Closest GSM characters for common characters outside the alphabet
+const TRANSLITERATIONS = {
+    'á': 'a', 'â': 'a', 'ã': 'a', 'ā': 'a', 'À': 'A', 'Á': 'A', 'Â': 'A', 'Ã': 'A',
+    'ç': 'c',
+    'ê': 'e', 'ë': 'e', 'ē': 'e', 'È': 'E', 'Ê': 'E', 'Ë': 'E',
+    'í': 'i', 'î': 'i', 'ï': 'i', 'Ì': 'I', 'Í': 'I', 'Î': 'I', 'Ï': 'I',
+    'ó': 'o', 'ô': 'o', 'õ': 'o', 'Ò': 'O', 'Ó': 'O', 'Ô': 'O', 'Õ': 'O',
+    'ú': 'u', 'û': 'u', 'Ù': 'U', 'Ú': 'U', 'Û': 'U',
+    'ý': 'y', 'ÿ': 'y', 'Ý': 'Y',
+    'œ': 'oe', 'Œ': 'OE',
+    '‘': '\'', '’': '\'', '‚': '\'', '′': '\'',
+    '“': '"', '”': '"', '„': '"', '″': '"', '«': '"', '»': '"',
+    '‐': '-', '‑': '-', '–': '-', '—': '-',
+    '…': '...', '•': '-',
+    '\u00a0': ' ', '\u2009': ' ', '\u202f': ' '
+};
+
+const SEGMENT_LIMITS = {
+    plain: { single: 160, multi: 153 },
+    unicode: { single: 70, multi: 67 }
+};
+
+/**
+ * Check whether a text can be sent in the GSM 7-bit alphabet
+ * @param {string} text - Text
+ * @returns {boolean} True if every character is in the GSM alphabet or its extension table
+ */
+function isGsm7(text) {
+    return Array.from(text).every(char => GSM7_BASIC.has(char) || GSM7_EXTENDED.has(char));
+}
+
+/**
+ * Replace characters outside the GSM alphabet by their closest GSM equivalent
+ * @param {string} text - Text
+ * @returns {string} Text with the known characters replaced (others are kept)
+ */
+function transliterate(text) {
+    return Array.from(text).map(char => TRANSLITERATIONS[char] || char).join('');
+}
+
+/**
+ * Check whether transliteration is turned on
+ * @returns {boolean} SMS_TRANSLITERATE (default: false)
+ */
+function isTransliterationEnabled() {
+    return process.env.SMS_TRANSLITERATE === 'true';
+}
+
+/**
+ * Choose the encoding of an SMS, transliterating it when that makes it plain
+ * @param {string} text - SMS text
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.transliterate] - Replace non-GSM characters (default: SMS_TRANSLITERATE)
+ * @returns {Object} message to send, its encoding (plain or unicode) and whether it was transliterated
+ */
+function encodeSms(text, options = {}) {
+    if (isGsm7(text)) {
+        return { message: text, encoding: 'plain', transliterated: false };
+    }
+
+    const enabled = options.transliterate !== undefined ? options.transliterate : isTransliterationEnabled();
+    if (enabled) {
+        const replaced = transliterate(text);
+        if (isGsm7(replaced)) {
+            return { message: replaced, encoding: 'plain', transliterated: true };
+        }
+    }
+
+    return { message: text, encoding: 'unicode', transliterated: false };
+}
+
+/**
+ * Get the encoded length of one character
+ * @param {string} char - Character (code point)
+ * @param {string} encoding - plain or unicode
+ * @returns {number} Septets (plain) or UTF-16 code units (unicode)
+ */
+function encodedLength(char, encoding) {
+    if (encoding === 'unicode') {
+        return char.length;
+    }
+    return GSM7_EXTENDED.has(char) ? 2 : 1;
+}
+
+/**
+ * Count the parts an SMS is sent in
+ * @param {string} message - SMS text
+ * @param {string} [encoding] - plain or unicode (default: detected from the text)
+ * @returns {Object} Encoded length, parts, the part size used and the room left in the last part
+ */
+function countSegments(message, encoding) {
+    const type = encoding || (isGsm7(message) ? 'plain' : 'unicode');
+    const limits = SEGMENT_LIMITS[type];
+    const lengths = Array.from(message).map(char => encodedLength(char, type));
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+
+    if (total <= limits.single) {
+        return { encoding: type, encodedLength: total, parts: 1, maxPerPart: limits.single, remaining: limits.single - total };
+    }
+
+    // Fill parts in order, moving a character that does not fit whole to the next part
+    let parts = 1;
+    let used = 0;
+    lengths.forEach(length => {
+        if (used + length > limits.multi) {
+            parts++;
+            used = 0;
+        }
+        used += length;
+    });
+
+    return { encoding: type, encodedLength: total, parts, maxPerPart: limits.multi, remaining: limits.multi - used };
+}
+
+/**
+ * Get the longest message that fits in a number of parts
+ * @param {number} parts - Number of parts
+ * @param {string} encoding - plain or unicode
+ * @returns {number} Septets (plain) or UTF-16 code units (unicode)
+ */
+function getCapacity(parts, encoding) {
+    const limits = SEGMENT_LIMITS[encoding];
+    return parts === 1 ? limits.single : parts * limits.multi;
+}
+
+module.exports = {
+    isGsm7,
+    transliterate,
+    encodeSms,
+    countSegments,
+    getCapacity,
+    SEGMENT_LIMITS
+};
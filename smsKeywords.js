@@ -0,0 +1,84 @@
+/**
+ * Inbound SMS keywords
+ *
+ * Recipients can text STOP, START or HELP (or their French and Kinyarwanda equivalents)
+ * back to us. Only the first word of a message counts; case, accents and trailing
+ * punctuation are ignored, so "Arrêt." and "ARRET" match the same keyword.
+ */
+
+const SMS_KEYWORD_ACTIONS = ['stop', 'start', 'help'];
+
+const keywords = {
+    stop: {
+        english: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+        french: ['ARRET', 'STOP', 'DESABONNER', 'DESINSCRIRE'],
+        kinyarwanda: ['HAGARIKA', 'REKA']
+    },
+    start: {
+        english: ['START', 'UNSTOP', 'SUBSCRIBE'],
+        french: ['DEMARRER', 'REPRENDRE', 'ABONNER'],
+        kinyarwanda: ['TANGIRA', 'KOMEZA']
+    },
+    help: {
+        english: ['HELP', 'INFO'],
+        french: ['AIDE'],
+        kinyarwanda: ['UBUFASHA', 'FASHA']
+    }
+};
+
+/**
+ * Reduce a message to the word compared against the keywords
+ * @param {string} text - Inbound message text
+ * @returns {string} First word, upper case, without accents or punctuation
+ */
+function normalizeKeyword(text) {
+    const [word = ''] = String(text || '').trim().split(/\s+/);
+
+    return word
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z]/g, '')
+        .toUpperCase();
+}
+
+/**
+ * Recognize a keyword in an inbound message
+ * @param {string} text - Inbound message text
+ * @param {string} [preferredLanguage] - Language to pick when the keyword exists in several (e.g. STOP)
+ * @returns {Object|null} { action, keyword, language } or null if the message is not a keyword
+ */
+function parseKeyword(text, preferredLanguage) {
+    const keyword = normalizeKeyword(text);
+    if (!keyword) {
+        return null;
+    }
+
+    for (const action of SMS_KEYWORD_ACTIONS) {
+        const languages = Object.keys(keywords[action]).filter(language => keywords[action][language].includes(keyword));
+
+        if (languages.length > 0) {
+            return {
+                action,
+                keyword,
+                language: languages.includes(preferredLanguage) ? preferredLanguage : languages[0]
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the keywords recognized for each action and language
+ * @returns {Object} Keywords by action and language
+ */
+function getKeywords() {
+    return keywords;
+}
+
+module.exports = {
+    parseKeyword,
+    normalizeKeyword,
+    getKeywords,
+    SMS_KEYWORD_ACTIONS
+};
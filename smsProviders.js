@@ -0,0 +1,389 @@
+/**
+ * SMS gateway providers
+ *
+ * Every provider exposes the same interface:
+ * - send(recipients, message, type): sends one message to an array of phone numbers
+ *   and resolves to { provider, response }
+ * - parseRecipients(response, recipients): per-recipient outcome of a send
+ *   ([{ phoneNumber, accepted, providerMessageId, error }])
+ * - parseDeliveryReport(body): normalizes a delivery report (DLR) callback body
+ *   into { providerMessageId, phoneNumber, status, detail, timestamp }
+ * - parseInboundMessage(body): normalizes an inbound SMS callback body
+ *   into { providerMessageId, phoneNumber, text }
+ * - isConfigured(): whether the credentials it needs are present
+ *
+ * Providers are tried in priority order by SmsProviderChain. A provider that answers
+ * with a 5xx status, does not answer at all, or times out is skipped in favour of the
+ * next one; any other error is returned to the caller as-is. Errors are marked
+ * retryable when a later attempt could succeed (outages and throttling).
+ */
+
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Keep only the digits of a phone number so provider formats (+250..., 250...) compare equal
+ * @param {string} phoneNumber - Phone number
+ * @returns {string} Digits
+ */
+function digitsOnly(phoneNumber) {
+    return String(phoneNumber || '').replace(/\D/g, '');
+}
+
+/**
+ * Map a provider delivery status onto a message status
+ * @param {string} status - Provider status
+ * @returns {string} Message status (delivered, failed or sent)
+ */
+function toMessageStatus(status) {
+    const normalized = String(status || '').toLowerCase();
+
+    if (['delivered', 'delivrd', 'success'].includes(normalized)) {
+        return 'delivered';
+    }
+
+    if (['failed', 'undelivered', 'undeliv', 'rejected', 'rejectd', 'expired', 'expird', 'deleted', 'blacklisted'].includes(normalized)) {
+        return 'failed';
+    }
+
+    return 'sent';
+}
+
+/**
+ * Convert an axios error into a provider error
+ * @param {string} provider - Provider name
+ * @param {Error} error - Axios error
+ * @returns {Error} Error with provider, status and failover properties
+ */
+function toProviderError(provider, error) {
+    let providerError;
+
+    if (error.response) {
+        // API responded with error status
+        const data = error.response.data || {};
+        providerError = new Error(`SMS API Error: ${data.message || error.response.statusText} (${error.response.status})`);
+        providerError.status = error.response.status;
+        providerError.failover = error.response.status >= 500;
+        providerError.retryable = providerError.failover || error.response.status === 429;
+    } else if (error.request) {
+        // Request was made but no response received (includes timeouts)
+        providerError = new Error(error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT'
+            ? 'SMS API request failed: Request timed out'
+            : 'SMS API request failed: No response received');
+        providerError.failover = true;
+        providerError.retryable = true;
+    } else {
+        // Something else happened
+        providerError = new Error(`SMS API request failed: ${error.message}`);
+        providerError.failover = false;
+        providerError.retryable = false;
+    }
+
+    providerError.provider = provider;
+    return providerError;
+}
+
+/**
+ * Mista.io provider
+ */
+class MistaProvider {
+    constructor(options = {}) {
+        this.name = 'mista';
+        this.apiUrl = options.apiUrl || process.env.MISTA_API_URL || 'https://api.mista.io/sms';
+        this.apiToken = options.apiToken || process.env.SMS_API_TOKEN;
+        this.senderId = options.senderId || process.env.SMS_SENDER_ID || 'E-Notifier';
+        this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    }
+
+    isConfigured() {
+        return !!this.apiToken;
+    }
+
+    async send(recipients, message, type = 'plain') {
+        try {
+            const response = await axios.request({
+                method: 'post',
+                url: this.apiUrl,
+                timeout: this.timeout,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.apiToken}`
+                },
+                data: {
+                    recipient: recipients.join(', '),
+                    sender_id: this.senderId,
+                    type: type,
+                    message: message
+                }
+            });
+
+            return {
+                provider: this.name,
+                response: response.data
+            };
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+    }
+
+    parseRecipients(response, recipients) {
+        // Mista answers with one entry per recipient under data (or a single object for one recipient)
+        const data = response && response.data;
+        const entries = Array.isArray(data) ? data : (data ? [data] : []);
+
+        return recipients.map(phoneNumber => {
+            const entry = entries.find(item => digitsOnly(item.recipient || item.phone || item.to) === digitsOnly(phoneNumber))
+                || (entries.length === 1 && recipients.length === 1 ? entries[0] : null);
+
+            if (!entry) {
+                // Without an entry there is no message id to match delivery reports against
+                console.warn(`${this.name} response has no entry for ${phoneNumber}, recording it as not accepted`);
+                return { phoneNumber, accepted: false, providerMessageId: null, error: 'Recipient missing from provider response' };
+            }
+
+            const accepted = toMessageStatus(entry.status) !== 'failed';
+            return {
+                phoneNumber,
+                accepted,
+                providerMessageId: entry.uid || entry.message_id || entry.id || null,
+                error: accepted ? undefined : (entry.message || entry.status)
+            };
+        });
+    }
+
+    parseDeliveryReport(body) {
+        return {
+            providerMessageId: body.uid || body.message_id || body.id || null,
+            phoneNumber: digitsOnly(body.recipient || body.phone || body.to),
+            status: toMessageStatus(body.status),
+            detail: body.status_description || body.reason || body.status,
+            timestamp: body.timestamp || null
+        };
+    }
+
+    parseInboundMessage(body) {
+        return {
+            providerMessageId: body.uid || body.message_id || body.id || null,
+            phoneNumber: digitsOnly(body.from || body.sender || body.msisdn),
+            text: String(body.message || body.text || body.content || '')
+        };
+    }
+}
+
+/**
+ * Africa's Talking provider
+ */
+class AfricasTalkingProvider {
+    constructor(options = {}) {
+        this.name = 'africastalking';
+        this.username = options.username || process.env.AFRICASTALKING_USERNAME;
+        this.apiKey = options.apiKey || process.env.AFRICASTALKING_API_KEY;
+        this.senderId = options.senderId || process.env.AFRICASTALKING_SENDER_ID;
+        this.apiUrl = options.apiUrl || (this.username === 'sandbox'
+            ? 'https://api.sandbox.africastalking.com/version1/messaging'
+            : 'https://api.africastalking.com/version1/messaging');
+        this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    }
+
+    isConfigured() {
+        return !!(this.username && this.apiKey);
+    }
+
+    async send(recipients, message) {
+        const params = new URLSearchParams({
+            username: this.username,
+            to: recipients.map(phoneNumber => `+${phoneNumber}`).join(','),
+            message
+        });
+
+        if (this.senderId) {
+            params.append('from', this.senderId);
+        }
+
+        try {
+            const response = await axios.request({
+                method: 'post',
+                url: this.apiUrl,
+                timeout: this.timeout,
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Accept': 'application/json',
+                    'apiKey': this.apiKey
+                },
+                data: params.toString()
+            });
+
+            return {
+                provider: this.name,
+                response: response.data
+            };
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+    }
+
+    parseRecipients(response, recipients) {
+        const entries = (response && response.SMSMessageData && response.SMSMessageData.Recipients) || [];
+
+        return recipients.map(phoneNumber => {
+            const entry = entries.find(item => digitsOnly(item.number) === digitsOnly(phoneNumber));
+
+            if (!entry) {
+                console.warn(`${this.name} response has no entry for ${phoneNumber}, recording it as not accepted`);
+                return { phoneNumber, accepted: false, providerMessageId: null, error: 'Recipient missing from provider response' };
+            }
+
+            // 100 Processed, 101 Sent, 102 Queued - anything else was rejected
+            const accepted = [100, 101, 102].includes(Number(entry.statusCode));
+            return {
+                phoneNumber,
+                accepted,
+                providerMessageId: entry.messageId && entry.messageId !== 'None' ? entry.messageId : null,
+                error: accepted ? undefined : entry.status
+            };
+        });
+    }
+
+    parseDeliveryReport(body) {
+        return {
+            providerMessageId: body.id || null,
+            phoneNumber: digitsOnly(body.phoneNumber),
+            status: toMessageStatus(body.status),
+            detail: body.failureReason || body.status,
+            timestamp: body.timestamp || null
+        };
+    }
+
+    parseInboundMessage(body) {
+        return {
+            providerMessageId: body.id || null,
+            phoneNumber: digitsOnly(body.from),
+            text: String(body.text || '')
+        };
+    }
+}
+
+const providers = {
+    mista: MistaProvider,
+    africastalking: AfricasTalkingProvider
+};
+
+/**
+ * Sends through a list of providers in priority order with automatic failover
+ */
+class SmsProviderChain {
+    /**
+     * @param {Array} providerList - Provider instances in priority order
+     */
+    constructor(providerList) {
+        this.providers = providerList;
+    }
+
+    /**
+     * Send a message, failing over to the next provider on 5xx or timeout
+     * @param {Array} recipients - Phone numbers
+     * @param {string} message - SMS message
+     * @param {string} type - Message type (plain or unicode)
+     * @returns {Promise<Object>} Result of the provider that accepted the message, with per-recipient outcomes
+     */
+    async send(recipients, message, type) {
+        const failures = [];
+
+        for (const provider of this.providers) {
+            try {
+                const result = await provider.send(recipients, message, type);
+
+                if (failures.length > 0) {
+                    console.warn(`SMS delivered via ${provider.name} after failover from ${failures.map(f => f.provider).join(', ')}`);
+                }
+
+                return {
+                    ...result,
+                    recipients: provider.parseRecipients(result.response, recipients),
+                    failures
+                };
+            } catch (error) {
+                if (!error.failover) {
+                    throw error;
+                }
+
+                console.warn(`SMS provider ${provider.name} unavailable, trying next provider: ${error.message}`);
+                failures.push({ provider: provider.name, error: error.message });
+            }
+        }
+
+        const error = new Error(failures.length > 0
+            ? `All SMS providers failed: ${failures.map(f => `${f.provider}: ${f.error}`).join('; ')}`
+            : 'No SMS providers configured');
+        error.failover = true;
+        error.retryable = true;
+        error.failures = failures;
+        throw error;
+    }
+
+    /**
+     * Get provider names in priority order
+     * @returns {Array} Provider names
+     */
+    getProviderNames() {
+        return this.providers.map(provider => provider.name);
+    }
+
+    /**
+     * Get a configured provider by name
+     * @param {string} name - Provider name
+     * @returns {Object|null} Provider or null if it is not in the chain
+     */
+    getProvider(name) {
+        return this.providers.find(provider => provider.name === name) || null;
+    }
+}
+
+/**
+ * Get all available provider names
+ * @returns {Array} Array of provider names
+ */
+function getAvailableProviders() {
+    return Object.keys(providers);
+}
+
+/**
+ * Parse the configured provider priority list
+ * @param {string} [value] - Comma-separated provider names (defaults to SMS_PROVIDERS or mista)
+ * @returns {Array} Provider names in priority order
+ */
+function parseProviderList(value) {
+    return (value || process.env.SMS_PROVIDERS || 'mista')
+        .split(',')
+        .map(name => name.toLowerCase().trim())
+        .filter(Boolean);
+}
+
+/**
+ * Create the provider chain selected by configuration
+ * @param {string} [value] - Comma-separated provider names in priority order
+ * @returns {SmsProviderChain} Provider chain
+ */
+function createSmsProviderChain(value) {
+    const timeout = parseInt(process.env.SMS_PROVIDER_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10);
+
+    const providerList = parseProviderList(value).map(name => {
+        const Provider = providers[name];
+        if (!Provider) {
+            throw new Error(`Unknown SMS provider: ${name}. Must be one of: ${getAvailableProviders().join(', ')}`);
+        }
+        return new Provider({ timeout });
+    });
+
+    return new SmsProviderChain(providerList);
+}
+
+module.exports = {
+    createSmsProviderChain,
+    parseProviderList,
+    getAvailableProviders,
+    SmsProviderChain,
+    MistaProvider,
+    AfricasTalkingProvider
+};
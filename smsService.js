@@ -1,12 +1,84 @@
-const axios = require('axios');
 const smsTemplates = require('./smsTemplates');
-const { validateSmsRequest } = require('./validators');
+const { createSmsProviderChain } = require('./smsProviders');
+const { validateSmsRequest, normalizePhoneNumber, isValidTripNotificationType } = require('./validators');
+const { render } = require('./templateEngine');
+const { prepareVariables } = require('./htmlSafe');
+const { encodeSms, countSegments } = require('./smsEncoding');
+
+/**
+ * Describe the variables shortened to keep an SMS within its budget, for the send log
+ * @param {Array} truncated - Variable names
+ * @param {boolean} overBudget - Whether the message is still over its budget
+ * @returns {string} Log suffix, empty when nothing was shortened and the message is within its budget
+ */
+function describeTruncation(truncated, overBudget) {
+    if (overBudget) {
+        return ` (over its budget${truncated.length > 0 ? ` even with ${truncated.join(', ')} shortened` : ''})`;
+    }
+    return truncated.length > 0 ? ` (shortened to fit its budget: ${truncated.join(', ')})` : '';
+}
 
 class SmsService {
-    constructor() {
-        this.apiUrl = 'https://api.mista.io/sms';
-        this.apiToken = process.env.SMS_API_TOKEN;
-        this.senderId = process.env.SMS_SENDER_ID || 'E-Notifier';
+    /**
+     * @param {Object} [options] - Service options
+     * @param {Object} [options.providers] - Provider chain (defaults to the one selected by SMS_PROVIDERS)
+     * @param {Object} [options.messageStore] - Message store used to track every SMS sent
+     * @param {Object} [options.suppressionList] - Suppression list consulted before every send
+     */
+    constructor(options = {}) {
+        this.providers = options.providers || createSmsProviderChain();
+        this.messageStore = options.messageStore || null;
+        this.suppressionList = options.suppressionList || null;
+    }
+
+    /**
+     * Start tracking an SMS in the message store
+     * @param {string|null} messageId - Record id created when the SMS was queued
+     * @param {Object} data - Message data (recipient, template, language, ticketId, tripId)
+     * @returns {string|null} Tracking id or null when tracking is disabled
+     */
+    trackMessage(messageId, data) {
+        return this.messageStore ? this.messageStore.track(messageId, { channel: 'sms', ...data }).id : null;
+    }
+
+    /**
+     * Record a status change for a tracked SMS
+     * @param {string|null} trackingId - Tracking id
+     * @param {string} status - New status
+     * @param {Object} [details] - Extra fields (provider, providerMessageId, detail)
+     */
+    updateMessageStatus(trackingId, status, details) {
+        if (this.messageStore && trackingId) {
+            this.messageStore.addStatus(trackingId, status, details);
+        }
+    }
+
+    /**
+     * Check a recipient against the suppression list, recording the SMS as suppressed if it is on it
+     * @param {string|null} trackingId - Tracking id
+     * @param {string} recipient - Phone number
+     * @returns {Object|null} SUPPRESSED result, or null when the SMS may be sent
+     */
+    checkSuppression(trackingId, recipient) {
+        const entry = this.suppressionList ? this.suppressionList.get(recipient) : null;
+        if (!entry) {
+            return null;
+        }
+
+        const message = `Recipient ${recipient} is suppressed (${entry.reason})`;
+        console.warn(`${message}, SMS not sent`);
+        this.updateMessageStatus(trackingId, 'suppressed', { detail: entry.reason });
+
+        return {
+            success: false,
+            trackingId,
+            status: 'suppressed',
+            code: 'SUPPRESSED',
+            reason: entry.reason,
+            message,
+            error: message,
+            retryable: false
+        };
     }
 
     /**
@@ -21,9 +93,13 @@ class SmsService {
      * @param {string} [smsData.escalatedTo] - Name of person escalated to
      * @param {string} [smsData.issueTitle] - Title of the issue
      * @param {string} [smsData.responseMessage] - Response message for responses
+     * @param {Object} [options] - Send options
+     * @param {string} [options.messageId] - Tracking id created when the SMS was queued
      * @returns {Promise<Object>} SMS sending result
      */
-    async sendIssueSms(smsData) {
+    async sendIssueSms(smsData, options = {}) {
+        let trackingId = null;
+
         try {
             // Validate input
             const validation = validateSmsRequest(smsData);
@@ -31,51 +107,68 @@ class SmsService {
                 throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
             }
 
-            const { phoneNumber, ticketId, name, language, subject, assignedTo, escalatedTo, issueTitle, responseMessage } = smsData;
+            const { phoneNumber, ticketId, language, subject } = smsData;
 
             // Normalize language
             const normalizedLanguage = this.normalizeLanguage(language);
             
+            trackingId = this.trackMessage(options.messageId, {
+                recipient: phoneNumber,
+                template: subject,
+                language: normalizedLanguage,
+                ticketId
+            });
+
+            const suppressed = this.checkSuppression(trackingId, phoneNumber);
+            if (suppressed) {
+                return suppressed;
+            }
+            
             // Get template based on subject (status)
             const template = smsTemplates.getTemplate(subject, normalizedLanguage);
             if (!template) {
                 throw new Error(`Template not found for status: ${subject} and language: ${normalizedLanguage}`);
             }
 
-            // Build SMS message
-            const message = this.buildSmsMessage(template, {
-                name,
-                ticketId,
-                issueTitle,
-                assignedTo,
-                escalatedTo,
-                responseMessage
-            });
-
-            // Determine message type (0 for plain text, 1 for Unicode)
-            const messageType = this.determineMessageType(message, normalizedLanguage);
+            // Build SMS message within the template's budget, in GSM-7 (plain) unless it needs Unicode
+            const { message, encoding: messageType, truncated, overBudget } = this.composeMessage(template, smsData, this.buildSmsMessage);
 
             // Send SMS
             const result = await this.sendSms(phoneNumber, message, messageType);
+            const delivery = this.recordRecipientResult(result, { phoneNumber, trackingId }, 'SMS sent successfully');
+            
+            if (!delivery.success) {
+                console.error(`SMS to ${phoneNumber} for ticket ${ticketId} was rejected: ${delivery.message}`);
+                return delivery;
+            }
             
-            console.log(`SMS sent successfully to ${phoneNumber} for ticket ${ticketId} with status ${subject}`);
+            console.log(`SMS sent successfully to ${phoneNumber} for ticket ${ticketId} with status ${subject}${describeTruncation(truncated, overBudget)}`);
             
             return {
                 success: true,
+                trackingId,
+                providerMessageId: delivery.providerMessageId,
                 status: 'sent',
                 message: 'SMS sent successfully',
+                provider: result.provider,
                 phoneNumber,
-                ticketId
+                ticketId,
+                truncatedVariables: truncated,
+                overBudget
             };
 
         } catch (error) {
             console.error('Failed to send SMS:', error);
             
+            this.updateMessageStatus(trackingId, 'failed', { detail: error.message });
+            
             return {
                 success: false,
+                trackingId,
                 status: 'failed',
                 message: error.message,
-                error: error.message
+                error: error.message,
+                retryable: !!error.retryable
             };
         }
     }
@@ -83,7 +176,7 @@ class SmsService {
     /**
      * Send bulk SMS for multiple recipients
      * @param {Array} smsList - Array of SMS data objects
-     * @returns {Promise<Array>} Array of SMS sending results
+     * @returns {Promise<Array>} SMS sending results, in the same order as smsList
      */
     async sendBulkSms(smsList) {
         const results = [];
@@ -91,38 +184,48 @@ class SmsService {
         // Group SMS by message content to send bulk messages
         const messageGroups = {};
         
-        for (const smsData of smsList) {
-            const { phoneNumber, ticketId, name, language, subject, assignedTo, escalatedTo, issueTitle, responseMessage } = smsData;
+        for (const [index, smsData] of smsList.entries()) {
+            const { phoneNumber, ticketId, name, language, subject } = smsData;
             
             // Normalize language
             const normalizedLanguage = this.normalizeLanguage(language);
             
+            const trackingId = this.trackMessage(null, {
+                recipient: phoneNumber,
+                template: subject,
+                language: normalizedLanguage,
+                ticketId
+            });
+
+            const suppressed = this.checkSuppression(trackingId, phoneNumber);
+            if (suppressed) {
+                results[index] = {
+                    phoneNumber,
+                    ticketId,
+                    result: suppressed
+                };
+                continue;
+            }
+            
             // Get template based on subject (status)
             const template = smsTemplates.getTemplate(subject, normalizedLanguage);
             if (!template) {
-                results.push({
+                const message = `Template not found for status: ${subject} and language: ${normalizedLanguage}`;
+                this.updateMessageStatus(trackingId, 'failed', { detail: message });
+                results[index] = {
                     phoneNumber,
                     ticketId,
                     result: {
                         success: false,
-                        message: `Template not found for status: ${subject} and language: ${normalizedLanguage}`
+                        trackingId,
+                        message
                     }
-                });
+                };
                 continue;
             }
 
-            // Build SMS message
-            const message = this.buildSmsMessage(template, {
-                name,
-                ticketId,
-                issueTitle,
-                assignedTo,
-                escalatedTo,
-                responseMessage
-            });
-
-            // Determine message type
-            const messageType = this.determineMessageType(message, normalizedLanguage);
+            // Build SMS message within the template's budget, in GSM-7 (plain) unless it needs Unicode
+            const { message, encoding: messageType, truncated, overBudget } = this.composeMessage(template, smsData, this.buildSmsMessage);
             
             // Create a key for grouping messages with same content
             const messageKey = `${message}_${messageType}`;
@@ -131,11 +234,13 @@ class SmsService {
                 messageGroups[messageKey] = {
                     message,
                     type: messageType,
+                    truncated,
+                    overBudget,
                     recipients: []
                 };
             }
             
-            messageGroups[messageKey].recipients.push({ phoneNumber, ticketId, name });
+            messageGroups[messageKey].recipients.push({ index, phoneNumber, ticketId, name, trackingId });
         }
         
         // Send each group of messages
@@ -144,30 +249,33 @@ class SmsService {
                 const phoneNumbers = group.recipients.map(r => r.phoneNumber).join(', ');
                 const result = await this.sendSms(phoneNumbers, group.message, group.type);
                 
-                // Add results for all recipients in this group
+                // Add the provider's outcome for each recipient in this group
                 group.recipients.forEach(recipient => {
-                    results.push({
+                    results[recipient.index] = {
                         phoneNumber: recipient.phoneNumber,
                         ticketId: recipient.ticketId,
                         result: {
-                            success: true,
-                            status: 'sent',
-                            message: 'SMS sent successfully'
+                            ...this.recordRecipientResult(result, recipient, 'SMS sent successfully'),
+                            truncatedVariables: group.truncated,
+                            overBudget: group.overBudget
                         }
-                    });
+                    };
                 });
             } catch (error) {
                 // Add error results for all recipients in this group
                 group.recipients.forEach(recipient => {
-                    results.push({
+                    this.updateMessageStatus(recipient.trackingId, 'failed', { detail: error.message });
+                    results[recipient.index] = {
                         phoneNumber: recipient.phoneNumber,
                         ticketId: recipient.ticketId,
                         result: {
                             success: false,
+                            trackingId: recipient.trackingId,
                             status: 'failed',
-                            message: error.message
+                            message: error.message,
+                            retryable: !!error.retryable
                         }
-                    });
+                    };
                 });
             }
         }
@@ -176,49 +284,66 @@ class SmsService {
     }
 
     /**
-     * Send SMS using Mista.io API
-     * @param {string} phoneNumber - Recipient phone number
+     * Send SMS through the configured providers, failing over on provider outages
+     * @param {string} phoneNumber - Recipient phone number (or comma-separated list)
      * @param {string} message - SMS message
      * @param {string} type - Message type (plain or unicode)
-     * @returns {Promise<Object>} API response
+     * @returns {Promise<Object>} Provider response with per-recipient outcomes and provider message ids
      */
     async sendSms(phoneNumber, message, type = 'plain') {
-        try {
-            const data = {
-                recipient: phoneNumber,
-                sender_id: this.senderId,
-                type: type,
-                message: message
-            };
+        const recipients = phoneNumber.split(',').map(number => number.trim()).filter(Boolean);
+        const result = await this.providers.send(recipients, message, type);
 
-            const config = {
-                method: 'post',
-                url: this.apiUrl,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.apiToken}`
-                },
-                data: data
-            };
+        return {
+            success: true,
+            provider: result.provider,
+            response: result.response,
+            recipients: result.recipients
+        };
+    }
+
+    /**
+     * Record the provider's outcome for one recipient of a send
+     * @param {Object} result - Result of sendSms
+     * @param {Object} recipient - Recipient with phoneNumber and trackingId
+     * @param {string} successMessage - Message reported when the provider accepted the recipient
+     * @returns {Object} Recipient result
+     */
+    recordRecipientResult(result, recipient, successMessage) {
+        const phoneNumber = normalizePhoneNumber(recipient.phoneNumber);
+        let delivery = result.recipients.find(r => normalizePhoneNumber(r.phoneNumber) === phoneNumber);
+        if (!delivery) {
+            // Never record a recipient as sent without the provider's word (and message id) for it
+            console.warn(`${result.provider} returned no outcome for ${recipient.phoneNumber}, recording it as failed`);
+            delivery = { accepted: false, providerMessageId: null, error: 'Recipient missing from provider response' };
+        }
+
+        if (!delivery.accepted) {
+            const message = `SMS rejected by ${result.provider}: ${delivery.error}`;
+            this.updateMessageStatus(recipient.trackingId, 'failed', { provider: result.provider, detail: message });
 
-            const response = await axios.request(config);
-            
             return {
-                success: true,
-                response: response.data
+                success: false,
+                trackingId: recipient.trackingId,
+                status: 'failed',
+                message,
+                error: message,
+                retryable: false
             };
-        } catch (error) {
-            if (error.response) {
-                // API responded with error status
-                throw new Error(`SMS API Error: ${error.response.data.message || error.response.statusText} (${error.response.status})`);
-            } else if (error.request) {
-                // Request was made but no response received
-                throw new Error('SMS API request failed: No response received');
-            } else {
-                // Something else happened
-                throw new Error(`SMS API request failed: ${error.message}`);
-            }
         }
+
+        this.updateMessageStatus(recipient.trackingId, 'sent', {
+            provider: result.provider,
+            providerMessageId: delivery.providerMessageId
+        });
+
+        return {
+            success: true,
+            trackingId: recipient.trackingId,
+            providerMessageId: delivery.providerMessageId,
+            status: 'sent',
+            message: successMessage
+        };
     }
 
     /**
@@ -248,46 +373,69 @@ class SmsService {
     /**
      * Build SMS message from template with dynamic data
      * @param {Object} template - SMS template
-     * @param {Object} data - Dynamic data for template
+     * @param {Object} data - SMS data (every field is available to the template; { html } values render as text)
      * @returns {string} Formatted SMS message
      */
     buildSmsMessage(template, data) {
-        let message = template.message;
-        
-        // Replace placeholders with actual data
-        const replacements = {
-            '{name}': data.name || 'Customer',
-            '{ticketId}': data.ticketId || 'N/A',
-            '{issueTitle}': data.issueTitle || 'Your Issue',
-            '{assignedTo}': data.assignedTo || '',
-            '{escalatedTo}': data.escalatedTo || '',
-            '{responseMessage}': data.responseMessage || '',
-            '{currentDate}': new Date().toLocaleDateString()
-        };
-        
-        for (const [placeholder, value] of Object.entries(replacements)) {
-            message = message.replace(new RegExp(placeholder, 'g'), value);
-        }
-        
-        return message;
+        return render(template.message, prepareVariables({
+            ...data,
+            name: data.name || 'Customer',
+            ticketId: data.ticketId || 'N/A',
+            issueTitle: data.issueTitle || 'Your Issue',
+            assignedTo: data.assignedTo || '',
+            escalatedTo: data.escalatedTo || '',
+            responseMessage: data.responseMessage || '',
+            currentDate: new Date().toLocaleDateString()
+        }));
     }
 
     /**
-     * Determine message type based on content and language
-     * @param {string} message - SMS message content
+     * Render an SMS template without sending it (for previews)
+     * @param {string} type - Issue status or trip notification type
      * @param {string} language - Language
-     * @returns {string} Message type (plain or unicode)
+     * @param {Object} [data] - Template variables
+     * @returns {Object|null} Message as it would be sent with its encoding and length, or null if there is no such template
      */
-    determineMessageType(message, language) {
-        // Check if message contains non-ASCII characters
-        const hasUnicode = /[^\x00-\x7F]/.test(message);
-        
-        // Kinyarwanda and some French characters might need Unicode
-        if (language === 'kinyarwanda' || hasUnicode) {
-            return 'unicode';
+    renderTemplate(type, language, data = {}) {
+        const normalizedLanguage = this.normalizeLanguage(language);
+        const template = smsTemplates.getTemplate(type, normalizedLanguage);
+        if (!template) {
+            return null;
         }
-        
-        return 'plain';
+
+        const { message, encoding, transliterated, truncated, overBudget } = this.composeMessage(template, data, isValidTripNotificationType(type)
+            ? this.buildTripSmsMessage
+            : this.buildSmsMessage);
+
+        return {
+            message,
+            encoding,
+            transliterated,
+            truncated,
+            overBudget,
+            ...this.getMessageInfo(message, encoding)
+        };
+    }
+
+    /**
+     * Build an SMS within its template's segment budget (see smsTemplates.renderWithinBudget)
+     * @param {Object} template - SMS template
+     * @param {Object} data - SMS or trip data
+     * @param {Function} build - buildSmsMessage or buildTripSmsMessage
+     * @returns {Object} message, encoding (plain or unicode), transliterated, truncated (shortened variables) and overBudget
+     */
+    composeMessage(template, data, build) {
+        return smsTemplates.renderWithinBudget(template, data, (smsTemplate, variables) => build.call(this, smsTemplate, variables));
+    }
+
+    /**
+     * Choose the encoding of a message: GSM-7 (plain) when every character is in the GSM
+     * alphabet, after transliteration if SMS_TRANSLITERATE is on, otherwise Unicode
+     * @param {string} message - SMS message content
+     * @returns {Object} message to send, encoding (plain or unicode) and transliterated
+     */
+    encodeMessage(message) {
+        return encodeSms(message);
     }
 
     /**
@@ -300,54 +448,77 @@ class SmsService {
      * @param {string} tripData.destinationName - Destination name
      * @param {string} [tripData.remainingTime] - Remaining time (for trip_remaining_time)
      * @param {string} [tripData.tripId] - Trip ID
+     * @param {Object} [options] - Send options
+     * @param {string} [options.messageId] - Tracking id created when the SMS was queued
      * @returns {Promise<Object>} SMS sending result
      */
-    async sendTripSms(tripData) {
+    async sendTripSms(tripData, options = {}) {
+        let trackingId = null;
+
         try {
-            const { phoneNumber, name, language, notificationType, destinationName, remainingTime, tripId } = tripData;
+            const { phoneNumber, language, notificationType, destinationName, tripId } = tripData;
 
             // Normalize language
             const normalizedLanguage = this.normalizeLanguage(language);
             
+            trackingId = this.trackMessage(options.messageId, {
+                recipient: phoneNumber,
+                template: notificationType,
+                language: normalizedLanguage,
+                tripId
+            });
+
+            const suppressed = this.checkSuppression(trackingId, phoneNumber);
+            if (suppressed) {
+                return suppressed;
+            }
+            
             // Get template based on notification type
             const template = smsTemplates.getTemplate(notificationType, normalizedLanguage);
             if (!template) {
                 throw new Error(`Template not found for notification type: ${notificationType} and language: ${normalizedLanguage}`);
             }
 
-            // Build SMS message
-            const message = this.buildTripSmsMessage(template, {
-                name,
-                destinationName,
-                remainingTime,
-                tripId
-            });
-
-            // Determine message type (0 for plain text, 1 for Unicode)
-            const messageType = this.determineMessageType(message, normalizedLanguage);
+            // Build SMS message within the template's budget, in GSM-7 (plain) unless it needs Unicode
+            const { message, encoding: messageType, truncated, overBudget } = this.composeMessage(template, tripData, this.buildTripSmsMessage);
 
             // Send SMS
             const result = await this.sendSms(phoneNumber, message, messageType);
+            const delivery = this.recordRecipientResult(result, { phoneNumber, trackingId }, 'Trip SMS sent successfully');
+            
+            if (!delivery.success) {
+                console.error(`Trip SMS to ${phoneNumber} for ${notificationType} was rejected: ${delivery.message}`);
+                return delivery;
+            }
             
-            console.log(`Trip SMS sent successfully to ${phoneNumber} for ${notificationType} to ${destinationName}`);
+            console.log(`Trip SMS sent successfully to ${phoneNumber} for ${notificationType} to ${destinationName}${describeTruncation(truncated, overBudget)}`);
             
             return {
                 success: true,
+                trackingId,
+                providerMessageId: delivery.providerMessageId,
                 status: 'sent',
                 message: 'Trip SMS sent successfully',
+                provider: result.provider,
                 phoneNumber,
                 destinationName,
-                notificationType
+                notificationType,
+                truncatedVariables: truncated,
+                overBudget
             };
 
         } catch (error) {
             console.error('Failed to send trip SMS:', error);
             
+            this.updateMessageStatus(trackingId, 'failed', { detail: error.message });
+            
             return {
                 success: false,
+                trackingId,
                 status: 'failed',
                 message: error.message,
-                error: error.message
+                error: error.message,
+                retryable: !!error.retryable
             };
         }
     }
@@ -355,7 +526,7 @@ class SmsService {
     /**
      * Send bulk trip SMS for multiple recipients
      * @param {Array} tripList - Array of trip SMS data objects
-     * @returns {Promise<Array>} Array of SMS sending results
+     * @returns {Promise<Array>} SMS sending results, in the same order as tripList
      */
     async sendBulkTripSms(tripList) {
         const results = [];
@@ -363,38 +534,52 @@ class SmsService {
         // Group SMS by message content to send bulk messages
         const messageGroups = {};
         
-        for (const tripData of tripList) {
-            const { phoneNumber, name, language, notificationType, destinationName, remainingTime, tripId } = tripData;
+        for (const [index, tripData] of tripList.entries()) {
+            const { phoneNumber, name, language, notificationType, destinationName, tripId } = tripData;
             
             // Normalize language
             const normalizedLanguage = this.normalizeLanguage(language);
             
+            const trackingId = this.trackMessage(null, {
+                recipient: phoneNumber,
+                template: notificationType,
+                language: normalizedLanguage,
+                tripId
+            });
+
+            const suppressed = this.checkSuppression(trackingId, phoneNumber);
+            if (suppressed) {
+                results[index] = {
+                    phoneNumber,
+                    tripId,
+                    destinationName,
+                    notificationType,
+                    result: suppressed
+                };
+                continue;
+            }
+            
             // Get template based on notification type
             const template = smsTemplates.getTemplate(notificationType, normalizedLanguage);
             if (!template) {
-                results.push({
+                const message = `Template not found for notification type: ${notificationType} and language: ${normalizedLanguage}`;
+                this.updateMessageStatus(trackingId, 'failed', { detail: message });
+                results[index] = {
                     phoneNumber,
                     tripId,
                     destinationName,
                     notificationType,
                     result: {
                         success: false,
-                        message: `Template not found for notification type: ${notificationType} and language: ${normalizedLanguage}`
+                        trackingId,
+                        message
                     }
-                });
+                };
                 continue;
             }
 
-            // Build SMS message
-            const message = this.buildTripSmsMessage(template, {
-                name,
-                destinationName,
-                remainingTime,
-                tripId
-            });
-
-            // Determine message type
-            const messageType = this.determineMessageType(message, normalizedLanguage);
+            // Build SMS message within the template's budget, in GSM-7 (plain) unless it needs Unicode
+            const { message, encoding: messageType, truncated, overBudget } = this.composeMessage(template, tripData, this.buildTripSmsMessage);
             
             // Create a key for grouping messages with same content
             const messageKey = `${message}_${messageType}`;
@@ -403,16 +588,20 @@ class SmsService {
                 messageGroups[messageKey] = {
                     message,
                     type: messageType,
+                    truncated,
+                    overBudget,
                     recipients: []
                 };
             }
             
             messageGroups[messageKey].recipients.push({ 
+                index,
                 phoneNumber, 
                 tripId, 
                 name, 
                 destinationName, 
-                notificationType 
+                notificationType,
+                trackingId
             });
         }
         
@@ -422,34 +611,37 @@ class SmsService {
                 const phoneNumbers = group.recipients.map(r => r.phoneNumber).join(', ');
                 const result = await this.sendSms(phoneNumbers, group.message, group.type);
                 
-                // Add results for all recipients in this group
+                // Add the provider's outcome for each recipient in this group
                 group.recipients.forEach(recipient => {
-                    results.push({
+                    results[recipient.index] = {
                         phoneNumber: recipient.phoneNumber,
                         tripId: recipient.tripId,
                         destinationName: recipient.destinationName,
                         notificationType: recipient.notificationType,
                         result: {
-                            success: true,
-                            status: 'sent',
-                            message: 'Trip SMS sent successfully'
+                            ...this.recordRecipientResult(result, recipient, 'Trip SMS sent successfully'),
+                            truncatedVariables: group.truncated,
+                            overBudget: group.overBudget
                         }
-                    });
+                    };
                 });
             } catch (error) {
                 // Add error results for all recipients in this group
                 group.recipients.forEach(recipient => {
-                    results.push({
+                    this.updateMessageStatus(recipient.trackingId, 'failed', { detail: error.message });
+                    results[recipient.index] = {
                         phoneNumber: recipient.phoneNumber,
                         tripId: recipient.tripId,
                         destinationName: recipient.destinationName,
                         notificationType: recipient.notificationType,
                         result: {
                             success: false,
+                            trackingId: recipient.trackingId,
                             status: 'failed',
-                            message: error.message
+                            message: error.message,
+                            retryable: !!error.retryable
                         }
-                    });
+                    };
                 });
             }
         }
@@ -457,29 +649,79 @@ class SmsService {
         return results;
     }
 
+    /**
+     * Reply to an inbound STOP/START/HELP keyword
+     *
+     * Replies go out even to suppressed numbers: confirming an opt-out is the one message
+     * a recipient who just texted STOP must still get.
+     * @param {string} phoneNumber - Phone number that sent the keyword
+     * @param {string} action - Keyword action (stop, start, help)
+     * @param {string} language - Reply language
+     * @returns {Promise<Object>} SMS sending result
+     */
+    async sendKeywordReply(phoneNumber, action, language) {
+        let trackingId = null;
+
+        try {
+            const normalizedLanguage = this.normalizeLanguage(language);
+
+            trackingId = this.trackMessage(null, {
+                recipient: phoneNumber,
+                template: `keyword_${action}`,
+                language: normalizedLanguage
+            });
+
+            const template = smsTemplates.getKeywordReply(action, normalizedLanguage);
+            if (!template) {
+                throw new Error(`Keyword reply not found for action: ${action}`);
+            }
+
+            const { message, encoding: messageType } = this.encodeMessage(template.message);
+            const result = await this.sendSms(phoneNumber, message, messageType);
+            const delivery = this.recordRecipientResult(result, { phoneNumber, trackingId }, 'Keyword reply sent successfully');
+
+            if (!delivery.success) {
+                console.error(`${action.toUpperCase()} reply to ${phoneNumber} was rejected: ${delivery.message}`);
+                return delivery;
+            }
+
+            console.log(`${action.toUpperCase()} reply sent to ${phoneNumber} in ${normalizedLanguage}`);
+
+            return {
+                ...delivery,
+                provider: result.provider
+            };
+        } catch (error) {
+            console.error('Failed to send keyword reply:', error);
+
+            this.updateMessageStatus(trackingId, 'failed', { detail: error.message });
+
+            return {
+                success: false,
+                trackingId,
+                status: 'failed',
+                message: error.message,
+                error: error.message,
+                retryable: !!error.retryable
+            };
+        }
+    }
+
     /**
      * Build trip SMS message from template with dynamic data
      * @param {Object} template - SMS template
-     * @param {Object} data - Dynamic data for template
+     * @param {Object} data - Trip data (every field is available to the template)
      * @returns {string} Formatted SMS message
      */
     buildTripSmsMessage(template, data) {
-        let message = template.message;
-        
-        // Replace placeholders with actual data
-        const replacements = {
-            '{name}': data.name || 'Traveler',
-            '{destinationName}': data.destinationName || 'Destination',
-            '{remainingTime}': data.remainingTime || '',
-            '{tripId}': data.tripId || '',
-            '{currentDate}': new Date().toLocaleDateString()
-        };
-        
-        for (const [placeholder, value] of Object.entries(replacements)) {
-            message = message.replace(new RegExp(placeholder, 'g'), value);
-        }
-        
-        return message;
+        return render(template.message, prepareVariables({
+            ...data,
+            name: data.name || 'Traveler',
+            destinationName: data.destinationName || 'Destination',
+            remainingTime: data.remainingTime || '',
+            tripId: data.tripId || '',
+            currentDate: new Date().toLocaleDateString()
+        }));
     }
 
     /**
@@ -509,20 +751,19 @@ class SmsService {
     /**
      * Get SMS character count and parts
      * @param {string} message - SMS message
-     * @param {string} type - Message type (plain or unicode)
-     * @returns {Object} Character count and parts info
+     * @param {string} [type] - Message type (plain or unicode; default: detected from the message)
+     * @returns {Object} Character count, encoded length (septets or UTF-16 units) and parts info
      */
-    getMessageInfo(message, type = 'plain') {
-        const maxCharsPerPart = type === 'unicode' ? 67 : 153;
-        const totalChars = message.length;
-        const parts = Math.ceil(totalChars / maxCharsPerPart);
+    getMessageInfo(message, type) {
+        const segments = countSegments(message, type);
         
         return {
-            totalChars,
-            maxCharsPerPart,
-            parts,
-            isMultiPart: parts > 1,
-            remainingChars: maxCharsPerPart - (totalChars % maxCharsPerPart)
+            totalChars: Array.from(message).length,
+            encodedLength: segments.encodedLength,
+            maxCharsPerPart: segments.maxPerPart,
+            parts: segments.parts,
+            isMultiPart: segments.parts > 1,
+            remainingChars: segments.remaining
         };
     }
 }
@@ -1,153 +1,77 @@
 /**
  * SMS templates for different issue statuses in multiple languages
- * Optimized for SMS character limits (153 chars for plain text, 67 for Unicode)
+ * Optimized for SMS length limits (see smsEncoding.js for how parts are counted)
+ *
+ * The notification templates are loaded from templates/sms/<type>/<language>.yaml
+ * (see templateLoader.js); the keyword replies below are part of the service.
  */
 
-const templates = {
-    // Issue Received Templates
-    received: {
-        english: {
-            message: `Hi {name}, your issue {ticketId} has been received. We'll review it soon. Track: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        french: {
-            message: `Bonjour {name}, votre problème {ticketId} a été reçu. Nous l'examinerons bientôt. Suivi: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        kinyarwanda: {
-            message: `Mwaramutse {name}, ikibazo {ticketId} cyakiriwe. Tuzacyasuzuma vuba. Kurikirana: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        }
-    },
-
-    // Issue Resolved Templates
-    resolved: {
-        english: {
-            message: `Hi {name}, your issue {ticketId} has been resolved! View details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        french: {
-            message: `Bonjour {name}, votre problème {ticketId} a été résolu! Détails: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        kinyarwanda: {
-            message: `Mwaramutse {name}, ikibazo {ticketId} cyakemuwe! Ibisobanura: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        }
-    },
-
-    // Issue Escalated Templates
-    escalated: {
-        english: {
-            message: `Hi {name}, your issue {ticketId} has been escalated to {escalatedTo}. Track: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        french: {
-            message: `Bonjour {name}, votre problème {ticketId} a été escaladé à {escalatedTo}. Suivi: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        kinyarwanda: {
-            message: `Mwaramutse {name}, ikibazo {ticketId} cyoherejwe kuri {escalatedTo}. Kurikirana: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        }
-    },
+const templateLoader = require('./templateLoader');
+const { render, FILTERS } = require('./templateEngine');
+const { prepareVariables } = require('./htmlSafe');
+const { encodeSms, countSegments, getCapacity } = require('./smsEncoding');
 
-    // Issue Assigned Templates
-    assigned: {
-        english: {
-            message: `Hi {name}, your issue {ticketId} has been assigned to {assignedTo}. Track: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        french: {
-            message: `Bonjour {name}, votre problème {ticketId} a été assigné à {assignedTo}. Suivi: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        kinyarwanda: {
-            message: `Mwaramutse {name}, ikibazo {ticketId} cyahawe {assignedTo}. Kurikirana: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        }
-    },
+const templates = templateLoader.getTemplates('sms');
 
-    // Issue Closed Templates
-    closed: {
-        english: {
-            message: `Hi {name}, your issue {ticketId} has been closed. If you need help, contact us. Details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        french: {
-            message: `Bonjour {name}, votre problème {ticketId} a été fermé. Si vous avez besoin d'aide, contactez-nous. Détails: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        kinyarwanda: {
-            message: `Mwaramutse {name}, ikibazo {ticketId} cyafunguwe. Niba ukeneye ubufasha, tubabarire. Ibisobanura: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        }
-    },
+const DEFAULT_MAX_SMS_SEGMENTS = 5;
 
-    // Issue In Progress Templates
-    in_progress: {
-        english: {
-            message: `Hi {name}, we're working on your issue {ticketId}. We'll update you soon. Track: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        french: {
-            message: `Bonjour {name}, nous travaillons sur votre problème {ticketId}. Nous vous tiendrons informé. Suivi: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        },
-        kinyarwanda: {
-            message: `Mwaramutse {name}, dukora ku kibazo {ticketId}. Tuzagufasha amakuru vuba. Kurikirana: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        }
-    },
+// Budget truncation never shortens a value below this many characters (ellipsis included)
+const MIN_TRUNCATED_LENGTH = 10;
 
-    // Issue Waiting for User Response Templates
-    waiting_for_user_response: {
+// Replies to inbound STOP/START/HELP keywords (see smsKeywords.js)
+const keywordReplies = {
+    stop: {
         english: {
-            message: `Hi {name}, we need more info for issue {ticketId}. Please respond. Details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
+            message: `You have been unsubscribed from CES notifications and will not receive more SMS. Reply START to subscribe again.`
         },
         french: {
-            message: `Bonjour {name}, nous avons besoin de plus d'infos pour le problème {ticketId}. Veuillez répondre. Détails: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
+            message: `Vous êtes désabonné des notifications CES et ne recevrez plus de SMS. Répondez DEMARRER pour vous réabonner.`
         },
         kinyarwanda: {
-            message: `Mwaramutse {name}, dukeneye amakuru yongeyeho ku kibazo {ticketId}. Nyamuneka usubize. Ibisobanura: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
+            message: `Mwakuwe ku butumwa bwa CES, ntimuzongera kubona SMS. Musubize TANGIRA kugira ngo mwongere kwiyandikisha.`
         }
     },
 
-    // Issue Overdue Templates
-    overdue: {
+    start: {
         english: {
-            message: `Hi {name}, your issue {ticketId} is overdue. We're prioritizing it now. Track: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
+            message: `You are subscribed to CES notifications again. Reply STOP to unsubscribe or HELP for help.`
         },
         french: {
-            message: `Bonjour {name}, votre problème {ticketId} est en retard. Nous le priorisons maintenant. Suivi: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
+            message: `Vous êtes de nouveau abonné aux notifications CES. Répondez ARRET pour vous désabonner ou AIDE pour de l'aide.`
         },
         kinyarwanda: {
-            message: `Mwaramutse {name}, ikibazo {ticketId} cyarenganyijwe. Turaha ubwoba bwo kwitabwaho. Kurikirana: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
+            message: `Mwongeye kwiyandikisha ku butumwa bwa CES. Musubize HAGARIKA kugira ngo buhagarare cyangwa UBUFASHA ngo mufashwe.`
         }
     },
 
-    // Issue Incomplete Templates
-    incomplete: {
+    help: {
         english: {
-            message: `Hi {name}, your issue {ticketId} is incomplete. Please provide missing info. Details: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
+            message: `CES notifications about your issues and trips. Reply STOP to unsubscribe, START to subscribe. Help: https://ces-frontend-zeta.vercel.app`
         },
         french: {
-            message: `Bonjour {name}, votre problème {ticketId} est incomplet. Veuillez fournir les infos manquantes. Détails: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
+            message: `Notifications CES sur vos problèmes et voyages. Répondez ARRET pour vous désabonner, DEMARRER pour vous abonner. Aide: https://ces-frontend-zeta.vercel.app`
         },
         kinyarwanda: {
-            message: `Mwaramutse {name}, ikibazo {ticketId} kitagize. Nyamuneka utange amakuru atariho. Ibisobanura: https://ces-frontend-zeta.vercel.app/followup?id={ticketId}`
-        }
-    },
-
-    // Trip Remaining Time Templates
-    trip_remaining_time: {
-        english: {
-            message: `Hi {name}, your trip to {destinationName} is on track. ETA: {remainingTime}. Safe travels!`
-        },
-        french: {
-            message: `Bonjour {name}, votre voyage vers {destinationName} est en cours. ETA: {remainingTime}. Bon voyage!`
-        },
-        kinyarwanda: {
-            message: `Mwaramutse {name}, urugendo rwawe rwo kujya {destinationName} rurakomeza. ETA: {remainingTime}. Urugendo rwiza!`
-        }
-    },
-
-    // Trip Arrival Notice Templates
-    trip_arrival_notice: {
-        english: {
-            message: `Hi {name}, welcome to {destinationName}! You have arrived safely. Enjoy your stay!`
-        },
-        french: {
-            message: `Bonjour {name}, bienvenue à {destinationName}! Vous êtes arrivé en sécurité. Profitez de votre séjour!`
-        },
-        kinyarwanda: {
-            message: `Mwaramutse {name}, murakaza neza {destinationName}! Wazanye neza. Urugendo rwiza!`
+            message: `Ubutumwa bwa CES ku bibazo n'ingendo byanyu. Musubize HAGARIKA kugira ngo buhagarare, TANGIRA ngo bwongere. Ubufasha: https://ces-frontend-zeta.vercel.app`
         }
     }
 };
 
+/**
+ * Get the reply to an inbound keyword
+ * @param {string} action - Keyword action (stop, start, help)
+ * @param {string} language - Language preference
+ * @returns {Object|null} SMS template or null if the action is unknown
+ */
+function getKeywordReply(action, language) {
+    const replies = keywordReplies[action];
+    if (!replies) {
+        return null;
+    }
+
+    return replies[language] || replies.english;
+}
+
 /**
  * Get SMS template by status and language
  * @param {string} status - Issue status
@@ -197,6 +121,56 @@ function hasTemplate(status) {
     return !!templates[normalizedStatus];
 }
 
+/**
+ * Render an SMS template within its budget: when the message takes more parts than the budget
+ * allows, the variables the budget lists are shortened (with an ellipsis), in order, until it
+ * fits. If it cannot fit even then, the shortest attempt is kept and flagged as over budget.
+ * @param {Object} template - SMS template (with an optional budget)
+ * @param {Object} data - Template variables
+ * @param {Function} build - Renders the message text from the template and variables
+ * @returns {Object} message, encoding, transliterated, encodedLength, parts, maxPerPart, remaining,
+ * truncated (names of the shortened variables, empty if none were) and overBudget
+ */
+function renderWithinBudget(template, data, build) {
+    const encode = variables => {
+        const encoded = encodeSms(build(template, variables));
+        return { ...encoded, ...countSegments(encoded.message, encoded.encoding) };
+    };
+
+    const rendered = { ...encode(data), truncated: [] };
+    const { budget } = template;
+    if (!budget || rendered.parts <= budget.segments) {
+        return { ...rendered, overBudget: false };
+    }
+
+    const variables = { ...data };
+    const truncated = new Set();
+    let attempt = rendered;
+    let shortest = rendered;
+
+    while (attempt.parts > budget.segments) {
+        const name = budget.truncate.find(candidate => typeof variables[candidate] === 'string'
+            && variables[candidate].length > MIN_TRUNCATED_LENGTH);
+        if (!name) {
+            break;
+        }
+
+        // Shorten by the excess (at least one character); the next round measures again
+        const excess = attempt.encodedLength - getCapacity(budget.segments, attempt.encoding);
+        const length = variables[name].length;
+        variables[name] = FILTERS.truncate(variables[name], Math.max(MIN_TRUNCATED_LENGTH, Math.min(length - 1, length - excess)));
+        truncated.add(name);
+        attempt = { ...encode(variables), truncated: [...truncated] };
+
+        // Fewer parts first, then fewer septets or code units (transliteration can change the encoding)
+        if (attempt.parts < shortest.parts || (attempt.parts === shortest.parts && attempt.encodedLength < shortest.encodedLength)) {
+            shortest = attempt;
+        }
+    }
+
+    return { ...shortest, overBudget: shortest.parts > budget.segments };
+}
+
 /**
  * Get template character count info
  * @param {string} status - Issue status
@@ -210,36 +184,41 @@ function getTemplateInfo(status, language, data = {}) {
         return null;
     }
 
-    // Build message with sample data to get accurate character count
-    let message = template.message;
-    const sampleData = {
-        '{name}': data.name || 'Customer',
-        '{ticketId}': data.ticketId || 'TK12345',
-        '{issueTitle}': data.issueTitle || 'Issue',
-        '{assignedTo}': data.assignedTo || 'Support Team',
-        '{escalatedTo}': data.escalatedTo || 'Support Team',
-        '{responseMessage}': data.responseMessage || 'Resolved',
-        '{currentDate}': new Date().toLocaleDateString()
-    };
-
-    for (const [placeholder, value] of Object.entries(sampleData)) {
-        message = message.replace(new RegExp(placeholder, 'g'), value);
-    }
-
-    const totalChars = message.length;
-    const maxCharsPerPart = 153; // Plain text limit
-    const parts = Math.ceil(totalChars / maxCharsPerPart);
+    // Build message with sample data to get accurate character count (within the template's budget)
+    const rendered = renderWithinBudget(template, data, (smsTemplate, variables) => render(smsTemplate.message, prepareVariables({
+        ...variables,
+        name: variables.name || 'Customer',
+        ticketId: variables.ticketId || 'TK12345',
+        issueTitle: variables.issueTitle || 'Issue',
+        assignedTo: variables.assignedTo || 'Support Team',
+        escalatedTo: variables.escalatedTo || 'Support Team',
+        responseMessage: variables.responseMessage || 'Resolved',
+        currentDate: new Date().toLocaleDateString()
+    })));
     
     return {
-        totalChars,
-        maxCharsPerPart,
-        parts,
-        isMultiPart: parts > 1,
-        remainingChars: maxCharsPerPart - (totalChars % maxCharsPerPart),
-        message
+        totalChars: Array.from(rendered.message).length,
+        encoding: rendered.encoding,
+        encodedLength: rendered.encodedLength,
+        maxCharsPerPart: rendered.maxPerPart,
+        parts: rendered.parts,
+        isMultiPart: rendered.parts > 1,
+        remainingChars: rendered.remaining,
+        truncated: rendered.truncated,
+        overBudget: rendered.overBudget,
+        message: rendered.message
     };
 }
 
+/**
+ * Get the maximum number of parts an SMS may have
+ * @returns {number} SMS_MAX_SEGMENTS (default: 5)
+ */
+function getMaxSmsSegments() {
+    const value = parseInt(process.env.SMS_MAX_SEGMENTS, 10);
+    return value > 0 ? value : DEFAULT_MAX_SMS_SEGMENTS;
+}
+
 /**
  * Validate template length for SMS constraints
  * @param {string} status - Issue status
@@ -257,10 +236,11 @@ function validateTemplateLength(status, language, data = {}) {
         };
     }
 
-    if (info.parts > 5) {
+    const maxParts = getMaxSmsSegments();
+    if (info.parts > maxParts) {
         return {
             isValid: false,
-            error: `Message too long: ${info.parts} parts (max 5 allowed)`,
+            error: `Message too long: ${info.parts} parts (max ${maxParts} allowed)`,
             info
         };
     }
@@ -278,6 +258,10 @@ module.exports = {
     hasTemplate,
     getTemplateInfo,
     validateTemplateLength,
-    templates
+    renderWithinBudget,
+    getMaxSmsSegments,
+    getKeywordReply,
+    templates,
+    keywordReplies
 };
 
@@ -0,0 +1,119 @@
+/**
+ * Recipient suppression list
+ *
+ * Recipients that must not receive any more messages (hard bounces, spam complaints,
+ * unsubscribes). Email addresses and phone numbers share the list; entries are keyed by
+ * the normalized address (lowercased email, digits-only phone number).
+ */
+
+const FileStore = require('./fileStore');
+const { normalizePhoneNumber } = require('./validators');
+
+const SUPPRESSION_REASONS = ['hard_bounce', 'spam_complaint', 'unsubscribed', 'invalid_number', 'manual'];
+
+const SUPPRESSION_CHANNELS = ['email', 'sms'];
+
+class SuppressionList {
+    /**
+     * @param {Object} [options] - Options
+     * @param {FileStore} [options.store] - Entry store (defaults to DATA_DIR/suppressions.json)
+     */
+    constructor(options = {}) {
+        this.store = options.store || new FileStore('suppressions');
+    }
+
+    /**
+     * Get the channel an address belongs to
+     * @param {string} address - Email address or phone number
+     * @returns {string} email or sms
+     */
+    getChannel(address) {
+        return String(address).includes('@') ? 'email' : 'sms';
+    }
+
+    /**
+     * Normalize an address for lookups
+     * @param {string} address - Email address or phone number
+     * @returns {string} Normalized address
+     */
+    normalize(address) {
+        const value = String(address).trim();
+        return this.getChannel(value) === 'email' ? value.toLowerCase() : normalizePhoneNumber(value);
+    }
+
+    /**
+     * Add an address to the list. An address already on it keeps its entry (reason, source and
+     * time it was first suppressed) unless replace is set.
+     * @param {string} address - Email address or phone number
+     * @param {string} reason - Reason code
+     * @param {Object} [details] - Extra information
+     * @param {string} [details.source] - What added the entry (e.g. sendgrid_webhook)
+     * @param {string} [details.detail] - Human-readable detail (e.g. bounce reason)
+     * @param {boolean} [details.replace] - Replace an existing entry (default: false)
+     * @returns {Object} Stored entry (the existing one if it was kept)
+     */
+    add(address, reason, details = {}) {
+        const key = this.normalize(address);
+
+        const existing = this.store.get(key);
+        if (existing && !details.replace) {
+            return existing;
+        }
+
+        return this.store.set(key, {
+            address: key,
+            channel: this.getChannel(key),
+            reason,
+            source: details.source || 'manual',
+            detail: details.detail || null,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Get the entry for an address
+     * @param {string} address - Email address or phone number
+     * @returns {Object|null} Entry or null if the address is not suppressed
+     */
+    get(address) {
+        const entry = this.store.get(this.normalize(address));
+        return entry ? { ...entry, channel: entry.channel || this.getChannel(entry.address) } : null;
+    }
+
+    /**
+     * Check whether an address is suppressed
+     * @param {string} address - Email address or phone number
+     * @returns {boolean} True if suppressed
+     */
+    isSuppressed(address) {
+        return !!this.get(address);
+    }
+
+    /**
+     * Remove an address from the list
+     * @param {string} address - Email address or phone number
+     * @returns {boolean} True if an entry was removed
+     */
+    remove(address) {
+        return this.store.delete(this.normalize(address));
+    }
+
+    /**
+     * Get entries
+     * @param {Object} [filters] - Filters
+     * @param {string} [filters.channel] - Only entries of this channel (email, sms)
+     * @param {string} [filters.reason] - Only entries with this reason code
+     * @returns {Array} Entries, newest first
+     */
+    list(filters = {}) {
+        return this.store.values()
+            .map(entry => ({ ...entry, channel: entry.channel || this.getChannel(entry.address) }))
+            .filter(entry => !filters.channel || entry.channel === filters.channel)
+            .filter(entry => !filters.reason || entry.reason === filters.reason)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
+
+module.exports = SuppressionList;
+module.exports.SUPPRESSION_REASONS = SUPPRESSION_REASONS;
+module.exports.SUPPRESSION_CHANNELS = SUPPRESSION_CHANNELS;
@@ -0,0 +1,271 @@
+const express = require('express');
+const { suppressionList } = require('./services');
+const { SUPPRESSION_REASONS, SUPPRESSION_CHANNELS } = require('./suppressionList');
+const { isValidEmail, isValidPhoneNumber } = require('./validators');
+const { requireScope } = require('./auth');
+
+const router = express.Router();
+
+const EXPORT_FIELDS = ['address', 'channel', 'reason', 'source', 'detail', 'createdAt'];
+
+/**
+ * Validate the channel and reason filters of a list or export request
+ * @param {Object} query - Query parameters
+ * @returns {Array} Validation errors
+ */
+function validateFilters(query) {
+    const errors = [];
+
+    if (query.channel && !SUPPRESSION_CHANNELS.includes(query.channel)) {
+        errors.push(`channel must be one of: ${SUPPRESSION_CHANNELS.join(', ')}`);
+    }
+    if (query.reason && !SUPPRESSION_REASONS.includes(query.reason)) {
+        errors.push(`reason must be one of: ${SUPPRESSION_REASONS.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Quote a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * GET /api/admin/suppressions
+ * List suppressed recipients
+ *
+ * Query Parameters:
+ * - channel: string (optional) - email or sms
+ * - reason: string (optional) - Reason code (hard_bounce, spam_complaint, unsubscribed, invalid_number, manual)
+ */
+router.get('/admin/suppressions', requireScope('admin'), (req, res) => {
+    try {
+        const errors = validateFilters(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    details: errors
+                }
+            });
+        }
+
+        const entries = suppressionList.list({ channel: req.query.channel, reason: req.query.reason });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                count: entries.length,
+                reasons: SUPPRESSION_REASONS,
+                suppressions: entries
+            }
+        });
+    } catch (error) {
+        console.error('Error in suppression list endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * GET /api/admin/suppressions/export
+ * Download the suppression list
+ *
+ * Query Parameters:
+ * - format: string (optional) - csv (default) or json
+ * - channel: string (optional) - email or sms
+ * - reason: string (optional) - Reason code
+ */
+router.get('/admin/suppressions/export', requireScope('admin'), (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        const errors = validateFilters(req.query);
+        if (!['csv', 'json'].includes(format)) {
+            errors.push('format must be one of: csv, json');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    details: errors
+                }
+            });
+        }
+
+        const entries = suppressionList.list({ channel: req.query.channel, reason: req.query.reason });
+        const filename = `suppressions-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'json') {
+            return res.status(200).json(entries);
+        }
+
+        const lines = [EXPORT_FIELDS.join(',')]
+            .concat(entries.map(entry => EXPORT_FIELDS.map(field => csvCell(entry[field])).join(',')));
+
+        res.status(200).type('text/csv').send(`${lines.join('\n')}\n`);
+    } catch (error) {
+        console.error('Error in suppression export endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * GET /api/admin/suppressions/:address
+ * Check whether an email address or phone number is suppressed
+ */
+router.get('/admin/suppressions/:address', requireScope('admin'), (req, res) => {
+    try {
+        const entry = suppressionList.get(req.params.address);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `${req.params.address} is not suppressed`,
+                    code: 'SUPPRESSION_NOT_FOUND'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { suppression: entry }
+        });
+    } catch (error) {
+        console.error('Error in suppression lookup endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * POST /api/admin/suppressions
+ * Suppress an email address or phone number (replaces an existing entry)
+ *
+ * Body Parameters:
+ * - address: string (required) - Email address or phone number
+ * - reason: string (optional) - Reason code (default: manual)
+ * - detail: string (optional) - Note explaining the entry
+ */
+router.post('/admin/suppressions', requireScope('admin'), (req, res) => {
+    try {
+        const { address, reason = 'manual', detail } = req.body;
+        const errors = [];
+
+        if (typeof address !== 'string' || !address.trim()) {
+            errors.push('address is required');
+        } else if (suppressionList.getChannel(address) === 'email' ? !isValidEmail(address.trim()) : !isValidPhoneNumber(address.trim())) {
+            errors.push('address must be a valid email address or phone number');
+        }
+
+        if (!SUPPRESSION_REASONS.includes(reason)) {
+            errors.push(`reason must be one of: ${SUPPRESSION_REASONS.join(', ')}`);
+        }
+
+        if (detail !== undefined && (typeof detail !== 'string' || detail.length > 500)) {
+            errors.push('detail must be a string of at most 500 characters');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    details: errors
+                }
+            });
+        }
+
+        const entry = suppressionList.add(address, reason, {
+            source: `admin:${req.client.client}`,
+            detail,
+            replace: true
+        });
+
+        console.log(`${entry.address} suppressed (${reason}) by ${req.client.client}`);
+
+        res.status(201).json({
+            success: true,
+            data: { suppression: entry }
+        });
+    } catch (error) {
+        console.error('Error in suppression add endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/suppressions/:address
+ * Remove an email address or phone number from the suppression list
+ */
+router.delete('/admin/suppressions/:address', requireScope('admin'), (req, res) => {
+    try {
+        const entry = suppressionList.get(req.params.address);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `${req.params.address} is not suppressed`,
+                    code: 'SUPPRESSION_NOT_FOUND'
+                }
+            });
+        }
+
+        suppressionList.remove(req.params.address);
+
+        console.log(`${entry.address} removed from the suppression list by ${req.client.client}`);
+
+        res.status(200).json({
+            success: true,
+            data: { removed: entry }
+        });
+    } catch (error) {
+        console.error('Error in suppression remove endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,462 @@
+/**
+ * Template language of the notification templates
+ *
+ * Templates are plain text with tags in single braces:
+ *
+ *   {name}                                variable (nested values: {trip.destination})
+ *   {name | upper}                        filters, applied left to right
+ *   {escalatedTo | default: "our team"}   filter arguments: "text", numbers or variables
+ *   {#if escalatedTo}...{else}...{/if}    conditional ({#unless} for the opposite)
+ *   {#each stops}{@number}. {name}{/each} loop over a list ({else} renders for an empty list)
+ *   \{                                    a literal brace
+ *
+ * In a loop, {this} is the item, names are looked up on the item first, and {@index} (from 0),
+ * {@number} (from 1), {@first} and {@last} tell where the loop is.
+ *
+ * Missing values render as empty text, and empty text, empty lists, 0 and false are false
+ * in conditions. A block tag alone on its line removes the whole line, so a conditional
+ * line leaves no gap. Braces that do not form a tag are kept as they are.
+ */
+
+// Parsed templates by source, shared by every render of the same text
+const compiled = new Map();
+const MAX_COMPILED = 500;
+
+const DATE_FORMATS = {
+    date: date => date.toLocaleDateString(),
+    datetime: date => date.toLocaleString(),
+    time: date => date.toLocaleTimeString(),
+    iso: date => date.toISOString()
+};
+
+// Filters receive the value and the tag's arguments
+const FILTERS = {
+    upper: value => toText(value).toUpperCase(),
+    lower: value => toText(value).toLowerCase(),
+    capitalize: value => {
+        const text = toText(value);
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+    trim: value => toText(value).trim(),
+    default: (value, fallback = '') => (isTruthy(value) ? value : fallback),
+    date: (value, format = 'date') => {
+        if (value === undefined || value === null || value === '') {
+            return '';
+        }
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime()) || !DATE_FORMATS[format]) {
+            return toText(value);
+        }
+        return DATE_FORMATS[format](date);
+    },
+    truncate: (value, length = 50, ending = '...') => {
+        const text = toText(value);
+        return text.length > length ? `${text.slice(0, Math.max(length - ending.length, 0)).trimEnd()}${ending}` : text;
+    },
+    join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+    length: value => (Array.isArray(value) || typeof value === 'string' ? value.length : 0)
+};
+
+const BLOCKS = ['if', 'unless', 'each'];
+
+/**
+ * Convert a value to the text it renders as
+ * @param {*} value - Value
+ * @returns {string} Text (empty for missing values, lists joined with commas)
+ */
+function toText(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(toText).join(', ');
+    }
+    if (value instanceof Date) {
+        return value.toLocaleString();
+    }
+    return String(value);
+}
+
+/**
+ * Check whether a value counts as true in a condition
+ * @param {*} value - Value
+ * @returns {boolean} False for missing values, blank text, empty lists, 0, NaN and false
+ */
+function isTruthy(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    if (typeof value === 'string') {
+        return value.trim() !== '';
+    }
+    return !!value;
+}
+
+/**
+ * Parse an expression: a variable followed by filters
+ * @param {string} text - Tag content
+ * @returns {Object|null} Expression (path and filters) or null if the text is not an expression
+ */
+function parseExpression(text) {
+    const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)(?![\w.])|(@index|@number|@first|@last|this|[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|([|:,]))\s*/y;
+    const tokens = [];
+
+    while (pattern.lastIndex < text.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(text);
+        if (!match || pattern.lastIndex === start) {
+            return null;
+        }
+        if (match[1] !== undefined || match[2] !== undefined) {
+            tokens.push({ kind: 'literal', value: (match[1] !== undefined ? match[1] : match[2]).replace(/\\(.)/g, '$1') });
+        } else if (match[3] !== undefined) {
+            tokens.push({ kind: 'literal', value: Number(match[3]) });
+        } else if (match[4] !== undefined) {
+            tokens.push({ kind: 'path', value: match[4] });
+        } else {
+            tokens.push({ kind: 'punctuation', value: match[5] });
+        }
+    }
+
+    if (tokens.length === 0 || tokens[0].kind !== 'path') {
+        return null;
+    }
+
+    const expression = { path: tokens[0].value, filters: [] };
+    let position = 1;
+
+    while (position < tokens.length) {
+        const pipe = tokens[position];
+        const name = tokens[position + 1];
+        if (pipe.value !== '|' || !name || name.kind !== 'path') {
+            return null;
+        }
+
+        const filter = { name: name.value, args: [] };
+        position += 2;
+
+        if (tokens[position] && tokens[position].value === ':') {
+            do {
+                const arg = tokens[position + 1];
+                if (!arg || arg.kind === 'punctuation') {
+                    return null;
+                }
+                filter.args.push(arg);
+                position += 2;
+            } while (tokens[position] && tokens[position].value === ',');
+        }
+
+        if (!FILTERS[filter.name]) {
+            throw new Error(`Unknown filter "${filter.name}" in {${text.trim()}} (available: ${Object.keys(FILTERS).join(', ')})`);
+        }
+        expression.filters.push(filter);
+    }
+
+    return expression;
+}
+
+/**
+ * Split a template into text and tag tokens
+ * @param {string} source - Template text
+ * @returns {Array} Tokens
+ */
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /\\\{|\{([^{}\n]*)\}/g;
+    let text = '';
+    let last = 0;
+    let match;
+
+    const pushText = () => {
+        if (text) {
+            tokens.push({ kind: 'text', value: text });
+            text = '';
+        }
+    };
+
+    while ((match = pattern.exec(source)) !== null) {
+        text += source.slice(last, match.index);
+        last = pattern.lastIndex;
+
+        if (match[0] === '\\{') {
+            text += '{';
+            continue;
+        }
+
+        const content = match[1].trim();
+        let tag = null;
+
+        if (content === 'else') {
+            tag = { kind: 'else' };
+        } else if (content.startsWith('#')) {
+            const block = content.match(/^#(\w+)\s+(.+)$/);
+            if (!block || !BLOCKS.includes(block[1])) {
+                throw new Error(`Unknown block {${content}} (expected {#if ...}, {#unless ...} or {#each ...})`);
+            }
+            const expression = parseExpression(block[2]);
+            if (!expression) {
+                throw new Error(`Invalid expression in {${content}}`);
+            }
+            tag = { kind: 'open', block: block[1], expression };
+        } else if (content.startsWith('/')) {
+            const block = content.slice(1).trim();
+            if (!BLOCKS.includes(block)) {
+                throw new Error(`Unknown closing tag {${content}}`);
+            }
+            tag = { kind: 'close', block };
+        } else {
+            const expression = parseExpression(content);
+            if (expression) {
+                tag = { kind: 'output', expression };
+            }
+        }
+
+        if (tag) {
+            pushText();
+            tokens.push({ ...tag, position: match.index });
+        } else {
+            text += match[0];
+        }
+    }
+
+    text += source.slice(last);
+    pushText();
+
+    return tokens;
+}
+
+/**
+ * Remove the lines of block tags that stand alone on their line
+ * @param {Array} tokens - Tokens (text tokens are changed in place)
+ */
+function removeStandaloneLines(tokens) {
+    const isBlockTag = token => ['open', 'close', 'else'].includes(token.kind);
+
+    // Decide on the original text first: stripping one tag's line must not make its neighbour look standalone
+    const standalone = tokens.map((token, index) => {
+        if (!isBlockTag(token)) {
+            return false;
+        }
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+        const startsLine = !previous
+            || (previous.kind === 'text' && (/\n[ \t]*$/.test(previous.value) || (index === 1 && /^[ \t]*$/.test(previous.value))));
+        const endsLine = !next
+            || (next.kind === 'text' && (/^[ \t]*\r?\n/.test(next.value) || (index === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+        return startsLine && endsLine;
+    });
+
+    standalone.forEach((isStandalone, index) => {
+        if (!isStandalone) {
+            return;
+        }
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+        if (previous) {
+            previous.value = previous.value.replace(/[ \t]*$/, '');
+        }
+        if (next) {
+            next.value = next.value.replace(/^[ \t]*(\r?\n|$)/, '');
+        }
+    });
+}
+
+/**
+ * Parse a template (parsed templates are cached)
+ * @param {string} source - Template text
+ * @returns {Array} Template nodes
+ * @throws {Error} If a block is not closed, a tag is unknown or a filter does not exist
+ */
+function compile(source) {
+    if (compiled.has(source)) {
+        return compiled.get(source);
+    }
+
+    const tokens = tokenize(source);
+    removeStandaloneLines(tokens);
+
+    const nodes = [];
+    // Open blocks with the node list that receives their content (children, or otherwise after {else})
+    const stack = [{ block: null, target: nodes }];
+
+    tokens.forEach(token => {
+        const current = stack[stack.length - 1];
+
+        if (token.kind === 'text') {
+            if (token.value) {
+                current.target.push({ kind: 'text', value: token.value });
+            }
+        } else if (token.kind === 'output') {
+            current.target.push({ kind: 'output', expression: token.expression, position: token.position });
+        } else if (token.kind === 'open') {
+            const block = { kind: token.block, expression: token.expression, children: [], otherwise: [] };
+            current.target.push(block);
+            stack.push({ block, target: block.children });
+        } else if (token.kind === 'else') {
+            if (!current.block || current.target === current.block.otherwise) {
+                throw new Error('{else} outside of an {#if}, {#unless} or {#each} block');
+            }
+            current.target = current.block.otherwise;
+        } else {
+            if (!current.block || current.block.kind !== token.block) {
+                throw new Error(`Unexpected {/${token.block}}${current.block ? ` (expected {/${current.block.kind}})` : ''}`);
+            }
+            stack.pop();
+        }
+    });
+
+    if (stack.length > 1) {
+        throw new Error(`{#${stack[stack.length - 1].block.kind}} is not closed`);
+    }
+
+    if (compiled.size >= MAX_COMPILED) {
+        compiled.clear();
+    }
+    compiled.set(source, nodes);
+
+    return nodes;
+}
+
+/**
+ * Look up a variable
+ * @param {string} path - Variable path (name, nested.name, this or a loop variable)
+ * @param {Object} scope - Innermost scope ({ data, loop, parent })
+ * @returns {*} Value or undefined
+ */
+function lookup(path, scope) {
+    if (path.startsWith('@')) {
+        // Loop variables of the innermost loop
+        let loopScope = scope;
+        while (loopScope && !loopScope.loop) {
+            loopScope = loopScope.parent;
+        }
+        return loopScope ? loopScope.loop[path.slice(1)] : undefined;
+    }
+    if (path === 'this') {
+        return scope.data;
+    }
+
+    const [first, ...rest] = path.split('.');
+
+    // Inside a loop, names not found on the item come from the enclosing data
+    let owner = scope;
+    while (owner && !(owner.data !== null && typeof owner.data === 'object' && first in owner.data)) {
+        owner = owner.parent;
+    }
+    if (!owner) {
+        return undefined;
+    }
+
+    return rest.reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), owner.data[first]);
+}
+
+/**
+ * Evaluate an expression
+ * @param {Object} expression - Parsed expression
+ * @param {Object} scope - Scope
+ * @returns {*} Value after the filters
+ */
+function evaluate(expression, scope) {
+    return expression.filters.reduce((value, filter) => {
+        const args = filter.args.map(arg => (arg.kind === 'path' ? lookup(arg.value, scope) : arg.value));
+        return FILTERS[filter.name](value, ...args);
+    }, lookup(expression.path, scope));
+}
+
+/**
+ * Render template nodes
+ * @param {Array} nodes - Template nodes
+ * @param {Object} scope - Scope
+ * @param {Object} options - Render options
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, scope, options) {
+    return nodes.map(node => {
+        if (node.kind === 'text') {
+            return node.value;
+        }
+
+        const value = evaluate(node.expression, scope);
+
+        if (node.kind === 'output') {
+            return options.escape
+                ? options.escape(toText(value), value, { source: options.source, position: node.position })
+                : toText(value);
+        }
+        if (node.kind === 'each') {
+            const items = Array.isArray(value) ? value : [];
+            if (items.length === 0) {
+                return renderNodes(node.otherwise, scope, options);
+            }
+            return items.map((item, index) => renderNodes(node.children, {
+                data: item,
+                parent: scope,
+                loop: { index, number: index + 1, first: index === 0, last: index === items.length - 1 }
+            }, options)).join('');
+        }
+
+        const condition = node.kind === 'if' ? isTruthy(value) : !isTruthy(value);
+        return renderNodes(condition ? node.children : node.otherwise, scope, options);
+    }).join('');
+}
+
+/**
+ * Render a template
+ * @param {string} source - Template text
+ * @param {Object} [data] - Template variables
+ * @param {Object} [options] - Render options
+ * @param {Function} [options.escape] - Applied to every variable output, with its text, its value and
+ * its location ({ source, position } of the tag in the template)
+ * @returns {string} Rendered text
+ * @throws {Error} If the template does not parse
+ */
+function render(source, data = {}, options = {}) {
+    return renderNodes(compile(source), { data, loop: null, parent: null }, { ...options, source });
+}
+
+/**
+ * List the variables a template uses
+ * @param {string} source - Template text
+ * @returns {Array} Names of the top-level variables used, sorted (names inside loops may be item fields
+ * and are not listed, the lists looped over are)
+ * @throws {Error} If the template does not parse
+ */
+function listVariables(source) {
+    const names = new Set();
+
+    const addPath = path => {
+        if (!path.startsWith('@') && path !== 'this') {
+            names.add(path.split('.')[0]);
+        }
+    };
+    const addExpression = expression => {
+        addPath(expression.path);
+        expression.filters.forEach(filter => filter.args
+            .filter(arg => arg.kind === 'path')
+            .forEach(arg => addPath(arg.value)));
+    };
+    const visit = nodes => nodes.forEach(node => {
+        if (node.kind === 'text') {
+            return;
+        }
+        addExpression(node.expression);
+        if (node.kind === 'if' || node.kind === 'unless') {
+            visit(node.children);
+        }
+        if (node.kind !== 'output') {
+            visit(node.otherwise);
+        }
+    });
+
+    visit(compile(source));
+
+    return [...names].sort();
+}
+
+module.exports = {
+    compile,
+    render,
+    listVariables,
+    isTruthy,
+    FILTERS
+};
@@ -0,0 +1,176 @@
+/**
+ * Template consistency checks
+ *
+ * Finds templates that drifted apart: a type missing a language or a channel, languages
+ * or the HTML and text bodies of an email using different placeholders, SMS copy that
+ * can exceed the segment limit with the longest values the validators accept, and SMS copy
+ * too long for its own budget.
+ */
+
+const templateLoader = require('./templateLoader');
+const { TEMPLATE_CHANNELS, TEMPLATE_LANGUAGES } = require('./templateLoader');
+const { listVariables } = require('./templateEngine');
+const { getMaxSmsSegments } = require('./smsTemplates');
+
+// Longest values the validators accept (see validators.js), so the SMS check covers every valid request
+const WORST_CASE_VARIABLES = {
+    name: 'W'.repeat(100),
+    ticketId: 'W'.repeat(50),
+    issueTitle: 'W'.repeat(200),
+    assignedTo: 'W'.repeat(100),
+    escalatedTo: 'W'.repeat(100),
+    responseMessage: 'W'.repeat(2000),
+    destinationName: 'W'.repeat(100),
+    remainingTime: '12 hours and 30 minutes',
+    tripId: 'W'.repeat(50)
+};
+
+/**
+ * List the placeholders a template uses in its text fields
+ * @param {Object} template - Template fields
+ * @param {Array} [fields] - Fields to look at (default: all but variables)
+ * @returns {Array} Variable names, sorted
+ */
+function getPlaceholders(template, fields) {
+    const names = (fields || Object.keys(template).filter(field => field !== 'variables'))
+        .filter(field => typeof template[field] === 'string')
+        .flatMap(field => listVariables(template[field]));
+    return [...new Set(names)].sort();
+}
+
+/**
+ * Describe how two lists of names differ
+ * @param {Array} actual - Names found
+ * @param {Array} expected - Names expected
+ * @returns {string|null} Description, or null if they are the same
+ */
+function describeDifference(actual, expected) {
+    const missing = expected.filter(name => !actual.includes(name));
+    const extra = actual.filter(name => !expected.includes(name));
+    const parts = [
+        missing.length > 0 && `missing ${missing.map(name => `{${name}}`).join(', ')}`,
+        extra.length > 0 && `extra ${extra.map(name => `{${name}}`).join(', ')}`
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join('; ') : null;
+}
+
+/**
+ * Get the budget outcome of a rendered SMS, for its lint issues
+ * @param {Object} rendered - SMS as rendered by SmsService.renderTemplate
+ * @returns {Object} truncatedVariables and overBudget
+ */
+function getBudgetOutcome(rendered) {
+    return { truncatedVariables: rendered.truncated, overBudget: rendered.overBudget };
+}
+
+/**
+ * Describe the variables shortened to keep a rendered SMS within its budget
+ * @param {Object} rendered - SMS as rendered by SmsService.renderTemplate
+ * @returns {string} Message suffix, empty when nothing was shortened
+ */
+function describeShortened(rendered) {
+    return rendered.truncated.length > 0 ? ` after shortening ${rendered.truncated.join(', ')}` : '';
+}
+
+/**
+ * Check the loaded templates for consistency
+ * @param {Object} options - Options
+ * @param {Object} options.smsService - SMS service used to render and measure SMS templates
+ * @param {number} [options.maxSmsSegments] - Maximum SMS parts (default: SMS_MAX_SEGMENTS)
+ * @returns {Object} Report with valid, error and warning counts and the issues found
+ */
+function lintTemplates(options) {
+    const templates = templateLoader.getTemplates();
+    const maxSmsSegments = options.maxSmsSegments || getMaxSmsSegments();
+    const issues = [];
+
+    const report = (severity, check, key, message) => issues.push({ severity, check, ...key, message });
+
+    TEMPLATE_CHANNELS.forEach(channel => {
+        Object.entries(templates[channel]).forEach(([type, languages]) => {
+            const english = languages.english;
+
+            // Every type in every language
+            TEMPLATE_LANGUAGES.filter(language => !languages[language]).forEach(language => {
+                report('error', 'missing_language', { channel, type, language },
+                    `No ${language} ${channel} template for '${type}' (english is sent instead)`);
+            });
+
+            // The same placeholders and variable declarations as English
+            Object.entries(languages).filter(([language]) => language !== 'english').forEach(([language, template]) => {
+                const placeholders = describeDifference(getPlaceholders(template), getPlaceholders(english));
+                if (placeholders) {
+                    report('error', 'placeholders', { channel, type, language },
+                        `The ${language} ${channel} template for '${type}' uses other placeholders than english: ${placeholders}`);
+                }
+                const required = describeDifference(template.variables.required, english.variables.required);
+                if (required) {
+                    report('error', 'required_variables', { channel, type, language },
+                        `The ${language} ${channel} template for '${type}' requires other variables than english: ${required}`);
+                }
+            });
+
+            // The same placeholders in the HTML and text bodies of an email
+            if (channel === 'email') {
+                Object.entries(languages).filter(([, template]) => template.htmlBody).forEach(([language, template]) => {
+                    const difference = describeDifference(getPlaceholders(template, ['htmlBody']), getPlaceholders(template, ['body']));
+                    if (difference) {
+                        report('error', 'html_text', { channel, type, language },
+                            `The ${language} email template for '${type}' has other placeholders in htmlBody than in body: ${difference}`);
+                    }
+                });
+            }
+
+            // SMS within the segment limit with the longest accepted values (after budget truncation),
+            // and within its budget with the default values (the copy alone fits)
+            if (channel === 'sms') {
+                Object.entries(languages).forEach(([language, template]) => {
+                    const rendered = options.smsService.renderTemplate(type, language, WORST_CASE_VARIABLES);
+                    if (rendered.parts > maxSmsSegments) {
+                        report('error', 'sms_segments', { channel, type, language, ...getBudgetOutcome(rendered) },
+                            `The ${language} SMS template for '${type}' can take ${rendered.parts} parts `
+                            + `(${rendered.totalChars} characters in ${rendered.encoding} with the longest accepted values`
+                            + `${describeShortened(rendered)}, max ${maxSmsSegments} parts)`);
+                    }
+
+                    const minimal = template.budget && options.smsService.renderTemplate(type, language, {});
+                    if (minimal && minimal.overBudget) {
+                        report('warning', 'sms_budget', { channel, type, language, ...getBudgetOutcome(minimal) },
+                            `The ${language} SMS template for '${type}' takes ${minimal.parts} parts even with short values `
+                            + `(${minimal.totalChars} characters in ${minimal.encoding}${describeShortened(minimal)}), `
+                            + `over its budget of ${template.budget.segments}`);
+                    }
+                });
+            }
+
+            // The same type and required variables on the other channel
+            const otherChannel = TEMPLATE_CHANNELS.find(other => other !== channel);
+            const other = templates[otherChannel][type];
+            if (!other) {
+                report('warning', 'missing_channel', { channel, type },
+                    `'${type}' has ${channel} templates but no ${otherChannel} templates`);
+            } else if (channel === 'email' && other.english) {
+                const required = describeDifference(other.english.variables.required, english.variables.required);
+                if (required) {
+                    report('warning', 'channel_variables', { channel: otherChannel, type, language: 'english' },
+                        `The sms template for '${type}' requires other variables than the email template: ${required}`);
+                }
+            }
+        });
+    });
+
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+
+    return {
+        valid: errors === 0,
+        errors,
+        warnings: issues.length - errors,
+        maxSmsSegments,
+        issues
+    };
+}
+
+module.exports = {
+    lintTemplates,
+    WORST_CASE_VARIABLES
+};
@@ -0,0 +1,524 @@
+/**
+ * Template files
+ *
+ * Notification copy lives in TEMPLATES_DIR (default: ./templates), one YAML file per
+ * channel, notification type and language:
+ *
+ *   templates/email/<type>/<language>.yaml   variables, subject, body and optional htmlBody
+ *   templates/sms/<type>/<language>.yaml     variables, message and optional budget
+ *
+ * Every template declares the variables it uses, as required (requests without them are
+ * rejected) or optional. Templates using a variable they do not declare do not load.
+ *
+ * An SMS budget is the number of parts the message should fit in, and the variables that
+ * may be shortened to make it fit (see smsTemplates.renderWithinBudget).
+ *
+ * Files are loaded and validated at startup. While watching, changes are picked up
+ * without a restart; a change that does not validate is logged and the templates in
+ * use stay as they were.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { compile, listVariables } = require('./templateEngine');
+
+const TEMPLATE_CHANNELS = ['email', 'sms'];
+const TEMPLATE_LANGUAGES = ['english', 'french', 'kinyarwanda'];
+const TEMPLATE_TYPE_PATTERN = /^[a-z][a-z0-9_]*$/;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Fields of a template file per channel
+const TEMPLATE_FIELDS = {
+    email: { required: ['variables', 'subject', 'body'], optional: ['htmlBody'] },
+    sms: { required: ['variables', 'message'], optional: ['budget'] }
+};
+
+// Variables the services always provide, usable without declaring them
+const BUILT_IN_VARIABLES = ['currentDate'];
+
+const RELOAD_DELAY_MS = 200;
+
+/**
+ * Validate and normalize a template's variable declarations
+ * @param {*} value - variables field (required and optional lists of names)
+ * @param {Array} errors - Validation errors to add to
+ * @returns {Object} Required and optional variable names
+ */
+function normalizeVariables(value, errors) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push('variables must be a mapping with required and optional lists');
+        return { required: [], optional: [] };
+    }
+
+    Object.keys(value)
+        .filter(key => key !== 'required' && key !== 'optional')
+        .forEach(key => errors.push(`unknown field variables.${key} (expected required, optional)`));
+
+    const variables = ['required', 'optional'].reduce((lists, list) => {
+        const names = value[list] === undefined || value[list] === null ? [] : value[list];
+        if (!Array.isArray(names) || names.some(name => typeof name !== 'string' || !VARIABLE_NAME_PATTERN.test(name))) {
+            errors.push(`variables.${list} must be a list of variable names`);
+            lists[list] = [];
+        } else {
+            lists[list] = [...new Set(names)];
+        }
+        return lists;
+    }, {});
+
+    variables.required
+        .filter(name => variables.optional.includes(name))
+        .forEach(name => errors.push(`variable ${name} is declared both required and optional`));
+
+    return variables;
+}
+
+/**
+ * Validate and normalize an SMS budget
+ * @param {*} value - budget field (segments and the variables to truncate)
+ * @param {Array} errors - Validation errors to add to
+ * @returns {Object} Segments and variable names to truncate, in order
+ */
+function normalizeBudget(value, errors) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push('budget must be a mapping with segments and truncate');
+        return { segments: 1, truncate: [] };
+    }
+
+    Object.keys(value)
+        .filter(key => key !== 'segments' && key !== 'truncate')
+        .forEach(key => errors.push(`unknown field budget.${key} (expected segments, truncate)`));
+
+    if (!Number.isInteger(value.segments) || value.segments < 1) {
+        errors.push('budget.segments must be a whole number of SMS parts (1 or more)');
+    }
+
+    const names = value.truncate === undefined || value.truncate === null ? [] : value.truncate;
+    if (!Array.isArray(names) || names.some(name => typeof name !== 'string' || !VARIABLE_NAME_PATTERN.test(name))) {
+        errors.push('budget.truncate must be a list of variable names');
+        return { segments: value.segments, truncate: [] };
+    }
+
+    return { segments: value.segments, truncate: [...new Set(names)] };
+}
+
+/**
+ * Validate template fields (including their template syntax and that they only use declared
+ * variables) and normalize them (known fields only, trailing whitespace removed)
+ * @param {string} channel - email or sms
+ * @param {Object} data - Template fields
+ * @returns {Object} Normalized template and validation errors
+ */
+function normalizeTemplate(channel, data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { template: null, errors: ['expected a mapping of template fields'] };
+    }
+
+    const { required, optional } = TEMPLATE_FIELDS[channel];
+    const errors = Object.keys(data)
+        .filter(field => !required.includes(field) && !optional.includes(field))
+        .map(field => `unknown field ${field} (expected ${[...required, ...optional].join(', ')})`);
+
+    const template = [...required, ...optional].reduce((fields, field) => {
+        const value = data[field];
+        if (value === undefined || value === null) {
+            if (required.includes(field)) {
+                errors.push(`${field} is required`);
+            }
+        } else if (field === 'variables') {
+            fields.variables = normalizeVariables(value, errors);
+        } else if (field === 'budget') {
+            fields.budget = normalizeBudget(value, errors);
+        } else if (typeof value !== 'string' || !value.trim()) {
+            errors.push(`${field} must be non-empty text`);
+        } else {
+            fields[field] = value.replace(/\s+$/, '');
+            try {
+                compile(fields[field]);
+            } catch (error) {
+                errors.push(`${field}: ${error.message}`);
+            }
+        }
+        return fields;
+    }, {});
+
+    if (errors.length === 0) {
+        const declared = [...BUILT_IN_VARIABLES, ...template.variables.required, ...template.variables.optional];
+        Object.keys(template).filter(field => typeof template[field] === 'string').forEach(field => {
+            listVariables(template[field])
+                .filter(name => !declared.includes(name))
+                .forEach(name => errors.push(`${field} uses undeclared variable ${name} (add it to variables.required or variables.optional)`));
+        });
+        if (template.budget) {
+            template.budget.truncate
+                .filter(name => !declared.includes(name) || BUILT_IN_VARIABLES.includes(name))
+                .forEach(name => errors.push(`budget.truncate lists ${name}, which is not a declared variable`));
+        }
+    }
+
+    return { template: errors.length === 0 ? template : null, errors };
+}
+
+/**
+ * Read and validate one template file
+ * @param {string} filePath - Template file
+ * @param {string} channel - email or sms
+ * @returns {Object} Normalized template fields
+ */
+function readTemplateFile(filePath, channel) {
+    let data;
+    try {
+        data = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${filePath}: ${error.message}`);
+    }
+
+    const { template, errors } = normalizeTemplate(channel, data);
+    if (errors.length > 0) {
+        throw new Error(`${filePath}: ${errors.join('; ')}`);
+    }
+
+    return template;
+}
+
+/**
+ * List the subdirectories of a directory
+ * @param {string} directory - Directory
+ * @returns {Array} Subdirectory names, sorted
+ */
+function listDirectories(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+}
+
+class TemplateLoader {
+    /**
+     * @param {Object} [options] - Loader options
+     * @param {string} [options.directory] - Template directory (defaults to TEMPLATES_DIR or ./templates next to this file)
+     */
+    constructor(options = {}) {
+        this.directory = path.resolve(options.directory || process.env.TEMPLATES_DIR || path.join(__dirname, 'templates'));
+        // Stable objects per channel, refilled on reload so references to them stay current
+        this.templates = { email: {}, sms: {} };
+        this.loadedAt = null;
+        this.watching = false;
+        this.watchers = [];
+        this.reloadTimer = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Read and validate every template file
+     * @returns {Object} Templates per channel, type and language
+     */
+    readAll() {
+        if (!fs.existsSync(this.directory)) {
+            throw new Error(`Template directory ${this.directory} does not exist`);
+        }
+
+        return TEMPLATE_CHANNELS.reduce((all, channel) => {
+            const channelDir = path.join(this.directory, channel);
+            all[channel] = {};
+
+            if (!fs.existsSync(channelDir)) {
+                throw new Error(`Template directory ${channelDir} does not exist`);
+            }
+
+            listDirectories(channelDir).forEach(type => {
+                if (!TEMPLATE_TYPE_PATTERN.test(type)) {
+                    throw new Error(`${path.join(channelDir, type)}: type directories must be lowercase letters, digits and underscores`);
+                }
+
+                const typeDir = path.join(channelDir, type);
+                all[channel][type] = {};
+
+                fs.readdirSync(typeDir).filter(file => /\.ya?ml$/.test(file)).sort().forEach(file => {
+                    const language = file.replace(/\.ya?ml$/, '');
+                    if (!TEMPLATE_LANGUAGES.includes(language)) {
+                        throw new Error(`${path.join(typeDir, file)}: unknown language ${language} (expected ${TEMPLATE_LANGUAGES.join(', ')})`);
+                    }
+                    if (all[channel][type][language]) {
+                        throw new Error(`${typeDir}: more than one ${language} template`);
+                    }
+                    all[channel][type][language] = readTemplateFile(path.join(typeDir, file), channel);
+                });
+
+                // English is the fallback for every other language
+                if (!all[channel][type].english) {
+                    throw new Error(`${typeDir}: english template is missing`);
+                }
+            });
+
+            return all;
+        }, {});
+    }
+
+    /**
+     * Load (or reload) the templates, replacing the ones in use only if every file is valid
+     * @returns {Object} Templates per channel
+     */
+    load() {
+        const loaded = this.readAll();
+
+        TEMPLATE_CHANNELS.forEach(channel => {
+            const current = this.templates[channel];
+            Object.keys(current).forEach(type => delete current[type]);
+            Object.assign(current, loaded[channel]);
+        });
+        this.loadedAt = new Date();
+
+        // The new templates are in use now, so a failing listener must not fail the load
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.templates);
+            } catch (error) {
+                console.error(`Template reload listener failed: ${error.message}`);
+            }
+        });
+
+        return this.templates;
+    }
+
+    /**
+     * Register a function called after every successful (re)load (errors it throws are logged)
+     * @param {Function} listener - Function receiving the templates per channel
+     */
+    onReload(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Get the file of a template
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @returns {string} File path (.yaml)
+     */
+    getFilePath(channel, type, language) {
+        const typeDir = path.join(this.directory, channel, type);
+        const yml = path.join(typeDir, `${language}.yml`);
+        return fs.existsSync(yml) ? yml : path.join(typeDir, `${language}.yaml`);
+    }
+
+    /**
+     * Read a template file as it is on disk
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @returns {string|null} File content, or null if there is no such file
+     */
+    readTemplateSource(channel, type, language) {
+        const filePath = this.getFilePath(channel, type, language);
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    }
+
+    /**
+     * Put a template file back as it was (see readTemplateSource), e.g. after a change
+     * that did not reload (call reload afterwards)
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @param {string|null} source - File content, or null to remove the file
+     */
+    restoreTemplate(channel, type, language, source) {
+        if (source === null) {
+            this.deleteTemplate(channel, type, language);
+            return;
+        }
+
+        const filePath = this.getFilePath(channel, type, language);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempPath, source);
+        fs.renameSync(tempPath, filePath);
+    }
+
+    /**
+     * Write a template file (call reload to start using it). The file is written to a
+     * temporary file and validated first, so an invalid template never replaces a file.
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @param {Object} template - Normalized template fields
+     * @throws {Error} If the written file does not validate (the template file is left as it was)
+     */
+    writeTemplate(channel, type, language, template) {
+        const filePath = this.getFilePath(channel, type, language);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        // Block style keeps multi-line copy readable (the trailing newline is ignored on load);
+        // variable lists are written inline
+        const content = yaml.dump(
+            Object.entries(template).reduce((fields, [field, value]) => ({
+                ...fields,
+                [field]: typeof value === 'string' ? `${value}\n` : value
+            }), {}),
+            { lineWidth: -1, flowLevel: 2 }
+        );
+        fs.writeFileSync(tempPath, content);
+
+        try {
+            readTemplateFile(tempPath, channel);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw new Error(error.message.replace(tempPath, filePath));
+        }
+
+        fs.renameSync(tempPath, filePath);
+    }
+
+    /**
+     * Delete a template file, and its type directory once it is empty (call reload afterwards)
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     */
+    deleteTemplate(channel, type, language) {
+        const filePath = this.getFilePath(channel, type, language);
+        fs.rmSync(filePath, { force: true });
+
+        const typeDir = path.dirname(filePath);
+        if (fs.existsSync(typeDir) && fs.readdirSync(typeDir).length === 0) {
+            fs.rmdirSync(typeDir);
+        }
+    }
+
+    /**
+     * Get the templates of a channel, loading them on first use
+     * @param {string} [channel] - email or sms (all channels when omitted)
+     * @returns {Object} Templates by type and language (the same object across reloads)
+     */
+    getTemplates(channel) {
+        if (!this.loadedAt) {
+            this.load();
+        }
+        return channel ? this.templates[channel] : this.templates;
+    }
+
+    /**
+     * Get the language a template lookup uses (English when the language has no template)
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type (any case, - or space for _)
+     * @param {string} language - Requested language
+     * @returns {string|null} Language of the template used, or null if the type has no template
+     */
+    resolveLanguage(channel, type, language) {
+        const languages = this.getTemplates(channel)[String(type).toLowerCase().replace(/[-_\s]/g, '_')];
+        if (!languages) {
+            return null;
+        }
+        const requested = String(language).toLowerCase();
+        return languages[requested] ? requested : 'english';
+    }
+
+    /**
+     * Get the variables a template declares
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type (any case, - or space for _)
+     * @param {string} language - Requested language (English when it has no template)
+     * @returns {Object|null} Required and optional variable names, or null if the type has no template
+     */
+    getVariables(channel, type, language) {
+        const resolved = this.resolveLanguage(channel, type, language);
+        if (!resolved) {
+            return null;
+        }
+        return this.getTemplates(channel)[String(type).toLowerCase().replace(/[-_\s]/g, '_')][resolved].variables;
+    }
+
+    /**
+     * Reload, keeping the current templates if the files do not validate
+     * @returns {boolean} True if the templates were reloaded
+     */
+    reload() {
+        try {
+            this.load();
+            console.log(`Templates reloaded from ${this.directory}`);
+            return true;
+        } catch (error) {
+            console.error(`Template reload failed, keeping the previous templates: ${error.message}`);
+            return false;
+        } finally {
+            this.watchDirectories();
+        }
+    }
+
+    /**
+     * Watch the template directory and reload on changes
+     */
+    watch() {
+        if (!this.loadedAt) {
+            this.load();
+        }
+        this.watching = true;
+        this.watchDirectories();
+    }
+
+    /**
+     * (Re)create a watcher on every template directory, so new type directories are watched too
+     */
+    watchDirectories() {
+        if (!this.watching) {
+            return;
+        }
+
+        this.watchers.forEach(watcher => watcher.close());
+
+        const directories = [this.directory];
+        TEMPLATE_CHANNELS.forEach(channel => {
+            const channelDir = path.join(this.directory, channel);
+            if (fs.existsSync(channelDir)) {
+                directories.push(channelDir, ...listDirectories(channelDir).map(type => path.join(channelDir, type)));
+            }
+        });
+
+        this.watchers = directories.map(directory => {
+            const watcher = fs.watch(directory, () => this.scheduleReload());
+            watcher.on('error', error => console.error(`Template watcher error on ${directory}:`, error.message));
+            watcher.unref();
+            return watcher;
+        });
+    }
+
+    /**
+     * Reload shortly after the last change (editors write files in several steps)
+     */
+    scheduleReload() {
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+        }
+        this.reloadTimer = setTimeout(() => {
+            this.reloadTimer = null;
+            this.reload();
+        }, RELOAD_DELAY_MS);
+        this.reloadTimer.unref();
+    }
+
+    /**
+     * Stop watching the template directory
+     */
+    stop() {
+        this.watching = false;
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = null;
+        }
+    }
+}
+
+// Shared by the email and SMS template modules
+const templateLoader = new TemplateLoader();
+
+module.exports = templateLoader;
+module.exports.TemplateLoader = TemplateLoader;
+module.exports.TEMPLATE_CHANNELS = TEMPLATE_CHANNELS;
+module.exports.TEMPLATE_LANGUAGES = TEMPLATE_LANGUAGES;
+module.exports.TEMPLATE_TYPE_PATTERN = TEMPLATE_TYPE_PATTERN;
+module.exports.BUILT_IN_VARIABLES = BUILT_IN_VARIABLES;
+module.exports.normalizeTemplate = normalizeTemplate;
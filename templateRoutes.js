@@ -0,0 +1,504 @@
+const express = require('express');
+const { templateVersionStore, emailService, smsService } = require('./services');
+const templateLoader = require('./templateLoader');
+const { TEMPLATE_CHANNELS, TEMPLATE_LANGUAGES, TEMPLATE_TYPE_PATTERN, normalizeTemplate } = require('./templateLoader');
+const { diffTemplates } = require('./templateVersionStore');
+const { requireScope } = require('./auth');
+const { findMissingVariables } = require('./validators');
+const { lintTemplates } = require('./templateLint');
+
+const router = express.Router();
+
+const TEMPLATE_PATH = '/templates/:channel/:type/:language';
+
+/**
+ * Check the channel, type and language of a template route (sets req.templateKey)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function templateKey(req, res, next) {
+    const { channel, type, language } = req.params;
+    const errors = [];
+
+    if (!TEMPLATE_CHANNELS.includes(channel)) {
+        errors.push(`channel must be one of: ${TEMPLATE_CHANNELS.join(', ')}`);
+    }
+    if (!TEMPLATE_TYPE_PATTERN.test(type)) {
+        errors.push('type must be lowercase letters, digits and underscores');
+    }
+    if (!TEMPLATE_LANGUAGES.includes(language)) {
+        errors.push(`language must be one of: ${TEMPLATE_LANGUAGES.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                code: 'VALIDATION_FAILED',
+                details: errors
+            }
+        });
+    }
+
+    req.templateKey = { channel, type, language };
+    next();
+}
+
+/**
+ * Get the template in use
+ * @param {Object} key - Channel, type and language
+ * @returns {Object|null} Template fields or null if there is no such template
+ */
+function getActiveTemplate({ channel, type, language }) {
+    const types = templateLoader.getTemplates(channel);
+    return (types[type] && types[type][language]) || null;
+}
+
+/**
+ * Check that a template can be created or removed without leaving its type without English
+ * (the fallback every other language relies on)
+ * @param {Object} key - Channel, type and language
+ * @param {boolean} removing - True when the template is being deleted
+ * @returns {string|null} Error message or null if the change is allowed
+ */
+function checkEnglishFallback({ channel, type, language }, removing) {
+    const languages = Object.keys(templateLoader.getTemplates(channel)[type] || {});
+
+    if (!removing && language !== 'english' && !languages.includes('english')) {
+        return `Create the english ${channel} template for '${type}' first; it is the fallback for the other languages`;
+    }
+    if (removing && language === 'english' && languages.some(other => other !== 'english')) {
+        return `The english ${channel} template for '${type}' is the fallback for ${languages.filter(other => other !== 'english').join(', ')}; delete those first`;
+    }
+    return null;
+}
+
+/**
+ * Write a template change to the templates directory, record it as a new version and reload.
+ * If the templates do not reload, the previous file is put back and the version is discarded,
+ * so the templates in use, the files and the history stay in agreement.
+ * @param {Object} req - Express request (with templateKey and client)
+ * @param {Object} res - Express response
+ * @param {number} statusCode - Response status on success
+ * @param {Object} change - action, template (null to delete) and rolledBackTo
+ */
+function applyChange(req, res, statusCode, change) {
+    const { channel, type, language } = req.templateKey;
+    const previous = templateLoader.readTemplateSource(channel, type, language);
+
+    if (change.template) {
+        try {
+            templateLoader.writeTemplate(channel, type, language, change.template);
+        } catch (error) {
+            return respondInvalid(res, [error.message]);
+        }
+    } else {
+        templateLoader.deleteTemplate(channel, type, language);
+    }
+
+    // Recorded before the reload, which records any other change to the files as a file edit
+    const version = templateVersionStore.addVersion(channel, type, language, { ...change, author: req.client.client });
+
+    if (!templateLoader.reload()) {
+        templateLoader.restoreTemplate(channel, type, language, previous);
+        templateVersionStore.discardVersion(channel, type, language, version.version);
+        templateLoader.reload();
+
+        return res.status(500).json({
+            success: false,
+            error: {
+                message: 'The templates could not be reloaded with this change, so it was not applied; check the template files',
+                code: 'TEMPLATE_RELOAD_FAILED'
+            }
+        });
+    }
+
+    console.log(`${channel} template ${type}/${language}: ${change.action} by ${req.client.client} (version ${version.version})`);
+
+    res.status(statusCode).json({
+        success: true,
+        data: { channel, type, language, version }
+    });
+}
+
+/**
+ * Respond with a validation error
+ * @param {Object} res - Express response
+ * @param {Array} errors - Validation errors
+ */
+function respondInvalid(res, errors) {
+    res.status(400).json({
+        success: false,
+        error: {
+            message: 'Validation failed',
+            code: 'VALIDATION_FAILED',
+            details: errors
+        }
+    });
+}
+
+/**
+ * Respond that a template does not exist
+ * @param {Object} res - Express response
+ * @param {Object} key - Channel, type and language
+ */
+function respondNotFound(res, { channel, type, language }) {
+    res.status(404).json({
+        success: false,
+        error: {
+            message: `No ${channel} template for '${type}' in ${language}`,
+            code: 'TEMPLATE_NOT_FOUND'
+        }
+    });
+}
+
+/**
+ * Respond with an internal error
+ * @param {Object} res - Express response
+ * @param {string} endpoint - Endpoint name for the log
+ * @param {Error} error - Error
+ */
+function respondError(res, endpoint, error) {
+    console.error(`Error in ${endpoint} endpoint:`, error);
+    res.status(500).json({
+        success: false,
+        error: {
+            message: 'Internal server error',
+            code: 'INTERNAL_ERROR'
+        }
+    });
+}
+
+/**
+ * POST /api/templates/render
+ * Render a template with sample data without sending anything (notification previews)
+ *
+ * Body Parameters:
+ * - channel: string (required) - email or sms
+ * - type: string (required) - Issue status or trip notification type
+ * - language: string (optional) - Language (default: english; English is used when the language has no template)
+ * - variables: object (optional) - Template variables, as in a send request (missing required ones are
+ *   listed in missingVariables rather than rejected)
+ */
+router.post('/templates/render', requireScope('templates:read'), (req, res) => {
+    try {
+        const { channel, type, language = 'english', variables = {} } = req.body;
+        const errors = [];
+
+        if (!TEMPLATE_CHANNELS.includes(channel)) {
+            errors.push(`channel must be one of: ${TEMPLATE_CHANNELS.join(', ')}`);
+        }
+        if (!type || typeof type !== 'string') {
+            errors.push('type is required');
+        }
+        if (typeof language !== 'string' || !TEMPLATE_LANGUAGES.includes(language.toLowerCase())) {
+            errors.push(`language must be one of: ${TEMPLATE_LANGUAGES.join(', ')}`);
+        }
+        if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+            errors.push('variables must be an object');
+        }
+        if (errors.length > 0) {
+            return respondInvalid(res, errors);
+        }
+
+        const normalizedType = type.trim().toLowerCase().replace(/[-_\s]/g, '_');
+        const templateLanguage = templateLoader.resolveLanguage(channel, normalizedType, language);
+        const rendered = templateLanguage && (channel === 'email'
+            ? emailService.renderTemplate(normalizedType, templateLanguage, variables)
+            : smsService.renderTemplate(normalizedType, templateLanguage, variables));
+
+        if (!rendered) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `No ${channel} template for '${type}'`,
+                    code: 'TEMPLATE_NOT_FOUND'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                channel,
+                type: normalizedType,
+                language: language.toLowerCase(),
+                templateLanguage,
+                version: templateVersionStore.getActiveVersion(channel, normalizedType, templateLanguage),
+                // A send request without these would be rejected
+                missingVariables: findMissingVariables(channel, normalizedType, templateLanguage, variables),
+                ...(channel === 'email'
+                    ? { subject: rendered.subject, text: rendered.text, html: rendered.html }
+                    : {
+                        message: rendered.message,
+                        encoding: rendered.encoding,
+                        transliterated: rendered.transliterated,
+                        truncatedVariables: rendered.truncated,
+                        overBudget: rendered.overBudget,
+                        characterCount: rendered.totalChars,
+                        encodedLength: rendered.encodedLength,
+                        parts: rendered.parts,
+                        isMultiPart: rendered.isMultiPart
+                    })
+            }
+        });
+    } catch (error) {
+        respondError(res, 'template render', error);
+    }
+});
+
+/**
+ * GET /api/templates/lint
+ * Check the templates for consistency: every type in every language, the same placeholders
+ * across languages and in the HTML and text bodies, SMS within the segment limit
+ */
+router.get('/templates/lint', requireScope('templates:read'), (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: lintTemplates({ smsService })
+        });
+    } catch (error) {
+        respondError(res, 'template lint', error);
+    }
+});
+
+/**
+ * POST /api/templates/:channel/:type/:language
+ * Create a template (a new notification type starts with its english template)
+ *
+ * Body Parameters (email):
+ * - subject: string (required) - Subject line
+ * - body: string (required) - Plain text body
+ * - htmlBody: string (optional) - HTML body (generated from the text body when left out)
+ *
+ * Body Parameters (sms):
+ * - message: string (required) - SMS text
+ */
+router.post(TEMPLATE_PATH, requireScope('templates:write'), templateKey, (req, res) => {
+    try {
+        if (getActiveTemplate(req.templateKey)) {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: `The ${req.templateKey.channel} template for '${req.templateKey.type}' in ${req.templateKey.language} already exists; use PUT to change it`,
+                    code: 'TEMPLATE_EXISTS'
+                }
+            });
+        }
+
+        const { template, errors } = normalizeTemplate(req.templateKey.channel, req.body);
+        const fallbackError = checkEnglishFallback(req.templateKey, false);
+        if (errors.length > 0 || fallbackError) {
+            return respondInvalid(res, fallbackError ? [...errors, fallbackError] : errors);
+        }
+
+        applyChange(req, res, 201, { action: 'create', template });
+    } catch (error) {
+        respondError(res, 'template create', error);
+    }
+});
+
+/**
+ * PUT /api/templates/:channel/:type/:language
+ * Replace a template's fields (same body as POST); the change becomes a new version
+ */
+router.put(TEMPLATE_PATH, requireScope('templates:write'), templateKey, (req, res) => {
+    try {
+        if (!getActiveTemplate(req.templateKey)) {
+            return respondNotFound(res, req.templateKey);
+        }
+
+        const { template, errors } = normalizeTemplate(req.templateKey.channel, req.body);
+        if (errors.length > 0) {
+            return respondInvalid(res, errors);
+        }
+
+        applyChange(req, res, 200, { action: 'update', template });
+    } catch (error) {
+        respondError(res, 'template update', error);
+    }
+});
+
+/**
+ * DELETE /api/templates/:channel/:type/:language
+ * Delete a template; its history is kept, so it can be rolled back
+ */
+router.delete(TEMPLATE_PATH, requireScope('templates:write'), templateKey, (req, res) => {
+    try {
+        if (!getActiveTemplate(req.templateKey)) {
+            return respondNotFound(res, req.templateKey);
+        }
+
+        const fallbackError = checkEnglishFallback(req.templateKey, true);
+        if (fallbackError) {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: fallbackError,
+                    code: 'ENGLISH_TEMPLATE_REQUIRED'
+                }
+            });
+        }
+
+        applyChange(req, res, 200, { action: 'delete', template: null });
+    } catch (error) {
+        respondError(res, 'template delete', error);
+    }
+});
+
+/**
+ * GET /api/templates/:channel/:type/:language/versions
+ * List a template's versions, oldest first (without their fields)
+ */
+router.get(`${TEMPLATE_PATH}/versions`, requireScope('templates:read'), templateKey, (req, res) => {
+    try {
+        const { channel, type, language } = req.templateKey;
+        const versions = templateVersionStore.listVersions(channel, type, language);
+
+        if (versions.length === 0) {
+            return respondNotFound(res, req.templateKey);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                channel,
+                type,
+                language,
+                activeVersion: templateVersionStore.getActiveVersion(channel, type, language),
+                versions: versions.map(({ template, ...version }) => version)
+            }
+        });
+    } catch (error) {
+        respondError(res, 'template versions', error);
+    }
+});
+
+/**
+ * GET /api/templates/:channel/:type/:language/versions/:version
+ * Get one version of a template with its fields
+ */
+router.get(`${TEMPLATE_PATH}/versions/:version`, requireScope('templates:read'), templateKey, (req, res) => {
+    try {
+        const { channel, type, language } = req.templateKey;
+        const version = templateVersionStore.getVersion(channel, type, language, Number(req.params.version));
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `Version ${req.params.version} of the ${channel} template for '${type}' in ${language} not found`,
+                    code: 'VERSION_NOT_FOUND'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { channel, type, language, version }
+        });
+    } catch (error) {
+        respondError(res, 'template version', error);
+    }
+});
+
+/**
+ * GET /api/templates/:channel/:type/:language/diff
+ * Compare two versions of a template line by line
+ *
+ * Query Parameters:
+ * - from: number (required) - Old version
+ * - to: number (optional) - New version (default: the latest)
+ */
+router.get(`${TEMPLATE_PATH}/diff`, requireScope('templates:read'), templateKey, (req, res) => {
+    try {
+        const { channel, type, language } = req.templateKey;
+        const latest = templateVersionStore.getLatest(channel, type, language);
+        const fromNumber = Number(req.query.from);
+        const toNumber = req.query.to === undefined ? (latest && latest.version) : Number(req.query.to);
+
+        if (!Number.isInteger(fromNumber) || !Number.isInteger(toNumber)) {
+            return respondInvalid(res, ['from (and to, if given) must be version numbers']);
+        }
+
+        const from = templateVersionStore.getVersion(channel, type, language, fromNumber);
+        const to = templateVersionStore.getVersion(channel, type, language, toNumber);
+
+        if (!from || !to) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `Version ${!from ? fromNumber : toNumber} of the ${channel} template for '${type}' in ${language} not found`,
+                    code: 'VERSION_NOT_FOUND'
+                }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                channel,
+                type,
+                language,
+                from: from.version,
+                to: to.version,
+                changes: diffTemplates(from.template, to.template)
+            }
+        });
+    } catch (error) {
+        respondError(res, 'template diff', error);
+    }
+});
+
+/**
+ * POST /api/templates/:channel/:type/:language/rollback
+ * Make an earlier version the active one again (recorded as a new version)
+ *
+ * Body Parameters:
+ * - version: number (required) - Version to restore
+ */
+router.post(`${TEMPLATE_PATH}/rollback`, requireScope('templates:write'), templateKey, (req, res) => {
+    try {
+        const { channel, type, language } = req.templateKey;
+        const { version: number } = req.body;
+
+        if (!Number.isInteger(number)) {
+            return respondInvalid(res, ['version must be a version number']);
+        }
+
+        const version = templateVersionStore.getVersion(channel, type, language, number);
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: `Version ${number} of the ${channel} template for '${type}' in ${language} not found`,
+                    code: 'VERSION_NOT_FOUND'
+                }
+            });
+        }
+
+        if (!version.template) {
+            return respondInvalid(res, [`Version ${number} is a deletion; use DELETE to remove the template`]);
+        }
+
+        // Older versions may predate rules added since (such as declared variables)
+        const { template, errors } = normalizeTemplate(channel, version.template);
+        if (errors.length > 0) {
+            return respondInvalid(res, errors.map(error => `Version ${number}: ${error}`));
+        }
+
+        const fallbackError = getActiveTemplate(req.templateKey) ? null : checkEnglishFallback(req.templateKey, false);
+        if (fallbackError) {
+            return respondInvalid(res, [fallbackError]);
+        }
+
+        applyChange(req, res, 200, { action: 'rollback', template, rolledBackTo: number });
+    } catch (error) {
+        respondError(res, 'template rollback', error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+/**
+ * Template version history
+ *
+ * Every change to a template is kept as a numbered version with its author and time, so
+ * versions can be compared and an older one rolled back to. Changes made through the
+ * template API carry the API client as author; changes made by editing the files in the
+ * templates directory are picked up on reload with "file" as author.
+ */
+
+const FileStore = require('./fileStore');
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ * @param {string} from - Old text
+ * @param {string} to - New text
+ * @returns {Array} Lines prefixed with ' ' (unchanged), '-' (removed) or '+' (added)
+ */
+function diffLines(from, to) {
+    const a = from ? from.split('\n') : [];
+    const b = to ? to.split('\n') : [];
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push(` ${a[i]}`);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            lines.push(`-${a[i++]}`);
+        } else {
+            lines.push(`+${b[j++]}`);
+        }
+    }
+    while (i < a.length) {
+        lines.push(`-${a[i++]}`);
+    }
+    while (j < b.length) {
+        lines.push(`+${b[j++]}`);
+    }
+
+    return lines;
+}
+
+/**
+ * Get a template field as text for diffing
+ * @param {*} value - Field value (text, or variable declarations)
+ * @returns {string|undefined} Text, undefined if the field is not set
+ */
+function formatField(value) {
+    return value === undefined || typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Compare two template versions field by field
+ * @param {Object|null} from - Old template fields (null for a deleted template)
+ * @param {Object|null} to - New template fields (null for a deleted template)
+ * @returns {Object} Line diff of every field that changed
+ */
+function diffTemplates(from, to) {
+    const fields = [...new Set([...Object.keys(from || {}), ...Object.keys(to || {})])];
+
+    return fields.reduce((changes, field) => {
+        const before = formatField((from || {})[field]);
+        const after = formatField((to || {})[field]);
+        if (before !== after) {
+            changes[field] = diffLines(before, after);
+        }
+        return changes;
+    }, {});
+}
+
+/**
+ * Check whether two template versions have the same fields
+ * @param {Object|null} a - Template fields
+ * @param {Object|null} b - Template fields
+ * @returns {boolean} True if they are the same
+ */
+function sameTemplate(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+class TemplateVersionStore {
+    /**
+     * @param {Object} [options] - Options
+     * @param {FileStore} [options.store] - History store (defaults to DATA_DIR/templateVersions.json)
+     */
+    constructor(options = {}) {
+        this.store = options.store || new FileStore('templateVersions');
+    }
+
+    /**
+     * Key of a template's history
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @returns {string} History key
+     */
+    key(channel, type, language) {
+        return `${channel}:${type}:${language}`;
+    }
+
+    /**
+     * Get the versions of a template
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @returns {Array} Versions, oldest first (empty if the template has no history)
+     */
+    listVersions(channel, type, language) {
+        this.store.reload();
+        const history = this.store.get(this.key(channel, type, language));
+        return history ? history.versions : [];
+    }
+
+    /**
+     * Get one version of a template
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @param {number} version - Version number
+     * @returns {Object|null} Version or null if not found
+     */
+    getVersion(channel, type, language, version) {
+        return this.listVersions(channel, type, language).find(entry => entry.version === version) || null;
+    }
+
+    /**
+     * Get the latest version of a template (the active one unless it is a deletion)
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @returns {Object|null} Version or null if the template has no history
+     */
+    getLatest(channel, type, language) {
+        const versions = this.listVersions(channel, type, language);
+        return versions[versions.length - 1] || null;
+    }
+
+    /**
+     * Get the number of the version in use
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @returns {number|null} Latest version, or null if the template has no history or was deleted
+     */
+    getActiveVersion(channel, type, language) {
+        const latest = this.getLatest(channel, type, language);
+        return latest && latest.template ? latest.version : null;
+    }
+
+    /**
+     * Record a new version of a template
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @param {Object} change - Change
+     * @param {string} change.action - create, update, delete or rollback
+     * @param {Object|null} change.template - Template fields (null for delete)
+     * @param {string} change.author - Who made the change (API client or "file")
+     * @param {number} [change.rolledBackTo] - Version restored by a rollback
+     * @returns {Object} Recorded version
+     */
+    addVersion(channel, type, language, change) {
+        this.store.reload();
+        const id = this.key(channel, type, language);
+        const history = this.store.get(id) || { id, channel, type, language, versions: [] };
+        const previous = history.versions[history.versions.length - 1];
+
+        const version = {
+            version: previous ? previous.version + 1 : 1,
+            action: change.action,
+            author: change.author,
+            createdAt: new Date().toISOString(),
+            template: change.template
+        };
+        if (change.rolledBackTo !== undefined) {
+            version.rolledBackTo = change.rolledBackTo;
+        }
+
+        this.store.set(id, { ...history, versions: [...history.versions, version] });
+        return version;
+    }
+
+    /**
+     * Remove a version that could not be applied (only the latest version can be removed)
+     * @param {string} channel - email or sms
+     * @param {string} type - Notification type
+     * @param {string} language - Language
+     * @param {number} version - Version number
+     * @returns {boolean} True if the version was removed
+     */
+    discardVersion(channel, type, language, version) {
+        this.store.reload();
+        const id = this.key(channel, type, language);
+        const history = this.store.get(id);
+        if (!history || history.versions[history.versions.length - 1].version !== version) {
+            return false;
+        }
+
+        if (history.versions.length === 1) {
+            return this.store.delete(id);
+        }
+        this.store.set(id, { ...history, versions: history.versions.slice(0, -1) });
+        return true;
+    }
+
+    /**
+     * Record the loaded templates that differ from their latest version (file edits)
+     * @param {Object} templates - Templates per channel, type and language
+     * @param {string} [author] - Author of the changes (default: file)
+     * @returns {number} Number of versions recorded
+     */
+    sync(templates, author = 'file') {
+        this.store.reload();
+        let recorded = 0;
+
+        Object.entries(templates).forEach(([channel, types]) => {
+            Object.entries(types).forEach(([type, languages]) => {
+                Object.entries(languages).forEach(([language, template]) => {
+                    const latest = this.getLatest(channel, type, language);
+                    if (!latest || !sameTemplate(latest.template, template)) {
+                        const action = latest && latest.template ? 'update' : 'create';
+                        this.addVersion(channel, type, language, { action, template, author });
+                        recorded++;
+                    }
+                });
+            });
+        });
+
+        // Templates whose files were removed
+        this.store.values()
+            .filter(history => !(templates[history.channel] && templates[history.channel][history.type]
+                && templates[history.channel][history.type][history.language]))
+            .forEach(history => {
+                if (history.versions[history.versions.length - 1].template) {
+                    this.addVersion(history.channel, history.type, history.language, { action: 'delete', template: null, author });
+                    recorded++;
+                }
+            });
+
+        return recorded;
+    }
+}
+
+module.exports = TemplateVersionStore;
+module.exports.diffTemplates = diffTemplates;
@@ -0,0 +1,127 @@
+const express = require('express');
+const { suppressionList } = require('./services');
+const { verifyUnsubscribeToken } = require('./unsubscribeTokens');
+const emailTemplates = require('./emailTemplates');
+
+const router = express.Router();
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a small unsubscribe page
+ * @param {string} title - Page title
+ * @param {string} message - Message shown under the title
+ * @param {string} [button] - Label of a button that posts back to the same URL
+ * @returns {string} HTML document
+ */
+function renderPage(title, message, button) {
+    const form = button
+        ? `<form method="post"><button type="submit" style="background-color: #007bff; color: white; padding: 12px 24px; border: 0; border-radius: 5px; font-weight: bold; cursor: pointer;">${escapeHtml(button)}</button></form>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)} - CES</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; padding: 0 20px; text-align: center;">
+    <h2 style="color: #2c3e50;">${escapeHtml(title)}</h2>
+    <p>${escapeHtml(message)}</p>
+    ${form}
+</body>
+</html>`;
+}
+
+/**
+ * Verify the token of an unsubscribe request, answering with the invalid link page if it is wrong
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} { email, language } or null when the response was already sent
+ */
+function resolveToken(req, res) {
+    const recipient = verifyUnsubscribeToken(req.params.token);
+
+    if (!recipient) {
+        const texts = emailTemplates.getUnsubscribeTemplate('english');
+        res.status(400).type('html').send(renderPage(texts.invalidTitle, texts.invalidMessage));
+        return null;
+    }
+
+    return recipient;
+}
+
+/**
+ * GET /api/unsubscribe/:token
+ * Show the confirmation page of an unsubscribe link
+ *
+ * Opening the link does not unsubscribe anyone by itself, so mail scanners that
+ * follow links cannot unsubscribe recipients.
+ */
+router.get('/unsubscribe/:token', (req, res) => {
+    try {
+        const recipient = resolveToken(req, res);
+        if (!recipient) {
+            return;
+        }
+
+        const texts = emailTemplates.getUnsubscribeTemplate(recipient.language);
+
+        res.status(200).type('html').send(renderPage(
+            texts.confirmTitle,
+            texts.confirmMessage.replace('{email}', recipient.email),
+            texts.confirmButton
+        ));
+    } catch (error) {
+        console.error('Error in unsubscribe page endpoint:', error);
+        res.status(500).type('html').send(renderPage('Error', 'Something went wrong, please try again later.'));
+    }
+});
+
+/**
+ * POST /api/unsubscribe/:token
+ * Unsubscribe the recipient of a link - used by the confirmation page and by mail
+ * clients' one-click unsubscribe (RFC 8058, body List-Unsubscribe=One-Click)
+ */
+router.post('/unsubscribe/:token', (req, res) => {
+    try {
+        const recipient = resolveToken(req, res);
+        if (!recipient) {
+            return;
+        }
+
+        // Keep an existing entry (e.g. a hard bounce) rather than replacing its reason
+        if (!suppressionList.isSuppressed(recipient.email)) {
+            suppressionList.add(recipient.email, 'unsubscribed', {
+                source: 'unsubscribe_link',
+                detail: req.body && req.body['List-Unsubscribe'] === 'One-Click' ? 'One-click unsubscribe' : 'Unsubscribe page'
+            });
+            console.log(`${recipient.email} unsubscribed via unsubscribe link`);
+        }
+
+        const texts = emailTemplates.getUnsubscribeTemplate(recipient.language);
+
+        res.status(200).type('html').send(renderPage(
+            texts.doneTitle,
+            texts.doneMessage.replace('{email}', recipient.email)
+        ));
+    } catch (error) {
+        console.error('Error in unsubscribe endpoint:', error);
+        res.status(500).type('html').send(renderPage('Error', 'Something went wrong, please try again later.'));
+    }
+});
+
+module.exports = router;
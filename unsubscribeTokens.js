@@ -0,0 +1,89 @@
+/**
+ * Signed unsubscribe tokens
+ *
+ * Every templated email carries a link with a token naming its recipient. The token is the
+ * recipient data (base64url JSON) followed by an HMAC-SHA256 signature made with
+ * UNSUBSCRIBE_SECRET, so links cannot be forged for other addresses. Tokens do not expire:
+ * a link in an old email must still work.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Check whether unsubscribe links can be issued
+ * @returns {boolean} True when UNSUBSCRIBE_SECRET and PUBLIC_BASE_URL are set
+ */
+function isUnsubscribeEnabled() {
+    return !!(process.env.UNSUBSCRIBE_SECRET && process.env.PUBLIC_BASE_URL);
+}
+
+/**
+ * Sign a token payload
+ * @param {string} payload - Encoded payload
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', process.env.UNSUBSCRIBE_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create an unsubscribe token for a recipient
+ * @param {string} email - Recipient email address
+ * @param {string} [language] - Language of the confirmation page (english, french, kinyarwanda)
+ * @returns {string} Token
+ */
+function createUnsubscribeToken(email, language = 'english') {
+    const payload = Buffer.from(JSON.stringify({ e: email.trim().toLowerCase(), l: language })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify an unsubscribe token
+ * @param {string} token - Token from the link
+ * @returns {Object|null} { email, language } or null if the token is malformed or its signature is wrong
+ */
+function verifyUnsubscribeToken(token) {
+    if (!process.env.UNSUBSCRIBE_SECRET || typeof token !== 'string') {
+        return null;
+    }
+
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length > 0) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const supplied = Buffer.from(signature);
+    if (expected.length !== supplied.length || !crypto.timingSafeEqual(expected, supplied)) {
+        return null;
+    }
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return data && typeof data.e === 'string' ? { email: data.e, language: data.l || 'english' } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the unsubscribe URL for a recipient
+ * @param {string} email - Recipient email address
+ * @param {string} [language] - Language of the confirmation page
+ * @returns {string|null} URL, or null when unsubscribe links are not configured
+ */
+function getUnsubscribeUrl(email, language) {
+    if (!isUnsubscribeEnabled()) {
+        return null;
+    }
+
+    const baseUrl = process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    return `${baseUrl}/api/unsubscribe/${createUnsubscribeToken(email, language)}`;
+}
+
+module.exports = {
+    isUnsubscribeEnabled,
+    createUnsubscribeToken,
+    verifyUnsubscribeToken,
+    getUnsubscribeUrl
+};
@@ -4,6 +4,9 @@
 
 const emailTemplates = require('./emailTemplates');
 const smsTemplates = require('./smsTemplates');
+const templateLoader = require('./templateLoader');
+const { parsePolicies } = require('./fallbackService');
+const { validateRichText } = require('./htmlSafe');
 
 /**
  * Validate email address format
@@ -37,6 +40,15 @@ function isValidName(name) {
     return nameRegex.test(name);
 }
 
+// Common language codes and names accepted for template languages
+const LANGUAGE_ALIASES = {
+    'en': 'english',
+    'fr': 'french',
+    'rw': 'kinyarwanda',
+    'kin': 'kinyarwanda',
+    'français': 'french'
+};
+
 /**
  * Validate language
  * @param {string} language - Language to validate
@@ -46,17 +58,18 @@ function isValidLanguage(language) {
     const supportedLanguages = emailTemplates.getAvailableLanguages();
     const normalizedLanguage = language?.toLowerCase();
     
-    // Also accept common language codes
-    const languageMap = {
-        'en': 'english',
-        'fr': 'french',
-        'rw': 'kinyarwanda',
-        'kin': 'kinyarwanda',
-        'français': 'french'
-    };
-    
     return supportedLanguages.includes(normalizedLanguage) || 
-           languageMap.hasOwnProperty(normalizedLanguage);
+           LANGUAGE_ALIASES.hasOwnProperty(normalizedLanguage);
+}
+
+/**
+ * Get the template language name for a language or language code
+ * @param {string} language - Language (e.g. French, fr, français)
+ * @returns {string} Lowercase language name (unknown languages are returned lowercased)
+ */
+function normalizeLanguage(language) {
+    const normalizedLanguage = String(language ?? '').trim().toLowerCase();
+    return LANGUAGE_ALIASES[normalizedLanguage] || normalizedLanguage;
 }
 
 /**
@@ -71,6 +84,110 @@ function isValidSubject(subject) {
     return availableStatuses.includes(normalizedSubject);
 }
 
+// How far ahead a message can be scheduled
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the time a request asks to be delivered at
+ *
+ * Either sendAt, or (for trip notifications) sendBeforeMinutes before departureAt.
+ * @param {Object} data - Request data
+ * @returns {Date|null} Scheduled time, or null to send right away
+ */
+function getScheduledTime(data) {
+    if (!data) {
+        return null;
+    }
+
+    if (data.sendAt) {
+        return new Date(data.sendAt);
+    }
+
+    if (data.departureAt) {
+        return new Date(Date.parse(data.departureAt) - (data.sendBeforeMinutes || 0) * 60 * 1000);
+    }
+
+    return null;
+}
+
+/**
+ * Validate the scheduling fields of a request (sendAt, departureAt, sendBeforeMinutes)
+ * @param {Object} data - Request data
+ * @returns {Array} Validation errors
+ */
+function validateSchedule(data) {
+    const errors = [];
+    const { sendAt, departureAt, sendBeforeMinutes } = data;
+
+    if (sendAt !== undefined && sendAt !== null) {
+        if (typeof sendAt !== 'string' || isNaN(Date.parse(sendAt))) {
+            errors.push('sendAt must be a valid ISO 8601 date');
+        }
+    }
+
+    if (departureAt !== undefined && departureAt !== null) {
+        if (typeof departureAt !== 'string' || isNaN(Date.parse(departureAt))) {
+            errors.push('departureAt must be a valid ISO 8601 date');
+        } else if (sendAt) {
+            errors.push('sendAt and departureAt cannot be combined');
+        }
+    }
+
+    if (sendBeforeMinutes !== undefined && sendBeforeMinutes !== null) {
+        if (!departureAt) {
+            errors.push('sendBeforeMinutes requires departureAt');
+        } else if (!Number.isInteger(sendBeforeMinutes) || sendBeforeMinutes < 0) {
+            errors.push('sendBeforeMinutes must be a non-negative integer');
+        }
+    }
+
+    if (errors.length === 0) {
+        const scheduledTime = getScheduledTime(data);
+        if (scheduledTime && scheduledTime.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+            errors.push('messages cannot be scheduled more than 365 days ahead');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Find the variables a template declares as required that the data does not provide
+ * @param {string} channel - email or sms
+ * @param {string} type - Notification type (subject or notificationType)
+ * @param {string} language - Language or language code (English templates are used when it has none)
+ * @param {Object} data - Template variables
+ * @returns {Array} Missing variable names (empty if there is no such template)
+ */
+function findMissingVariables(channel, type, language, data) {
+    const variables = templateLoader.getVariables(channel, type, normalizeLanguage(language));
+    if (!variables) {
+        return [];
+    }
+    
+    return variables.required.filter(name => {
+        const value = data[name];
+        return value === undefined || value === null || (typeof value === 'string' && !value.trim());
+    });
+}
+
+/**
+ * Check that a request provides every variable its templates require
+ * @param {Array} channels - Channels the request is sent on (email, sms)
+ * @param {string} type - Notification type (subject or notificationType)
+ * @param {string} language - Language
+ * @param {Object} data - Request data
+ * @returns {Array} Validation errors
+ */
+function validateTemplateVariables(channels, type, language, data) {
+    const missing = [...new Set(channels.flatMap(channel => findMissingVariables(channel, type, language, data)))];
+    const templates = `${channels.join(' and ')} template${channels.length > 1 ? 's' : ''}`;
+    
+    return missing.length > 0
+        ? [`Missing required variables for the ${String(type).toLowerCase()} ${templates}: ${missing.join(', ')}`]
+        : [];
+}
+
 /**
  * Validate email request data
  * @param {Object} emailData - Email request data
@@ -157,26 +274,19 @@ function validateEmailRequest(emailData) {
         }
     }
     
+    // A string, or { html } for a rich response message (sanitized, see htmlSafe.js)
     if (emailData.responseMessage !== undefined && emailData.responseMessage !== null && emailData.responseMessage !== '') {
-        if (typeof emailData.responseMessage !== 'string') {
-            errors.push('responseMessage must be a string');
-        } else if (emailData.responseMessage.length > 2000) {
-            errors.push('responseMessage must be 2000 characters or less');
-        }
+        errors.push(...validateRichText(emailData.responseMessage, 'responseMessage', 2000));
     }
     
-    // Conditional validation - check if required fields are present for specific statuses
-    const subject = emailData.subject?.toLowerCase().replace(/[-_\s]/g, '_');
-    
-    if ((subject === 'assigned' || subject === 'escalated') && !emailData.assignedTo && !emailData.escalatedTo) {
-        if (subject === 'assigned') {
-            errors.push('assignedTo is required when subject is "assigned"');
-        }
-        if (subject === 'escalated') {
-            errors.push('escalatedTo is required when subject is "escalated"');
-        }
+    // Variables the template requires (e.g. escalatedTo for escalated)
+    if (errors.length === 0) {
+        errors.push(...validateTemplateVariables(['email'], emailData.subject, emailData.language, emailData));
     }
     
+    // Scheduling validation
+    errors.push(...validateSchedule(emailData));
+    
     return {
         isValid: errors.length === 0,
         errors
@@ -367,24 +477,14 @@ function validateSmsRequest(smsData) {
         }
     }
     
+    // A string, or { html } for a rich response message (sanitized, see htmlSafe.js)
     if (smsData.responseMessage !== undefined && smsData.responseMessage !== null && smsData.responseMessage !== '') {
-        if (typeof smsData.responseMessage !== 'string') {
-            errors.push('responseMessage must be a string');
-        } else if (smsData.responseMessage.length > 2000) {
-            errors.push('responseMessage must be 2000 characters or less');
-        }
+        errors.push(...validateRichText(smsData.responseMessage, 'responseMessage', 2000));
     }
     
-    // Conditional validation - check if required fields are present for specific statuses
-    const subject = smsData.subject?.toLowerCase().replace(/[-_\s]/g, '_');
-    
-    if ((subject === 'assigned' || subject === 'escalated') && !smsData.assignedTo && !smsData.escalatedTo) {
-        if (subject === 'assigned') {
-            errors.push('assignedTo is required when subject is "assigned"');
-        }
-        if (subject === 'escalated') {
-            errors.push('escalatedTo is required when subject is "escalated"');
-        }
+    // Variables the template requires (e.g. escalatedTo for escalated)
+    if (errors.length === 0) {
+        errors.push(...validateTemplateVariables(['sms'], smsData.subject, smsData.language, smsData));
     }
     
     // Validate SMS template length
@@ -407,6 +507,9 @@ function validateSmsRequest(smsData) {
         }
     }
     
+    // Scheduling validation
+    errors.push(...validateSchedule(smsData));
+    
     return {
         isValid: errors.length === 0,
         errors
@@ -596,11 +699,9 @@ function validateTripRequest(tripData) {
         errors.push('destinationName must contain only letters, spaces, hyphens, apostrophes, and common punctuation (1-100 characters)');
     }
     
-    // Remaining time validation (required for trip_remaining_time)
-    if (tripData.notificationType === 'trip_remaining_time') {
-        if (!tripData.remainingTime) {
-            errors.push('remainingTime is required for trip_remaining_time notifications');
-        } else if (typeof tripData.remainingTime !== 'string') {
+    // Remaining time validation (required by the trip_remaining_time templates)
+    if (tripData.notificationType === 'trip_remaining_time' && tripData.remainingTime) {
+        if (typeof tripData.remainingTime !== 'string') {
             errors.push('remainingTime must be a string');
         } else if (!isValidRemainingTime(tripData.remainingTime.trim())) {
             errors.push('remainingTime must be in a valid format (e.g., "2 hours", "30 minutes", "1 hour 30 minutes")');
@@ -616,6 +717,15 @@ function validateTripRequest(tripData) {
         }
     }
     
+    // Variables the templates of the channels used require
+    if (errors.length === 0) {
+        const channels = [tripData.email && 'email', tripData.phoneNumber && 'sms'].filter(Boolean);
+        errors.push(...validateTemplateVariables(channels, tripData.notificationType, tripData.language, tripData));
+    }
+    
+    // Scheduling validation
+    errors.push(...validateSchedule(tripData));
+    
     return {
         isValid: errors.length === 0,
         errors
@@ -705,10 +815,24 @@ function sanitizeTripData(tripData) {
 function validateEnvironmentConfig() {
     const errors = [];
     
-    if (!process.env.SENDGRID_API_KEY) {
-        errors.push('SENDGRID_API_KEY environment variable is required');
-    } else if (!process.env.SENDGRID_API_KEY.startsWith('SG.')) {
-        errors.push('SENDGRID_API_KEY must start with "SG."');
+    // Email transport validation
+    const emailTransport = (process.env.EMAIL_TRANSPORT || 'sendgrid').toLowerCase().trim();
+    const supportedTransports = ['sendgrid', 'smtp', 'file'];
+    
+    if (!supportedTransports.includes(emailTransport)) {
+        errors.push(`EMAIL_TRANSPORT must be one of: ${supportedTransports.join(', ')}`);
+    }
+    
+    if (emailTransport === 'sendgrid') {
+        if (!process.env.SENDGRID_API_KEY) {
+            errors.push('SENDGRID_API_KEY environment variable is required');
+        } else if (!process.env.SENDGRID_API_KEY.startsWith('SG.')) {
+            errors.push('SENDGRID_API_KEY must start with "SG."');
+        }
+    }
+    
+    if (emailTransport === 'smtp' && !process.env.SMTP_HOST) {
+        errors.push('SMTP_HOST environment variable is required when EMAIL_TRANSPORT is "smtp"');
     }
     
     if (!process.env.FROM_EMAIL) {
@@ -718,12 +842,40 @@ function validateEnvironmentConfig() {
     }
     
     // SMS configuration validation
-    if (!process.env.SMS_API_TOKEN) {
-        errors.push('SMS_API_TOKEN environment variable is required for SMS functionality');
+    const smsProviders = (process.env.SMS_PROVIDERS || 'mista').split(',').map(name => name.toLowerCase().trim()).filter(Boolean);
+    const supportedProviders = ['mista', 'africastalking'];
+    
+    smsProviders.filter(name => !supportedProviders.includes(name)).forEach(name => {
+        errors.push(`SMS_PROVIDERS contains unknown provider "${name}" (must be one of: ${supportedProviders.join(', ')})`);
+    });
+    
+    if (smsProviders.includes('mista')) {
+        if (!process.env.SMS_API_TOKEN) {
+            errors.push('SMS_API_TOKEN environment variable is required for SMS functionality');
+        }
+        
+        if (!process.env.SMS_SENDER_ID) {
+            errors.push('SMS_SENDER_ID environment variable is required for SMS functionality');
+        }
+    }
+    
+    if (smsProviders.includes('africastalking')) {
+        if (!process.env.AFRICASTALKING_USERNAME) {
+            errors.push('AFRICASTALKING_USERNAME environment variable is required when SMS_PROVIDERS includes "africastalking"');
+        }
+        
+        if (!process.env.AFRICASTALKING_API_KEY) {
+            errors.push('AFRICASTALKING_API_KEY environment variable is required when SMS_PROVIDERS includes "africastalking"');
+        }
     }
     
-    if (!process.env.SMS_SENDER_ID) {
-        errors.push('SMS_SENDER_ID environment variable is required for SMS functionality');
+    // Channel fallback validation (the built-in default policies are always valid)
+    if (process.env.FALLBACK_POLICIES !== undefined) {
+        try {
+            parsePolicies(process.env.FALLBACK_POLICIES);
+        } catch (error) {
+            errors.push(`FALLBACK_POLICIES: ${error.message}`);
+        }
     }
     
     return {
@@ -743,10 +895,15 @@ module.exports = {
     validateBulkTripRequest,
     sanitizeTripData,
     validateEnvironmentConfig,
+    validateSchedule,
+    validateTemplateVariables,
+    findMissingVariables,
+    getScheduledTime,
     isValidEmail,
     isValidTicketId,
     isValidName,
     isValidLanguage,
+    normalizeLanguage,
     isValidSubject,
     isValidPhoneNumber,
     normalizePhoneNumber,
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const express = require('express');
+const { messageStore, suppressionList, smsService, handleInboundSms } = require('./services');
+const { verifyEventSignature, processEvents } = require('./sendgridEvents');
+
+const router = express.Router();
+
+/**
+ * POST /api/webhooks/sendgrid
+ * Receive SendGrid event webhook deliveries (delivered, bounce, deferred, open, spam report, ...)
+ *
+ * Headers:
+ * - X-Twilio-Email-Event-Webhook-Signature: string (required) - ECDSA signature of the payload
+ * - X-Twilio-Email-Event-Webhook-Timestamp: string (required) - Signature timestamp
+ *
+ * Body: Array of SendGrid events
+ */
+router.post('/webhooks/sendgrid', (req, res) => {
+    try {
+        const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+
+        if (!publicKey) {
+            console.error('SendGrid webhook received but SENDGRID_WEBHOOK_PUBLIC_KEY is not configured');
+            return res.status(503).json({
+                success: false,
+                error: {
+                    message: 'SendGrid webhook verification is not configured',
+                    code: 'WEBHOOK_NOT_CONFIGURED'
+                }
+            });
+        }
+
+        const verification = verifyEventSignature(
+            publicKey,
+            req.rawBody,
+            req.get('X-Twilio-Email-Event-Webhook-Signature'),
+            req.get('X-Twilio-Email-Event-Webhook-Timestamp')
+        );
+
+        if (!verification.isValid) {
+            console.warn(`Rejected SendGrid webhook: ${verification.error}`);
+            return res.status(401).json({
+                success: false,
+                error: {
+                    message: verification.error,
+                    code: 'INVALID_SIGNATURE'
+                }
+            });
+        }
+
+        if (!Array.isArray(req.body)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Body must be an array of events',
+                    code: 'INVALID_INPUT'
+                }
+            });
+        }
+
+        const summary = processEvents(req.body, { messageStore, suppressionList });
+
+        console.log(`SendGrid webhook processed ${summary.processed} of ${req.body.length} events (${summary.suppressed} suppressions)`);
+
+        res.status(200).json({
+            success: true,
+            data: { summary }
+        });
+    } catch (error) {
+        console.error('Error in SendGrid webhook endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * Compare a supplied token with the configured one without leaking timing information
+ * @param {string} expected - Configured token
+ * @param {string} supplied - Token from the request
+ * @returns {boolean} True if the tokens match
+ */
+function tokensMatch(expected, supplied) {
+    const a = crypto.createHash('sha256').update(String(expected)).digest();
+    const b = crypto.createHash('sha256').update(String(supplied || '')).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check an SMS provider callback's token and resolve the provider it is for
+ * (sets req.smsProvider)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function verifySmsCallback(req, res, next) {
+    const callbackToken = process.env.SMS_DLR_TOKEN;
+
+    if (!callbackToken) {
+        console.error(`SMS callback received on ${req.path} but SMS_DLR_TOKEN is not configured`);
+        return res.status(503).json({
+            success: false,
+            error: {
+                message: 'SMS callback verification is not configured',
+                code: 'WEBHOOK_NOT_CONFIGURED'
+            }
+        });
+    }
+
+    if (!tokensMatch(callbackToken, req.query.token)) {
+        console.warn(`Rejected ${req.params.provider} callback on ${req.path}: invalid token`);
+        return res.status(401).json({
+            success: false,
+            error: {
+                message: 'Invalid callback token',
+                code: 'INVALID_TOKEN'
+            }
+        });
+    }
+
+    const provider = smsService.providers.getProvider(req.params.provider);
+
+    if (!provider) {
+        return res.status(404).json({
+            success: false,
+            error: {
+                message: `SMS provider '${req.params.provider}' is not enabled`,
+                code: 'PROVIDER_NOT_FOUND'
+            }
+        });
+    }
+
+    req.smsProvider = provider;
+    next();
+}
+
+/**
+ * POST /api/webhooks/sms/:provider/delivery
+ * Receive SMS delivery reports (DLRs) and update the matching message
+ *
+ * Path Parameters:
+ * - provider: string (required) - Provider that sent the message (mista, africastalking)
+ *
+ * Query Parameters:
+ * - token: string (required) - Shared secret (SMS_DLR_TOKEN) configured in the provider's callback URL
+ *
+ * Body: The provider's delivery report (JSON or form-encoded)
+ */
+router.post('/webhooks/sms/:provider/delivery', verifySmsCallback, (req, res) => {
+    try {
+        const provider = req.smsProvider;
+        const report = provider.parseDeliveryReport(req.body || {});
+
+        if (!report.providerMessageId) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Delivery report does not contain a message id',
+                    code: 'INVALID_INPUT'
+                }
+            });
+        }
+
+        const record = messageStore.findByProviderMessageId(report.providerMessageId, provider.name);
+
+        // Acknowledge unknown reports so the provider does not keep retrying them
+        if (!record) {
+            console.warn(`No message found for ${provider.name} delivery report ${report.providerMessageId}`);
+            return res.status(200).json({
+                success: true,
+                data: { matched: false }
+            });
+        }
+
+        const updated = messageStore.addStatus(record.id, report.status, { detail: report.detail, timestamp: report.timestamp });
+
+        console.log(`SMS ${record.id} to ${record.recipient} is ${report.status} (${provider.name} report ${report.providerMessageId})`);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                matched: true,
+                trackingId: updated.id,
+                recipient: updated.recipient,
+                ticketId: updated.ticketId,
+                tripId: updated.tripId,
+                status: updated.status
+            }
+        });
+    } catch (error) {
+        console.error('Error in SMS delivery report endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+/**
+ * POST /api/webhooks/sms/:provider/inbound
+ * Receive SMS sent to us and act on STOP/START/HELP keywords (English, French, Kinyarwanda)
+ *
+ * Path Parameters:
+ * - provider: string (required) - Provider that received the message (mista, africastalking)
+ *
+ * Query Parameters:
+ * - token: string (required) - Shared secret (SMS_DLR_TOKEN) configured in the provider's callback URL
+ *
+ * Body: The provider's inbound message (JSON or form-encoded)
+ */
+router.post('/webhooks/sms/:provider/inbound', verifySmsCallback, async (req, res) => {
+    try {
+        const provider = req.smsProvider;
+        const inbound = provider.parseInboundMessage(req.body || {});
+
+        if (!inbound.phoneNumber) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Inbound message does not contain a sender',
+                    code: 'INVALID_INPUT'
+                }
+            });
+        }
+
+        const result = await handleInboundSms(inbound.phoneNumber, inbound.text);
+
+        if (result.action) {
+            console.log(`${inbound.phoneNumber} texted ${result.keyword} via ${provider.name} (${result.action}, ${result.language})`);
+        } else {
+            console.log(`Ignored inbound SMS from ${inbound.phoneNumber} via ${provider.name}: not a keyword`);
+        }
+
+        // Always acknowledge so the provider does not keep retrying the message
+        res.status(200).json({
+            success: true,
+            data: {
+                phoneNumber: inbound.phoneNumber,
+                ...result
+            }
+        });
+    } catch (error) {
+        console.error('Error in inbound SMS endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            }
+        });
+    }
+});
+
+module.exports = router;